@@ -3,6 +3,10 @@
 // |> Binary OS Simulation CLI Entry Point <|
 // =========================================================================
 // This file serves as the entry point for the CLI when installed via npm.
-// It simply delegates to the main logic in lib/index.js.
+// It simply delegates to the command-line interface in lib/cli.js.
 
-require('../lib/index.js');
\ No newline at end of file
+const { runCli } = require('../lib/cli');
+
+runCli().then((exitCode) => {
+  process.exitCode = exitCode;
+});
@@ -0,0 +1,504 @@
+// ===================================================================
+// |> Binary OS Simulator - Command-Line Interface <|
+// ===================================================================
+// Purpose:
+//   Turn command-line flags into OSSimulator options, run the simulation and map errors to exit codes.
+//   Everything else lives in the library (lib/index.js), which has no side effects when required.
+
+const fs = require('fs').promises;
+const { join } = require('path');
+const {
+  OSSimulator, InputHandler, Terminal, Dashboard, InputError, FaultError, loadProfile, loadHardware, loadGrubConfig, loadFirewall, loadProgram, resolveLogFile,
+  getDefaultLogDir, CONFIG, EXIT_CODES, FAULTS, LOG_FORMATS, LOG_LEVELS, TIMELINE_FORMATS, UNARY_OPERATIONS
+} = require('./index');
+const { BootTimeline } = require('./timeline');
+const { SessionRecorder, replaySession } = require('./session');
+const { parseExpression } = require('./logic');
+const { Quiz, ScoreBook, QUIZ_LEVELS, QUIZ_RULES } = require('./quiz');
+const { MTU_RANGE } = require('./network');
+const { createRandom, randomSeed, MAX_SEED } = require('./random');
+const { SimulationServer } = require('./server');
+const { Shell } = require('./shell');
+
+/**
+ * Read the value of a --name=value command-line flag
+ * @param {string[]} args - Command-line arguments
+ * @param {string} name - Flag name without leading dashes
+ * @returns {string|undefined} - Flag value ('' for a bare --name), or undefined if absent
+ */
+const getFlag = (args, name) => {
+  const flag = args.find(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+  if (flag === undefined) return undefined;
+  return flag.includes('=') ? flag.slice(flag.indexOf('=') + 1) : '';
+};
+
+/**
+ * Read all of standard input
+ * @returns {Promise<string>} - Contents of stdin
+ */
+const readStdin = async () => {
+  if (process.stdin.isTTY) throw new InputError('--batch expects jobs on stdin (pipe them in or use --batch=<file>)', 'INP005');
+  let content = '';
+  process.stdin.setEncoding('utf8');
+  for await (const chunk of process.stdin) content += chunk;
+  return content;
+};
+
+/**
+ * Parse batch jobs, one "A B OP" line each ("A OP" for the unary operations NOT and NEG)
+ * Blank lines and # comments are ignored.
+ * @param {string} content - Batch file contents
+ * @param {string} source - Source name for error messages
+ * @param {number} width - Operand width in bits
+ * @returns {Object[]} - Validated jobs
+ * @throws {InputError} - On the first malformed line
+ */
+const parseBatch = (content, source, width) => {
+  const jobs = [];
+  content.split(/\r?\n/).forEach((line, index) => {
+    const trimmedLine = line.replace(/#.*/, '').trim();
+    if (trimmedLine === '') return;
+    const tokens = trimmedLine.split(/\s+/);
+    try {
+      if (tokens.length === 2 && UNARY_OPERATIONS.includes(tokens[1].toUpperCase())) jobs.push(InputHandler.parseJob(tokens[0], undefined, tokens[1], width));
+      else if (tokens.length === 3) jobs.push(InputHandler.parseJob(tokens[0], tokens[1], tokens[2], width));
+      else throw new InputError(`Expected "A B OP", got "${trimmedLine}"`, 'INP003');
+    } catch (err) {
+      err.message = `${source}:${index + 1}: ${err.message}`;
+      throw err;
+    }
+  });
+  if (jobs.length === 0) throw new InputError(`No jobs found in ${source}`, 'INP003');
+  return jobs;
+};
+
+/**
+ * Collect jobs supplied via --a/--b/--op or --batch[=<file>]
+ * @param {string[]} args - Command-line arguments
+ * @param {number} width - Operand width in bits
+ * @param {boolean} programMode - An --asm program supplies the operations, so --a/--b are optional and --op is not allowed
+ * @returns {Promise<Object[]|null>} - Validated jobs, or null to prompt interactively
+ */
+const collectJobs = async (args, width, programMode) => {
+  const batch = getFlag(args, 'batch');
+  const [binaryA, binaryB, operation] = ['a', 'b', 'op'].map(name => getFlag(args, name));
+  const hasOperandFlags = [binaryA, binaryB, operation].some(value => value !== undefined);
+  if (programMode) {
+    if (batch !== undefined) throw new InputError('--asm cannot be combined with --batch', 'INP004');
+    if (operation !== undefined) throw new InputError('--asm cannot be combined with --op (the program supplies the operations)', 'INP004');
+    return hasOperandFlags ? [InputHandler.parseJob(binaryA || '0', binaryB || '0', null, width)] : null;
+  }
+  if (batch !== undefined) {
+    if (hasOperandFlags) throw new InputError('--batch cannot be combined with --a/--b/--op', 'INP004');
+    if (batch === '' || batch === '-') return parseBatch(await readStdin(), 'stdin', width);
+    let content;
+    try {
+      content = await fs.readFile(batch, 'utf8');
+    } catch (err) {
+      throw new InputError(`Cannot read batch file ${batch}: ${err.message}`, 'INP005');
+    }
+    return parseBatch(content, batch, width);
+  }
+  return hasOperandFlags ? [InputHandler.parseJob(binaryA, binaryB, operation, width)] : null;
+};
+
+/**
+ * Parse the --expr flag: a Boolean expression evaluated after the boot instead of an operation
+ * @param {string[]} args - Command-line arguments
+ * @param {Object[]|null} jobs - Jobs from --a/--b/--op or --batch
+ * @param {boolean} programMode - Whether --asm supplies a program
+ * @returns {string|null} - Expression, or null when --expr is absent
+ * @throws {InputError} - If the expression is empty or invalid, or combined with operand flags or --asm
+ */
+const parseExpressionFlag = (args, jobs, programMode) => {
+  const expression = getFlag(args, 'expr');
+  if (expression === undefined) return null;
+  if (jobs || programMode) throw new InputError('--expr cannot be combined with --a/--b/--op, --batch or --asm', 'INP004');
+  try {
+    parseExpression(expression);
+  } catch (err) {
+    throw new InputError(`--expr "${expression}": ${err.message}`, 'LGC001');
+  }
+  return expression;
+};
+
+/**
+ * Parse the --seed flag, picking a fresh seed when it is absent
+ * @param {string|undefined} flag - Raw --seed value
+ * @returns {number} - Unsigned 32-bit seed
+ * @throws {InputError} - If the seed is not an integer from 0 to 4294967295
+ */
+const parseSeed = (flag) => {
+  if (flag === undefined) return randomSeed();
+  const text = flag.trim();
+  if (!/^\d+$/.test(text) || Number(text) > MAX_SEED) {
+    throw new InputError(`Invalid --seed "${flag}". Use an integer from 0 to ${MAX_SEED}.`, 'INP008');
+  }
+  return Number(text);
+};
+
+/**
+ * Parse the --inject flag into a list of fault ids
+ * @param {string|undefined} flag - Raw --inject value (comma-separated fault ids)
+ * @returns {string[]} - Fault ids, empty when the flag is absent
+ * @throws {InputError} - If a fault id is unknown or the list is empty
+ */
+const parseInject = (flag) => {
+  if (flag === undefined) return [];
+  const ids = flag.split(',').map(id => id.trim().toLowerCase()).filter(Boolean);
+  const known = Object.keys(FAULTS);
+  const unknown = ids.filter(id => !known.includes(id));
+  if (ids.length === 0 || unknown.length > 0) {
+    throw new InputError(`Invalid --inject "${flag}". Use a comma-separated list of: ${known.join(', ')}.`, 'INP009');
+  }
+  return Array.from(new Set(ids));
+};
+
+/**
+ * Parse --log-file, --log-dir and --no-log into the log file for this run
+ * @param {string[]} args - Command-line arguments
+ * @returns {string|null} - Absolute log file path, or null when file logging is disabled
+ * @throws {InputError} - If the flags conflict or a path is empty
+ */
+const parseLogDestination = (args) => {
+  const file = getFlag(args, 'log-file');
+  const dir = getFlag(args, 'log-dir');
+  const noLog = getFlag(args, 'no-log') !== undefined;
+  if ([file !== undefined, dir !== undefined, noLog].filter(Boolean).length > 1) {
+    throw new InputError('--log-file, --log-dir and --no-log cannot be combined', 'INP004');
+  }
+  if (file === '' || dir === '') throw new InputError(`--log-${file === '' ? 'file' : 'dir'} needs a path`, 'INP010');
+  return noLog ? null : resolveLogFile({ file, dir });
+};
+
+/**
+ * Parse --log-format, --log-level, -v/--verbose, --quiet and the log destination flags
+ * @param {string[]} args - Command-line arguments
+ * @returns {{format: string, level: string, file: string|null}} - Log file format, the level shared by console and file output, and the log file
+ * @throws {InputError} - If a value is unknown or the level flags conflict
+ */
+const parseLogOptions = (args) => {
+  const format = getFlag(args, 'log-format');
+  const levelFlag = getFlag(args, 'log-level');
+  const verbose = args.includes('-v') || getFlag(args, 'verbose') !== undefined;
+  const quiet = args.includes('-q') || getFlag(args, 'quiet') !== undefined;
+  if (format !== undefined && !LOG_FORMATS.includes(format)) {
+    throw new InputError(`Invalid --log-format "${format}". Use one of: ${LOG_FORMATS.join(', ')}.`, 'INP010');
+  }
+  if (levelFlag !== undefined && LOG_LEVELS[levelFlag] === undefined) {
+    throw new InputError(`Invalid --log-level "${levelFlag}". Use one of: ${Object.keys(LOG_LEVELS).join(', ')}.`, 'INP010');
+  }
+  if ([levelFlag !== undefined, verbose, quiet].filter(Boolean).length > 1) {
+    throw new InputError('--log-level, -v/--verbose and -q/--quiet cannot be combined', 'INP004');
+  }
+  const level = levelFlag || (verbose ? 'debug' : quiet ? 'error' : CONFIG.LOG_LEVEL);
+  return { format: format || CONFIG.LOG_FORMAT, level, file: parseLogDestination(args) };
+};
+
+/**
+ * Parse --timeline (comma-separated output files) and --timeline-format
+ * Without --timeline-format, each file's format follows its name: *.svg, *.trace.json (Chrome trace), otherwise JSON.
+ * @param {string[]} args - Command-line arguments
+ * @returns {Object[]} - { file, format } per output file, empty when --timeline is absent
+ * @throws {InputError} - If a file name is missing or the format is unknown
+ */
+const parseTimelines = (args) => {
+  const files = getFlag(args, 'timeline');
+  const format = getFlag(args, 'timeline-format');
+  if (format !== undefined && !TIMELINE_FORMATS.includes(format)) {
+    throw new InputError(`Invalid --timeline-format "${format}". Use one of: ${TIMELINE_FORMATS.join(', ')}.`, 'INP012');
+  }
+  if (files === undefined) {
+    if (format !== undefined) throw new InputError('--timeline-format needs --timeline=<file>', 'INP012');
+    return [];
+  }
+  const names = files.split(',').map(file => file.trim());
+  if (names.some(file => file === '')) throw new InputError('--timeline needs a file name (e.g. --timeline=boot.svg)', 'INP012');
+  return names.map(file => ({ file, format: format || BootTimeline.formatFor(file) }));
+};
+
+/**
+ * Write a run's timeline to every --timeline file; a file that cannot be written only costs a warning
+ * @param {OSSimulator} simulator - Simulator whose run has ended
+ * @param {Object[]} timelines - Output files from parseTimelines
+ * @returns {Promise<void>}
+ */
+const saveTimelines = async (simulator, timelines) => {
+  for (const { file, format } of timelines) {
+    try {
+      await fs.writeFile(file, simulator.timeline.serialize(format));
+      simulator.terminal.print(`Boot timeline written to ${file} (${format})`, 'cyan');
+    } catch (err) {
+      simulator.terminal.printError(`Cannot write timeline ${file}: ${err.message} [TML001]`, 'red');
+    }
+  }
+};
+
+/**
+ * Start recording the session (--record): stdout, stderr and stdin are tapped until saveRecording
+ * @param {string[]} args - Command-line arguments
+ * @returns {SessionRecorder|null} - Recorder, or null when --record is absent
+ * @throws {InputError} - If the file name is missing or --record is combined with --serve
+ */
+const startRecording = (args) => {
+  const file = getFlag(args, 'record');
+  if (file === undefined) return null;
+  if (file.trim() === '') throw new InputError('--record needs a file name (e.g. --record=session.json)', 'INP013');
+  if (getFlag(args, 'serve') !== undefined) throw new InputError('--record cannot be combined with --serve', 'INP004');
+  const recorder = new SessionRecorder({ args });
+  recorder.tapOutput(process.stdout, 'o');
+  recorder.tapOutput(process.stderr, 'e');
+  recorder.tapInput(process.stdin);
+  return recorder;
+};
+
+/**
+ * Stop recording and write the session file; a file that cannot be written only costs a warning
+ * @param {SessionRecorder} recorder - Recorder from startRecording
+ * @param {string} file - Session file (--record)
+ * @param {number} exitCode - Exit code the session ends with
+ * @returns {Promise<void>}
+ */
+const saveRecording = async (recorder, file, exitCode) => {
+  recorder.finish(exitCode);
+  const terminal = new Terminal();
+  try {
+    await fs.writeFile(file, `${JSON.stringify(recorder)}\n`);
+    terminal.printOutput(`Session recorded to ${file} (${recorder.events.length} events, replay with --replay=${file})`, 'cyan');
+  } catch (err) {
+    terminal.printError(`Cannot write session ${file}: ${err.message} [REC003]`, 'red');
+  }
+};
+
+/**
+ * Play back a recorded session (--replay) instead of running the simulator
+ * @param {string[]} args - Command-line arguments; only --speed applies to a replay
+ * @returns {Promise<number>} - Exit code of the recorded session
+ * @throws {InputError} - If the session file is missing, unreadable or malformed
+ */
+const runReplay = async (args) => {
+  const file = getFlag(args, 'replay');
+  if (file.trim() === '') throw new InputError('--replay needs a file name (e.g. --replay=session.json)', 'INP013');
+  if (getFlag(args, 'record') !== undefined) throw new InputError('--replay cannot be combined with --record', 'INP004');
+  let content;
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch (err) {
+    throw new InputError(`Cannot read session ${file}: ${err.message}`, 'REC001');
+  }
+  let session;
+  try {
+    session = JSON.parse(content);
+  } catch (err) {
+    throw new InputError(`${file}: not a session file (${err.message})`, 'REC002');
+  }
+  const errors = SessionRecorder.validate(session);
+  if (errors.length > 0) throw new InputError(`${file}: invalid session\n  ${errors.join('\n  ')}`, 'REC002');
+  const speedFlag = getFlag(args, 'speed');
+  return replaySession(session, { speed: speedFlag ? parseFloat(speedFlag) || 1 : 1 });
+};
+
+/**
+ * Run a quiz session (--quiz[=<questions>]) instead of booting
+ * @param {string[]} args - Command-line arguments; --quiz-level, --quiz-scores and --seed apply to a quiz
+ * @returns {Promise<number>} - Exit code (0)
+ * @throws {InputError} - If a quiz flag is invalid, the scores file is unreadable, or --quiz is combined with operand flags
+ */
+const runQuiz = async (args) => {
+  const conflicts = ['a', 'b', 'op', 'batch', 'asm', 'expr', 'serve'].filter(name => getFlag(args, name) !== undefined);
+  if (conflicts.length > 0) throw new InputError(`--quiz cannot be combined with ${conflicts.map(name => `--${name}`).join(', ')}`, 'INP004');
+  const count = getFlag(args, 'quiz');
+  const questions = count === '' ? QUIZ_RULES.DEFAULT_QUESTIONS : Number(count);
+  if (!Number.isInteger(questions) || questions < 1 || questions > QUIZ_RULES.MAX_QUESTIONS) {
+    throw new InputError(`Invalid --quiz "${count}". Use a number of questions from 1 to ${QUIZ_RULES.MAX_QUESTIONS}.`, 'INP014');
+  }
+  const levelFlag = getFlag(args, 'quiz-level');
+  const level = levelFlag === undefined ? null : Number(levelFlag);
+  if (level !== null && !QUIZ_LEVELS.some(entry => entry.level === level)) {
+    throw new InputError(`Invalid --quiz-level "${levelFlag}". Use a level from 1 to ${QUIZ_LEVELS.length}.`, 'INP014');
+  }
+  const scoresFlag = getFlag(args, 'quiz-scores');
+  if (scoresFlag !== undefined && scoresFlag.trim() === '') throw new InputError('--quiz-scores needs a file name (e.g. --quiz-scores=scores.json)', 'INP014');
+  const file = scoresFlag || join(getDefaultLogDir(), CONFIG.QUIZ_SCORES_FILE);
+  const scores = await ScoreBook.load(file);
+  const seedFlag = getFlag(args, 'seed');
+  const random = seedFlag === undefined ? Math.random : createRandom(parseSeed(seedFlag));
+  await new Quiz({ terminal: new Terminal(), scores, file, questions, level, random }).run();
+  return 0;
+};
+
+/**
+ * Parse the --mtu flag
+ * @param {string|undefined} flag - Raw --mtu value
+ * @returns {number|null} - eth0 MTU in bytes, or null to keep the profile's
+ * @throws {InputError} - If the MTU is not a whole number within MTU_RANGE
+ */
+const parseMtu = (flag) => {
+  if (flag === undefined) return null;
+  const mtu = Number(flag);
+  if (!/^\d+$/.test(flag) || mtu < MTU_RANGE.MIN || mtu > MTU_RANGE.MAX) {
+    throw new InputError(`Invalid --mtu "${flag}". Use a whole number of bytes from ${MTU_RANGE.MIN} to ${MTU_RANGE.MAX} (1500 is standard Ethernet, 9000 jumbo frames).`, 'INP015');
+  }
+  return mtu;
+};
+
+/**
+ * Build simulator options from command-line arguments
+ * @param {string[]} args - Command-line arguments
+ * @returns {Promise<Object>} - Options for new OSSimulator()
+ * @throws {InputError} - If any flag, operand, batch file, profile or program is invalid
+ */
+const parseOptions = async (args) => {
+  const log = parseLogOptions(args);
+  const seed = parseSeed(getFlag(args, 'seed'));
+  const speedFlag = getFlag(args, 'speed');
+  const speed = speedFlag ? parseFloat(speedFlag) || 1 : 1;
+  const width = InputHandler.parseWidth(getFlag(args, 'width'));
+  const asm = getFlag(args, 'asm');
+  if (asm !== undefined && asm.trim() === '') throw new InputError('--asm needs a program file or bundled name (e.g. --asm=multiply)', 'ASM001');
+  const program = asm ? await loadProgram(asm, width) : null;
+  const cpuMode = getFlag(args, 'step') !== undefined ? 'step' : getFlag(args, 'trace') !== undefined ? 'trace' : 'run';
+  const addressFlag = getFlag(args, 'address');
+  let address = null;
+  if (addressFlag !== undefined) {
+    try {
+      address = parseInt(InputHandler.parseOperand(addressFlag.trim(), 16), 2);
+    } catch (err) {
+      throw new InputError(`--address: ${err.message}`, 'INP007');
+    }
+  }
+  const jobs = await collectJobs(args, width, Boolean(program));
+  const expression = parseExpressionFlag(args, jobs, Boolean(program));
+  const profile = await loadProfile(getFlag(args, 'profile') || undefined);
+  const hardwareFlag = getFlag(args, 'hardware');
+  const hardware = hardwareFlag ? await loadHardware(hardwareFlag) : null;
+  const grubFlag = getFlag(args, 'grub-cfg');
+  const grub = grubFlag ? await loadGrubConfig(grubFlag) : null;
+  const firewallFlag = getFlag(args, 'firewall');
+  const firewall = firewallFlag ? await loadFirewall(firewallFlag) : null;
+  const faults = getFlag(args, 'no-faults') === undefined;
+  const inject = parseInject(getFlag(args, 'inject'));
+  const gates = getFlag(args, 'gates') !== undefined;
+  const mtu = parseMtu(getFlag(args, 'mtu'));
+  return {
+    jobs, profile, hardware, grub, firewall, width, program, expression, gates, mtu, cpuMode, address, seed, faults, inject, speed,
+    logFormat: log.format, logLevel: log.level, logFile: log.file
+  };
+};
+
+/**
+ * Parse the --port flag
+ * @param {string|undefined} flag - Raw --port value
+ * @returns {number} - TCP port
+ * @throws {InputError} - If the port is not an integer from 1 to 65535
+ */
+const parsePort = (flag) => {
+  if (flag === undefined) return CONFIG.WEB_PORT;
+  const port = Number(flag);
+  if (!/^\d+$/.test(flag) || port < 1 || port > 65535) throw new InputError(`Invalid --port "${flag}". Use a whole number from 1 to 65535.`, 'INP011');
+  return port;
+};
+
+/**
+ * Start the web UI server (--serve); runs are started from the page
+ * @param {string[]} args - Command-line arguments
+ * @param {Object} options - Simulator options from parseOptions, used for every run
+ * @returns {Promise<SimulationServer>} - The listening server
+ * @throws {InputError} - If flags that only make sense on the console are combined with --serve
+ */
+const startServer = async (args, options) => {
+  if (options.jobs || options.expression !== null) throw new InputError('--serve takes operands from the web page and cannot be combined with --a/--b/--op/--batch/--expr', 'INP004');
+  if (getFlag(args, 'tui') !== undefined) throw new InputError('--serve cannot be combined with --tui', 'INP004');
+  const simulatorOptions = { ...options };
+  if (getFlag(args, 'seed') === undefined) delete simulatorOptions.seed; // Fresh seed per run unless pinned
+  const server = new SimulationServer({ simulatorOptions, port: parsePort(getFlag(args, 'port')) });
+  const url = await server.listen();
+  new Terminal().printOutput(`Serving the web UI at ${url} (Ctrl+C to stop)`, 'green');
+  return server;
+};
+
+/**
+ * Run the simulator from the command line
+ * @param {string[]} [args=process.argv.slice(2)] - Command-line arguments
+ * @returns {Promise<number>} - Process exit code (see EXIT_CODES; 0 on success)
+ */
+const runCli = async (args = process.argv.slice(2)) => {
+  let simulator;
+  let dashboard = null;
+  let server = null;
+  let timelines = [];
+  let recorder = null;
+  /**
+   * End the session, saving the recording first when --record is on
+   * @param {number} exitCode - Exit code to return
+   * @returns {Promise<number>} - The same exit code
+   */
+  const finish = async (exitCode) => {
+    const active = recorder;
+    recorder = null; // Saved once, whichever way the session ends
+    if (active) await saveRecording(active, getFlag(args, 'record'), exitCode);
+    return exitCode;
+  };
+  // Should Node run out of work before runCli returns (e.g., a prompt nothing will answer), the recording is still saved
+  process.once('beforeExit', () => finish(process.exitCode || 0));
+  process.on('SIGINT', async () => {
+    if (dashboard) dashboard.stop();
+    if (simulator) await simulator.interrupt();
+    if (simulator) await saveTimelines(simulator, timelines);
+    if (server) await server.close();
+    process.exit(await finish(0));
+  });
+  try {
+    if (getFlag(args, 'replay') !== undefined) return await runReplay(args);
+    recorder = startRecording(args);
+    if (getFlag(args, 'quiz') !== undefined) return await finish(await runQuiz(args));
+    const options = await parseOptions(args);
+    timelines = parseTimelines(args);
+    if (getFlag(args, 'serve') !== undefined) {
+      if (timelines.length > 0) throw new InputError('--timeline cannot be combined with --serve', 'INP004');
+      server = await startServer(args, options);
+      await new Promise(resolve => server.server.once('close', resolve));
+      return 0;
+    }
+    // --tui needs a terminal to redraw; piped or redirected output keeps the regular scrolling lines
+    const tui = getFlag(args, 'tui') !== undefined && Dashboard.isSupported(process.stdout);
+    // Interactive runs end at the post-boot shell; scripted runs (--a/--b/--op, --batch, --expr) exit
+    const shell = !options.jobs && options.expression === null && getFlag(args, 'no-shell') === undefined;
+    let { seed } = options;
+    while (true) {
+      dashboard = tui ? new Dashboard() : null;
+      const streams = dashboard ? { output: dashboard.stream, errorOutput: dashboard.errorStream } : {};
+      simulator = new OSSimulator({ ...options, ...streams, seed });
+      if (recorder) {
+        recorder.boot(seed, {
+          profile: options.profile.name,
+          hardware: options.hardware ? options.hardware.name : options.profile.hardware || null,
+          grub: options.grub ? options.grub.file : options.profile.grub || null,
+          firewall: options.firewall ? options.firewall.file : options.profile.firewall || null,
+          width: options.width,
+          speed: options.speed,
+          faults: options.faults,
+          inject: options.inject
+        });
+      }
+      if (dashboard) dashboard.attach(simulator);
+      try {
+        await simulator.run();
+      } finally {
+        await saveTimelines(simulator, timelines); // A reboot overwrites the files with the new boot
+      }
+      if (!shell || await new Shell(simulator).start() !== 'reboot') return await finish(0);
+      // A reboot boots a fresh machine, keeping the seed only when --seed pinned it
+      if (getFlag(args, 'seed') === undefined) seed = randomSeed();
+    }
+  } catch (err) {
+    if (dashboard) dashboard.stop();
+    const terminal = simulator ? simulator.terminal : new Terminal();
+    if (err instanceof InputError) terminal.printError(`Invalid input [${err.code}]: ${err.message}`, 'red');
+    else if (err instanceof FaultError) terminal.printError(`System halted [${err.code}]: ${err.message}`, 'red');
+    else terminal.printError(`Fatal error: ${err.message}. Check logs.`, 'red');
+    return finish(err.exitCode || EXIT_CODES.FAILURE);
+  }
+};
+
+module.exports = { runCli, parseOptions, parseBatch, parseTimelines };
@@ -0,0 +1,296 @@
+// ===================================================================
+// |> Toy CPU - Assembler and Fetch-Decode-Execute Emulator <|
+// ===================================================================
+// Purpose:
+//   Assemble small programs and run them on simulated registers and RAM, using the
+//   simulator's Processor as the ALU so every arithmetic/logic instruction sets FLAGS
+// Instruction set (registers: EAX, EBX, ECX, EDX; ';' starts a comment; 'name:' defines a label):
+//   MOV dst, src          dst = src
+//   <ALU op> dst, src     dst = dst OP src, sets FLAGS (ADD, SUB, MUL, AND, OR, XOR, NAND, NOR, XNOR,
+//                         SHL, SHR, SAR, ROL, ROR)
+//   NOT dst / NEG dst     dst = OP dst, sets FLAGS
+//   CMP a, b              a - b, sets FLAGS only
+//   JMP label             Unconditional jump
+//   JZ/JNZ/JC/JNC label   Jump if ZF/CF is set/clear
+//   LOAD dst, [addr]      dst = RAM[addr] (addr is an immediate or a register)
+//   STORE [addr], src     RAM[addr] = src
+//   HLT                   Stop execution
+// Immediates are decimal (optionally negative) or prefixed with 0x, 0o or 0b.
+
+const REGISTERS = ['EAX', 'EBX', 'ECX', 'EDX'];
+const ALU_BINARY = ['ADD', 'SUB', 'MUL', 'AND', 'OR', 'XOR', 'NAND', 'NOR', 'XNOR', 'SHL', 'SHR', 'SAR', 'ROL', 'ROR'];
+const ALU_UNARY = ['NOT', 'NEG'];
+const JUMPS = {
+  JMP: () => true,
+  JZ: flags => flags.ZF === 1,
+  JNZ: flags => flags.ZF === 0,
+  JC: flags => flags.CF === 1,
+  JNC: flags => flags.CF === 0
+};
+
+// Operand kinds accepted by each instruction, in order ('reg|imm' accepts either)
+const SIGNATURES = {
+  MOV: ['reg', 'reg|imm'],
+  CMP: ['reg', 'reg|imm'],
+  LOAD: ['reg', 'mem'],
+  STORE: ['mem', 'reg|imm'],
+  HLT: []
+};
+ALU_BINARY.forEach(op => { SIGNATURES[op] = ['reg', 'reg|imm']; });
+ALU_UNARY.forEach(op => { SIGNATURES[op] = ['reg']; });
+Object.keys(JUMPS).forEach(op => { SIGNATURES[op] = ['label']; });
+
+const CPU_DEFAULTS = {
+  RAM_SIZE: 256, // RAM cells, one word of the operand width each
+  MAX_STEPS: 10000 // Guard against programs that never reach HLT
+};
+
+/**
+ * Format a value as zero-padded hex for the given width
+ * @param {bigint} value - Value to format
+ * @param {number} width - Word width in bits
+ * @returns {string} - e.g., "0x0F"
+ */
+const toHex = (value, width) => `0x${value.toString(16).toUpperCase().padStart(Math.ceil(width / 4), '0')}`;
+
+/**
+ * Parse an immediate value and wrap negatives to two's complement
+ * @param {string} text - Immediate text (e.g., "42", "-1", "0x2A")
+ * @param {number} width - Word width in bits
+ * @returns {bigint|null} - Value, or null if text is not a number
+ * @throws {Error} - If the value does not fit in width bits
+ */
+const parseImmediate = (text, width) => {
+  const match = /^(-)?(0x[0-9a-f]+|0o[0-7]+|0b[01]+|\d+)$/i.exec(text.replace(/_/g, ''));
+  if (!match) return null;
+  const magnitude = BigInt(match[2]);
+  const limit = 1n << BigInt(width);
+  if (match[1] ? magnitude > limit / 2n : magnitude >= limit) throw new Error(`immediate ${text} does not fit in ${width} bits`);
+  return match[1] ? (limit - magnitude) % limit : magnitude;
+};
+
+/**
+ * Parse one operand
+ * @param {string} text - Operand text
+ * @param {number} width - Word width in bits
+ * @returns {Object} - {kind: 'reg', name} | {kind: 'imm', value} | {kind: 'mem', base} | {kind: 'label', name}
+ */
+const parseOperand = (text, width) => {
+  const upper = text.toUpperCase();
+  if (REGISTERS.includes(upper)) return { kind: 'reg', name: upper };
+  const memory = /^\[\s*(.+?)\s*\]$/.exec(text);
+  if (memory) {
+    const base = parseOperand(memory[1], width);
+    if (base.kind !== 'reg' && base.kind !== 'imm') throw new Error(`memory operand ${text} must hold a register or an address`);
+    return { kind: 'mem', base };
+  }
+  const value = parseImmediate(text, width);
+  if (value !== null) return { kind: 'imm', value };
+  if (/^[a-z_.][\w.]*$/i.test(text)) return { kind: 'label', name: text };
+  throw new Error(`cannot parse operand "${text}"`);
+};
+
+/**
+ * Assemble program source into instructions
+ * @param {string} source - Assembly source
+ * @param {Object} [options={}] - Assembler options
+ * @param {number} [options.width=8] - Word width in bits
+ * @returns {{instructions: Object[], labels: Object<string, number>}} - Instructions ({op, operands, line, text})
+ *   and label addresses
+ * @throws {Error} - On the first syntax error, prefixed with its line number
+ */
+const assemble = (source, { width = 8 } = {}) => {
+  const instructions = [];
+  const labels = {};
+  const jumps = [];
+
+  source.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = index + 1;
+    let text = rawLine.replace(/;.*/, '').trim();
+    try {
+      const label = /^([a-z_.][\w.]*)\s*:\s*(.*)$/i.exec(text);
+      if (label) {
+        if (label[1] in labels) throw new Error(`label "${label[1]}" is already defined`);
+        labels[label[1]] = instructions.length;
+        text = label[2];
+      }
+      if (text === '') return;
+
+      const [, mnemonic, rest = ''] = /^(\S+)\s*(.*)$/.exec(text);
+      const op = mnemonic.toUpperCase();
+      const signature = SIGNATURES[op];
+      if (!signature) throw new Error(`unknown instruction "${mnemonic}"`);
+      const operands = rest.trim() === '' ? [] : rest.split(',').map(part => parseOperand(part.trim(), width));
+      if (operands.length !== signature.length) {
+        throw new Error(`${op} takes ${signature.length} operand${signature.length === 1 ? '' : 's'}, got ${operands.length}`);
+      }
+      operands.forEach((operand, position) => {
+        if (!signature[position].split('|').includes(operand.kind)) {
+          throw new Error(`${op} operand ${position + 1} must be ${signature[position].replace('|', ' or ')}, got ${operand.kind}`);
+        }
+      });
+      if (JUMPS[op]) jumps.push({ operand: operands[0], line });
+      instructions.push({ op, operands, line, text: `${op}${rest.trim() ? ` ${rest.trim()}` : ''}` });
+    } catch (err) {
+      throw new Error(`line ${line}: ${err.message}`);
+    }
+  });
+
+  for (const { operand, line } of jumps) {
+    if (!(operand.name in labels)) throw new Error(`line ${line}: undefined label "${operand.name}"`);
+  }
+  if (instructions.length === 0) throw new Error('program contains no instructions');
+  return { instructions, labels };
+};
+
+/**
+ * Executes assembled programs one instruction at a time
+ */
+class CPU {
+  /**
+   * @param {Object} program - Output of assemble()
+   * @param {Object} options - CPU options
+   * @param {Processor} options.alu - Processor used for arithmetic/logic and FLAGS
+   * @param {number} [options.width=8] - Register and RAM word width in bits
+   * @param {number} [options.ramSize=CPU_DEFAULTS.RAM_SIZE] - Number of RAM cells
+   * @param {number} [options.maxSteps=CPU_DEFAULTS.MAX_STEPS] - Instructions to execute before giving up
+   */
+  constructor(program, { alu, width = 8, ramSize = CPU_DEFAULTS.RAM_SIZE, maxSteps = CPU_DEFAULTS.MAX_STEPS }) {
+    this.program = program;
+    this.alu = alu;
+    this.width = width;
+    this.maxSteps = maxSteps;
+    this.registers = { EAX: 0n, EBX: 0n, ECX: 0n, EDX: 0n };
+    this.ram = new Array(ramSize).fill(0n);
+    this.ip = 0;
+    this.steps = 0;
+    this.halted = false;
+  }
+
+  // FLAGS live in the ALU so they match what Processor.performOperation reports
+  get flags() {
+    return this.alu.flags;
+  }
+
+  /**
+   * Read a register or immediate operand
+   * @param {Object} operand - Parsed operand
+   * @returns {bigint} - Operand value
+   */
+  read(operand) {
+    return operand.kind === 'reg' ? this.registers[operand.name] : operand.value;
+  }
+
+  /**
+   * Resolve a memory operand to a RAM index
+   * @param {Object} operand - Parsed memory operand
+   * @returns {number} - RAM index
+   * @throws {Error} - If the address is outside RAM
+   */
+  address(operand) {
+    const address = this.read(operand.base);
+    if (address >= BigInt(this.ram.length)) {
+      throw new Error(`address ${toHex(address, this.width)} is outside RAM (0x0-${toHex(BigInt(this.ram.length - 1), this.width)})`);
+    }
+    return Number(address);
+  }
+
+  /**
+   * Run one word pair through the ALU
+   * @param {bigint} a - First operand
+   * @param {bigint} b - Second operand
+   * @param {string} operation - Processor operation
+   * @returns {bigint} - Result (FLAGS are updated by the ALU)
+   */
+  compute(a, b, operation) {
+    const toBinary = value => value.toString(2).padStart(this.width, '0');
+    return BigInt(`0b${this.alu.compute(toBinary(a), toBinary(b), operation).result}`);
+  }
+
+  /**
+   * Fetch, decode and execute one instruction
+   * @returns {{ip: number, instruction: Object, effect: string}} - Executed instruction and a description of its effect
+   * @throws {Error} - On a bad address, running past the program or exceeding the step limit
+   */
+  step() {
+    if (this.halted) throw new Error('CPU is halted');
+    if (this.ip >= this.program.instructions.length) throw new Error(`IP ${this.ip} ran past the end of the program (missing HLT?)`);
+    if (this.steps >= this.maxSteps) throw new Error(`no HLT after ${this.maxSteps} instructions (infinite loop?)`);
+
+    const ip = this.ip;
+    const instruction = this.program.instructions[ip];
+    const { op, operands } = instruction;
+    const [first, second] = operands;
+    const hex = value => toHex(value, this.width);
+    let effect;
+    this.ip += 1;
+    this.steps += 1;
+
+    try {
+      if (op === 'HLT') {
+        this.halted = true;
+        effect = 'CPU halted';
+      } else if (op === 'MOV') {
+        this.registers[first.name] = this.read(second);
+        effect = `${first.name} = ${hex(this.registers[first.name])}`;
+      } else if (op === 'LOAD') {
+        const address = this.address(second);
+        this.registers[first.name] = this.ram[address];
+        effect = `${first.name} = RAM[${hex(BigInt(address))}] = ${hex(this.registers[first.name])}`;
+      } else if (op === 'STORE') {
+        const address = this.address(first);
+        this.ram[address] = this.read(second);
+        effect = `RAM[${hex(BigInt(address))}] = ${hex(this.ram[address])}`;
+      } else if (op === 'CMP') {
+        const [a, b] = [this.read(first), this.read(second)];
+        this.compute(a, b, 'SUB');
+        effect = `${hex(a)} - ${hex(b)} (result discarded, FLAGS set)`;
+      } else if (JUMPS[op]) {
+        const taken = JUMPS[op](this.flags);
+        if (taken) this.ip = this.program.labels[first.name];
+        effect = taken ? `jump taken to ${first.name} (IP = ${this.ip})` : 'jump not taken';
+      } else if (ALU_UNARY.includes(op)) {
+        const a = this.registers[first.name];
+        this.registers[first.name] = this.compute(a, 0n, op);
+        effect = `${first.name} = ${op} ${hex(a)} = ${hex(this.registers[first.name])}`;
+      } else {
+        const [a, b] = [this.registers[first.name], this.read(second)];
+        this.registers[first.name] = this.compute(a, b, op);
+        effect = `${first.name} = ${hex(a)} ${op} ${hex(b)} = ${hex(this.registers[first.name])}`;
+      }
+    } catch (err) {
+      throw new Error(`line ${instruction.line} (${instruction.text}): ${err.message}`);
+    }
+    return { ip, instruction, effect };
+  }
+
+  /**
+   * Describe how an instruction's operands decode
+   * @param {Object} instruction - Assembled instruction
+   * @returns {string} - e.g., "ADD dst=EAX (register), src=0x01 (immediate)"
+   */
+  decode(instruction) {
+    const roles = instruction.op === 'STORE' ? ['addr', 'src'] : instruction.op === 'CMP' ? ['a', 'b'] : ['dst', 'src'];
+    const describe = operand => {
+      if (operand.kind === 'reg') return `${operand.name} (register)`;
+      if (operand.kind === 'imm') return `${toHex(operand.value, this.width)} (immediate)`;
+      if (operand.kind === 'label') return `${operand.name} (label -> IP ${this.program.labels[operand.name]})`;
+      return `[${operand.base.kind === 'reg' ? operand.base.name : toHex(operand.base.value, this.width)}] (memory)`;
+    };
+    const operands = instruction.operands.map((operand, position) => (
+      operand.kind === 'label' ? describe(operand) : `${roles[position]}=${describe(operand)}`
+    ));
+    return [instruction.op, operands.join(', ')].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Format the register file, IP and FLAGS
+   * @returns {string} - e.g., "EAX=0x05 EBX=0x00 ECX=0x00 EDX=0x00 IP=3"
+   */
+  formatRegisters() {
+    const registers = REGISTERS.map(name => `${name}=${toHex(this.registers[name], this.width)}`).join(' ');
+    return `${registers} IP=${this.ip}`;
+  }
+}
+
+module.exports = { assemble, CPU, CPU_DEFAULTS, REGISTERS, toHex };
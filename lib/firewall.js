@@ -0,0 +1,600 @@
+// ===================================================================
+// |> Firewall - nftables-Style Rulesets With Connection Tracking <|
+// ===================================================================
+// Purpose:
+//   Load a ruleset written in a simplified nft syntax and judge packets against it the way netfilter does:
+//     table <ip|inet> <name> { chain <name> { type filter hook <input|forward|output> priority <n>; policy <accept|drop>; rules } }
+//     matches     ip saddr/daddr (addresses, CIDR prefixes), ip protocol or meta l4proto, tcp/udp sport/dport (ports,
+//                 ranges), icmp type, ct state, iifname/oifname; values may be { sets } and "!=" negates a match
+//     statements  counter, log [prefix "..."], comment "..."; verdicts accept, drop, reject, jump, goto, return
+//   The base chains on a hook run in priority order: accept hands the packet to the next one, drop and reject end it.
+//   Connection tracking gives every packet its ct state (new, established, related, invalid) before the rules see it.
+//   A CIDR match is the bitwise AND of the address and the netmask, compared with the network address.
+
+const { isIp, ipToNumber } = require('./network');
+
+const FAMILIES = ['ip', 'inet']; // Families that see IPv4 packets
+const HOOKS = ['input', 'forward', 'output'];
+const POLICIES = ['accept', 'drop'];
+const CT_STATES = ['new', 'established', 'related', 'invalid'];
+const PRIORITIES = { raw: -300, mangle: -150, filter: 0, security: 50 }; // Standard priority names
+const PROTOCOL_NAMES = { 1: 'icmp', 6: 'tcp', 17: 'udp' };
+const ICMP_TYPES = { 'echo-reply': 0, 'destination-unreachable': 3, 'echo-request': 8, 'time-exceeded': 11 };
+const ICMP_ERRORS = [3, 11]; // ICMP errors quote the packet they report on, which relates them to its connection
+const SERVICES = { ssh: 22, domain: 53, bootps: 67, bootpc: 68, http: 80, ntp: 123, https: 443 };
+
+/**
+ * @param {number} priority - Chain priority
+ * @returns {string|number} - Its standard name (e.g., "filter" for 0), or the number
+ */
+const priorityName = priority => Object.keys(PRIORITIES).find(name => PRIORITIES[name] === priority) || priority;
+
+/**
+ * @param {number} value - Unsigned 32-bit address
+ * @returns {string} - Dotted-quad IPv4 address
+ */
+const numberToIp = (value) => [24, 16, 8, 0].map(shift => (value >>> shift) & 0xff).join('.');
+
+/**
+ * @param {number} value - Unsigned 32-bit address
+ * @returns {string} - Address in binary, one octet per group (e.g., "11000000.10101000.00000001.00000001")
+ */
+const binaryQuad = (value) => [24, 16, 8, 0].map(shift => ((value >>> shift) & 0xff).toString(2).padStart(8, '0')).join('.');
+
+/**
+ * Parse an address match value
+ * @param {string} text - IPv4 address or CIDR prefix (e.g., "192.168.1.0/24")
+ * @returns {Object} - Element { text, test(ip), explain(ip) }; explain shows the masking in binary
+ * @throws {Error} - If the value is not an address or prefix
+ */
+const parseAddress = (text) => {
+  const [address, bits, ...rest] = text.split('/');
+  if (rest.length > 0 || !isIp(address) || (bits !== undefined && !(/^\d+$/.test(bits) && Number(bits) <= 32))) {
+    throw new Error(`"${text}" is not an IPv4 address or prefix (e.g. 192.168.1.0/24)`);
+  }
+  const prefix = bits === undefined ? 32 : Number(bits);
+  const mask = prefix === 0 ? 0 : (0xffffffff << (32 - prefix)) >>> 0;
+  const network = (ipToNumber(address) & mask) >>> 0;
+  const masked = ip => (ipToNumber(ip) & mask) >>> 0;
+  return {
+    text,
+    test: ip => masked(ip) === network,
+    explain: (ip) => {
+      if (prefix === 32) return [];
+      const result = masked(ip);
+      return [
+        `  ${binaryQuad(ipToNumber(ip))}  ${ip}`,
+        `& ${binaryQuad(mask)}  ${numberToIp(mask)} (/${prefix} netmask)`,
+        `= ${binaryQuad(result)}  ${numberToIp(result)} ${result === network ? '==' : '!='} network ${numberToIp(network)}`
+      ];
+    }
+  };
+};
+
+/**
+ * Parse a port match value
+ * @param {string} text - Port, range ("1024-65535") or service name ("ssh")
+ * @returns {Object} - Element { text, test(port) }
+ * @throws {Error} - If the value is not a port or range
+ */
+const parsePort = (text) => {
+  const port = value => (SERVICES[value] !== undefined ? SERVICES[value] : /^\d+$/.test(value) && Number(value) <= 65535 ? Number(value) : null);
+  const [low, high = low, ...rest] = text.split('-').map(port);
+  if (rest.length > 0 || low === null || high === null || low > high) throw new Error(`"${text}" is not a port, range or service name (e.g. 53, 1024-65535, ssh)`);
+  return { text, test: value => value >= low && value <= high };
+};
+
+/**
+ * Build a parser for values from a fixed list of names (and, for numbered ones, their numbers)
+ * @param {Object} names - Name -> value
+ * @param {string} what - What the values are, for error messages
+ * @returns {function(string): Object} - Parser returning { text, test(value) }
+ */
+const namedValue = (names, what) => (text) => {
+  const value = names[text] !== undefined ? names[text] : /^\d+$/.test(text) && Object.values(names).includes(Number(text)) ? Number(text) : undefined;
+  if (value === undefined) throw new Error(`"${text}" is not ${what} (use ${Object.keys(names).join(', ')})`);
+  return { text, test: candidate => candidate === value };
+};
+
+/**
+ * Parse an interface name match value
+ * @param {string} text - Interface name; a trailing "*" matches any suffix (e.g., "eth*")
+ * @returns {Object} - Element { text, test(name) }
+ */
+const parseInterface = (text) => {
+  const prefix = text.endsWith('*') ? text.slice(0, -1) : null;
+  return { text: `"${text}"`, test: name => (prefix === null ? name === text : name.startsWith(prefix)) };
+};
+
+const parseProtocol = namedValue({ icmp: 1, tcp: 6, udp: 17 }, 'a protocol');
+const parseState = namedValue(Object.fromEntries(CT_STATES.map(state => [state, state])), 'a ct state');
+const parseIcmpType = namedValue(ICMP_TYPES, 'an icmp type');
+
+// Match keys: the packet field they test, the protocol they imply and the parser for their values
+const MATCHES = {
+  'ip saddr': { field: 'src', parse: parseAddress },
+  'ip daddr': { field: 'dst', parse: parseAddress },
+  'ip protocol': { field: 'protocol', parse: parseProtocol },
+  'meta l4proto': { field: 'protocol', parse: parseProtocol },
+  'tcp sport': { field: 'sport', protocol: 6, parse: parsePort },
+  'tcp dport': { field: 'dport', protocol: 6, parse: parsePort },
+  'udp sport': { field: 'sport', protocol: 17, parse: parsePort },
+  'udp dport': { field: 'dport', protocol: 17, parse: parsePort },
+  'icmp type': { field: 'icmpType', protocol: 1, parse: parseIcmpType },
+  'ct state': { field: 'state', parse: parseState },
+  iifname: { field: 'iifname', parse: parseInterface },
+  oifname: { field: 'oifname', parse: parseInterface },
+  'meta iifname': { field: 'iifname', parse: parseInterface },
+  'meta oifname': { field: 'oifname', parse: parseInterface }
+};
+
+/**
+ * Split a ruleset into tokens; comments are dropped and every line ends with a "\n" token
+ * @param {string} content - Ruleset text
+ * @returns {Object[]} - Tokens { value, line, quoted, symbol, spaced (whitespace before it) }
+ * @throws {Error} - On an unterminated string
+ */
+const tokenize = (content) => {
+  const tokens = [];
+  content.split(/\r?\n/).forEach((text, index) => {
+    const line = index + 1;
+    const pattern = /(\s*)(?:"([^"]*)"|([{};,])|(#.*)|([^\s{};,"#]+)|("))/y;
+    let match;
+    let first = true;
+    while (pattern.lastIndex < text.length && (match = pattern.exec(text)) !== null) {
+      const [, space, quoted, symbol, comment, word, open] = match;
+      if (open) throw new Error(`line ${line}: unterminated string`);
+      if (comment !== undefined) break;
+      const value = quoted !== undefined ? quoted : symbol !== undefined ? symbol : word;
+      tokens.push({ value, line, quoted: quoted !== undefined, symbol: symbol !== undefined, spaced: first || space !== '' });
+      first = false;
+    }
+    tokens.push({ value: '\n', line, quoted: false, symbol: true, spaced: false });
+  });
+  return tokens;
+};
+
+/**
+ * @param {Object} token - Token the error is about (its line is reported)
+ * @param {string} message - What is wrong
+ * @returns {Error} - Error prefixed with the line number
+ */
+const syntaxError = (token, message) => new Error(`line ${token.line}: ${message}`);
+
+/**
+ * Parse one rule: matches, then statements, then at most one verdict (only a comment may follow it)
+ * @param {Object[]} tokens - The rule's tokens (set braces included, line breaks left out)
+ * @param {number} handle - Rule handle
+ * @returns {Object} - Rule { handle, line, text, matches, counter, log, comment, verdict }
+ * @throws {Error} - On the first syntax error
+ */
+const parseRule = (tokens, handle) => {
+  const rule = { handle, line: tokens[0].line, text: '', matches: [], counter: false, log: null, comment: null, verdict: null };
+  rule.text = tokens.map((token, index) => `${index > 0 && token.spaced ? ' ' : ''}${token.quoted ? `"${token.value}"` : token.value}`).join('');
+  let index = 0;
+  const last = tokens[tokens.length - 1];
+  const take = (what) => {
+    const previous = tokens[index - 1];
+    const token = tokens[index++];
+    if (!token || (token.symbol && what !== null)) throw syntaxError(token || last, `expected ${what}${previous ? ` after "${previous.value}"` : ''}`);
+    return token;
+  };
+  const peek = value => index < tokens.length && !tokens[index].quoted && tokens[index].value === value;
+  while (index < tokens.length) {
+    const token = take('a match or statement');
+    const word = token.quoted ? null : token.value;
+    if (rule.verdict && word !== 'comment') throw syntaxError(token, `"${token.value}" cannot follow the verdict "${rule.verdict.type}" (only a comment can)`);
+    const pair = index < tokens.length ? `${word} ${tokens[index].value}` : null;
+    const key = MATCHES[pair] ? pair : MATCHES[word] ? word : null;
+    if (key) {
+      if (key === pair) index++;
+      const negate = peek('!=');
+      if (negate || peek('==')) index++;
+      const texts = [];
+      if (peek('{')) {
+        index++;
+        while (!peek('}')) {
+          if (index >= tokens.length) throw syntaxError(last, `set after "${key}" is missing its closing "}"`);
+          if (!peek(',')) texts.push(take(`a value in the set after "${key}"`).value);
+          else index++;
+        }
+        index++;
+        if (texts.length === 0) throw syntaxError(token, `empty set after "${key}"`);
+      } else {
+        texts.push(take(`a value after "${key}"`).value);
+        while (peek(',')) {
+          index++;
+          texts.push(take(`a value after "${key} ${texts.join(',')},"`).value);
+        }
+      }
+      let elements;
+      try {
+        elements = texts.map(MATCHES[key].parse);
+      } catch (err) {
+        throw syntaxError(token, `${key}: ${err.message}`);
+      }
+      rule.matches.push({ key, negate, elements });
+    } else if (word === 'counter') {
+      rule.counter = true;
+      // Accept the counter values `nft list ruleset` prints, so a listing can be loaded again
+      if (peek('packets')) index += 4;
+    } else if (word === 'log') {
+      rule.log = { prefix: '' };
+      while (peek('prefix') || peek('level')) {
+        const option = take(null).value;
+        const value = take(`a value after "log ${option}"`);
+        if (option === 'prefix') rule.log.prefix = value.value;
+      }
+    } else if (word === 'comment') {
+      const value = take('a quoted string after "comment"');
+      if (!value.quoted) throw syntaxError(value, 'comment needs a quoted string');
+      rule.comment = value.value;
+    } else if (['accept', 'drop', 'return'].includes(word)) {
+      rule.verdict = { type: word };
+    } else if (word === 'reject') {
+      rule.verdict = { type: 'reject', with: null };
+      if (peek('with')) {
+        index++;
+        const words = [];
+        while (index < tokens.length && !peek('comment')) words.push(take('a reject type').value);
+        if (words.length === 0) throw syntaxError(token, 'reject with needs a type (e.g. icmp type port-unreachable, tcp reset)');
+        rule.verdict.with = words.join(' ');
+      }
+    } else if (word === 'jump' || word === 'goto') {
+      rule.verdict = { type: word, target: take(`a chain name after "${word}"`).value };
+    } else {
+      throw syntaxError(token, `unknown match or statement "${token.value}"`);
+    }
+  }
+  return rule;
+};
+
+/**
+ * Parse a ruleset file
+ * @param {string} content - Ruleset text
+ * @returns {{tables: Object[]}} - Tables { family, name, handle, chains }; chains { name, handle, line, hook, priority, policy, rules }
+ *   (hook is null for regular chains, which are only reached by jump and goto)
+ * @throws {Error} - On the first syntax or semantic error, prefixed with its line number
+ */
+const parseRuleset = (content) => {
+  const tokens = tokenize(content);
+  const tables = [];
+  let index = 0;
+  const end = { line: tokens.length > 0 ? tokens[tokens.length - 1].line : 1 };
+  const skipSeparators = () => {
+    while (index < tokens.length && tokens[index].symbol && (tokens[index].value === '\n' || tokens[index].value === ';')) index++;
+  };
+  const take = (what, allowSymbol = false) => {
+    const token = tokens[index++];
+    if (!token || token.value === '\n' || (token.symbol && !allowSymbol)) throw syntaxError(token || end, `expected ${what}`);
+    return token;
+  };
+  const expect = (value, what) => {
+    const token = take(`"${value}" ${what}`, true);
+    if (token.value !== value || token.quoted) throw syntaxError(token, `expected "${value}" ${what}, found "${token.value}"`);
+  };
+  // The rest of a statement: tokens up to a line break or ";" (line breaks inside { sets } do not count)
+  const statement = () => {
+    const words = [];
+    let depth = 0;
+    while (index < tokens.length) {
+      const token = tokens[index];
+      if (token.symbol && depth === 0 && ['\n', ';', '}'].includes(token.value)) break;
+      index++;
+      if (token.symbol && token.value === '{') depth++;
+      if (token.symbol && token.value === '}') depth--;
+      if (!(token.symbol && token.value === '\n')) words.push(token);
+    }
+    return words;
+  };
+
+  const parseChain = (table, nameToken) => {
+    const chain = { name: nameToken.value, handle: table.nextHandle++, line: nameToken.line, hook: null, priority: null, policy: null, rules: [] };
+    if (table.chains.some(other => other.name === chain.name)) throw syntaxError(nameToken, `chain "${chain.name}" is already defined in table ${table.family} ${table.name}`);
+    expect('{', `after "chain ${chain.name}"`);
+    for (;;) {
+      skipSeparators();
+      const token = tokens[index];
+      if (!token) throw syntaxError(nameToken, `chain "${chain.name}" is missing its closing "}"`);
+      if (token.symbol && token.value === '}') {
+        index++;
+        break;
+      }
+      const words = statement();
+      const [first, ...rest] = words;
+      if (first.value === 'type' && !first.quoted) {
+        const [type, hookWord, hook, priorityWord, priority, ...extra] = rest.map(word => word.value);
+        if (type !== 'filter') throw syntaxError(first, `only "type filter" chains are supported, got "type ${type || ''}"`);
+        if (hookWord !== 'hook' || !HOOKS.includes(hook)) throw syntaxError(first, `"type filter" needs "hook <${HOOKS.join('|')}>"`);
+        const number = PRIORITIES[priority] !== undefined ? PRIORITIES[priority] : /^-?\d+$/.test(priority || '') ? Number(priority) : null;
+        if (priorityWord !== 'priority' || number === null || extra.length > 0) {
+          throw syntaxError(first, `"hook ${hook}" needs "priority <number|${Object.keys(PRIORITIES).join('|')}>"`);
+        }
+        chain.hook = hook;
+        chain.priority = number;
+      } else if (first.value === 'policy' && !first.quoted) {
+        if (rest.length !== 1 || !POLICIES.includes(rest[0].value)) throw syntaxError(first, `policy must be ${POLICIES.join(' or ')}`);
+        chain.policy = rest[0].value;
+      } else {
+        chain.rules.push(parseRule(words, table.nextHandle++));
+      }
+    }
+    if (chain.policy && !chain.hook) throw syntaxError(nameToken, `chain "${chain.name}" has a policy but no "type filter hook ..." (only base chains have one)`);
+    if (chain.hook && !chain.policy) chain.policy = 'accept';
+    table.chains.push(chain);
+  };
+
+  for (;;) {
+    skipSeparators();
+    if (index >= tokens.length) break;
+    const keyword = take('"table"');
+    if (keyword.value !== 'table' || keyword.quoted) throw syntaxError(keyword, `expected "table", found "${keyword.value}"`);
+    const family = take('a family and table name after "table"');
+    if (!FAMILIES.includes(family.value)) throw syntaxError(family, `family "${family.value}" is not supported (use ${FAMILIES.join(' or ')})`);
+    const name = take(`a table name after "table ${family.value}"`);
+    if (tables.some(table => table.family === family.value && table.name === name.value)) throw syntaxError(name, `table ${family.value} ${name.value} is already defined`);
+    expect('{', `after "table ${family.value} ${name.value}"`);
+    const table = { family: family.value, name: name.value, line: name.line, chains: [], nextHandle: 1 };
+    for (;;) {
+      skipSeparators();
+      const token = tokens[index];
+      if (!token) throw syntaxError(name, `table ${family.value} ${name.value} is missing its closing "}"`);
+      index++;
+      if (token.symbol && token.value === '}') break;
+      if (token.value !== 'chain' || token.quoted) throw syntaxError(token, `expected "chain" or "}" in table ${family.value} ${name.value}, found "${token.value}"`);
+      parseChain(table, take('a chain name after "chain"'));
+    }
+    delete table.nextHandle;
+    tables.push(table);
+  }
+
+  // jump and goto must name a regular chain of the same table, without loops
+  tables.forEach((table) => {
+    const byName = Object.fromEntries(table.chains.map(chain => [chain.name, chain]));
+    table.chains.forEach(chain => chain.rules.forEach((rule) => {
+      const { verdict } = rule;
+      if (!verdict || !verdict.target) return;
+      const target = byName[verdict.target];
+      if (!target) throw new Error(`line ${rule.line}: ${verdict.type} to unknown chain "${verdict.target}" in table ${table.family} ${table.name}`);
+      if (target.hook) throw new Error(`line ${rule.line}: cannot ${verdict.type} to base chain "${verdict.target}"`);
+    }));
+    const visit = (chain, path) => {
+      if (path.includes(chain.name)) throw new Error(`line ${chain.line}: chain loop ${[...path, chain.name].join(' -> ')}`);
+      chain.rules.filter(rule => rule.verdict && rule.verdict.target).forEach(rule => visit(byName[rule.verdict.target], [...path, chain.name]));
+    };
+    table.chains.forEach(chain => visit(chain, []));
+  });
+  return { tables };
+};
+
+/**
+ * Connection tracking key of a packet's flow
+ * @param {Object} flow - { protocol, src, dst, sport?, dport?, icmpId? }
+ * @returns {string} - e.g., "udp 192.168.1.42:37170 > 192.168.1.53:53" or "icmp 192.168.1.42 > 192.168.1.1 id 1"
+ */
+const flowKey = ({ protocol, src, dst, sport, dport, icmpId }) => (protocol === 1
+  ? `icmp ${src} > ${dst} id ${icmpId}`
+  : `${PROTOCOL_NAMES[protocol]} ${src}:${sport} > ${dst}:${dport}`);
+
+/**
+ * @param {Object} flow - Flow as given to flowKey
+ * @returns {Object} - The same flow seen from the other end
+ */
+const reverseFlow = flow => ({ ...flow, src: flow.dst, dst: flow.src, sport: flow.dport, dport: flow.sport });
+
+/**
+ * Stateful packet filter for a parsed ruleset
+ */
+class Firewall {
+  /**
+   * @param {{tables: Object[], file?: string}} ruleset - Ruleset from parseRuleset (file is shown when it is loaded)
+   */
+  constructor(ruleset) {
+    this.tables = ruleset.tables;
+    this.file = ruleset.file || null;
+    this.conntrack = new Map(); // Flow key -> { flow, replied }
+    this.counters = new Map(); // Rule -> { packets, bytes }, for rules with a counter statement
+  }
+
+  /**
+   * Where a verdict came from
+   * @param {Object} result - Result of evaluate()
+   * @returns {string} - e.g., "inet filter input handle 7", "inet filter input policy" or "no base chain"
+   */
+  static where({ table, chain, rule }) {
+    if (!chain) return 'no base chain';
+    return `${table.family} ${table.name} ${chain.name} ${rule ? `handle ${rule.handle}` : 'policy'}`;
+  }
+
+  /**
+   * What `nft -f` reports when the ruleset is loaded
+   * @returns {string[]} - Summary line, then one line per base chain
+   */
+  describe() {
+    const chains = this.tables.flatMap(table => table.chains.map(chain => ({ table, chain })));
+    const rules = chains.reduce((total, { chain }) => total + chain.rules.length, 0);
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    return [
+      `nft -f ${this.file || '(ruleset)'}: ${plural(this.tables.length, 'table')}, ${plural(chains.length, 'chain')}, ${plural(rules, 'rule')}`,
+      ...chains.filter(({ chain }) => chain.hook).map(({ table, chain }) => `${table.family} ${table.name} ${chain.name}: hook ${chain.hook} priority ${priorityName(chain.priority)}, policy ${chain.policy}, ${plural(chain.rules.length, 'rule')}`)
+    ];
+  }
+
+  /**
+   * Base chains registered on a hook, in the order netfilter runs them
+   * @param {string} hook - 'input', 'forward' or 'output'
+   * @returns {Object[]} - { table, chain } by ascending priority (ties in file order)
+   */
+  baseChains(hook) {
+    return this.tables.flatMap(table => table.chains.filter(chain => chain.hook === hook).map(chain => ({ table, chain })))
+      .sort((a, b) => a.chain.priority - b.chain.priority);
+  }
+
+  /**
+   * Connection tracking state of a packet, decided before any rule sees it
+   * @param {Object} packet - Packet as given to evaluate()
+   * @returns {{state: string, reason: string, key: string, reply: boolean}} - ct state, why, and the flow it belongs to
+   */
+  classify(packet) {
+    const { protocol, icmpType, quote } = packet;
+    if (protocol === 1 && ICMP_ERRORS.includes(icmpType)) {
+      const key = quote ? flowKey(quote) : null;
+      if (key && this.conntrack.has(key)) return { state: 'related', reason: `icmp error about ${key}`, key, reply: true };
+      return { state: 'invalid', reason: 'icmp error about no tracked connection', key: null, reply: false };
+    }
+    if (protocol === 1 && icmpType === ICMP_TYPES['echo-reply']) {
+      const key = flowKey(reverseFlow(packet));
+      if (this.conntrack.has(key)) return { state: 'established', reason: `reply to ${key}`, key, reply: true };
+      return { state: 'invalid', reason: 'echo reply without a request', key: null, reply: false };
+    }
+    const forward = flowKey(packet);
+    const backward = flowKey(reverseFlow(packet));
+    if (this.conntrack.has(backward)) return { state: 'established', reason: `reply to ${backward}`, key: backward, reply: true };
+    const entry = this.conntrack.get(forward);
+    if (entry && entry.replied) return { state: 'established', reason: `${forward} has seen a reply`, key: forward, reply: false };
+    return { state: 'new', reason: entry ? `${forward} has seen no reply yet` : `first packet of ${forward}`, key: forward, reply: false };
+  }
+
+  /**
+   * Test one match against a packet
+   * @param {Object} match - Match from parseRule
+   * @param {Object} packet - Packet with its ct state
+   * @returns {{matched: boolean, reason: string, details: string[]}} - Outcome, why, and the binary AND for addresses
+   */
+  static testMatch({ key, negate, elements }, packet) {
+    const { field, protocol } = MATCHES[key];
+    const shown = elements.map(element => element.text).join(', ');
+    const expected = elements.length > 1 ? `{ ${shown} }` : shown;
+    if (protocol && packet.protocol !== protocol) {
+      return { matched: false, reason: `${key}: not a ${PROTOCOL_NAMES[protocol]} packet (${PROTOCOL_NAMES[packet.protocol]})`, details: [] };
+    }
+    const value = packet[field];
+    if (value === undefined || value === null) return { matched: false, reason: `${key}: packets on the ${packet.hook} hook have none`, details: [] };
+    const names = { protocol: PROTOCOL_NAMES, icmpType: Object.fromEntries(Object.entries(ICMP_TYPES).map(([name, type]) => [type, name])) };
+    const label = names[field] ? names[field][value] || value : field === 'state' ? `${value} (${packet.stateReason})` : value;
+    const hit = elements.find(element => element.test(value));
+    const matched = Boolean(hit) !== negate;
+    const reason = hit
+      ? `${key} ${label} ${negate ? `is in ${hit.text}, so "!= ${expected}" fails` : `matches ${hit.text}`}`
+      : `${key} ${label} ${negate ? `is not in ${expected}` : `does not match ${expected}`}`;
+    const explained = hit || (elements.length === 1 ? elements[0] : null);
+    return { matched, reason, details: explained && explained.explain ? explained.explain(value) : [] };
+  }
+
+  /**
+   * Run a packet through one chain
+   * @param {Object} table - Table the chain belongs to
+   * @param {Object} chain - Chain to run
+   * @param {Object} packet - Packet with its ct state
+   * @param {Object[]} trace - Receives { table, chain, rule, matched, reasons, details } for every rule tried
+   * @returns {Object|null} - { verdict, table, chain, rule } for accept, drop or reject, or null to fall through
+   */
+  runChain(table, chain, packet, trace) {
+    for (const rule of chain.rules) {
+      const outcomes = [];
+      for (const match of rule.matches) {
+        const outcome = Firewall.testMatch(match, packet);
+        outcomes.push(outcome);
+        if (!outcome.matched) break;
+      }
+      const matched = outcomes.every(outcome => outcome.matched);
+      trace.push({ table, chain, rule, matched, reasons: outcomes.map(outcome => outcome.reason), details: outcomes.flatMap(outcome => outcome.details) });
+      if (!matched || !rule.verdict) continue;
+      const { type, target } = rule.verdict;
+      if (type === 'return') return null;
+      if (type === 'jump' || type === 'goto') {
+        const next = table.chains.find(other => other.name === target);
+        const decision = this.runChain(table, next, packet, trace);
+        if (decision || type === 'goto') return decision;
+        continue;
+      }
+      return { verdict: type, table, chain, rule };
+    }
+    return null;
+  }
+
+  /**
+   * Judge a packet without changing any state (counters, connection tracking)
+   * @param {Object} packet - { hook, iifname?, oifname?, src, dst, protocol (1, 6 or 17), sport?, dport?, icmpType?, icmpId?,
+   *   quote? (flow an ICMP error reports on), length, ttl }
+   * @returns {Object} - { verdict, hook, where, state, stateReason, table, chain, rule, reasons, details, trace, flow }; table, chain and
+   *   rule name what decided (rule is null for a chain policy, chain is null when no base chain is on the hook)
+   */
+  evaluate(packet) {
+    const flow = this.classify(packet);
+    const seen = { ...packet, state: flow.state, stateReason: flow.reason };
+    const trace = [];
+    let decision = { verdict: 'accept', table: null, chain: null, rule: null };
+    for (const { table, chain } of this.baseChains(packet.hook)) {
+      decision = this.runChain(table, chain, seen, trace) || { verdict: chain.policy, table, chain, rule: null };
+      if (decision.verdict !== 'accept') break;
+    }
+    const deciding = decision.rule ? trace.filter(entry => entry.rule === decision.rule).pop() : null;
+    const reasons = deciding ? deciding.reasons : decision.chain ? [`no rule matched, policy ${decision.chain.policy}`] : [`no base chain on the ${packet.hook} hook`];
+    return { ...decision, hook: packet.hook, where: Firewall.where(decision), state: flow.state, stateReason: flow.reason, reasons, details: deciding ? deciding.details : [], trace, flow };
+  }
+
+  /**
+   * Judge a packet and apply the outcome: counters, log statements and connection tracking
+   * (a new connection is only tracked once its first packet is accepted)
+   * @param {Object} packet - Packet as given to evaluate()
+   * @returns {Object} - evaluate()'s result plus logs, the kernel log lines written by matching log statements
+   */
+  filter(packet) {
+    const result = this.evaluate(packet);
+    const logs = [];
+    result.trace.filter(entry => entry.matched).forEach(({ rule }) => {
+      if (rule.counter) {
+        const counter = this.counters.get(rule) || { packets: 0, bytes: 0 };
+        this.counters.set(rule, { packets: counter.packets + 1, bytes: counter.bytes + packet.length });
+      }
+      if (rule.log) logs.push(`${rule.log.prefix}${Firewall.formatLogFields(packet)}`);
+    });
+    if (result.verdict === 'accept' && result.flow.key) {
+      const entry = this.conntrack.get(result.flow.key);
+      if (!entry && result.flow.state === 'new') this.conntrack.set(result.flow.key, { replied: false });
+      if (entry && result.flow.reply) entry.replied = true;
+    }
+    return { ...result, logs };
+  }
+
+  /**
+   * Packet fields as the kernel's nf_log prints them
+   * @param {Object} packet - Packet as given to evaluate()
+   * @returns {string} - e.g., "IN=eth0 OUT= SRC=192.168.1.1 DST=192.168.1.42 LEN=328 TTL=64 PROTO=UDP SPT=67 DPT=68"
+   */
+  static formatLogFields({ iifname, oifname, src, dst, length, ttl, protocol, sport, dport, icmpType, icmpId }) {
+    const base = `IN=${iifname || ''} OUT=${oifname || ''} SRC=${src} DST=${dst} LEN=${length} TTL=${ttl} PROTO=${PROTOCOL_NAMES[protocol].toUpperCase()}`;
+    if (protocol !== 1) return `${base} SPT=${sport} DPT=${dport}`;
+    return `${base} TYPE=${icmpType} CODE=0${icmpId === undefined ? '' : ` ID=${icmpId}`}`;
+  }
+
+  /**
+   * The ruleset as `nft list ruleset` prints it, with current counter values
+   * @param {Object} [options={}] - Listing options
+   * @param {boolean} [options.handles=false] - Append "# handle N" to chains and rules (nft -a)
+   * @returns {string[]} - Listing lines (tab-indented)
+   */
+  list({ handles = false } = {}) {
+    const handle = object => (handles ? ` # handle ${object.handle}` : '');
+    const lines = [];
+    this.tables.forEach((table) => {
+      lines.push(`table ${table.family} ${table.name} {`);
+      table.chains.forEach((chain, index) => {
+        if (index > 0) lines.push('');
+        lines.push(`\tchain ${chain.name} {${handle(chain)}`);
+        if (chain.hook) lines.push(`\t\ttype filter hook ${chain.hook} priority ${priorityName(chain.priority)}; policy ${chain.policy};`);
+        chain.rules.forEach((rule) => {
+          const counter = this.counters.get(rule) || { packets: 0, bytes: 0 };
+          const text = rule.counter ? rule.text.replace(/\bcounter( packets \d+ bytes \d+)?/, `counter packets ${counter.packets} bytes ${counter.bytes}`) : rule.text;
+          lines.push(`\t\t${text}${handle(rule)}`);
+        });
+        lines.push('\t}');
+      });
+      lines.push('}');
+    });
+    return lines;
+  }
+}
+
+module.exports = { Firewall, parseRuleset, ICMP_TYPES, PROTOCOL_NAMES, HOOKS };
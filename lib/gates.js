@@ -0,0 +1,165 @@
+// ===================================================================
+// |> Gate-Level Circuits - Half Adders, Full Adders and Ripple-Carry <|
+// ===================================================================
+// Purpose:
+//   Build the adder the ALU's ADD, SUB and NEG really run on out of two-input gates, evaluated by the
+//   Processor's computeBitOperation, and draw it as ASCII circuits with the value on every wire:
+//     half adder   S = A XOR B, C = A AND B                                  (2 gates)
+//     full adder   P = A XOR B, S = P XOR Cin, Cout = (A AND B) OR (P AND Cin)  (5 gates)
+//     ripple-carry one adder per bit, each bit's carry-out wired to the next bit's carry-in; subtraction
+//                  inverts B through XOR gates driven by SUB = 1, which is also the first carry-in
+//   Every gate has a simulated propagation delay, so each wire gets an arrival time and the slowest chain
+//   from an input to an output is the critical path.
+
+// Simulated propagation delay per gate, in picoseconds (XOR is two gate levels in CMOS)
+const GATE_DELAYS = { NOT: 10, NAND: 15, NOR: 15, AND: 20, OR: 20, XOR: 30, XNOR: 30 };
+
+/**
+ * Netlist of two-input gates with the value and arrival time of every wire
+ */
+class Circuit {
+  /**
+   * @param {function(string, string, string): string} gate - Evaluates one gate: (bit1, bit2, operation) => bit
+   */
+  constructor(gate) {
+    this.gate = gate;
+    this.gates = [];
+  }
+
+  /**
+   * Create an input wire; inputs are stable at time 0
+   * @param {string} name - Wire name (e.g., "A0")
+   * @param {number} value - 0 or 1
+   * @returns {Object} - Wire { name, value, time, source }
+   */
+  input(name, value) {
+    return { name, value, time: 0, source: null };
+  }
+
+  /**
+   * Add a gate and return its output wire
+   * @param {string} operation - Gate type (a GATE_DELAYS key)
+   * @param {Object[]} inputs - The two input wires
+   * @param {string} name - Output wire name
+   * @returns {Object} - Output wire; it settles GATE_DELAYS[operation] after its latest input
+   */
+  add(operation, inputs, name) {
+    const [first, second] = inputs;
+    const value = Number(this.gate(String(first.value), String(second.value), operation));
+    const gate = { operation, inputs, output: null };
+    gate.output = { name, value, time: Math.max(first.time, second.time) + GATE_DELAYS[operation], source: gate };
+    this.gates.push(gate);
+    return gate.output;
+  }
+
+  /**
+   * Number of gates of each type
+   * @returns {Object} - Count per gate type, in GATE_DELAYS order, types not used left out
+   */
+  counts() {
+    const counts = {};
+    Object.keys(GATE_DELAYS).forEach(operation => {
+      const count = this.gates.filter(gate => gate.operation === operation).length;
+      if (count > 0) counts[operation] = count;
+    });
+    return counts;
+  }
+
+  /**
+   * Slowest chain of gates ending at any of the given wires
+   * @param {Object[]} outputs - Output wires
+   * @returns {Object[]} - Wires from an input to the latest output; each step follows the input that arrived last
+   */
+  criticalPath(outputs) {
+    let wire = outputs.reduce((latest, output) => (output.time > latest.time ? output : latest));
+    const path = [wire];
+    while (wire.source) {
+      wire = wire.source.inputs.reduce((latest, input) => (input.time > latest.time ? input : latest));
+      path.unshift(wire);
+    }
+    return path;
+  }
+}
+
+/**
+ * Build a ripple-carry adder (or adder-subtractor) for two words and evaluate it
+ * @param {string} binary1 - First word (MSB first)
+ * @param {string} binary2 - Second word (same width)
+ * @param {Object} options - Build options
+ * @param {boolean} [options.subtract=false] - Compute binary1 - binary2 (B inverted, carry-in 1)
+ * @param {function(string, string, string): string} options.gate - Gate evaluator (Processor.computeBitOperation)
+ * @returns {{circuit: Circuit, bits: Object[], result: string, carryOut: Object}} - Circuit, one entry per bit
+ *   from the LSB ({ bit, kind: 'half' | 'full', a, b, invert, carryIn, p, g, t, sum, carryOut }), result word and final carry
+ */
+const buildRippleCarryAdder = (binary1, binary2, { subtract = false, gate }) => {
+  const circuit = new Circuit(gate);
+  const width = binary1.length;
+  const sub = subtract ? circuit.input('SUB', 1) : null;
+  const bits = [];
+  let carry = sub; // SUB = 1 is the first carry-in: A + NOT B + 1 = A - B
+  for (let bit = 0; bit < width; bit++) {
+    const a = circuit.input(`A${bit}`, Number(binary1[width - 1 - bit]));
+    const rawB = circuit.input(`B${bit}`, Number(binary2[width - 1 - bit]));
+    const b = sub ? circuit.add('XOR', [rawB, sub], `B${bit}'`) : rawB;
+    const invert = sub ? { b: rawB, sub, output: b } : null;
+    if (!carry) {
+      const sum = circuit.add('XOR', [a, b], `S${bit}`);
+      carry = circuit.add('AND', [a, b], `C${bit + 1}`);
+      bits.push({ bit, kind: 'half', a, b, invert, carryIn: null, sum, carryOut: carry });
+      continue;
+    }
+    const carryIn = carry;
+    const p = circuit.add('XOR', [a, b], `P${bit}`);
+    const sum = circuit.add('XOR', [p, carryIn], `S${bit}`);
+    const g = circuit.add('AND', [a, b], `G${bit}`);
+    const t = circuit.add('AND', [p, carryIn], `T${bit}`);
+    carry = circuit.add('OR', [g, t], `C${bit + 1}`);
+    bits.push({ bit, kind: 'full', a, b, invert, carryIn, p, g, t, sum, carryOut: carry });
+  }
+  const result = bits.map(entry => entry.sum.value).reverse().join('');
+  return { circuit, bits, result, carryOut: carry };
+};
+
+/**
+ * Draw one bit of a ripple-carry adder as an ASCII circuit with the value on every wire
+ * @param {Object} entry - Entry from buildRippleCarryAdder's bits
+ * @param {number} nameWidth - Width wire names are padded to, so every bit lines up
+ * @returns {string[]} - Diagram lines; the sum and carry-out lines end with their arrival times
+ */
+const drawAdderBit = (entry, nameWidth) => {
+  const label = wire => `${wire.name.padEnd(nameWidth)} = ${wire.value}`;
+  const size = nameWidth + 4;
+  const pad = ' '.repeat(size + 2); // Up to the input bar of a gate
+  const at = wire => `   t=${wire.time}ps`;
+  // Two inputs joined into a gate whose output line continues with `tail`
+  const gate = (first, operation, output, second, tail = '') => [
+    `${label(first)} ─┐`,
+    `${pad}├─${`[${operation}]`.padEnd(5, '─')}── ${label(output)}${tail}`,
+    `${label(second)} ─┘`
+  ];
+  const lines = [];
+  if (entry.invert) lines.push(...gate(entry.invert.b, 'XOR', entry.invert.output, entry.invert.sub, '   (B inverted for subtraction)'));
+  if (entry.kind === 'half') {
+    lines.push(...gate(entry.a, 'XOR', entry.sum, entry.b, at(entry.sum)));
+    lines.push(...gate(entry.a, 'AND', entry.carryOut, entry.b, at(entry.carryOut)));
+    return lines;
+  }
+  const { a, b, carryIn, p, g, t, sum, carryOut } = entry;
+  const join = ' '.repeat(size + 2 + 10 + size + 2); // Up to the input bar of the second gate
+  const second = (operation, output) => `├─${`[${operation}]`.padEnd(5, '─')}── ${label(output)}${at(output)}`;
+  lines.push(
+    `${label(a)} ─┐`,
+    `${pad}├─[XOR]── ${label(p)} ─┐`,
+    `${label(b)} ─┘${join.slice(size + 3)}${second('XOR', sum)}`,
+    `${label(carryIn)} ${'─'.repeat(join.length - size - 1)}┘`,
+    `${label(a)} ─┐`,
+    `${pad}├─[AND]── ${label(g)} ─┐`,
+    `${label(b)} ─┘${join.slice(size + 3)}${second('OR', carryOut)}`,
+    `${label(p)} ─┐${join.slice(size + 3)}│`,
+    `${pad}├─[AND]── ${label(t)} ─┘`,
+    `${label(carryIn)} ─┘`
+  );
+  return lines;
+};
+
+module.exports = { Circuit, buildRippleCarryAdder, drawAdderBit, GATE_DELAYS };
@@ -0,0 +1,214 @@
+// ===================================================================
+// |> GRUB Configuration and Kernel Command Line <|
+// ===================================================================
+// Purpose:
+//   Parse the part of a grub.cfg the boot menu needs and the kernel command line an entry passes on:
+//     set timeout=N          seconds before the default entry boots (-1 waits for a choice, 0 boots at once)
+//     set default=N|"title"  entry booted when the timeout runs out (index in menu order, or its title)
+//     menuentry 'title' ... { linux <kernel> <parameters>; initrd <image> }
+//     submenu 'title' ... { menuentry ... }   (one level; its entries follow the top-level ones in menu order)
+//   Other commands (insmod, search, echo, if/fi, function blocks, ...) are accepted and ignored.
+//   KernelCmdline reads the parameters the simulator acts on: loglevel/debug, single/emergency, init= and selinux=.
+
+// Parameters the simulated kernel understands; anything else (without a dot) is handed to user space, as Linux does
+const KERNEL_PARAMETERS = [
+  'BOOT_IMAGE', 'root', 'rootfstype', 'rootwait', 'ro', 'rw', 'quiet', 'splash', 'loglevel', 'debug', 'init', 'single', 's', 'S', '1',
+  'emergency', 'selinux', 'enforcing', 'security', 'apparmor', 'console', 'nomodeset', 'mitigations', 'noapic', 'acpi', 'mem'
+];
+
+// Parameters that boot systemd into rescue.target or emergency.target instead of the default target
+const RESCUE_PARAMETERS = ['single', 's', 'S', '1', 'systemd.unit=rescue.target'];
+const EMERGENCY_PARAMETERS = ['emergency', 'systemd.unit=emergency.target'];
+
+/**
+ * Split a line into words the way GRUB's shell-like parser does: quotes group words and are removed
+ * @param {string} line - Command line
+ * @returns {string[]} - Words
+ * @throws {Error} - On an unterminated quote
+ */
+const splitWords = (line) => {
+  const words = [];
+  const pattern = /\s*(?:'([^']*)'|"((?:\\.|[^"\\])*)"|([^\s'"]+))/y;
+  let match;
+  let last = 0;
+  while ((match = pattern.exec(line)) !== null) {
+    const piece = match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+    // Pieces written back to back (e.g., --set='x') belong to the same word
+    if (words.length > 0 && !/^\s/.test(match[0])) words[words.length - 1] += piece;
+    else words.push(piece);
+    last = pattern.lastIndex;
+  }
+  if (line.slice(last).trim() !== '') throw new Error(`unterminated quote in "${line.trim()}"`);
+  return words;
+};
+
+/**
+ * Parse a grub.cfg
+ * @param {string} content - grub.cfg text
+ * @returns {{timeout: number, defaultIndex: number, entries: Object[]}} - Boot menu: entries are
+ *   { title, submenu, kernel, parameters, initrd } in menu order (submenu is the parent title or null)
+ * @throws {Error} - On the first syntax error, prefixed with its line number
+ */
+const parseGrubConfig = (content) => {
+  const entries = [];
+  const blocks = []; // Open blocks: { kind: 'menuentry' | 'submenu' | 'other', title, line, entry }
+  let timeout = 5;
+  let defaultEntry = '0';
+  let defaultLine = 0;
+
+  content.split(/\r?\n/).forEach((text, index) => {
+    const line = index + 1;
+    try {
+      const trimmed = text.replace(/^\s+/, '');
+      if (trimmed === '' || trimmed.startsWith('#')) return;
+      const words = splitWords(trimmed);
+      const [command, ...args] = words;
+      const block = blocks[blocks.length - 1];
+      if (command === '}') {
+        if (!block) throw new Error('"}" without an open menuentry or submenu');
+        blocks.pop();
+        if (block.kind === 'menuentry' && !block.entry.kernel) throw new Error(`menuentry '${block.title}' has no linux command`);
+        return;
+      }
+      if (command === 'menuentry' || command === 'submenu') {
+        if (words[words.length - 1] !== '{') throw new Error(`${command} must open a block with "{" on the same line`);
+        const title = args[0];
+        if (!title || title === '{' || title.startsWith('--')) throw new Error(`${command} needs a title`);
+        if (block && (block.kind !== 'submenu' || command === 'submenu')) throw new Error(`${command} '${title}' cannot be nested here (only menuentry inside a submenu)`);
+        if (command === 'submenu') {
+          blocks.push({ kind: 'submenu', title, line });
+          return;
+        }
+        const entry = { title, submenu: block ? block.title : null, kernel: null, parameters: '', initrd: null };
+        entries.push(entry);
+        blocks.push({ kind: 'menuentry', title, line, entry });
+        return;
+      }
+      if (trimmed.endsWith('{')) {
+        blocks.push({ kind: 'other', title: command, line }); // function blocks and the like
+        return;
+      }
+      if (block && block.kind === 'other') return;
+      if (['linux', 'linux16', 'linuxefi'].includes(command)) {
+        if (!block || block.kind !== 'menuentry') throw new Error(`${command} outside a menuentry`);
+        if (!args[0]) throw new Error(`${command} needs a kernel image path`);
+        block.entry.kernel = args[0];
+        block.entry.parameters = args.slice(1).join(' ');
+      } else if (['initrd', 'initrd16', 'initrdefi'].includes(command)) {
+        if (!block || block.kind !== 'menuentry') throw new Error(`${command} outside a menuentry`);
+        if (!args[0]) throw new Error(`${command} needs an image path`);
+        block.entry.initrd = args.join(' ');
+      } else if (command === 'set' && !block) {
+        const [name, ...value] = (args[0] || '').split('=');
+        if (name === 'timeout') {
+          timeout = Number(value.join('='));
+          if (!Number.isInteger(timeout) || timeout < -1) throw new Error(`timeout must be a whole number of seconds or -1, got "${value.join('=')}"`);
+        } else if (name === 'default') {
+          defaultEntry = value.join('=');
+          defaultLine = line;
+        }
+      }
+    } catch (err) {
+      throw new Error(`line ${line}: ${err.message}`);
+    }
+  });
+
+  if (blocks.length > 0) {
+    const block = blocks[blocks.length - 1];
+    throw new Error(`line ${block.line}: ${block.kind} '${block.title}' is missing its closing "}"`);
+  }
+  if (entries.length === 0) throw new Error('no menuentry found');
+  const defaultIndex = /^\d+$/.test(defaultEntry) ? Number(defaultEntry) : entries.findIndex(entry => entry.title === defaultEntry);
+  if (defaultIndex < 0 || defaultIndex >= entries.length) {
+    throw new Error(`line ${defaultLine}: default "${defaultEntry}" does not match any of the ${entries.length} menu entries`);
+  }
+  return { timeout, defaultIndex, entries };
+};
+
+/**
+ * Kernel command line: ordered parameters, either flags ("ro") or key=value pairs ("root=/dev/sda1")
+ */
+class KernelCmdline {
+  /**
+   * @param {string} text - Parameters separated by spaces (double quotes group values with spaces)
+   */
+  constructor(text) {
+    this.parameters = (text.match(/(?:[^\s"]+|"[^"]*")+/g) || []).map(word => {
+      const separator = word.indexOf('=');
+      return separator < 0 ? { key: word, value: null } : { key: word.slice(0, separator), value: word.slice(separator + 1).replace(/"/g, '') };
+    });
+  }
+
+  /**
+   * Value of the last occurrence of a key=value parameter (later parameters override earlier ones)
+   * @param {string} key - Parameter name
+   * @returns {string|null} - Value, or null if absent or given as a flag
+   */
+  get(key) {
+    const matches = this.parameters.filter(parameter => parameter.key === key && parameter.value !== null);
+    return matches.length > 0 ? matches[matches.length - 1].value : null;
+  }
+
+  /**
+   * Check for a parameter
+   * @param {string} parameter - Flag ("single") or exact key=value pair ("selinux=0")
+   * @returns {boolean} - True if the command line contains it
+   */
+  has(parameter) {
+    const separator = parameter.indexOf('=');
+    if (separator < 0) return this.parameters.some(({ key, value }) => key === parameter && value === null);
+    return this.get(parameter.slice(0, separator)) === parameter.slice(separator + 1);
+  }
+
+  /**
+   * Console log level: loglevel=N, or 10 for "debug" (the last one given wins)
+   * @returns {number|null} - Level from 0 (emergencies only) to 10, or null when the command line leaves it alone
+   */
+  get loglevel() {
+    return this.parameters.reduce((level, { key, value }) => {
+      if (key === 'debug' && value === null) return 10;
+      if (key === 'loglevel' && /^[0-7]$/.test(value || '')) return Number(value);
+      return level;
+    }, null);
+  }
+
+  /**
+   * What PID 1 boots into
+   * @returns {string} - 'shell' (init= names a program other than systemd), 'emergency', 'rescue' or 'default'
+   */
+  get target() {
+    const init = this.get('init');
+    if (init && !/systemd$/.test(init)) return 'shell';
+    if (EMERGENCY_PARAMETERS.some(parameter => this.has(parameter))) return 'emergency';
+    if (RESCUE_PARAMETERS.some(parameter => this.has(parameter))) return 'rescue';
+    return 'default';
+  }
+
+  /**
+   * Whether SELinux is left enabled (selinux=0 turns it off)
+   * @returns {boolean} - False with selinux=0
+   */
+  get selinux() {
+    return this.get('selinux') !== '0';
+  }
+
+  /**
+   * Parameters the kernel does not know; Linux passes them on to init
+   * Dotted names (module.param, systemd.unit, rd.*) belong to modules or user space and are not reported.
+   * @returns {string[]} - Parameters as written
+   */
+  unknown() {
+    return this.parameters
+      .filter(({ key }) => !key.includes('.') && !KERNEL_PARAMETERS.includes(key))
+      .map(({ key, value }) => (value === null ? key : `${key}=${value}`));
+  }
+
+  /**
+   * @returns {string} - Parameters separated by spaces
+   */
+  toString() {
+    return this.parameters.map(({ key, value }) => (value === null ? key : `${key}=${/\s/.test(value) ? `"${value}"` : value}`)).join(' ');
+  }
+}
+
+module.exports = { parseGrubConfig, KernelCmdline };
@@ -0,0 +1,206 @@
+// ===================================================================
+// |> Hardware Inventory - CPU, RAM, Disks and PCI Devices <|
+// ===================================================================
+// Purpose:
+//   Describe the virtual machine a profile boots on (bundled presets in hardware/ or --hardware=<file>)
+//   and generate the boot messages that depend on it: POST (CPU model, cores, flags, RAM), the PCI scan
+//   in lspci format, driver binding and the NUMA topology. Each report lists its lines, the warnings
+//   (unclaimed devices, low RAM) and a fatal error when the machine cannot boot (too little RAM, no
+//   driver for the root disk's controller).
+
+const HARDWARE_LIMITS = {
+  MIN_RAM_MIB: 128, // Kernel and initramfs no longer fit below this
+  LOW_RAM_MIB: 512 // Below this the boot warns about heavy swapping
+};
+
+// Bridges are claimed by the PCI core itself; every other device needs a driver
+const BRIDGE_CLASS = /bridge$/i;
+
+/**
+ * Format a physical address range the way the kernel prints memory maps
+ * @param {number} start - First byte
+ * @param {number} end - Last byte
+ * @returns {string} - e.g., "[mem 0x0000000000000000-0x00000003ffffffff]"
+ */
+const memRange = (start, end) => `[mem 0x${start.toString(16).padStart(16, '0')}-0x${end.toString(16).padStart(16, '0')}]`;
+
+/**
+ * Virtual hardware built from a validated description
+ */
+class HardwareInventory {
+  /**
+   * @param {Object} hardware - Description checked by HardwareInventory.validate
+   */
+  constructor(hardware) {
+    this.name = hardware.name;
+    this.cpu = { arch: 'x86_64', threads: hardware.cpu.cores, flags: [], ...hardware.cpu };
+    this.memory = { numaNodes: 1, ...hardware.memory };
+    this.disks = hardware.disks || [];
+    this.pci = (hardware.pci || []).slice().sort((a, b) => a.slot.localeCompare(b.slot));
+  }
+
+  /**
+   * Check a parsed hardware description
+   *
+   * Schema:
+   *   { name, description?, cpu: { model, arch?, cores, threads?, flags? }, memory: { sizeMiB, numaNodes? },
+   *     disks?: [{ name, model, sizeGB, controller? }], pci?: [{ slot, class, vendor, device, name, driver? }] }
+   * The first disk holds the root filesystem; its controller is the slot of the PCI device it hangs off.
+   * @param {*} hardware - Parsed description
+   * @returns {string[]} - Human-readable violations (empty if valid)
+   */
+  static validate(hardware) {
+    const errors = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isText = value => typeof value === 'string' && value.trim() !== '';
+    const isCount = value => Number.isInteger(value) && value > 0;
+    const checkKeys = (value, path, allowed) => Object.keys(value)
+      .filter(key => !allowed.includes(key))
+      .forEach(key => errors.push(`${path}: unknown property "${key}" (allowed: ${allowed.join(', ')})`));
+
+    if (!isObject(hardware)) return ['hardware: must be an object with "name", "cpu" and "memory"'];
+    checkKeys(hardware, 'hardware', ['name', 'description', 'cpu', 'memory', 'disks', 'pci']);
+    if (!isText(hardware.name)) errors.push('name: must be a non-empty string');
+    if (hardware.description !== undefined && typeof hardware.description !== 'string') errors.push('description: must be a string');
+
+    const { cpu, memory } = hardware;
+    if (!isObject(cpu)) {
+      errors.push('cpu: must be an object with "model" and "cores"');
+    } else {
+      checkKeys(cpu, 'cpu', ['model', 'arch', 'cores', 'threads', 'flags']);
+      if (!isText(cpu.model)) errors.push('cpu.model: must be a non-empty string');
+      if (cpu.arch !== undefined && !isText(cpu.arch)) errors.push('cpu.arch: must be a non-empty string');
+      if (!isCount(cpu.cores)) errors.push('cpu.cores: must be a positive integer');
+      if (cpu.threads !== undefined && !(isCount(cpu.threads) && cpu.threads >= cpu.cores)) errors.push('cpu.threads: must be an integer of at least cpu.cores');
+      if (cpu.flags !== undefined && !(Array.isArray(cpu.flags) && cpu.flags.every(isText))) errors.push('cpu.flags: must be an array of strings');
+    }
+    if (!isObject(memory)) {
+      errors.push('memory: must be an object with "sizeMiB"');
+    } else {
+      checkKeys(memory, 'memory', ['sizeMiB', 'numaNodes']);
+      if (!isCount(memory.sizeMiB)) errors.push('memory.sizeMiB: must be a positive integer');
+      if (memory.numaNodes !== undefined && !isCount(memory.numaNodes)) errors.push('memory.numaNodes: must be a positive integer');
+    }
+
+    const slots = Array.isArray(hardware.pci) ? hardware.pci.filter(isObject).map(device => device.slot) : [];
+    if (hardware.pci !== undefined && !Array.isArray(hardware.pci)) errors.push('pci: must be an array');
+    (Array.isArray(hardware.pci) ? hardware.pci : []).forEach((device, index) => {
+      const path = `pci[${index}]`;
+      if (!isObject(device)) {
+        errors.push(`${path}: must be an object`);
+        return;
+      }
+      checkKeys(device, path, ['slot', 'class', 'vendor', 'device', 'name', 'driver']);
+      if (typeof device.slot !== 'string' || !/^[0-9a-f]{2}:[0-9a-f]{2}\.[0-7]$/i.test(device.slot)) errors.push(`${path}.slot: must look like "00:19.0"`);
+      else if (slots.indexOf(device.slot) !== index) errors.push(`${path}.slot: duplicate slot "${device.slot}"`);
+      ['vendor', 'device'].forEach(key => {
+        if (typeof device[key] !== 'string' || !/^[0-9a-f]{4}$/i.test(device[key])) errors.push(`${path}.${key}: must be a 4-digit hex ID such as "8086"`);
+      });
+      ['class', 'name'].forEach(key => {
+        if (!isText(device[key])) errors.push(`${path}.${key}: must be a non-empty string`);
+      });
+      if (device.driver !== undefined && !isText(device.driver)) errors.push(`${path}.driver: must be a kernel module name`);
+    });
+
+    if (hardware.disks !== undefined && !Array.isArray(hardware.disks)) errors.push('disks: must be an array');
+    (Array.isArray(hardware.disks) ? hardware.disks : []).forEach((disk, index) => {
+      const path = `disks[${index}]`;
+      if (!isObject(disk)) {
+        errors.push(`${path}: must be an object`);
+        return;
+      }
+      checkKeys(disk, path, ['name', 'model', 'sizeGB', 'controller']);
+      if (!isText(disk.name)) errors.push(`${path}.name: must be a non-empty string`);
+      if (!isText(disk.model)) errors.push(`${path}.model: must be a non-empty string`);
+      if (typeof disk.sizeGB !== 'number' || !(disk.sizeGB > 0)) errors.push(`${path}.sizeGB: must be a positive number`);
+      if (disk.controller !== undefined && !slots.includes(disk.controller)) errors.push(`${path}.controller: no PCI device in slot ${JSON.stringify(disk.controller)}`);
+    });
+    return errors;
+  }
+
+  /**
+   * POST: CPU identification, feature flags, installed RAM and disks
+   * @returns {{lines: string[], warnings: string[], fatal: string[]|null}} - Report; fatal lines halt the boot, the last one says why
+   */
+  post() {
+    const { model, arch, cores, threads, flags } = this.cpu;
+    const { sizeMiB } = this.memory;
+    const lines = [
+      `CPU: ${model} (${arch}, ${cores} core${cores === 1 ? '' : 's'}, ${threads} thread${threads === 1 ? '' : 's'})`,
+      `CPU features: ${flags.length > 0 ? flags.join(' ') : 'none reported'}`,
+      `Memory: ${sizeMiB} MiB installed`,
+      ...this.disks.map(disk => `Disk: ${disk.name} ${disk.model} (${disk.sizeGB} GB)`)
+    ];
+    const warnings = [];
+    if (this.disks.length === 0) warnings.push('No disks detected: the root filesystem must come from the network or initramfs');
+    if (sizeMiB < HARDWARE_LIMITS.MIN_RAM_MIB) {
+      return {
+        lines,
+        warnings,
+        fatal: [
+          'error: out of memory.',
+          `Not enough RAM: ${sizeMiB} MiB installed, at least ${HARDWARE_LIMITS.MIN_RAM_MIB} MiB needed to load the kernel and initramfs`
+        ]
+      };
+    }
+    if (sizeMiB < HARDWARE_LIMITS.LOW_RAM_MIB) warnings.push(`Low memory: ${sizeMiB} MiB installed (${HARDWARE_LIMITS.LOW_RAM_MIB} MiB recommended), expect heavy swapping`);
+    return { lines, warnings, fatal: null };
+  }
+
+  /**
+   * PCI bus scan in `lspci -nn` format
+   * @returns {string[]} - One line per device, by slot
+   */
+  scanPci() {
+    if (this.pci.length === 0) return ['No PCI bus found'];
+    return this.pci.map(device => `${device.slot} ${device.class}: ${device.name} [${device.vendor.toLowerCase()}:${device.device.toLowerCase()}]`);
+  }
+
+  /**
+   * Bind a kernel driver to every PCI device
+   * @returns {{lines: string[], warnings: string[], fatal: string[]|null}} - Report; fatal when the root disk's controller has no driver
+   */
+  bindDrivers() {
+    const lines = [];
+    const warnings = [];
+    this.pci.forEach(device => {
+      const id = `[${device.vendor.toLowerCase()}:${device.device.toLowerCase()}]`;
+      if (device.driver) lines.push(`${device.driver} 0000:${device.slot}: bound to ${device.class} ${id}`);
+      else if (BRIDGE_CLASS.test(device.class)) lines.push(`pci 0000:${device.slot}: ${device.class} ${id} handled by the PCI core`);
+      else warnings.push(`pci 0000:${device.slot}: no driver found for ${device.class} ${id}, device left unclaimed`);
+    });
+    const root = this.disks[0];
+    const controller = root && root.controller && this.pci.find(device => device.slot === root.controller);
+    if (controller && !controller.driver) {
+      return {
+        lines,
+        warnings,
+        fatal: [
+          `VFS: Cannot open root device "${root.name}" or unknown-block(0,0): error -6`,
+          `No driver for the root disk's controller (${controller.name} at ${controller.slot})`,
+          'Kernel panic - not syncing: VFS: Unable to mount root fs on unknown-block(0,0)'
+        ]
+      };
+    }
+    return { lines, warnings, fatal: null };
+  }
+
+  /**
+   * NUMA topology: RAM and CPUs split evenly across the nodes
+   * @returns {string[]} - Kernel messages
+   */
+  numa() {
+    const { sizeMiB, numaNodes } = this.memory;
+    const bytes = sizeMiB * 1024 * 1024;
+    if (numaNodes === 1) return ['No NUMA configuration found', `Faking a node at ${memRange(0, bytes - 1)}`];
+    const perNode = Math.floor(bytes / numaNodes);
+    const cpusPerNode = Math.max(1, Math.floor(this.cpu.threads / numaNodes));
+    return [`NUMA: ${numaNodes} nodes, ${Math.floor(sizeMiB / numaNodes)} MiB each`, ...Array.from({ length: numaNodes }, (_, node) => {
+      const firstCpu = Math.min(node * cpusPerNode, this.cpu.threads - 1);
+      const lastCpu = node === numaNodes - 1 ? this.cpu.threads - 1 : Math.min(firstCpu + cpusPerNode - 1, this.cpu.threads - 1);
+      return `node ${node}: CPUs ${firstCpu}-${lastCpu}, ${memRange(node * perNode, node === numaNodes - 1 ? bytes - 1 : (node + 1) * perNode - 1)}`;
+    })];
+  }
+}
+
+module.exports = { HardwareInventory, HARDWARE_LIMITS };
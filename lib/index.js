@@ -1,5 +1,3 @@
-#!/usr/bin/env node
-
 // ===================================================================
 // |> Binary OS Simulator - Hyper-Realistic OS Boot Simulation <|
 // ===================================================================
@@ -28,29 +26,141 @@
 //   20. Network stack optimization (Jumbo Frames, TCP congestion, DNS, iptables/nftables)
 //   21. Entropy pool initialization with /dev/random and rngd simulation
 //   22. UEFI boot flow with EFI stub and efibootmgr configuration
+//   23. Non-interactive batch mode (--a/--b/--op flags or --batch from stdin/file) for scripting and CI
+//   24. Declarative boot profiles (JSON/YAML, --profile flag) validated against a schema
+//   25. Arbitrary-width operands (--width, up to 64 bits via BigInt) in binary, hex, octal or decimal
+//   26. ALU arithmetic, shift and rotate operations with per-column carries and a FLAGS register (CF, ZF, SF, OF, PF)
+//   27. Toy assembly-language CPU (--asm) with fetch-decode-execute trace and single-step modes
+//   28. Paged RAM model with TLB, demand paging, real page faults and hexdump of stored results (--address)
+//   29. Reproducible runs: one seeded PRNG for delays and failures (--seed), random failures off with --no-faults
+//   30. Fault injection (--inject) with realistic responses: POST beep codes, fsck repair, Secure Boot fallback, kernel oops
+//   31. Structured logs (--log-format=json) with stage/progress/code/stack, --log-level, -v/--quiet and explicit run status
+//   32. XDG log directory (--log-dir/--log-file, --no-log) with size/age rotation and a retention count
+//   33. Programmatic API: side-effect-free require('binary-os-sim') with injectable speed, colors, inputs and streams
+//   34. Typed simulator events (stage:start, step, progress, fault, ...) and plugin hooks that add or replace stage steps
+//   35. Full-screen TUI dashboard (--tui): in-place progress bar, stage states, dmesg pane and CPU/RAM/network panel
+//   36. Browser web UI (--serve, --port) streaming the boot over SSE from a local server, with form inputs for prompts
+//   37. Post-boot shell (dmesg, journalctl, lspci, systemctl, sysctl, free, uptime, calc, shutdown/reboot), --no-shell
+//   38. systemd unit graph (Requires=/Wants=/After=) started in parallel waves, with systemd-analyze time/blame/critical-chain
+//   39. Virtual hardware inventory (--hardware, bundled presets) driving POST, the PCI scan, driver binding and NUMA
+//   40. GRUB boot menu parsed from grub.cfg (--grub-cfg) with an editable kernel command line (loglevel, single, init=, selinux=)
+//   41. Boot timeline of every stage and step (--timeline) exported as JSON, a Chrome trace or an SVG bootchart
+//   42. Session recording (--record) of output, typed input and timing, replayed exactly or faster with --replay
+//   43. Boolean expressions (--expr, shell `logic`) with truth tables, canonical SOP/POS, Karnaugh maps and Quine-McCluskey
+//   44. Gate-level view (--gates) of ADD/SUB/NEG as half/full adders in a ripple-carry chain with a critical path
+//   45. Quiz mode (--quiz) with operation, conversion and identify-the-operation problems, levels, streaks and saved scores
+//   46. Virtual network (--mtu): DHCP, ARP, DNS and ICMP ping/traceroute as a tcpdump-style log with decoded headers and IPv4 fragments
+//   47. nftables-style firewall (--firewall): rulesets with chains, hooks, policies and conntrack judge every packet, CIDR matches in binary
 
 const fs = require('fs').promises;
+const EventEmitter = require('events');
 const readline = require('readline');
-const { resolve } = require('path');
+const os = require('os');
+const { resolve, extname, basename, dirname, join } = require('path');
+const yaml = require('js-yaml');
+const { assemble, CPU, REGISTERS, toHex } = require('./cpu');
+const { MemoryModel, toAddress } = require('./memory');
+const { UnitGraph } = require('./systemd');
+const { HardwareInventory } = require('./hardware');
+const { parseGrubConfig, KernelCmdline } = require('./grub');
+const { BootTimeline, TIMELINE_FORMATS } = require('./timeline');
+const { analyzeExpression, karnaughMap, formatProduct, LOGIC_LIMITS } = require('./logic');
+const { buildRippleCarryAdder, drawAdderBit, GATE_DELAYS } = require('./gates');
+const { VirtualNetwork, DEFAULT_NETWORK } = require('./network');
+const { Firewall, parseRuleset } = require('./firewall');
+const { createRandom, randomSeed } = require('./random');
+const { Dashboard } = require('./tui');
 
 // Configuration constants
 const CONFIG = {
-  LOG_FILE: resolve(__dirname, '..', `system_${new Date().toISOString().split('T')[0]}.log`),
+  APP_NAME: 'binary-os-sim', // Directory name under the XDG state directory
+  LOG_FILE_PREFIX: 'system_', // Daily log files are named system_YYYY-MM-DD.log
+  LOG_MAX_BYTES: 1024 * 1024, // Rotate the active log file once it reaches this size
+  LOG_MAX_AGE_DAYS: 14, // Delete rotated and daily log files older than this
+  LOG_RETENTION: 10, // Keep at most this many old log files besides the active one
   DELAY_BASE_MS: 200, // Default delay base in milliseconds
   PROGRESS_BAR_LENGTH: 45,
-  MAX_BINARY_LENGTH: 8, // Maximum allowed binary length
-  VERBOSE_LOGGING: true // Enable detailed logging
+  DEFAULT_WIDTH: 8, // Default operand width in bits
+  MAX_WIDTH: 64, // Maximum operand width in bits (--width)
+  LOG_LEVEL: 'info', // Default threshold for console and log file output (--log-level, -v, --quiet)
+  LOG_FORMAT: 'text', // Default log file format (--log-format)
+  PROFILE_DIR: resolve(__dirname, '..', 'profiles'), // Bundled boot profiles
+  DEFAULT_PROFILE: 'default',
+  PROGRAM_DIR: resolve(__dirname, '..', 'programs'), // Bundled assembly programs
+  HARDWARE_DIR: resolve(__dirname, '..', 'hardware'), // Bundled hardware descriptions
+  DEFAULT_HARDWARE: 'workstation',
+  GRUB_DIR: resolve(__dirname, '..', 'grub'), // Bundled grub.cfg files
+  DEFAULT_GRUB: 'uefi',
+  FIREWALL_DIR: resolve(__dirname, '..', 'firewall'), // Bundled nftables rulesets
+  DEFAULT_FIREWALL: 'default',
+  WEB_DIR: resolve(__dirname, '..', 'web'), // Static page served by --serve
+  WEB_PORT: 8080, // Default --port for --serve
+  QUIZ_SCORES_FILE: 'quiz-scores.json', // --quiz progress, kept next to the logs unless --quiz-scores is given
+  USER_SPACE_PROGRESS: 70 // Boot stages must finish below the user-space stages (70%-100%)
 };
 
-// Parse command-line arguments
-const args = process.argv.slice(2);
-const speedFlag = args.find(arg => arg.startsWith('--speed='));
-const DELAY_MULTIPLIER = speedFlag ? parseFloat(speedFlag.split('=')[1]) || 1 : 1;
+// Supported operations with one-line explanations, grouped as listed by InputHandler.chooseOperation
+const OPERATION_GROUPS = [
+  {
+    title: 'Available logical operations:',
+    operations: {
+      AND: '1 if both inputs are 1',
+      OR: '1 if at least one input is 1',
+      XOR: '1 if inputs are different',
+      NOT: 'Inverts first input (unary)',
+      NAND: 'Opposite of AND',
+      NOR: 'Opposite of OR',
+      XNOR: '1 if inputs are the same'
+    }
+  },
+  {
+    title: 'Arithmetic operations (set CF, ZF, SF, OF, PF):',
+    operations: {
+      ADD: 'A + B, a carry out of the top bit sets CF',
+      SUB: 'A - B, a borrow into the top bit sets CF',
+      NEG: "Two's complement of first input: NOT A + 1 (unary)",
+      MUL: 'A x B, keeps the low half; CF and OF set if the high half is non-zero'
+    }
+  },
+  {
+    title: 'Shift and rotate operations (B = bit count):',
+    operations: {
+      SHL: 'Shift A left, 0s enter on the right',
+      SHR: 'Shift A right, 0s enter on the left (logical)',
+      SAR: 'Shift A right, copies of the sign bit enter on the left (arithmetic)',
+      ROL: 'Rotate A left, bits leaving the top re-enter at the bottom',
+      ROR: 'Rotate A right, bits leaving the bottom re-enter at the top'
+    }
+  }
+];
+const OPERATIONS = OPERATION_GROUPS.flatMap(group => Object.keys(group.operations));
+const UNARY_OPERATIONS = ['NOT', 'NEG'];
+
+// Process exit codes
+const EXIT_CODES = {
+  FAILURE: 1, // Fatal simulation error
+  INVALID_INPUT: 2, // Bad operands, operation or batch file in non-interactive mode
+  FAULT: 3 // Boot halted by a simulated hardware or kernel fault (see FAULTS)
+};
 
 // ========================
 // |> Utility Functions <|
 // ========================
 
+// Log levels in increasing severity; messages below the active level are neither printed nor logged
+const LOG_LEVELS = { debug: 10, info: 20, error: 30 };
+
+// Log file formats (--log-format)
+const LOG_FORMATS = ['text', 'json'];
+
+/**
+ * Check whether a message at the given level passes a threshold
+ * @param {string} level - Message level (debug, info, error)
+ * @param {string} threshold - Active level
+ * @returns {boolean} - True if the message should be emitted
+ */
+const isLevelEnabled = (level, threshold) => LOG_LEVELS[level] >= LOG_LEVELS[threshold];
+
 // ANSI color codes for terminal output
 const COLORS = {
   green: '\x1b[92m',
@@ -63,18 +173,36 @@ const COLORS = {
 };
 
 /**
- * Print a message to the console with specified color
- * @param {string} message - The message to print
- * @param {string} color - The ANSI color code key
+ * Error raised for invalid input supplied non-interactively (operands, batch files, boot profiles)
  */
-const print = (message, color) => console.log(`${COLORS[color]}${message}${COLORS.reset}`);
+class InputError extends Error {
+  /**
+   * @param {string} message - Description of the invalid input
+   * @param {string} [code='INP001'] - Error code for logging
+   */
+  constructor(message, code = 'INP001') {
+    super(message);
+    this.name = 'InputError';
+    this.code = code;
+    this.exitCode = EXIT_CODES.INVALID_INPUT;
+  }
+}
 
 /**
- * Print an error message to the console with specified color
- * @param {string} message - The error message to print
- * @param {string} color - The ANSI color code key
+ * Error raised when a simulated fault halts the machine (POST failure, kernel panic, emergency mode)
  */
-const printError = (message, color) => console.error(`${COLORS[color]}${message}${COLORS.reset}`);
+class FaultError extends Error {
+  /**
+   * @param {string} message - What the machine reported before halting
+   * @param {string} code - Fault error code from FAULTS
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'FaultError';
+    this.code = code;
+    this.exitCode = EXIT_CODES.FAULT;
+  }
+}
 
 /**
  * Generate a human-readable timestamp
@@ -90,33 +218,34 @@ const getFriendlyTimestamp = () => {
 };
 
 /**
- * Simulate processing time with adaptive, configurable delay
- * @param {number} [baseMs=CONFIG.DELAY_BASE_MS] - Base delay in milliseconds
- * @returns {Promise<void>}
+ * Convert a binary string to a BigInt without losing precision
+ * @param {string} binary - Binary string (e.g., "1011")
+ * @returns {bigint} - Numeric value
  */
-const adaptiveDelay = async (baseMs = CONFIG.DELAY_BASE_MS) => {
-  const adjustedMs = baseMs * DELAY_MULTIPLIER;
-  const delayMs = Math.random() * adjustedMs + 100;
-  await new Promise(resolve => setTimeout(resolve, delayMs));
-};
+const binaryToBigInt = (binary) => BigInt(`0b${binary || '0'}`);
 
 /**
- * Display a titled separator line
- * @param {string} [title=''] - Title to display in the separator
- * @param {number} [length=CONFIG.PROGRESS_BAR_LENGTH] - Length of the separator
+ * Group a binary string from the right into nibbles (joined by _) and bytes (joined by a space)
+ * @param {string} binary - Binary string (e.g., "101011110000")
+ * @returns {string} - Grouped bits (e.g., "1010 1111_0000")
  */
-const printSeparator = (title = '', length = CONFIG.PROGRESS_BAR_LENGTH) => {
-  const padding = Math.max(0, Math.floor((length - title.length - 4) / 2));
-  print(`${'-'.repeat(padding)} ${title} ${'-'.repeat(padding)}`, 'yellow');
+const groupBits = (binary) => {
+  const nibbles = [];
+  for (let end = binary.length; end > 0; end -= 4) nibbles.unshift(binary.slice(Math.max(0, end - 4), end));
+  const bytes = [];
+  for (let end = nibbles.length; end > 0; end -= 2) bytes.unshift(nibbles.slice(Math.max(0, end - 2), end).join('_'));
+  return bytes.join(' ');
 };
 
 /**
- * Render a progress bar
- * @param {number} percent - Percentage of progress (0-100)
+ * Describe a binary value in every radix
+ * @param {string} binary - Binary string, padded to the operand width
+ * @returns {string} - e.g., "0000_1010 (hex: 0x0A, oct: 0o12, dec: 10)"
  */
-const setProgress = (percent) => {
-  const filled = Math.round(CONFIG.PROGRESS_BAR_LENGTH * (percent / 100));
-  print(`[${'█'.repeat(filled)}${'-'.repeat(CONFIG.PROGRESS_BAR_LENGTH - filled)}] ${percent}%`, 'green');
+const formatRadices = (binary) => {
+  const value = binaryToBigInt(binary);
+  const hex = value.toString(16).toUpperCase().padStart(Math.ceil(binary.length / 4), '0');
+  return `${groupBits(binary)} (hex: 0x${hex}, oct: 0o${value.toString(8)}, dec: ${value})`;
 };
 
 /**
@@ -137,42 +266,227 @@ const safeExecute = async (fn, context = '', errorCode = 'GEN001', logger) => {
     else if (err.code === 'ENOMEM') specificErrorCode = 'MEM001';
     else if (err.code === 'EIO') specificErrorCode = 'IO001';
     await logger.logError(`Error in ${context}: ${err.message}`, specificErrorCode, err.stack);
-    printError(`System failure (${context}): ${err.message}. See logs.`, 'red');
+    logger.terminal.printError(`System failure (${context}): ${err.message}. See logs.`, 'red');
     return null;
   }
 };
 
+// ========================
+// |> Terminal Class <|
+// ========================
+
+/**
+ * Console output for one simulation: colors, log-level filtering, separators, progress bars and delays
+ */
+class Terminal {
+  /**
+   * @param {Object} [options={}] - Terminal options
+   * @param {stream.Writable} [options.output=process.stdout] - Stream for regular output
+   * @param {stream.Writable} [options.errorOutput=process.stderr] - Stream for errors
+   * @param {stream.Readable} [options.input=process.stdin] - Stream prompts read from
+   * @param {boolean|Object} [options.colors=true] - false for plain text, or color overrides keyed like COLORS
+   * @param {number} [options.speed=1] - Delay multiplier (0.5 = twice as fast)
+   * @param {string} [options.level=CONFIG.LOG_LEVEL] - Lowest message level printed (debug, info, error)
+   * @param {function(): number} [options.random=Math.random] - Source of delay jitter
+   */
+  constructor({
+    output = process.stdout, errorOutput = process.stderr, input = process.stdin, colors = true,
+    speed = 1, level = CONFIG.LOG_LEVEL, random = Math.random
+  } = {}) {
+    this.output = output;
+    this.errorOutput = errorOutput;
+    this.input = input;
+    this.colors = colors === false ? null : { ...COLORS, ...(colors === true ? {} : colors) };
+    this.speed = speed;
+    this.level = level;
+    this.random = random;
+  }
+
+  /**
+   * Wrap a message in a color (no-op when colors are disabled)
+   * @param {string} message - The message to color
+   * @param {string} color - The ANSI color code key
+   * @returns {string} - Colored message
+   */
+  paint(message, color) {
+    return this.colors ? `${this.colors[color] || ''}${message}${this.colors.reset}` : message;
+  }
+
+  /**
+   * Print a message with specified color, unless its level is below the terminal's level
+   * @param {string} message - The message to print
+   * @param {string} color - The ANSI color code key
+   * @param {string} [level='info'] - Message level (debug, info, error)
+   */
+  print(message, color, level = 'info') {
+    if (isLevelEnabled(level, this.level)) this.output.write(`${this.paint(message, color)}\n`);
+  }
+
+  /**
+   * Print program output (results, menus) that no log level hides
+   * @param {string} message - The message to print
+   * @param {string} color - The ANSI color code key
+   */
+  printOutput(message, color) {
+    this.output.write(`${this.paint(message, color)}\n`);
+  }
+
+  /**
+   * Print an error message with specified color
+   * @param {string} message - The error message to print
+   * @param {string} color - The ANSI color code key
+   */
+  printError(message, color) {
+    this.errorOutput.write(`${this.paint(message, color)}\n`);
+  }
+
+  /**
+   * Display a titled separator line
+   * @param {string} [title=''] - Title to display in the separator
+   * @param {number} [length=CONFIG.PROGRESS_BAR_LENGTH] - Length of the separator
+   */
+  printSeparator(title = '', length = CONFIG.PROGRESS_BAR_LENGTH) {
+    const padding = Math.max(0, Math.floor((length - title.length - 4) / 2));
+    this.print(`${'-'.repeat(padding)} ${title} ${'-'.repeat(padding)}`, 'yellow');
+  }
+
+  /**
+   * Render a progress bar
+   * @param {number} percent - Percentage of progress (0-100)
+   */
+  setProgress(percent) {
+    const filled = Math.round(CONFIG.PROGRESS_BAR_LENGTH * (percent / 100));
+    this.print(`[${'█'.repeat(filled)}${'-'.repeat(CONFIG.PROGRESS_BAR_LENGTH - filled)}] ${percent}%`, 'green');
+  }
+
+  /**
+   * Simulate processing time with adaptive, configurable delay
+   * @param {number} [baseMs=CONFIG.DELAY_BASE_MS] - Base delay in milliseconds
+   * @returns {Promise<void>}
+   */
+  async delay(baseMs = CONFIG.DELAY_BASE_MS) {
+    const delayMs = this.random() * baseMs * this.speed + 100;
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+  }
+}
+
 // ========================
 // |> Logger Class <|
 // ========================
 
+/**
+ * Locate the default log directory following the XDG Base Directory spec (logs are state data)
+ * @returns {string} - $XDG_STATE_HOME/binary-os-sim, ~/.local/state/binary-os-sim, or %LOCALAPPDATA%\binary-os-sim\logs on Windows
+ */
+const getDefaultLogDir = () => {
+  if (process.env.XDG_STATE_HOME) return join(process.env.XDG_STATE_HOME, CONFIG.APP_NAME);
+  if (process.platform === 'win32' && process.env.LOCALAPPDATA) return join(process.env.LOCALAPPDATA, CONFIG.APP_NAME, 'logs');
+  return join(os.homedir(), '.local', 'state', CONFIG.APP_NAME);
+};
+
+/**
+ * Resolve the log file for a run
+ * @param {Object} [options={}]
+ * @param {string} [options.file] - Explicit log file (--log-file)
+ * @param {string} [options.dir] - Directory for the daily log file (--log-dir); defaults to getDefaultLogDir()
+ * @returns {string} - Absolute path of the log file
+ */
+const resolveLogFile = ({ file, dir } = {}) => {
+  if (file) return resolve(file);
+  const date = new Date().toISOString().split('T')[0];
+  return resolve(dir || getDefaultLogDir(), `${CONFIG.LOG_FILE_PREFIX}${date}.log`);
+};
+
 /**
  * Manages logging operations with file output and detailed error reporting
  */
 class Logger {
-  constructor(logFile) {
+  /**
+   * @param {string|null} logFile - Path of the log file, or null to disable file logging (--no-log)
+   * @param {Object} [options]
+   * @param {string} [options.format=CONFIG.LOG_FORMAT] - 'text' lines or one 'json' object per line
+   * @param {string} [options.level=CONFIG.LOG_LEVEL] - Minimum level written to the file (debug, info, error)
+   * @param {Terminal} [options.terminal] - Where steps and verbose lines are echoed; a default stdout terminal when omitted
+   * @param {EventEmitter|null} [options.events=null] - Receives 'step' and 'verbose' events (see SIMULATOR_EVENTS)
+   */
+  constructor(logFile, { format = CONFIG.LOG_FORMAT, level = CONFIG.LOG_LEVEL, terminal = new Terminal({ level }), events = null } = {}) {
     this.logFile = logFile;
+    this.terminal = terminal;
+    this.events = events;
+    this.format = format;
+    this.level = level;
+    this.stage = null; // Current boot or user-space stage id, recorded with every entry
+    this.progress = 0; // Progress percent of the current stage
   }
 
   /**
-   * Log an operation to file with timestamp and level
-   * @param {string} message - The message to log
-   * @param {string} [level='info'] - Log level (info, error, etc.)
-   * @param {string} [errorCode=null] - Optional error code
+   * Record the stage subsequent entries belong to
+   * @param {string} stage - Stage id (e.g., "kernel")
+   * @param {number} progress - Stage progress percent
+   */
+  setStage(stage, progress) {
+    this.stage = stage;
+    this.progress = progress;
+  }
+
+  /**
+   * Format one log entry for the configured format
+   * @param {Object} entry - Entry fields: timestamp, level, message, code, stack, status
+   * @returns {string} - A single text or JSON line
+   */
+  formatEntry(entry) {
+    if (this.format === 'json') {
+      return JSON.stringify({
+        timestamp: entry.timestamp.toISOString(),
+        level: entry.level,
+        stage: this.stage,
+        progress: this.progress,
+        message: entry.message,
+        code: entry.code,
+        stack: entry.stack,
+        ...(entry.status ? { status: entry.status } : {})
+      });
+    }
+    const errorSuffix = entry.code ? ` [Code: ${entry.code}]` : '';
+    const statusSuffix = entry.status ? ` [Status: ${entry.status}]` : '';
+    const stack = entry.stack ? `\nStack: ${entry.stack}` : '';
+    return `[${getFriendlyTimestamp()}] [${entry.level.toUpperCase()}] ${entry.message}${stack}${errorSuffix}${statusSuffix}`;
+  }
+
+  /**
+   * Append a formatted entry to the log file
+   * @param {Object} entry - Entry fields (see formatEntry)
    * @returns {Promise<void>}
    */
-  async logOperation(message, level = 'info', errorCode = null) {
-    const timestamp = getFriendlyTimestamp();
-    const errorSuffix = errorCode ? ` [Code: ${errorCode}]` : '';
-    const logMessage = `[${timestamp}] [${level.toUpperCase()}] ${message}${errorSuffix}`;
-    await safeExecute(async () => {
+  async writeEntry(entry) {
+    if (!this.logFile) return;
+    const logMessage = this.formatEntry({ timestamp: new Date(), code: null, stack: null, ...entry });
+    try {
       try {
         await fs.appendFile(this.logFile, logMessage + '\n');
       } catch (err) {
-        if (err.code === 'ENOENT') await fs.writeFile(this.logFile, logMessage + '\n');
-        else throw err;
+        if (err.code !== 'ENOENT') throw err;
+        await fs.mkdir(dirname(this.logFile), { recursive: true });
+        await fs.writeFile(this.logFile, logMessage + '\n');
       }
-    }, 'logging operation', 'LOG001', this);
+    } catch (err) {
+      // Reporting through the log would fail the same way, so warn once and carry on without a log file
+      this.terminal.printError(`Logging disabled: cannot write ${this.logFile}: ${err.message} [LOG001]`, 'red');
+      this.logFile = null;
+    }
+  }
+
+  /**
+   * Log an operation to file with timestamp and level
+   * @param {string} message - The message to log
+   * @param {string} [level='info'] - Log level (debug, info, error)
+   * @param {string} [errorCode=null] - Optional error code
+   * @param {string} [stack=null] - Optional stack trace
+   * @returns {Promise<void>}
+   */
+  async logOperation(message, level = 'info', errorCode = null, stack = null) {
+    if (!isLevelEnabled(level, this.level)) return;
+    await this.writeEntry({ level, message, code: errorCode, stack });
   }
 
   /**
@@ -183,7 +497,7 @@ class Logger {
    * @returns {Promise<void>}
    */
   async logError(message, errorCode, stack) {
-    await this.logOperation(`${message}\nStack: ${stack}`, 'error', errorCode);
+    await this.logOperation(message, 'error', errorCode, stack);
   }
 
   /**
@@ -195,18 +509,54 @@ class Logger {
    * @returns {Promise<void>}
    */
   async logStep(message, color, delayMs = CONFIG.DELAY_BASE_MS, level = 'info') {
-    print(message, color); // Color applied correctly via COLORS object
+    this.terminal.print(message, color, level); // Color applied correctly via COLORS object
+    if (this.events) this.events.emit('step', { stage: this.stage, progress: this.progress, message, color, level });
     await this.logOperation(message, level);
-    await adaptiveDelay(delayMs);
+    await this.terminal.delay(delayMs);
   }
 
   /**
-   * Log verbose information if enabled
+   * Log verbose information, echoing it to the console at the debug level (-v)
    * @param {string} message - The message to log
+   * @param {boolean} [echo=true] - false when the caller already printed the line itself
+   * @returns {Promise<void>}
+   */
+  async logVerbose(message, echo = true) {
+    if (echo) this.terminal.print(`  ${message}`, 'cyan', 'debug');
+    if (this.events) this.events.emit('verbose', { stage: this.stage, progress: this.progress, message });
+    await this.logOperation(message, 'debug');
+  }
+
+  /**
+   * Record how the run ended; written regardless of the level so the next run can tell whether this one succeeded
+   * @param {string} status - 'success', 'failure' or 'interrupted'
    * @returns {Promise<void>}
    */
-  async logVerbose(message) {
-    if (CONFIG.VERBOSE_LOGGING) await this.logOperation(message, 'debug');
+  async logRunStatus(status) {
+    await this.writeEntry({ level: status === 'success' ? 'info' : 'error', message: `Run finished: ${status}`, status });
+  }
+
+  /**
+   * Read the status recorded by the last run in the log file (either format)
+   * @param {string} content - Log file contents
+   * @returns {string|null} - 'success', 'failure', 'interrupted', or null if no run finished
+   */
+  static lastRunStatus(content) {
+    const lines = content.split('\n').filter(line => line.trim() !== '');
+    for (let index = lines.length - 1; index >= 0; index--) {
+      const line = lines[index].trim();
+      if (line.startsWith('{')) {
+        try {
+          const entry = JSON.parse(line);
+          if (entry.status) return entry.status;
+        } catch (err) {
+          // Not a JSON entry; fall through to the text format
+        }
+      }
+      const match = line.match(/\[Status: (\w+)\]$/);
+      if (match) return match[1];
+    }
+    return null;
   }
 
   /**
@@ -214,6 +564,7 @@ class Logger {
    * @returns {Promise<void>}
    */
   async clearLogFile() {
+    if (!this.logFile) return;
     try {
       await fs.writeFile(this.logFile, '');
     } catch (err) {
@@ -226,11 +577,10 @@ class Logger {
    * @returns {Promise<void>}
    */
   async checkAndClearLogFile() {
+    if (!this.logFile) return;
     try {
       const content = await fs.readFile(this.logFile, 'utf8');
-      const lines = content.split('\n');
-      const lastLine = lines.length > 0 ? lines[lines.length - 1].trim() : '';
-      if (!lastLine.includes('SUCCESS')) {
+      if (Logger.lastRunStatus(content) !== 'success') {
         await this.clearLogFile();
         await this.logOperation('Log file cleared due to previous failure', 'info');
       }
@@ -240,6 +590,296 @@ class Logger {
   }
 }
 
+// ========================
+// |> Boot Profiles <|
+// ========================
+
+// Built-in actions a profile step may invoke instead of printing a message (see OSSimulator.runStepAction)
+const STEP_ACTIONS = [
+  'clearStaleFiles', 'setupPaging', 'startUnits', 'analyzeUnits', 'postHardware', 'scanPci', 'bindDrivers', 'setupNuma', 'bootMenu',
+  'passKernelCmdline', 'loadFirewall', 'simulateNetwork'
+];
+
+// Events emitted by OSSimulator, with their payloads
+const SIMULATOR_EVENTS = {
+  'stage:start': '{ id, title, progress } - a boot or user-space stage begins',
+  'stage:end': '{ id, progress, summary } - a boot stage finished all its steps',
+  step: '{ stage, progress, message, color, level } - a step message was shown',
+  verbose: '{ stage, progress, message } - a verbose (debug) detail was logged',
+  progress: '{ percent } - the progress bar moved',
+  fault: '{ id, code, message, stage, recovered } - a fault fired and was recovered from or halted the machine',
+  network: '{ state, interface, address, gateway, blocked } - the simulated NIC changed state (absent, offline, configuring, up, unconfigured)',
+  'operation:result': '{ operation, a, b, result, flags } - a job finished (result is a binary string)',
+  'expression:result': '{ expression, variables, minterms, minimal } - an --expr expression was evaluated',
+  complete: '{ results } - every job finished and the run succeeded',
+  failure: '{ error, code } - the run failed; run() rejects with the same error'
+};
+
+// Faults a profile step's failure.id can name, with their error codes and the OSSimulator method that plays out
+// the response; any other failure id ends the boot with a plain fatal error
+const FAULTS = {
+  ram: { code: 'FLT001', response: 'haltOnPostFailure', summary: 'POST memory test fails: beep codes, system halted' },
+  pagefault: { code: 'FLT002', response: 'panicOnPageFault', summary: 'Kernel NULL pointer dereference: oops dump, kernel panic' },
+  fsck: { code: 'FLT003', response: 'repairFilesystem', summary: 'Root filesystem errors: fsck repair prompts, boot continues' },
+  secureboot: { code: 'FLT004', response: 'fallBackBootEntry', summary: 'Secure Boot rejects the bootloader: next efibootmgr entry is tried' },
+  'nic-down': { code: 'FLT005', response: 'continueOffline', summary: 'Network link down: DHCP times out, boot continues offline' },
+  'unit-fail': { code: 'FLT006', response: 'failUnit', summary: 'A systemd unit fails to start: units that require it fail too, boot continues degraded' }
+};
+
+/**
+ * Check a parsed boot profile against the profile schema
+ *
+ * Schema:
+ *   { name, description?, hardware?, grub?, stages: [{ id, title, progress, color, delay?, summary?,
+ *     steps: [{ message?, action?, args?, color?, delay?, level?, verbose?, unless?, failure?: { id, chance, message },
+ *               devices?: [{ slot, class, name }], services?: [{ name, description? }], sysctl?: { name: value } }] }] }
+ * Every step needs a message or an action; stage progress must rise and stay below the user-space stages.
+ * A step is skipped when the kernel command line contains its "unless" parameter(s) (e.g., "selinux=0").
+ * The startUnits action takes args.units, checked by UnitGraph.validate.
+ * @param {Object} profile - Parsed profile
+ * @returns {string[]} - Human-readable schema violations (empty if valid)
+ */
+const validateProfile = (profile) => {
+  const errors = [];
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isText = value => typeof value === 'string' && value.trim() !== '';
+  const colors = Object.keys(COLORS).filter(color => color !== 'reset');
+  const checkKeys = (value, path, allowed) => Object.keys(value)
+    .filter(key => !allowed.includes(key))
+    .forEach(key => errors.push(`${path}: unknown property "${key}" (allowed: ${allowed.join(', ')})`));
+  const checkColor = (color, path) => {
+    if (!colors.includes(color)) errors.push(`${path}: must be one of ${colors.join(', ')}, got ${JSON.stringify(color)}`);
+  };
+  const checkDelay = (delay, path) => {
+    if (typeof delay !== 'number' || !(delay >= 0)) errors.push(`${path}: must be a non-negative number of milliseconds`);
+  };
+
+  if (!isObject(profile)) return ['profile: must be an object with "name" and "stages"'];
+  checkKeys(profile, 'profile', ['name', 'description', 'hardware', 'grub', 'firewall', 'stages']);
+  if (!isText(profile.name)) errors.push('name: must be a non-empty string');
+  if (profile.description !== undefined && typeof profile.description !== 'string') errors.push('description: must be a string');
+  if (profile.hardware !== undefined && !isText(profile.hardware)) errors.push('hardware: must be a hardware file path or bundled preset name');
+  if (profile.grub !== undefined && !isText(profile.grub)) errors.push('grub: must be a grub.cfg file path or bundled config name');
+  if (profile.firewall !== undefined && !isText(profile.firewall)) errors.push('firewall: must be a ruleset file path or bundled ruleset name');
+  if (!Array.isArray(profile.stages) || profile.stages.length === 0) {
+    errors.push('stages: must be a non-empty array');
+    return errors;
+  }
+
+  const stageIds = new Set();
+  let lastProgress = -1;
+  profile.stages.forEach((stage, stageIndex) => {
+    const stagePath = `stages[${stageIndex}]`;
+    if (!isObject(stage)) {
+      errors.push(`${stagePath}: must be an object`);
+      return;
+    }
+    checkKeys(stage, stagePath, ['id', 'title', 'progress', 'color', 'delay', 'summary', 'steps']);
+    if (!isText(stage.id)) errors.push(`${stagePath}.id: must be a non-empty string`);
+    else if (stageIds.has(stage.id)) errors.push(`${stagePath}.id: duplicate stage id "${stage.id}"`);
+    else stageIds.add(stage.id);
+    if (!isText(stage.title)) errors.push(`${stagePath}.title: must be a non-empty string`);
+    if (typeof stage.progress !== 'number' || stage.progress < 0 || stage.progress >= CONFIG.USER_SPACE_PROGRESS) {
+      errors.push(`${stagePath}.progress: must be a number from 0 to ${CONFIG.USER_SPACE_PROGRESS - 1} (user-space stages use ${CONFIG.USER_SPACE_PROGRESS}-100)`);
+    } else if (stage.progress < lastProgress) {
+      errors.push(`${stagePath}.progress: ${stage.progress}% is lower than the previous stage (${lastProgress}%)`);
+    } else {
+      lastProgress = stage.progress;
+    }
+    checkColor(stage.color, `${stagePath}.color`);
+    if (stage.delay !== undefined) checkDelay(stage.delay, `${stagePath}.delay`);
+    if (stage.summary !== undefined && !isText(stage.summary)) errors.push(`${stagePath}.summary: must be a non-empty string`);
+    if (!Array.isArray(stage.steps) || stage.steps.length === 0) {
+      errors.push(`${stagePath}.steps: must be a non-empty array`);
+      return;
+    }
+
+    stage.steps.forEach((step, stepIndex) => {
+      const stepPath = `${stagePath}.steps[${stepIndex}]`;
+      if (!isObject(step)) {
+        errors.push(`${stepPath}: must be an object`);
+        return;
+      }
+      checkKeys(step, stepPath, ['message', 'action', 'args', 'color', 'delay', 'level', 'verbose', 'unless', 'failure', 'devices', 'services', 'sysctl']);
+      if (step.message === undefined && step.action === undefined) errors.push(`${stepPath}: needs a "message" or an "action"`);
+      if (step.message !== undefined && !isText(step.message)) errors.push(`${stepPath}.message: must be a non-empty string`);
+      if (step.action !== undefined && !STEP_ACTIONS.includes(step.action)) {
+        errors.push(`${stepPath}.action: unknown action ${JSON.stringify(step.action)} (available: ${STEP_ACTIONS.join(', ')})`);
+      }
+      if (step.args !== undefined && !isObject(step.args)) errors.push(`${stepPath}.args: must be an object`);
+      else if (step.action === 'startUnits') errors.push(...UnitGraph.validate((step.args || {}).units, `${stepPath}.args.units`));
+      else if (step.action === 'simulateNetwork') errors.push(...VirtualNetwork.validate(step.args || {}, `${stepPath}.args`));
+      if (step.color !== undefined) checkColor(step.color, `${stepPath}.color`);
+      if (step.delay !== undefined) checkDelay(step.delay, `${stepPath}.delay`);
+      if (step.level !== undefined && !['info', 'debug', 'error'].includes(step.level)) errors.push(`${stepPath}.level: must be one of info, debug, error`);
+      if (step.verbose !== undefined) {
+        const lines = Array.isArray(step.verbose) ? step.verbose : [step.verbose];
+        if (!lines.every(isText)) errors.push(`${stepPath}.verbose: must be a string or an array of strings`);
+      }
+      if (step.unless !== undefined && !(Array.isArray(step.unless) ? step.unless : [step.unless]).every(isText)) {
+        errors.push(`${stepPath}.unless: must be a kernel parameter (e.g., "selinux=0") or an array of them`);
+      }
+      if (step.devices !== undefined && !(Array.isArray(step.devices) && step.devices.every(device => isObject(device) && ['slot', 'class', 'name'].every(key => isText(device[key]))))) {
+        errors.push(`${stepPath}.devices: must be an array of { slot, class, name } objects`);
+      }
+      if (step.services !== undefined && !(Array.isArray(step.services) && step.services.every(service => isObject(service) && isText(service.name) && (service.description === undefined || isText(service.description))))) {
+        errors.push(`${stepPath}.services: must be an array of { name, description } objects`);
+      }
+      if (step.sysctl !== undefined && !(isObject(step.sysctl) && Object.values(step.sysctl).every(value => typeof value === 'number' || isText(value)))) {
+        errors.push(`${stepPath}.sysctl: must map parameter names to numbers or strings`);
+      }
+      if (step.failure !== undefined) {
+        const failure = step.failure;
+        if (!isObject(failure)) {
+          errors.push(`${stepPath}.failure: must be an object with "id", "chance" and "message"`);
+          return;
+        }
+        checkKeys(failure, `${stepPath}.failure`, ['id', 'chance', 'message']);
+        if (!isText(failure.id)) errors.push(`${stepPath}.failure.id: must be a non-empty string`);
+        if (typeof failure.chance !== 'number' || failure.chance < 0 || failure.chance > 1) errors.push(`${stepPath}.failure.chance: must be a probability from 0 to 1`);
+        if (!isText(failure.message)) errors.push(`${stepPath}.failure.message: must be a non-empty string`);
+      }
+    });
+  });
+  return errors;
+};
+
+/**
+ * Read a user-supplied file, falling back to a bundled file of the same base name
+ * @param {string} source - File path or bundled name (e.g., "raspberry-pi")
+ * @param {string} bundledDir - Directory holding the bundled files
+ * @returns {Promise<{file: string, content: string}>} - Resolved path and contents
+ * @throws {Error} - The original read error, unchanged (ENOENT only once no bundled file matches either)
+ */
+const readUserFile = async (source, bundledDir) => {
+  const file = resolve(source);
+  try {
+    return { file, content: await fs.readFile(file, 'utf8') };
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    const bundled = (await fs.readdir(bundledDir)).find(name => name.replace(/\.[^.]+$/, '') === source);
+    if (!bundled) throw err;
+    const bundledFile = resolve(bundledDir, bundled);
+    return { file: bundledFile, content: await fs.readFile(bundledFile, 'utf8') };
+  }
+};
+
+/**
+ * Load and validate a boot profile
+ * @param {string} [source=CONFIG.DEFAULT_PROFILE] - Profile file path (.json, .yaml, .yml) or bundled profile name
+ * @returns {Promise<Object>} - Validated profile
+ * @throws {InputError} - If the profile cannot be read, parsed or fails schema validation
+ */
+const loadProfile = async (source = CONFIG.DEFAULT_PROFILE) => {
+  let file;
+  let content;
+  try {
+    ({ file, content } = await readUserFile(source, CONFIG.PROFILE_DIR));
+  } catch (err) {
+    throw new InputError(`Cannot read profile ${source}: ${err.message}`, 'PRF001');
+  }
+
+  let profile;
+  try {
+    profile = ['.yaml', '.yml'].includes(extname(file)) ? yaml.load(content) : JSON.parse(content);
+  } catch (err) {
+    throw new InputError(`Cannot parse profile ${file}: ${err.message}`, 'PRF002');
+  }
+  const errors = validateProfile(profile);
+  if (errors.length > 0) throw new InputError(`Profile ${file} is invalid:\n  - ${errors.join('\n  - ')}`, 'PRF003');
+  return profile;
+};
+
+/**
+ * Load and validate a hardware description
+ * @param {string} [source=CONFIG.DEFAULT_HARDWARE] - Description file path (.json, .yaml, .yml) or bundled preset name
+ * @returns {Promise<Object>} - Validated description
+ * @throws {InputError} - If the description cannot be read, parsed or fails schema validation
+ */
+const loadHardware = async (source = CONFIG.DEFAULT_HARDWARE) => {
+  let file;
+  let content;
+  try {
+    ({ file, content } = await readUserFile(source, CONFIG.HARDWARE_DIR));
+  } catch (err) {
+    throw new InputError(`Cannot read hardware description ${source}: ${err.message}`, 'HWD001');
+  }
+
+  let hardware;
+  try {
+    hardware = ['.yaml', '.yml'].includes(extname(file)) ? yaml.load(content) : JSON.parse(content);
+  } catch (err) {
+    throw new InputError(`Cannot parse hardware description ${file}: ${err.message}`, 'HWD002');
+  }
+  const errors = HardwareInventory.validate(hardware);
+  if (errors.length > 0) throw new InputError(`Hardware description ${file} is invalid:\n  - ${errors.join('\n  - ')}`, 'HWD003');
+  return hardware;
+};
+
+/**
+ * Load and parse a grub.cfg
+ * @param {string} [source=CONFIG.DEFAULT_GRUB] - grub.cfg path or bundled config name (e.g., "bios")
+ * @returns {Promise<Object>} - Boot menu from parseGrubConfig, with its file path
+ * @throws {InputError} - If the file cannot be read or parsed
+ */
+const loadGrubConfig = async (source = CONFIG.DEFAULT_GRUB) => {
+  let file;
+  let content;
+  try {
+    ({ file, content } = await readUserFile(source, CONFIG.GRUB_DIR));
+  } catch (err) {
+    throw new InputError(`Cannot read GRUB configuration ${source}: ${err.message}`, 'GRB001');
+  }
+  try {
+    return { ...parseGrubConfig(content), file };
+  } catch (err) {
+    throw new InputError(`${file}: ${err.message}`, 'GRB002');
+  }
+};
+
+/**
+ * Load an nftables-style firewall ruleset
+ * @param {string} [source=CONFIG.DEFAULT_FIREWALL] - Ruleset file path or bundled ruleset name (e.g., "strict")
+ * @returns {Promise<Object>} - Parsed ruleset with its file path
+ * @throws {InputError} - If the file cannot be read or parsed
+ */
+const loadFirewall = async (source = CONFIG.DEFAULT_FIREWALL) => {
+  let file;
+  let content;
+  try {
+    ({ file, content } = await readUserFile(source, CONFIG.FIREWALL_DIR));
+  } catch (err) {
+    throw new InputError(`Cannot read firewall ruleset ${source}: ${err.message}`, 'FWL001');
+  }
+  try {
+    return { ...parseRuleset(content), file };
+  } catch (err) {
+    throw new InputError(`${file}: ${err.message}`, 'FWL002');
+  }
+};
+
+/**
+ * Load and assemble a program for the toy CPU
+ * @param {string} source - .asm file path or bundled program name (e.g., "multiply")
+ * @param {number} width - Register width in bits
+ * @returns {Promise<Object>} - Assembled program with its file path and name
+ * @throws {InputError} - If the file cannot be read or does not assemble
+ */
+const loadProgram = async (source, width) => {
+  let file;
+  let content;
+  try {
+    ({ file, content } = await readUserFile(source, CONFIG.PROGRAM_DIR));
+  } catch (err) {
+    throw new InputError(`Cannot read program ${source}: ${err.message}`, 'ASM001');
+  }
+  try {
+    return { ...assemble(content, { width }), file, name: basename(file) };
+  } catch (err) {
+    throw new InputError(`${file}: ${err.message}`, 'ASM002');
+  }
+};
+
 // ========================
 // |> InputHandler Class <|
 // ========================
@@ -248,55 +888,183 @@ class Logger {
  * Handles user input collection and validation
  */
 class InputHandler {
-  constructor() {
-    this.rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  /**
+   * @param {number} [width=CONFIG.DEFAULT_WIDTH] - Operand width in bits
+   * @param {Terminal} [terminal=new Terminal()] - Terminal whose input and output streams the prompts use
+   */
+  constructor(width = CONFIG.DEFAULT_WIDTH, terminal = new Terminal()) {
+    this.width = width;
+    this.terminal = terminal;
+    this.rl = null; // Opened on the first prompt, so stdin stays untouched until input is needed
+    this.lines = []; // Lines that arrived before a prompt asked for them (piped input comes in chunks of several)
+    this.waiting = null; // { resolve, reject } of the prompt waiting for a line
+    this.ended = false; // Input reached its end; later prompts cannot be answered
+  }
+
+  /**
+   * Open the readline interface on the first prompt and queue every line it reads, so no answer is lost between prompts
+   */
+  open() {
+    if (this.rl) return;
+    this.rl = readline.createInterface({ input: this.terminal.input, output: this.terminal.output });
+    this.rl.on('line', (line) => {
+      if (!this.waiting) return this.lines.push(line);
+      const { resolve } = this.waiting;
+      this.waiting = null;
+      resolve(line);
+    });
+    this.rl.on('close', () => {
+      this.ended = true;
+      if (this.waiting) this.waiting.reject(new InputError('Input ended before every prompt was answered', 'INP005'));
+      this.waiting = null;
+    });
+  }
+
+  /**
+   * Whether someone is at a terminal to answer; piped input holds the operands, not answers to the GRUB menu
+   * @returns {boolean}
+   */
+  get interactive() {
+    return Boolean(this.terminal.input.isTTY);
   }
 
   /**
    * Ask a question and return user response
    * @param {string} query - The question to ask
+   * @param {string} [prefill=''] - Text placed on the answer line for the user to edit
    * @returns {Promise<string>} - User's response
+   * @throws {InputError} - If the input ends before the question is answered
+   */
+  async askQuestion(query, prefill = '') {
+    this.open();
+    if (this.lines.length > 0) {
+      this.terminal.output.write(this.terminal.paint(query, 'cyan'));
+      return this.lines.shift();
+    }
+    if (this.ended) throw new InputError('Input ended before every prompt was answered', 'INP005');
+    const answer = new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+    });
+    this.rl.setPrompt(this.terminal.paint(query, 'cyan'));
+    this.rl.prompt();
+    if (prefill) this.rl.write(prefill);
+    return answer;
+  }
+
+  /**
+   * Ask a question that answers itself with an empty line after a timeout, unless the user starts typing first
+   * @param {string} query - The question to ask
+   * @param {number} timeoutMs - Time to wait for the first keystroke
+   * @returns {Promise<string>} - User's response, or '' on timeout
+   */
+  async askWithTimeout(query, timeoutMs) {
+    const answer = this.askQuestion(query);
+    const { input } = this.terminal;
+    const timer = setTimeout(() => this.rl.write('\n'), timeoutMs);
+    const stop = () => clearTimeout(timer);
+    input.once('data', stop);
+    try {
+      return await answer;
+    } finally {
+      stop();
+      input.removeListener('data', stop);
+    }
+  }
+
+  /**
+   * Parse an operand entered in binary (101, 0b101), hex (0x1F), octal (0o17) or decimal (0d42)
+   * Digits may be separated with underscores (e.g., 1010_1111).
+   * @param {string} input - Trimmed operand text
+   * @param {number} width - Operand width in bits
+   * @returns {string} - Binary string padded to width
+   * @throws {InputError} - If the operand is empty, malformed or does not fit in width bits
+   */
+  static parseOperand(input, width) {
+    if (input === '') throw new InputError('Input cannot be empty.', 'INP002');
+    const formats = [/^(0b)?[01][01_]*$/i, /^0x[0-9a-f][0-9a-f_]*$/i, /^0o[0-7][0-7_]*$/i, /^0d[0-9][0-9_]*$/i];
+    if (!formats.some(format => format.test(input))) {
+      throw new InputError(`Invalid input "${input}". Use binary (101), hex (0x1F), octal (0o17) or decimal (0d42).`, 'INP002');
+    }
+    const digits = input.replace(/_/g, '');
+    const value = /^0d/i.test(digits) ? BigInt(digits.slice(2)) : BigInt(/^[01]+$/.test(digits) ? `0b${digits}` : digits);
+    if (value >= 1n << BigInt(width)) throw new InputError(`Value ${input} does not fit in ${width} bits.`, 'INP002');
+    return value.toString(2).padStart(width, '0');
+  }
+
+  /**
+   * Parse the --width flag
+   * @param {string} [flag] - Raw flag value
+   * @returns {number} - Operand width in bits
+   * @throws {InputError} - If the width is not an integer from 1 to CONFIG.MAX_WIDTH
+   */
+  static parseWidth(flag) {
+    if (flag === undefined) return CONFIG.DEFAULT_WIDTH;
+    const width = Number(flag);
+    if (!Number.isInteger(width) || width < 1 || width > CONFIG.MAX_WIDTH) {
+      throw new InputError(`Invalid --width "${flag}". Use a whole number of bits from 1 to ${CONFIG.MAX_WIDTH}.`, 'INP006');
+    }
+    return width;
+  }
+
+  /**
+   * Build a validated job from operands and operation supplied without prompting
+   * @param {string} [binaryA] - First operand in any supported radix
+   * @param {string} [binaryB] - Second operand (optional for unary operations)
+   * @param {string|null} [operation] - Operation name (case-insensitive), or null when an --asm program supplies the operations
+   * @param {number} [width=CONFIG.DEFAULT_WIDTH] - Operand width in bits
+   * @returns {{a: string, b: string, operation: string|null}} - Validated job with operands as entered
+   * @throws {InputError} - If an operand or the operation is missing or invalid
    */
-  async askQuestion(query) {
-    return new Promise(resolve => this.rl.question(`${COLORS.cyan}${query}${COLORS.reset}`, resolve));
+  static parseJob(binaryA, binaryB, operation, width = CONFIG.DEFAULT_WIDTH) {
+    if (operation === undefined || (operation !== null && operation.trim() === '')) throw new InputError('Missing operation (--op)', 'INP003');
+    const op = operation === null ? null : operation.trim().toUpperCase();
+    if (op !== null && !OPERATIONS.includes(op)) throw new InputError(`Unknown operation "${operation}". Options: ${OPERATIONS.join(', ')}`, 'INP003');
+    if (binaryA === undefined) throw new InputError('Missing first operand (--a)', 'INP002');
+    if (binaryB === undefined && op !== null && !UNARY_OPERATIONS.includes(op)) throw new InputError(`Missing second operand (--b) for ${op}`, 'INP002');
+    const a = binaryA.trim();
+    const b = binaryB === undefined ? '0' : binaryB.trim();
+    for (const [name, value] of [['A', a], ['B', b]]) {
+      try {
+        InputHandler.parseOperand(value, width);
+      } catch (err) {
+        err.message = `Operand ${name}: ${err.message}`;
+        throw err;
+      }
+    }
+    return { a, b, operation: op };
   }
 
   /**
-   * Get validated binary input from user
+   * Get a validated operand from user
    * @param {string} prompt - The prompt to display
-   * @returns {Promise<string>} - Validated binary string (e.g., "1011")
+   * @returns {Promise<string>} - Operand as entered (e.g., "1011" or "0x1F")
    */
   async getBinaryInput(prompt) {
     while (true) {
       const input = await this.askQuestion(prompt);
       const trimmedInput = input.trim();
-      if (trimmedInput === '') {
-        print('Input cannot be empty. Please try again.', 'red');
-        continue;
+      try {
+        InputHandler.parseOperand(trimmedInput, this.width);
+        return trimmedInput;
+      } catch (err) {
+        this.terminal.print(`${err.message} Please try again.`, 'red', 'error');
       }
-      if (/^[01]{1,8}$/.test(trimmedInput)) return trimmedInput;
-      print(`Invalid input. Use only 0s and 1s, max ${CONFIG.MAX_BINARY_LENGTH} bits.`, 'red');
     }
   }
 
   /**
-   * Prompt user to select a logical operation
+   * Prompt user to select a logical, arithmetic or shift operation
    * @returns {Promise<string>} - Selected operation (e.g., "AND")
    */
   async chooseOperation() {
-    const operations = ['AND', 'OR', 'XOR', 'NOT', 'NAND', 'NOR', 'XNOR'];
-    print('Available logical operations:', 'yellow');
-    print('- AND: 1 if both inputs are 1', 'yellow');
-    print('- OR: 1 if at least one input is 1', 'yellow');
-    print('- XOR: 1 if inputs are different', 'yellow');
-    print('- NOT: Inverts first input (unary)', 'yellow');
-    print('- NAND: Opposite of AND', 'yellow');
-    print('- NOR: Opposite of OR', 'yellow');
-    print('- XNOR: 1 if inputs are the same', 'yellow');
+    for (const group of OPERATION_GROUPS) {
+      this.terminal.printOutput(group.title, 'yellow');
+      Object.entries(group.operations).forEach(([operation, description]) => this.terminal.printOutput(`- ${operation}: ${description}`, 'yellow'));
+    }
     while (true) {
       const operation = (await this.askQuestion('Select operation: ')).toUpperCase().trim();
-      if (operations.includes(operation)) return operation;
-      print(`Invalid choice. Options: ${operations.join(', ')}`, 'red');
+      if (OPERATIONS.includes(operation)) return operation;
+      this.terminal.print(`Invalid choice. Options: ${OPERATIONS.join(', ')}`, 'red', 'error');
     }
   }
 
@@ -304,7 +1072,7 @@ class InputHandler {
    * Close the readline interface
    */
   close() {
-    this.rl.close();
+    if (this.rl) this.rl.close();
   }
 }
 
@@ -313,9 +1081,30 @@ class InputHandler {
 // ========================
 
 /**
- * Performs logical operations on binary inputs
+ * Performs logical, arithmetic and shift operations on binary inputs and keeps a FLAGS register
  */
 class Processor {
+  /**
+   * @param {Object} [options={}] - Processor options
+   * @param {boolean} [options.gateLevel=false] - Also show how the gates compute each result (--gates)
+   */
+  constructor({ gateLevel = false } = {}) {
+    // FLAGS register, updated by every operation (CF, PF, ZF, SF, OF as in x86 EFLAGS)
+    this.flags = { CF: 0, PF: 0, ZF: 0, SF: 0, OF: 0 };
+    this.gateLevel = gateLevel;
+  }
+
+  /**
+   * Format flags as an x86 FLAGS register value (bit 1 is always set)
+   * @param {Object} flags - Flag bits keyed by name
+   * @returns {string} - e.g., "0x0046 (CF=0 PF=1 ZF=1 SF=0 OF=0)"
+   */
+  static formatFlags(flags) {
+    const value = flags.CF | 1 << 1 | flags.PF << 2 | flags.ZF << 6 | flags.SF << 7 | flags.OF << 11;
+    const bits = ['CF', 'PF', 'ZF', 'SF', 'OF'].map(name => `${name}=${flags[name]}`).join(' ');
+    return `0x${value.toString(16).toUpperCase().padStart(4, '0')} (${bits})`;
+  }
+
   /**
    * Compute logical operation result for binary bits
    * @param {string} bit1 - First bit (0 or 1)
@@ -334,58 +1123,344 @@ class Processor {
   }
 
   /**
-   * Perform the selected logical operation on binary inputs with table output
-   * @param {string} binary1 - First binary input (padded to 8 bits)
-   * @param {string} binary2 - Second binary input (padded to 8 bits)
-   * @param {string} operation - Logical operation to perform
-   * @param {Logger} logger - Logger instance for logging
-   * @returns {Promise<string>} - Result of the operation (8-bit binary)
+   * Add or subtract two binary words column by column, from the least significant bit
+   * @param {string} binary1 - First word
+   * @param {string} binary2 - Second word (same width)
+   * @param {boolean} subtract - Subtract with borrows instead of adding with carries
+   * @returns {{result: string, columns: Object[]}} - Result and per-column {a, b, carryIn, bit, carryOut}, MSB first
    */
-  async performOperation(binary1, binary2, operation, logger) {
-    await logger.logStep('Activating system services (systemd simulation)...', 'magenta');
-    await logger.logVerbose('Service: networkd started');
-    await logger.logStep('Configuring network stack (TCP/IP initialization)...', 'magenta');
-    await logger.logStep(`Executing ${operation} via CPU...`, 'magenta');
-    const maxLen = Math.max(binary1.length, binary2.length);
-    binary1 = binary1.padStart(maxLen, '0');
-    binary2 = binary2.padStart(maxLen, '0');
-    let result = '';
-    let tableOutput = [];
-
-    const decimal1 = parseInt(binary1, 2);
-    const decimal2 = parseInt(binary2, 2);
-    print(`  Input A: ${binary1} (decimal: ${decimal1})`, 'cyan');
-    if (operation !== 'NOT') print(`  Input B: ${binary2} (decimal: ${decimal2})`, 'cyan');
-    print(`Operation: ${operation}`, 'magenta');
-    print(`Formula: Result = ${operation === 'NOT' ? 'NOT A' : `A ${operation} B`}`, 'magenta');
-    print(` Bit |  A |${operation === 'NOT' ? '' : '  B |'} Result | Explanation`, 'magenta');
-    print(`-----|----|${operation === 'NOT' ? '' : '----|'}--------|-------------`, 'magenta');
+  rippleColumns(binary1, binary2, subtract) {
+    const columns = new Array(binary1.length);
+    let carry = 0;
+    for (let i = binary1.length - 1; i >= 0; i--) {
+      const a = Number(binary1[i]);
+      const b = Number(binary2[i]);
+      const total = subtract ? a - b - carry : a + b + carry;
+      const carryOut = subtract ? Number(total < 0) : total >> 1;
+      columns[i] = { a, b, carryIn: carry, bit: total & 1, carryOut };
+      carry = carryOut;
+    }
+    return { result: columns.map(column => column.bit).join(''), columns };
+  }
 
-    if (operation === 'NOT') {
-      result = binary1.split('').map(bit => (bit === '0' ? '1' : '0')).join('');
-      for (let i = 0; i < maxLen; i++) {
-        const bitA = binary1[i];
-        const resBit = result[i];
-        const explanation = `${bitA} NOT = ${resBit}`;
-        tableOutput.push(`  ${i.toString().padEnd(2)} | ${bitA.padStart(2)} | ${resBit.padStart(3).padEnd(6)} | ${explanation}`);
+  /**
+   * Shift or rotate a binary word, recording where each result bit comes from
+   * @param {string} binary - Word to shift
+   * @param {number} count - Bit count (clamped to the width for shifts)
+   * @param {string} operation - SHL, SHR, SAR, ROL or ROR
+   * @returns {{result: string, sources: Array<number|null>}} - Result and, per result bit (MSB first),
+   *   the index in binary it was copied from, or null if a 0 was shifted in
+   */
+  shiftColumns(binary, count, operation) {
+    const width = binary.length;
+    const sources = [];
+    for (let i = 0; i < width; i++) {
+      if (operation === 'SHL') sources.push(i + count < width ? i + count : null);
+      else if (operation === 'SHR') sources.push(i - count >= 0 ? i - count : null);
+      else if (operation === 'SAR') sources.push(i - count >= 0 ? i - count : 0);
+      else if (operation === 'ROL') sources.push((i + count) % width);
+      else sources.push((i - count % width + width) % width);
+    }
+    return { result: sources.map(source => (source === null ? '0' : binary[source])).join(''), sources };
+  }
+
+  /**
+   * Derive the status flags from a result
+   * @param {string} result - Result word
+   * @param {number} carry - Carry/borrow out (CF)
+   * @param {number} overflow - Signed overflow (OF)
+   * @returns {Object} - Flag bits {CF, PF, ZF, SF, OF}
+   */
+  computeFlags(result, carry, overflow) {
+    const lowByteOnes = result.slice(-8).split('').filter(bit => bit === '1').length;
+    return {
+      CF: carry,
+      PF: lowByteOnes % 2 === 0 ? 1 : 0, // Even parity of the low byte
+      ZF: result.includes('1') ? 0 : 1,
+      SF: Number(result[0]),
+      OF: overflow
+    };
+  }
+
+  /**
+   * Compute an operation without printing, updating the FLAGS register
+   * Logical operations clear CF and OF; shifts and rotates set OF only for a count of 1.
+   * @param {string} binary1 - First binary input
+   * @param {string} binary2 - Second binary input (bit count for shifts and rotates)
+   * @param {string} operation - Operation from OPERATIONS
+   * @returns {{result: string, flags: Object, details: *}} - Result, flags and operation-specific working
+   *   (ripple columns, shift sources, or the double-width product)
+   */
+  compute(binary1, binary2, operation) {
+    const width = Math.max(binary1.length, binary2.length);
+    const a = binary1.padStart(width, '0');
+    const b = binary2.padStart(width, '0');
+    let result;
+    let carry = 0;
+    let overflow = 0;
+    let details = null;
+
+    if (operation === 'NOT') {
+      result = a.split('').map(bit => (bit === '0' ? '1' : '0')).join('');
+    } else if (['ADD', 'SUB', 'NEG'].includes(operation)) {
+      // NEG is computed as 0 - A, which is the same as NOT A + 1
+      const left = operation === 'NEG' ? '0'.repeat(width) : a;
+      const right = operation === 'NEG' ? a : b;
+      ({ result, columns: details } = this.rippleColumns(left, right, operation !== 'ADD'));
+      carry = details[0].carryOut;
+      const [signLeft, signRight, signResult] = [left[0], right[0], result[0]];
+      overflow = operation === 'ADD'
+        ? Number(signLeft === signRight && signResult !== signLeft)
+        : Number(signLeft !== signRight && signResult !== signLeft);
+    } else if (operation === 'MUL') {
+      details = (binaryToBigInt(a) * binaryToBigInt(b)).toString(2).padStart(width * 2, '0');
+      result = details.slice(width);
+      carry = overflow = Number(details.slice(0, width).includes('1'));
+    } else if (['SHL', 'SHR', 'SAR', 'ROL', 'ROR'].includes(operation)) {
+      const countValue = binaryToBigInt(b);
+      const rotate = operation === 'ROL' || operation === 'ROR';
+      const count = rotate ? Number(countValue % BigInt(width)) : Number(countValue > BigInt(width) ? BigInt(width) : countValue);
+      ({ result, sources: details } = this.shiftColumns(a, count, operation));
+      if (countValue > 0n) {
+        // CF receives the last bit shifted out (or rotated around); a SHL/SHR count past the width last shifts out a 0
+        const pastWidth = countValue > BigInt(width);
+        if (operation === 'SHL') carry = pastWidth ? 0 : Number(a[count - 1]);
+        else if (operation === 'SHR') carry = pastWidth ? 0 : Number(a[width - count]);
+        else if (operation === 'SAR') carry = Number(a[Math.max(0, width - count)]);
+        else if (operation === 'ROL') carry = Number(result[width - 1]);
+        else carry = Number(result[0]);
+      }
+      if (countValue === 1n) {
+        if (operation === 'SHL' || operation === 'ROL') overflow = Number(result[0]) ^ carry;
+        else if (operation === 'SHR') overflow = Number(a[0]);
+        else if (operation === 'ROR') overflow = Number(result[0]) ^ Number(result[1] || 0);
       }
     } else {
+      result = a.split('').map((bit, i) => this.computeBitOperation(bit, b[i], operation)).join('');
+    }
+
+    this.flags = this.computeFlags(result, carry, overflow);
+    return { result, flags: this.flags, details };
+  }
+
+  /**
+   * Explain how each result bit was produced, as in the Explanation column of performOperation's table
+   * @param {string} binary1 - First binary input (padded to the operand width)
+   * @param {string} binary2 - Second binary input (padded to the operand width)
+   * @param {string} operation - Operation performed
+   * @param {{result: string, details: *}} computed - What compute() returned for these inputs
+   * @returns {string[]|null} - One explanation per result bit (MSB first), or null for MUL, which is explained
+   *   by partial products instead
+   */
+  explainColumns(binary1, binary2, operation, { result, details }) {
+    if (['ADD', 'SUB', 'NEG'].includes(operation)) {
+      return details.map(column => (operation === 'ADD'
+        ? `${column.a} + ${column.b} + ${column.carryIn} = ${column.carryOut}${column.bit} (write ${column.bit}, carry ${column.carryOut})`
+        : `${column.a} - ${column.b} - ${column.carryIn} = ${column.bit}${column.carryOut ? ' (borrow 1)' : ''}`));
+    }
+    if (operation === 'MUL') return null;
+    const width = binary1.length;
+    if (['SHL', 'SHR', 'SAR', 'ROL', 'ROR'].includes(operation)) {
+      const countValue = binaryToBigInt(binary2);
+      const shiftCount = countValue > BigInt(width) ? width : Number(countValue);
+      return details.map((source, i) => {
+        if (source === null) return '0 shifted in';
+        if (operation === 'SAR' && i < shiftCount) return `sign bit (A bit ${width - 1}) copied`;
+        return `${operation.startsWith('RO') ? 'rotated' : 'shifted'} from A bit ${width - 1 - source}`;
+      });
+    }
+    if (operation === 'NOT') return binary1.split('').map((bit, i) => `${bit} NOT = ${result[i]}`);
+    return binary1.split('').map((bit, i) => `${bit} ${operation} ${binary2[i]} = ${result[i]}`);
+  }
+
+  /**
+   * Perform the selected operation on binary inputs with table output
+   * @param {string} binary1 - First binary input (padded to the operand width)
+   * @param {string} binary2 - Second binary input (padded to the operand width)
+   * @param {string} operation - Operation to perform
+   * @param {Logger} logger - Logger instance for logging
+   * @returns {Promise<string>} - Result of the operation (binary, operand width)
+   */
+  async performOperation(binary1, binary2, operation, logger) {
+    const { terminal } = logger;
+    await logger.logStep(`Executing ${operation} via CPU...`, 'magenta');
+    const maxLen = Math.max(binary1.length, binary2.length);
+    binary1 = binary1.padStart(maxLen, '0');
+    binary2 = binary2.padStart(maxLen, '0');
+    const { result, flags, details } = this.compute(binary1, binary2, operation);
+    const explanations = this.explainColumns(binary1, binary2, operation, { result, details });
+    const formulas = {
+      NOT: 'NOT A',
+      ADD: 'A + B',
+      SUB: 'A - B',
+      NEG: '0 - A (= NOT A + 1)',
+      MUL: `A x B (low ${maxLen} bits)`,
+      SHL: 'A << B',
+      SHR: 'A >> B (logical)',
+      SAR: 'A >> B (arithmetic)',
+      ROL: 'A rotated left by B',
+      ROR: 'A rotated right by B'
+    };
+    let header;
+    let rowSeparator;
+    let tableOutput = [];
+    // Rows are labelled by bit position (MSB first) with a separator between bytes
+    const pushRow = (i, row) => {
+      if (i > 0 && (maxLen - i) % 8 === 0) tableOutput.push(rowSeparator);
+      tableOutput.push(`  ${(maxLen - 1 - i).toString().padEnd(2)} | ${row}`);
+    };
+
+    terminal.print(`  Input A: ${formatRadices(binary1)}`, 'cyan');
+    if (!UNARY_OPERATIONS.includes(operation)) terminal.print(`  Input B: ${formatRadices(binary2)}`, 'cyan');
+    terminal.print(`Operation: ${operation}`, 'magenta');
+    terminal.print(`Formula: Result = ${formulas[operation] || `A ${operation} B`}`, 'magenta');
+
+    if (['ADD', 'SUB', 'NEG'].includes(operation)) {
+      const [left, right] = operation === 'NEG' ? ['0', 'A'] : ['A', 'B'];
+      const [carryIn, carryOut] = operation === 'ADD' ? ['Cin', 'Cout'] : ['Bin', 'Bout'];
+      header = ` Bit |  ${left} |  ${right} | ${carryIn} | Result | ${carryOut} | Explanation`;
+      rowSeparator = header.replace(/[^|]/g, '-');
+      details.forEach((column, i) => {
+        pushRow(i, `${String(column.a).padStart(2)} | ${String(column.b).padStart(2)} | ${String(column.carryIn).padStart(3)} | ${String(column.bit).padStart(3).padEnd(6)} | ${String(column.carryOut).padStart(4)} | ${explanations[i]}`);
+      });
+    } else if (operation === 'MUL') {
+      // Shift-and-add: one partial product (A << n) for every set bit n of B
+      const formatProduct = value => groupBits(value.toString(2).padStart(maxLen * 2, '0'));
+      const productColumn = Math.max('Partial product (A << n)'.length, formatProduct(0n).length);
+      header = ` Bit |  B | ${'Partial product (A << n)'.padEnd(productColumn)} | Running sum`;
+      rowSeparator = header.replace(/[^|]/g, '-');
+      let runningSum = 0n;
       for (let i = 0; i < maxLen; i++) {
-        const bit1 = binary1[i];
-        const bit2 = binary2[i];
-        const resBit = this.computeBitOperation(bit1, bit2, operation);
-        const explanation = `${bit1} ${operation} ${bit2} = ${resBit}`;
-        result += resBit;
-        tableOutput.push(`  ${i.toString().padEnd(2)} | ${bit1.padStart(2)} | ${bit2.padStart(2)} | ${resBit.padStart(3).padEnd(6)} | ${explanation}`);
+        const position = maxLen - 1 - i;
+        const partial = binary2[i] === '1' ? binaryToBigInt(binary1) << BigInt(position) : 0n;
+        runningSum += partial;
+        tableOutput.push(`  ${position.toString().padEnd(2)} | ${binary2[i].padStart(2)} | ${formatProduct(partial).padEnd(productColumn)} | ${formatProduct(runningSum)}`);
       }
+      tableOutput.push(rowSeparator);
+      tableOutput.push(`High half: ${groupBits(details.slice(0, maxLen))} (discarded, sets CF/OF when non-zero)`);
+    } else if (['SHL', 'SHR', 'SAR', 'ROL', 'ROR'].includes(operation)) {
+      header = ' Bit |  A | Result | Explanation';
+      rowSeparator = header.replace(/[^|]/g, '-');
+      terminal.print(`  Count B: ${binaryToBigInt(binary2)}`, 'cyan');
+      details.forEach((source, i) => pushRow(i, `${binary1[i].padStart(2)} | ${result[i].padStart(3).padEnd(6)} | ${explanations[i]}`));
+    } else if (operation === 'NOT') {
+      header = ' Bit |  A | Result | Explanation';
+      rowSeparator = '-----|----|--------|-------------';
+      for (let i = 0; i < maxLen; i++) pushRow(i, `${binary1[i].padStart(2)} | ${result[i].padStart(3).padEnd(6)} | ${explanations[i]}`);
+    } else {
+      header = ' Bit |  A |  B | Result | Explanation';
+      rowSeparator = '-----|----|----|--------|-------------';
+      for (let i = 0; i < maxLen; i++) pushRow(i, `${binary1[i].padStart(2)} | ${binary2[i].padStart(2)} | ${result[i].padStart(3).padEnd(6)} | ${explanations[i]}`);
     }
 
-    tableOutput.forEach(line => print(line, 'magenta'));
-    const decimalResult = parseInt(result, 2);
-    print(`Result: ${result} (decimal: ${decimalResult})`, 'green');
-    await logger.logOperation(`Operation ${operation} executed. Inputs: ${binary1} (decimal: ${decimal1}), ${binary2} (decimal: ${decimal2}). Result: ${result} (decimal: ${decimalResult})`, 'info');
+    terminal.print(header, 'magenta');
+    terminal.print(rowSeparator, 'magenta');
+    tableOutput.forEach(line => terminal.print(line, 'magenta'));
+    if (this.gateLevel) await this.explainGates(binary1, binary2, operation, logger);
+    terminal.print(`Result: ${formatRadices(result)}`, 'green');
+    terminal.print(`FLAGS: ${Processor.formatFlags(flags)}`, 'green');
+    await logger.logOperation(`Operation ${operation} executed. Inputs: ${formatRadices(binary1)}, ${formatRadices(binary2)}. Result: ${formatRadices(result)}. FLAGS: ${Processor.formatFlags(flags)}`, 'info');
     return result;
   }
+
+  /**
+   * Show the gates behind an operation: ADD, SUB and NEG as a ripple-carry adder drawn bit by bit with the value on
+   * every wire, gate counts and the critical path; the bitwise operations as one gate per bit
+   * @param {string} binary1 - First binary input (padded to the operand width)
+   * @param {string} binary2 - Second binary input (padded to the operand width)
+   * @param {string} operation - Operation performed
+   * @param {Logger} logger - Logger instance for logging
+   * @returns {Promise<void>}
+   */
+  async explainGates(binary1, binary2, operation, logger) {
+    const { terminal } = logger;
+    const width = binary1.length;
+    if (!['ADD', 'SUB', 'NEG'].includes(operation)) {
+      const gate = operation === 'NOT' ? 'NOT' : GATE_DELAYS[operation] ? operation : null;
+      if (gate) terminal.print(`Gate level: ${width} ${gate} gate${width === 1 ? '' : 's'} side by side, one per bit; every result bit settles after one gate delay (${GATE_DELAYS[gate]} ps)`, 'cyan');
+      else terminal.print(`Gate level: ${operation} is not drawn; --gates shows the ripple-carry adder (ADD, SUB, NEG) and the bitwise gates`, 'cyan');
+      return;
+    }
+    const subtract = operation !== 'ADD';
+    const [left, right] = operation === 'NEG' ? ['0'.repeat(width), binary1] : [binary1, binary2];
+    const adder = buildRippleCarryAdder(left, right, { subtract, gate: (bit1, bit2, gate) => this.computeBitOperation(bit1, bit2, gate) });
+    const { circuit, bits, carryOut } = adder;
+    const fullAdders = bits.filter(entry => entry.kind === 'full').length;
+    const parts = [bits.length > fullAdders ? '1 half adder' : null, fullAdders > 0 ? `${fullAdders} full adder${fullAdders === 1 ? '' : 's'}` : null].filter(Boolean);
+    terminal.print(`Gate level: ${width}-bit ripple-carry ${subtract ? 'adder-subtractor (A + NOT B + 1)' : 'adder'} from ${parts.join(' + ')}, bit 0 first`, 'cyan');
+    const nameWidth = Math.max(...circuit.gates.map(gate => gate.output.name.length), 3);
+    for (const entry of bits) {
+      const inputs = entry.carryIn ? `${entry.a.name} + ${entry.b.name} + ${entry.carryIn.name}` : `${entry.a.name} + ${entry.b.name}`;
+      terminal.print(`Bit ${entry.bit}: ${entry.kind} adder ${inputs} = ${entry.carryOut.value}${entry.sum.value} (${entry.sum.name} = ${entry.sum.value}, carry ${entry.carryOut.name} = ${entry.carryOut.value})`, 'blue');
+      drawAdderBit(entry, nameWidth).forEach(line => terminal.print(`  ${line}`, 'cyan'));
+      await terminal.delay(CONFIG.DELAY_BASE_MS / 2);
+    }
+    const counts = circuit.counts();
+    const total = circuit.gates.length;
+    terminal.print(`Gates: ${Object.entries(counts).map(([gate, count]) => `${count} ${gate}`).join(', ')} (${total} total)`, 'cyan');
+    const path = circuit.criticalPath([...bits.map(entry => entry.sum), carryOut]);
+    const names = path.map(wire => wire.name);
+    const shown = names.length > 12 ? [...names.slice(0, 5), '...', ...names.slice(-5)] : names;
+    terminal.print(`Critical path: ${shown.join(' -> ')} (${path[path.length - 1].time} ps through ${path.length - 1} gates)`, 'cyan');
+    const carry = subtract ? `${carryOut.name} = ${carryOut.value}, borrow = NOT ${carryOut.name} = ${1 - carryOut.value}` : `${carryOut.name} = ${carryOut.value}`;
+    terminal.print(`Circuit output: S = ${groupBits(adder.result)}, ${carry}`, 'cyan');
+    await logger.logOperation(`Gate level ${operation}: ${total} gates, critical path ${path[path.length - 1].time} ps`, 'debug');
+  }
+
+  /**
+   * Evaluate a Boolean expression over up to LOGIC_LIMITS.MAX_VARIABLES variables with table output:
+   * truth table, canonical SOP/POS, Karnaugh map (or Quine-McCluskey prime implicants) and a minimal SOP
+   * @param {string} expression - Expression such as "(A AND B) XOR NOT (C OR D)" (see lib/logic.js for the syntax)
+   * @param {Logger} logger - Logger instance for logging
+   * @returns {Promise<Object>} - Analysis from analyzeExpression
+   * @throws {InputError} - If the expression does not parse or has too many variables
+   */
+  async evaluateExpression(expression, logger) {
+    const { terminal } = logger;
+    let analysis;
+    try {
+      analysis = analyzeExpression(expression);
+    } catch (err) {
+      throw new InputError(`Expression "${expression.trim()}": ${err.message}`, 'LGC001');
+    }
+    const { variables, rows, minterms, maxterms, primes, essential, cover } = analysis;
+    await logger.logStep(`Evaluating ${rows.length} input combination${rows.length === 1 ? '' : 's'}...`, 'magenta');
+    terminal.print(`Expression: ${analysis.expression}`, 'magenta');
+    terminal.print(`Parsed as:  ${analysis.grouped}`, 'magenta');
+    if (variables.length > 0) terminal.print(`Variables:  ${variables.join(', ')} (${variables[0]} is the most significant bit of the row number m)`, 'cyan');
+
+    // Truth table, one row per minterm number
+    const widths = variables.map(name => Math.max(1, name.length));
+    const mWidth = Math.max(2, String(rows.length - 1).length);
+    const header = [` ${'m'.padStart(mWidth)} `, ...variables.map((name, index) => ` ${name.padStart(widths[index])} `), ' Result'].join('|');
+    terminal.print(header, 'magenta');
+    terminal.print(header.replace(/[^|]/g, '-'), 'magenta');
+    rows.forEach(row => {
+      const cells = [` ${String(row.minterm).padStart(mWidth)} `, ...variables.map((name, index) => ` ${String(row.values[name]).padStart(widths[index])} `), `   ${row.output}`];
+      terminal.print(cells.join('|'), 'magenta');
+    });
+
+    terminal.print(`Canonical SOP: F = Σm(${minterms.join(', ')}) = ${analysis.sop}`, 'magenta');
+    terminal.print(`Canonical POS: F = ΠM(${maxterms.join(', ')}) = ${analysis.pos}`, 'magenta');
+    const kmap = karnaughMap(analysis);
+    if (kmap) {
+      terminal.print('Karnaugh map (rows and columns in Gray code order):', 'cyan');
+      kmap.forEach(line => terminal.print(line, 'magenta'));
+      cover.forEach(implicant => {
+        const cells = implicant.minterms.length === 1 ? `cell m${implicant.minterms[0]}` : `${implicant.minterms.length} cells m(${implicant.minterms.join(', ')})`;
+        terminal.print(`  Group ${formatProduct(implicant.bits, variables)}: ${cells}${essential.includes(implicant) ? ', essential' : ''}`, 'cyan');
+      });
+    } else if (variables.length > LOGIC_LIMITS.KMAP_VARIABLES) {
+      terminal.print(`Quine-McCluskey prime implicants (${variables.length} variables; * essential, + chosen):`, 'cyan');
+      primes.forEach(prime => {
+        const mark = essential.includes(prime) ? '*' : cover.includes(prime) ? '+' : ' ';
+        terminal.print(`  ${mark} ${prime.bits}  ${formatProduct(prime.bits, variables).padEnd(variables.length * 3)} m(${prime.minterms.join(', ')})`, 'magenta');
+      });
+    }
+    terminal.print(`Minimal SOP: F = ${analysis.minimal}`, 'green');
+    await logger.logOperation(`Expression ${analysis.expression} evaluated. Minterms: ${minterms.join(', ') || 'none'}. Minimal SOP: ${analysis.minimal}`, 'info');
+    return analysis;
+  }
 }
 
 // ========================
@@ -407,15 +1482,73 @@ class StorageManager {
    */
   async clearOldFiles(files) {
     await this.logger.logStep('Scanning filesystem for stale data...', 'blue');
-    const filesToCheck = files.map(file => file === 'log.txt' ? this.logger.logFile : file);
-    for (const file of filesToCheck) {
+    const filesToCheck = files.map(file => file === 'log.txt' ? this.logger.logFile : file).filter(Boolean);
+    await this.deleteFiles(filesToCheck);
+    await this.logger.logStep('Storage optimized!', 'blue');
+  }
+
+  /**
+   * Delete files that exist, logging each one
+   * @param {string[]} files - Array of file paths
+   * @returns {Promise<void>}
+   */
+  async deleteFiles(files) {
+    for (const file of files) {
       const exists = await safeExecute(() => fs.stat(file), `checking ${file}`, 'FS001', this.logger);
       if (exists) {
         await safeExecute(() => fs.unlink(file), `deleting ${file}`, 'FS002', this.logger);
         await this.logger.logOperation(`Cleared stale file: ${file}`, 'info');
       }
     }
-    await this.logger.logStep('Storage optimized!', 'blue');
+  }
+
+  /**
+   * Rotate the active log file by size and prune old log files by age and count (like logrotate)
+   * @param {string} logFile - Active log file; rotated copies are named <name>.1<ext>, <name>.2<ext>, ...
+   * @param {Object} [options={}]
+   * @param {number} [options.maxBytes=CONFIG.LOG_MAX_BYTES] - Rotate the active file once it reaches this size
+   * @param {number} [options.maxAgeDays=CONFIG.LOG_MAX_AGE_DAYS] - Delete old log files last written before this many days ago
+   * @param {number} [options.retention=CONFIG.LOG_RETENTION] - Keep at most this many old log files
+   * @returns {Promise<void>}
+   */
+  async rotateLogs(logFile, { maxBytes = CONFIG.LOG_MAX_BYTES, maxAgeDays = CONFIG.LOG_MAX_AGE_DAYS, retention = CONFIG.LOG_RETENTION } = {}) {
+    const dir = dirname(logFile);
+    const ext = extname(logFile);
+    const stem = basename(logFile, ext);
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const isDaily = new RegExp(`^${escape(CONFIG.LOG_FILE_PREFIX)}\\d{4}-\\d{2}-\\d{2}\\.log$`).test(basename(logFile));
+    // Daily files rotate among all system_*.log files; an explicit --log-file only among its own numbered copies
+    const family = isDaily
+      ? new RegExp(`^${escape(CONFIG.LOG_FILE_PREFIX)}\\d{4}-\\d{2}-\\d{2}(\\.\\d+)?\\.log$`)
+      : new RegExp(`^${escape(stem)}\\.\\d+${escape(ext)}$`);
+
+    const active = await safeExecute(() => fs.stat(logFile), `checking ${logFile}`, 'FS001', this.logger);
+    if (active && active.size >= maxBytes) {
+      const rotated = (index) => join(dir, `${stem}.${index}${ext}`);
+      let last = 1;
+      while (await safeExecute(() => fs.stat(rotated(last)), `checking ${rotated(last)}`, 'FS001', this.logger)) last++;
+      for (let index = last; index > 1; index--) {
+        await safeExecute(() => fs.rename(rotated(index - 1), rotated(index)), `rotating ${rotated(index - 1)}`, 'FS003', this.logger);
+      }
+      await safeExecute(() => fs.rename(logFile, rotated(1)), `rotating ${logFile}`, 'FS003', this.logger);
+      await this.logger.logOperation(`Rotated ${logFile} (${active.size} bytes) to ${rotated(1)}`, 'info');
+    }
+
+    const names = await safeExecute(() => fs.readdir(dir), `checking directory ${dir}`, 'FS001', this.logger) || [];
+    const oldFiles = [];
+    for (const name of names) {
+      const file = join(dir, name);
+      if (file === logFile || !family.test(name)) continue;
+      const stats = await safeExecute(() => fs.stat(file), `checking ${file}`, 'FS001', this.logger);
+      if (stats) oldFiles.push({ file, mtime: stats.mtimeMs });
+    }
+    oldFiles.sort((first, second) => second.mtime - first.mtime);
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    const expired = oldFiles.filter(({ mtime }, index) => index >= retention || mtime < cutoff).map(({ file }) => file);
+    if (expired.length > 0) {
+      await this.logger.logOperation(`Pruning ${expired.length} old log file(s) (keep ${retention}, max age ${maxAgeDays} days)`, 'info');
+      await this.deleteFiles(expired);
+    }
   }
 }
 
@@ -425,268 +1558,988 @@ class StorageManager {
 
 /**
  * Orchestrates the OS boot simulation process
+ * Emits the events listed in SIMULATOR_EVENTS; plugins can rewrite stage steps with addStageHook().
  */
-class OSSimulator {
-  constructor() {
-    this.logger = new Logger(CONFIG.LOG_FILE);
-    this.inputHandler = new InputHandler();
-    this.processor = new Processor();
+class OSSimulator extends EventEmitter {
+  /**
+   * @param {Object} [options={}] - Simulation options
+   * @param {Object[]|null} [options.jobs=null] - Pre-validated jobs from InputHandler.parseJob; prompts interactively when null
+   * @param {Object} [options.profile] - Validated boot profile from loadProfile; the default profile is loaded by run() when omitted
+   * @param {Object} [options.hardware] - Validated description from loadHardware; the profile's (or the default) preset is loaded by run() when omitted
+   * @param {Object} [options.grub] - Boot menu from loadGrubConfig; the profile's (or the default) grub.cfg is loaded by run() when omitted
+   * @param {Object} [options.firewall] - Ruleset from loadFirewall; the profile's (or the default) ruleset is loaded by run() when omitted
+   * @param {number} [options.width=CONFIG.DEFAULT_WIDTH] - Operand width in bits
+   * @param {Object|null} [options.program=null] - Assembled program from loadProgram, run instead of a single operation
+   * @param {string|null} [options.expression=null] - Boolean expression evaluated instead of the operation jobs (no prompts)
+   * @param {boolean} [options.gates=false] - Show ADD, SUB and NEG as a gate-level ripple-carry adder in the CPU stage
+   * @param {number|null} [options.mtu=null] - eth0 MTU for the simulateNetwork action, overriding the profile's (MTU_RANGE)
+   * @param {string} [options.cpuMode='run'] - Program execution mode: 'run', 'trace' or 'step'
+   * @param {number|null} [options.address=null] - Virtual address for results; auto-allocated on the heap when null
+   * @param {number} [options.seed=randomSeed()] - Seed for every random choice (delay jitter, boot failures), reported at startup
+   * @param {boolean} [options.faults=true] - Let profile steps fail at random
+   * @param {string[]} [options.inject=[]] - Fault ids (FAULTS keys) to trigger at their profile steps
+   * @param {string} [options.logFormat=CONFIG.LOG_FORMAT] - Log file format ('text' or 'json')
+   * @param {string} [options.logLevel=CONFIG.LOG_LEVEL] - Minimum level printed and written to the log file
+   * @param {string|null} [options.logFile=resolveLogFile()] - Log file path, or null to disable file logging
+   * @param {number} [options.speed=1] - Delay multiplier (0.5 = twice as fast)
+   * @param {boolean|Object} [options.colors=true] - false for plain text, or color overrides keyed like COLORS
+   * @param {stream.Writable} [options.output=process.stdout] - Stream for regular output
+   * @param {stream.Writable} [options.errorOutput=process.stderr] - Stream for errors
+   * @param {stream.Readable} [options.input=process.stdin] - Stream interactive prompts read from
+   */
+  constructor({
+    jobs = null, profile = null, hardware = null, grub = null, firewall = null, width = CONFIG.DEFAULT_WIDTH, program = null, expression = null, gates = false, mtu = null,
+    cpuMode = 'run', address = null, seed = randomSeed(), faults = true, inject = [], logFormat = CONFIG.LOG_FORMAT, logLevel = CONFIG.LOG_LEVEL,
+    logFile = resolveLogFile(), speed = 1, colors = true, output = process.stdout, errorOutput = process.stderr,
+    input = process.stdin
+  } = {}) {
+    super();
+    this.jobs = jobs;
+    this.profile = profile;
+    this.hardware = hardware ? new HardwareInventory(hardware) : null;
+    this.grub = grub;
+    this.bootEntry = null; // grub.cfg entry chosen by the bootMenu action
+    this.cmdline = null; // KernelCmdline passed by the passKernelCmdline action
+    this.ruleset = firewall;
+    this.firewall = null; // Firewall, once the loadFirewall action has loaded the ruleset
+    this.width = width;
+    this.program = program;
+    this.expression = expression;
+    this.mtu = mtu;
+    this.cpuMode = cpuMode;
+    this.address = address;
+    this.seed = seed;
+    this.faults = faults;
+    this.inject = inject;
+    this.random = createRandom(seed);
+    this.terminal = new Terminal({ output, errorOutput, input, colors, speed, level: logLevel, random: this.random });
+    this.logger = new Logger(logFile, { format: logFormat, level: logLevel, terminal: this.terminal, events: this });
+    // Only open stdin for prompts when no inputs were supplied (batch mode may be reading stdin itself)
+    this.inputHandler = (jobs || expression !== null) && cpuMode !== 'step' ? null : new InputHandler(width, this.terminal);
+    this.processor = new Processor({ gateLevel: gates });
     this.storageManager = new StorageManager(this.logger);
+    this.memory = new MemoryModel();
+    this.unitGraph = null; // systemd units, once a startUnits step has run
+    this.network = null; // VirtualNetwork, once a simulateNetwork step has brought eth0 up
+    this.linkDown = false; // Set by the nic-down fault; simulateNetwork then has no link to run on
+    this.stageHooks = [];
+    this.timeline = new BootTimeline(); // Stage and step timings, exported with timeline.serialize()
+    // What the boot brought up, for the post-boot shell (lspci, systemctl, sysctl, dmesg, journalctl)
+    this.system = { bootedAt: null, devices: [], services: [], sysctl: {}, dmesg: [], journal: [] };
+    this.on('verbose', ({ message }) => this.system.dmesg.push({ time: Date.now(), message }));
+    this.on('step', ({ stage, message, level }) => this.system.journal.push({ time: Date.now(), stage, message, level }));
+    this.on('fault', (fault) => {
+      const { stage, code, message, recovered } = fault;
+      this.system.journal.push({ time: Date.now(), stage, message: `${message} [${code}]${recovered ? ' (recovered)' : ''}`, level: 'error' });
+      this.timeline.markFault(fault);
+    });
+  }
+
+  /**
+   * Install a plugin
+   * @param {function(OSSimulator): void} plugin - Called once with the simulator to subscribe to events and add hooks
+   * @returns {OSSimulator} - This simulator, for chaining
+   */
+  use(plugin) {
+    plugin(this);
+    return this;
+  }
+
+  /**
+   * Register a hook that rewrites a boot stage's steps before the stage runs
+   * Hooks run in registration order, each receiving the previous hook's steps. Besides the profile step fields,
+   * a step may carry run(simulator, step), an async function called in place of a built-in action.
+   * @param {string} stageId - Stage id from the profile, or '*' for every stage
+   * @param {function(Object[], Object): (Object[]|Promise<Object[]>)} hook - Receives (steps, stage) and returns the steps to run
+   * @returns {OSSimulator} - This simulator, for chaining
+   */
+  addStageHook(stageId, hook) {
+    this.stageHooks.push({ stageId, hook });
+    return this;
+  }
+
+  /**
+   * Apply the registered stage hooks to a stage's steps
+   * @param {Object} stage - Validated stage definition
+   * @returns {Promise<Object[]>} - Steps to run
+   * @throws {TypeError} - If a hook returns something other than an array of steps
+   */
+  async resolveSteps(stage) {
+    let steps = stage.steps.slice();
+    for (const { stageId, hook } of this.stageHooks) {
+      if (stageId !== '*' && stageId !== stage.id) continue;
+      steps = await hook(steps.slice(), stage);
+      if (!Array.isArray(steps)) throw new TypeError(`Stage hook for "${stage.id}" must return an array of steps`);
+      steps.forEach((step, index) => {
+        const valid = step && (step.message || typeof step.run === 'function' || STEP_ACTIONS.includes(step.action));
+        if (!valid) throw new TypeError(`Stage hook for "${stage.id}" returned an invalid step at index ${index}: needs a message, a known action or run()`);
+      });
+    }
+    return steps;
+  }
+
+  /**
+   * Move the progress bar and emit a 'progress' event
+   * @param {number} percent - Percentage of progress (0-100)
+   */
+  setProgress(percent) {
+    this.terminal.setProgress(percent);
+    this.emit('progress', { percent });
+  }
+
+  /**
+   * Print a stage separator and tag subsequent log entries with the stage
+   * @param {string} id - Stage id recorded in the log
+   * @param {number} progress - Stage progress percent
+   * @param {string} title - Title shown in the separator
+   * @param {string|null} [color=null] - Stage color, used by the timeline's bootchart
+   */
+  beginStage(id, progress, title, color = null) {
+    this.logger.setStage(id, progress);
+    this.timeline.beginStage({ id, title, progress, color });
+    this.emit('stage:start', { id, title, progress });
+    this.terminal.printSeparator(`${progress}%: ${title}`);
+  }
+
+  /**
+   * Run one boot stage from the active profile
+   * @param {Object} stage - Validated stage definition
+   * @returns {Promise<void>}
+   */
+  async runStage(stage) {
+    this.beginStage(stage.id, stage.progress, stage.title, stage.color);
+    for (const step of await this.resolveSteps(stage)) {
+      const skippedBy = this.cmdline && [].concat(step.unless || []).find(parameter => this.cmdline.has(parameter));
+      if (skippedBy) {
+        this.terminal.print(`Skipping "${step.message || step.action}" (${skippedBy} on the kernel command line)`, 'yellow');
+        await this.logger.logOperation(`Step skipped by kernel parameter ${skippedBy}: ${step.message || step.action}`, 'debug');
+        continue;
+      }
+      this.timeline.beginStep(step.message || step.action || 'plugin step', step.action || null);
+      const color = step.color || stage.color;
+      const delayMs = step.delay !== undefined ? step.delay : stage.delay;
+      if (step.message) await this.logger.logStep(step.message, color, delayMs, step.level);
+      if (typeof step.run === 'function') await step.run(this, step);
+      else if (step.action) await this.runStepAction(step.action, step.args || {});
+      this.recordSystemState(step);
+      if (step.failure && this.shouldFail(step.failure)) await this.handleFault(step.failure);
+      const verboseLines = step.verbose === undefined ? [] : [].concat(step.verbose);
+      for (const line of verboseLines) await this.logger.logVerbose(line);
+      this.timeline.endStep();
+    }
+    if (stage.summary) await this.logger.logOperation(stage.summary, 'info');
+    this.setProgress(stage.progress);
+    this.timeline.endStage();
+    this.emit('stage:end', { id: stage.id, progress: stage.progress, summary: stage.summary || null });
+  }
+
+  /**
+   * Record the PCI devices, services and sysctl parameters a step brings up
+   * @param {Object} step - Profile step (devices, services and sysctl are optional)
+   */
+  recordSystemState({ devices = [], services = [], sysctl = {} }) {
+    this.system.devices.push(...devices);
+    services.forEach(service => {
+      // Services get increasing, deterministic PIDs (PID 1 is init) so seeded runs stay reproducible
+      this.system.services.push({ description: service.name, state: 'active', ...service, pid: 300 + this.system.services.length * 17, startedAt: Date.now() });
+    });
+    Object.assign(this.system.sysctl, sysctl);
   }
 
-  // Simulate power-on and BIOS/UEFI initialization
-  async powerOnAndBiosInit() {
-    printSeparator('0%: Firmware Initialization');
-    await this.logger.logStep('Powering on: Distributing voltage to components...', 'blue');
-    await this.logger.logStep('Starting UEFI with EFI stub loader...', 'blue');
-    await this.logger.logStep('Running POST: Checking CPU cache...', 'blue');
-    await this.logger.logVerbose('CPU cache test passed');
-    await this.logger.logStep('Running POST: Validating RAM integrity...', 'blue');
-    if (Math.random() < 0.05) throw new Error('RAM integrity check failed');
-    await this.logger.logStep('Checking CPU features: SSE, AVX...', 'blue');
-    await this.logger.logVerbose('CPU features: SSE4.2, AVX2 enabled');
-    await this.logger.logStep('Initializing multi-core CPU support...', 'blue');
-    await this.logger.logStep('Configuring system clock and ACPI power management...', 'blue');
-    await this.logger.logStep('Enabling Secure Boot: Validating digital signatures...', 'blue');
-    await this.logger.logVerbose('Signature verification completed');
-    await this.logger.logStep('Configuring efibootmgr boot entries...', 'blue');
-    await this.logger.logStep('Firmware ready!', 'blue');
-    await this.logger.logOperation('UEFI initialization completed with Secure Boot and EFI stub', 'info');
-    setProgress(0);
-  }
-
-  //Load bootloader into memory
-  async loadBootloader() {
-    printSeparator('10%: Bootloader Stage');
-    await this.logger.logStep('Scanning for boot device priority (HDD/SSD/USB)...', 'blue');
-    await this.logger.logVerbose('Boot priority: SSD > HDD > USB');
-    await this.logger.logStep('Reading MBR/GPT partition table...', 'blue');
-    await this.logger.logStep('Loading GRUB into RAM (446 bytes)...', 'blue');
-    await this.logger.logStep('Parsing GRUB configuration (grub.cfg)...', 'blue');
-    await this.logger.logStep('Validating EFI System Partition (ESP)...', 'blue');
-    await this.logger.logStep('Bootloader initialized!', 'blue');
-    await this.logger.logOperation('Bootloader (GRUB) loaded with GPT support', 'info');
-    setProgress(10);
-  }
-
-  // Load kernel into Ring 0 with detailed parameters
-  async enterRing0AndLoadKernel() {
-    printSeparator('20%: Kernel Loading');
-    await this.logger.logStep('Transferring kernel to RAM...', 'green');
-    await this.logger.logStep('Passing kernel parameters: quiet splash loglevel=3 rd.udev.log_priority=3 apparmor=1 security=apparmor', 'green');
-    await this.logger.logStep('Configuring CPU registers (EAX, EBX, FLAGS)...', 'green');
-    await this.logger.logVerbose('EAX set to 0x0, FLAGS updated');
-    await this.logger.logStep('Setting up Interrupt Vector Table (IVT) and IDT...', 'green');
-    await this.logger.logStep('Applying sysctl: vm.swappiness=60, kernel.sched_latency_ns=20000000', 'green');
-    await this.logger.logStep('Kernel entered Ring 0!', 'green');
-    await this.logger.logOperation('Kernel loaded into Ring 0 with IVT, IDT, and sysctl parameters', 'info');
-    setProgress(20);
-  }
-
-  // Load initramfs (initial RAM filesystem)
-  async loadInitramfs() {
-    printSeparator('25%: Initramfs Loading');
-    await this.logger.logStep('Loading initramfs image...', 'green');
-    await this.logger.logStep('Extracting initramfs into RAM...', 'green');
-    await this.logger.logStep('Initializing entropy pool for /dev/random via rngd...', 'green');
-    await this.logger.logVerbose('Entropy pool filled with 4096 bits');
-    await this.logger.logStep('Initramfs ready!', 'green');
-    await this.logger.logOperation('Initramfs loaded with entropy pool initialized', 'info');
-    setProgress(25);
-  }
-
-  // Load kernel modules with PCI/PCIe scanning
-  async loadKernelModules() {
-    printSeparator('30%: Kernel Modules');
-    await this.logger.logStep('Initializing kernel module loader...', 'green');
-    await this.logger.logStep('Resolving module dependencies...', 'green');
-    await this.logger.logVerbose('Dependencies: usbcore -> usbhid');
-    await this.logger.logStep('Scanning PCI/PCIe bus (lspci simulation)...', 'green');
-    await this.logger.logVerbose('Detected devices: GPU (NVIDIA), Network Card (Intel), USB Controller');
-    await this.logger.logStep('Initializing ACPI and APIC...', 'green');
-    await this.logger.logStep('Linking device drivers (GPU, USB, Network)...', 'green');
-    await this.logger.logStep('Dynamically loading filesystem support (ext4/NTFS)...', 'green');
-    await this.logger.logStep('Modules linked successfully!', 'green');
-    await this.logger.logOperation('Kernel modules loaded with PCI/PCIe devices linked', 'info');
-    setProgress(30);
-  }
-
-  // Initialize operating system with advanced features
-  async initializeOS() {
-    printSeparator('40%: OS Initialization');
-    await this.logger.logStep('Running fsck on root filesystem...', 'green');
-    await this.logger.logStep('Mounting root filesystem (read-only support)...', 'green');
-    await this.logger.logStep('Setting up I/O scheduler: CFQ', 'green');
-    await this.logger.logStep('Mounting additional filesystems: /home, /var...', 'green');
-    await this.storageManager.clearOldFiles(['output.txt']);
-    await this.logger.logStep('Initializing Completely Fair Scheduler (CFS) with nice/ionice...', 'green');
-    await this.logger.logStep('Forking init process (PID 1)...', 'green');
-    await this.logger.logStep('Starting systemd services: networkd, sshd, cron, dbus, udev...', 'green');
-    await this.logger.logVerbose('Service sshd initialized in 0.12s');
-    await this.logger.logVerbose('Service cron started in 0.08s');
-    await this.logger.logVerbose('Service dbus activated in 0.15s');
-    await this.logger.logVerbose('Service udev running in 0.20s');
-    await this.logger.logStep('Simulating systemd-analyze: Boot time 1.5s', 'green');
-    await this.logger.logStep('OS ready for user-space!', 'green');
-    await this.logger.logOperation('OS initialized with CFS, systemd, and filesystem tweaks', 'info');
-    setProgress(40);
-  }
-
-  // Memory management stage with DMA and NUMA
-  async memoryManagement() {
-    printSeparator('50%: Memory Management');
-    await this.logger.logStep('Initializing virtual memory...', 'blue');
-    await this.logger.logStep('Setting up paging tables...', 'blue');
-    if (Math.random() < 0.03) throw new Error('Page fault detected');
-    await this.logger.logVerbose('Paging table entry updated');
-    await this.logger.logStep('Setting up swap space...', 'blue');
-    await this.logger.logStep('Optimizing NUMA architecture...', 'blue');
-    await this.logger.logStep('Configuring DMA and IOMMU for memory protection...', 'blue');
-    await this.logger.logStep('Memory allocation optimized!', 'blue');
-    await this.logger.logOperation('Memory management initialized with swap, NUMA, and DMA/IOMMU', 'info');
-    setProgress(50);
-  }
-
-  // Security and network enforcement stage
-  async enforceSecurityAndNetwork() {
-    printSeparator('60%: Security & Network Enforcement');
-    await this.logger.logStep('Activating SELinux policies...', 'blue');
-    await this.logger.logVerbose('Policy: mandatory access control enabled');
-    await this.logger.logStep('Configuring process capabilities...', 'blue');
-    await this.logger.logStep('Enabling process isolation...', 'blue');
-    await this.logger.logStep('Initializing network stack: TCP congestion control (bbr)...', 'blue');
-    await this.logger.logStep('Enabling Jumbo Frames...', 'blue');
-    await this.logger.logStep('Setting sysctl: net.core.rmem_max=16777216, wmem_max=16777216', 'blue');
-    await this.logger.logStep('Configuring /etc/resolv.conf with systemd-resolved...', 'blue');
-    await this.logger.logStep('Initializing firewall: nftables rules loaded...', 'blue');
-    await this.logger.logStep('Simulating ping/traceroute for network check...', 'blue');
-    await this.logger.logVerbose('Ping: 192.168.1.1 - 5ms');
-    await this.logger.logStep('Security and network enforced!', 'blue');
-    await this.logger.logOperation('Security policies and network stack enforced', 'info');
-    setProgress(60);
-  }
-
-  // Collect binary inputs from user
-  async getInput() {
-    printSeparator('70%: User Space Activation');
+  /**
+   * Decide whether a step's failure fires: always when injected, otherwise at random unless --no-faults
+   * @param {Object} failure - Step failure definition ({ id, chance, message })
+   * @returns {boolean} - True if the failure should be played out
+   */
+  shouldFail(failure) {
+    return this.inject.includes(failure.id) || (this.faults && this.random() < failure.chance);
+  }
+
+  /**
+   * Play out a step failure: known faults run their response from FAULTS, anything else ends the boot
+   * @param {Object} failure - Step failure definition ({ id, chance, message })
+   * @returns {Promise<void>} - Resolves once a recoverable fault has been handled
+   * @throws {FaultError} - If the fault halts the machine
+   */
+  async handleFault(failure) {
+    const fault = FAULTS[failure.id];
+    if (!fault) throw new Error(failure.message);
+    this.terminal.print(`${failure.message} [${fault.code}]`, 'red', 'error');
+    await this.logger.logOperation(`Fault "${failure.id}": ${failure.message}`, 'error', fault.code);
+    const event = { id: failure.id, code: fault.code, message: failure.message, stage: this.logger.stage };
+    try {
+      await this[fault.response](failure, fault);
+    } catch (err) {
+      this.emit('fault', { ...event, recovered: false });
+      throw err;
+    }
+    this.emit('fault', { ...event, recovered: true });
+  }
+
+  /**
+   * Print the lines of a fault response, logging each one verbosely
+   * @param {string[]} lines - Console lines, in order
+   * @param {string} color - The ANSI color code key
+   * @returns {Promise<void>}
+   */
+  async printFaultLines(lines, color) {
+    const level = color === 'red' ? 'error' : 'info';
+    for (const line of lines) {
+      this.terminal.print(`  ${line}`, color, level);
+      await this.logger.logVerbose(line, false);
+    }
+  }
+
+  /**
+   * POST memory failure: the firmware sounds its beep code and halts before loading anything
+   * @param {Object} failure - Step failure definition
+   * @param {Object} fault - Entry from FAULTS
+   * @returns {Promise<void>}
+   * @throws {FaultError} - Always; the machine cannot continue
+   */
+  async haltOnPostFailure(failure, fault) {
+    await this.printFaultLines([
+      'POST: memory test failed at 0x0009F000 (DIMM_A1, bank 0)',
+      'Beep code: \u2022 \u2022 \u2022  (3 short = base 64K memory failure)',
+      'POST code 0x55 on diagnostic display: memory not installed or failed training',
+      'System halted. Reseat or replace the memory module and power cycle.'
+    ], 'red');
+    throw new FaultError(`${failure.message}: POST halted with 3 short beeps`, fault.code);
+  }
+
+  /**
+   * Kernel page fault: touch the NULL guard page through the MMU, print an oops and panic
+   * @param {Object} failure - Step failure definition
+   * @param {Object} fault - Entry from FAULTS
+   * @returns {Promise<void>}
+   * @throws {FaultError} - Always; the kernel panics
+   */
+  async panicOnPageFault(failure, fault) {
+    const badAddress = 0x0010;
+    let reason = 'not-present page';
+    try {
+      this.memory.translate(badAddress, { write: true });
+    } catch (err) {
+      reason = err.message;
+    }
+    const hex64 = (value) => value.toString(16).padStart(16, '0');
+    await this.printFaultLines([
+      `BUG: kernel NULL pointer dereference, address: ${hex64(badAddress)}`,
+      '#PF: supervisor write access in kernel mode',
+      '#PF: error_code(0x0002) - not-present page',
+      `MMU: ${reason}`,
+      'PGD 0 P4D 0',
+      'Oops: 0002 [#1] PREEMPT SMP NOPTI',
+      'CPU: 0 PID: 1 Comm: swapper/0 Not tainted 6.1.0-sim #1',
+      'RIP: 0010:paging_init+0x2a/0x80',
+      'RSP: 0018:ffffffff82803e98 EFLAGS: 00010246',
+      `RAX: ${hex64(0)} RBX: ${hex64(badAddress)} RCX: ${hex64(0)}`,
+      `CR2: ${hex64(badAddress)} CR3: 0000000002a0a000 CR4: 00000000000406b0`,
+      'Call Trace:',
+      ' <TASK>',
+      ' setup_arch+0x4b1/0xc30',
+      ' start_kernel+0x66/0x6b0',
+      ' secondary_startup_64_no_verify+0xe5/0xeb',
+      ' </TASK>',
+      '---[ end trace 0000000000000000 ]---',
+      'Kernel panic - not syncing: Fatal exception'
+    ], 'red');
+    throw new FaultError(`${failure.message}: kernel panic after NULL pointer dereference at ${toAddress(badAddress)}`, fault.code);
+  }
+
+  /**
+   * Filesystem errors: fsck asks to fix each problem (answered automatically unless running interactively)
+   * @param {Object} failure - Step failure definition
+   * @param {Object} fault - Entry from FAULTS
+   * @returns {Promise<void>}
+   * @throws {FaultError} - If a repair is declined and the boot drops to emergency mode
+   */
+  async repairFilesystem(failure, fault) {
+    const problems = [
+      ['Pass 1: Checking inodes, blocks, and sizes', 'Inode 131075 has illegal block(s).', 'Clear'],
+      ['Pass 2: Checking directory structure', "Entry 'tmp.X3f' in /var/tmp (262147) has deleted/unused inode 262201.", 'Clear'],
+      ['Pass 4: Checking reference counts', 'Inode 131090 ref count is 2, should be 1.', 'Fix'],
+      ['Pass 5: Checking group summary information', 'Free blocks count wrong for group #0 (7663, counted=7662).', 'Fix']
+    ];
+    await this.printFaultLines(['/dev/root contains a file system with errors, check forced.'], 'yellow');
+    for (const [pass, problem, action] of problems) {
+      await this.printFaultLines([pass, problem], 'yellow');
+      let answer = 'yes';
+      if (this.inputHandler) {
+        answer = (await this.inputHandler.askQuestion(`  ${action}<y>? `)).trim().toLowerCase() || 'yes';
+      } else {
+        await this.printFaultLines([`${action}<y>? yes (fsck.repair=yes)`], 'yellow');
+      }
+      if (!answer.startsWith('y')) {
+        await this.printFaultLines([
+          '/dev/root: UNEXPECTED INCONSISTENCY; RUN fsck MANUALLY.',
+          'systemd-fsck: /dev/root: fsck failed with exit status 4.',
+          'You are in emergency mode. Give root password for maintenance.'
+        ], 'red');
+        throw new FaultError(`${failure.message}: repair declined, dropped to emergency mode`, fault.code);
+      }
+    }
+    await this.printFaultLines([
+      '/dev/root: ***** FILE SYSTEM WAS MODIFIED *****',
+      `/dev/root: ${problems.length} errors repaired, 48213/655360 files, 1183024/2621440 blocks`
+    ], 'green');
+    await this.logger.logOperation(`Fault "${failure.id}" recovered: fsck repaired ${problems.length} errors`, 'info', fault.code);
+  }
+
+  /**
+   * Secure Boot rejection: the firmware refuses the first boot entry and falls back to the next one in BootOrder
+   * @param {Object} failure - Step failure definition
+   * @param {Object} fault - Entry from FAULTS
+   * @returns {Promise<void>}
+   */
+  async fallBackBootEntry(failure, fault) {
+    await this.printFaultLines([
+      'Secure Boot: \\EFI\\linux\\grubx64.efi signature not found in db (hash or certificate revoked by dbx)',
+      'BdsDxe: failed to load Boot0000 "Linux Boot Manager": Access Denied'
+    ], 'yellow');
+    await this.printFaultLines([
+      'efibootmgr: BootOrder: 0000,0001,0002 -> trying Boot0001',
+      'BdsDxe: loading Boot0001 "UEFI Fallback" from \\EFI\\BOOT\\BOOTX64.EFI',
+      'Secure Boot: shimx64.efi verified (Microsoft Corporation UEFI CA 2011)',
+      'BootCurrent: 0001'
+    ], 'green');
+    await this.logger.logOperation(`Fault "${failure.id}" recovered: booted fallback entry Boot0001`, 'info', fault.code);
+  }
+
+  /**
+   * Network link down: DHCP times out and the boot carries on with loopback only
+   * @param {Object} failure - Step failure definition
+   * @param {Object} fault - Entry from FAULTS
+   * @returns {Promise<void>}
+   */
+  async continueOffline(failure, fault) {
+    await this.printFaultLines([
+      'e1000e 0000:00:19.0 eth0: NIC Link is Down',
+      'systemd-networkd: eth0: Lost carrier',
+      'systemd-networkd: eth0: DHCPv4 request timed out (3 attempts)',
+      'systemd-networkd-wait-online: Timeout occurred while waiting for network connectivity'
+    ], 'yellow');
+    await this.printFaultLines(['network-online.target: continuing boot without network (lo only)'], 'green');
+    this.linkDown = true;
+    await this.logger.logOperation(`Fault "${failure.id}" recovered: boot continues offline`, 'info', fault.code);
+  }
+
+  /**
+   * systemd unit failure: the unit is marked failed and the boot carries on without it
+   * (units that require it are reported by startUnits as they come up)
+   * @param {Object} failure - Unit failure definition, with the failing unit in failure.unit
+   * @param {Object} fault - FAULTS entry
+   * @returns {Promise<void>}
+   */
+  async failUnit(failure, fault) {
+    await this.printFaultLines([
+      `[FAILED] Failed to start ${failure.unit.name} - ${failure.unit.description}.`,
+      `See 'systemctl status ${failure.unit.name}' for details.`
+    ], 'red');
+    await this.logger.logOperation(`Fault "${failure.id}" recovered: ${failure.unit.name} failed, boot continues degraded`, 'info', fault.code);
+  }
+
+  /**
+   * Run a built-in step action
+   * @param {string} action - Action name from STEP_ACTIONS
+   * @param {Object} args - Action arguments from the profile
+   * @returns {Promise<void>}
+   */
+  async runStepAction(action, args) {
+    if (action === 'clearStaleFiles') await this.storageManager.clearOldFiles(args.files || ['output.txt']);
+    if (action === 'setupPaging') {
+      for (const line of this.memory.setupPaging()) {
+        this.terminal.print(`  ${line}`, 'cyan');
+        await this.logger.logVerbose(`mmu: ${line}`, false);
+      }
+    }
+    if (action === 'startUnits') await this.startUnits(args.units);
+    if (action === 'analyzeUnits') await this.analyzeUnits();
+    if (action === 'postHardware') await this.printHardwareReport(this.hardware.post(), 'post', 'HWD004');
+    if (action === 'scanPci') {
+      await this.printHardwareReport({ lines: this.hardware.scanPci() }, 'pci');
+      this.recordSystemState({ devices: this.hardware.pci });
+    }
+    if (action === 'bindDrivers') await this.printHardwareReport(this.hardware.bindDrivers(), 'pci', 'HWD005');
+    if (action === 'setupNuma') await this.printHardwareReport({ lines: this.hardware.numa() }, 'numa');
+    if (action === 'bootMenu') await this.bootMenu();
+    if (action === 'passKernelCmdline') await this.passKernelCmdline();
+    if (action === 'loadFirewall') {
+      this.firewall = new Firewall(this.ruleset);
+      for (const line of this.firewall.describe()) {
+        this.terminal.print(`  ${line}`, 'cyan');
+        await this.logger.logVerbose(`nft: ${line}`, false);
+      }
+    }
+    if (action === 'simulateNetwork') await this.simulateNetwork(args);
+  }
+
+  /**
+   * Bring eth0 up on a virtual LAN and print the exchange as a tcpdump log: DHCP, ARP, DNS, ping and traceroute
+   * Once loadFirewall has run, every datagram also shows the firewall's verdict. Emits 'network' as the NIC changes state.
+   * @param {Object} args - Network description from the profile (see VirtualNetwork.validate)
+   * @returns {Promise<void>}
+   */
+  async simulateNetwork(args) {
+    const interfaceName = args.interface || DEFAULT_NETWORK.interface;
+    const empty = { interface: interfaceName, address: null, gateway: null, blocked: 0 };
+    if (this.hardware && !this.hardware.pci.some(device => device.class === 'Ethernet controller')) {
+      this.terminal.print(`  ${interfaceName}: no such device (${this.hardware.name} has no Ethernet controller), skipping the network check`, 'yellow');
+      this.emit('network', { state: 'absent', ...empty });
+      return;
+    }
+    if (this.linkDown) {
+      this.terminal.print(`  ${interfaceName}: no carrier, skipping DHCP and the network check (tcpdump captured 0 packets)`, 'yellow');
+      this.emit('network', { state: 'offline', ...empty });
+      return;
+    }
+    this.network = new VirtualNetwork(args, { mtu: this.mtu, random: this.random, firewall: this.firewall });
+    const { network } = this;
+    let state = 'configuring';
+    let blocked = 0;
+    let reported = null; // Last 'network' payload, so the event only fires on a change
+    const status = () => ({
+      state,
+      interface: network.interface,
+      address: state === 'up' ? `${network.address}/${network.dhcp.prefix}` : null,
+      gateway: state === 'up' ? network.gateway.ip : null,
+      blocked
+    });
+    const report = () => {
+      if (reported && reported.state === state && reported.blocked === blocked) return;
+      reported = status();
+      this.emit('network', reported);
+    };
+    const jumbo = network.mtu > 1500 ? ' (jumbo frames)' : '';
+    this.terminal.print(`  ${network.interface}: link up, MTU ${network.mtu}${jumbo}, MAC ${network.mac}`, 'cyan');
+    await this.logger.logVerbose(`${network.interface}: link up, mtu ${network.mtu}`, false);
+    report();
+    for (const { title, packets, results, warnings } of network.exchange()) {
+      this.terminal.print(`  ${title}`, 'blue');
+      for (const { line, decode, filter } of packets) {
+        this.terminal.print(`    ${line}`, 'cyan');
+        decode.forEach(field => this.terminal.print(`        ${field}`, 'magenta'));
+        await this.logger.logVerbose(`tcpdump: ${line}`, false);
+        if (filter && filter.verdict !== 'accept') blocked += 1;
+        if (filter) await this.printFilterVerdict(filter);
+      }
+      results.forEach(result => this.terminal.print(`  ${result}`, 'green'));
+      for (const warning of warnings) {
+        this.terminal.print(`  ${warning}`, 'yellow');
+        await this.logger.logOperation(`network: ${warning}`, 'info');
+      }
+      state = network.address ? 'up' : 'unconfigured';
+      report();
+      await this.terminal.delay(CONFIG.DELAY_BASE_MS / 2);
+    }
+  }
+
+  /**
+   * Print the firewall's verdict on a datagram: the rule that decided it and why, with CIDR matches worked in binary
+   * @param {Object} filter - Result of Firewall.filter
+   * @returns {Promise<void>}
+   */
+  async printFilterVerdict({ hook, verdict, state, where, rule, reasons, details, logs }) {
+    const decided = rule ? `: ${rule.text}` : ' (no rule matched)';
+    this.terminal.print(`        nft ${hook}: ${verdict} (ct state ${state}) by ${where}${decided}`, verdict === 'accept' ? 'green' : 'red');
+    if (rule) reasons.forEach(reason => this.terminal.print(`          ${reason}`, 'yellow'));
+    details.forEach(line => this.terminal.print(`            ${line}`, 'yellow'));
+    await this.logger.logVerbose(`nft: ${hook} ${verdict} by ${where}`, false);
+    for (const line of logs) await this.logger.logVerbose(`kernel: ${line}`);
+  }
+
+  /**
+   * GRUB menu: list the grub.cfg entries and boot the default one when the timeout runs out
+   * Runs at a terminal can pick another entry or type "e" to edit its kernel command line first; scripted runs and
+   * piped input boot the default without asking, so the menu never reads the piped operands.
+   * @returns {Promise<void>}
+   */
+  async bootMenu() {
+    const { timeout, defaultIndex, entries, file } = this.grub;
+    const lines = [`GNU GRUB boot menu (${file}):`];
+    entries.forEach((entry, index) => {
+      if (entry.submenu && (index === 0 || entries[index - 1].submenu !== entry.submenu)) lines.push(`       ${entry.submenu} >`);
+      lines.push(`  ${index === defaultIndex ? '*' : ' '}${String(index).padStart(2)}) ${entry.submenu ? '  ' : ''}${entry.title}`);
+    });
+    for (const line of lines) {
+      this.terminal.print(`  ${line}`, 'cyan');
+      await this.logger.logVerbose(`grub: ${line}`, false);
+    }
+
+    let index = defaultIndex;
+    let parameters = entries[defaultIndex].parameters;
+    if (this.inputHandler && this.inputHandler.interactive && timeout !== 0) {
+      const range = `0-${entries.length - 1}`;
+      const query = `  Entry [${range}], "e" to edit its command line (Enter for ${defaultIndex}${timeout < 0 ? '' : `, booting it in ${timeout}s`}): `;
+      let answer = timeout < 0 ? await this.inputHandler.askQuestion(query) : await this.inputHandler.askWithTimeout(query, timeout * 1000);
+      while (true) {
+        const match = answer.trim().match(/^(e)?\s*(\d+)?$/i);
+        const choice = match && match[2] !== undefined ? Number(match[2]) : defaultIndex;
+        if (match && choice < entries.length) {
+          index = choice;
+          parameters = entries[index].parameters;
+          if (match[1]) {
+            this.terminal.print(`  linux ${entries[index].kernel} ${parameters}`, 'cyan');
+            const edited = (await this.inputHandler.askQuestion('  Kernel command line (Enter keeps it): ', parameters)).trim();
+            if (edited) parameters = edited;
+          }
+          break;
+        }
+        this.terminal.print(`  Invalid choice "${answer.trim()}". Type an entry number from ${range}, "e" or "e <number>".`, 'red', 'error');
+        answer = await this.inputHandler.askQuestion(`  Entry [${range}], "e" to edit its command line: `);
+      }
+    }
+    this.bootEntry = { ...entries[index], parameters };
+    const edited = parameters !== entries[index].parameters ? ' with an edited command line' : '';
+    this.terminal.print(`  Booting '${this.bootEntry.title}'${edited}`, 'green');
+    await this.logger.logOperation(`GRUB: booting entry ${index} '${this.bootEntry.title}'${edited}`, 'info');
+  }
+
+  /**
+   * Hand the chosen entry's command line to the kernel and apply what the simulator models: loglevel/debug set the
+   * console level for the rest of the boot, single/emergency/init= change what PID 1 starts, and "unless" steps are skipped
+   * @returns {Promise<void>}
+   */
+  async passKernelCmdline() {
+    if (!this.bootEntry) this.bootEntry = this.grub.entries[this.grub.defaultIndex]; // Profile without a boot menu
+    const { kernel, parameters } = this.bootEntry;
+    this.cmdline = new KernelCmdline(`BOOT_IMAGE=${kernel} ${parameters}`);
+    const lines = [`Kernel command line: ${this.cmdline}`];
+    const unknown = this.cmdline.unknown();
+    if (unknown.length > 0) lines.push(`Unknown kernel command line parameters "${unknown.join(' ')}", will be passed to user space.`);
+    const { loglevel, target } = this.cmdline;
+    const consoleLevel = loglevel === null ? null : loglevel >= 7 ? 'debug' : loglevel >= 4 ? 'info' : 'error';
+    if (consoleLevel) lines.push(`Console log level ${loglevel}: showing ${{ debug: 'every message', info: 'regular boot messages', error: 'errors only' }[consoleLevel]}`);
+    if (!this.cmdline.selinux) lines.push('SELinux:  Disabled at boot.');
+    if (target === 'shell') lines.push(`Run ${this.cmdline.get('init')} as init process`);
+    if (target === 'rescue' || target === 'emergency') lines.push(`systemd will boot into ${target}.target instead of the default target`);
+    for (const line of lines) {
+      this.terminal.print(`  ${line}`, 'cyan');
+      await this.logger.logVerbose(line, false);
+    }
+    if (consoleLevel) this.terminal.level = consoleLevel; // Restored for the user-space stages by boot()
+  }
+
+  /**
+   * Print a HardwareInventory report: its lines, then its warnings; fatal lines halt the machine
+   * @param {Object} report - { lines, warnings?, fatal? } from HardwareInventory
+   * @param {string} tag - Prefix for the verbose log lines (e.g., "pci")
+   * @param {string} [code] - Error code for a fatal report
+   * @returns {Promise<void>}
+   * @throws {FaultError} - If the report is fatal
+   */
+  async printHardwareReport({ lines, warnings = [], fatal = null }, tag, code) {
+    for (const line of lines) {
+      this.terminal.print(`  ${line}`, 'cyan');
+      await this.logger.logVerbose(`${tag}: ${line}`, false);
+    }
+    for (const warning of warnings) {
+      this.terminal.print(`  ${warning}`, 'yellow');
+      await this.logger.logOperation(`${tag}: ${warning}`, 'info');
+    }
+    if (!fatal) return;
+    await this.printFaultLines(fatal, 'red');
+    const message = `${fatal[fatal.length - 1]} (hardware: ${this.hardware.name})`;
+    this.emit('fault', { id: 'hardware', code, message, stage: this.logger.stage, recovered: false });
+    throw new FaultError(message, code);
+  }
+
+  /**
+   * Start systemd units wave by wave; unit failures are decided like step failures (seeded, --no-faults, --inject)
+   * @param {Object[]} units - Unit definitions from the profile
+   * @returns {Promise<void>}
+   */
+  async startUnits(units) {
+    const target = this.bootTarget;
+    if (target === 'shell') {
+      this.terminal.print(`  systemd not started: PID 1 is ${this.cmdline.get('init')} (init= on the kernel command line)`, 'yellow');
+      return;
+    }
+    if (target !== 'default') {
+      // rescue.target and emergency.target start a root shell instead of the profile's units
+      const mode = target === 'rescue' ? 'Rescue' : 'Emergency';
+      this.terminal.print(`  [  OK  ] Started ${target}.service - ${mode} Shell.`, 'green');
+      this.terminal.print(`  [  OK  ] Reached target ${target}.target - ${mode} Mode.`, 'green');
+      await this.logger.logVerbose(`systemd: ${target}.target requested on the kernel command line, ${units.length} profile units not started`, false);
+      this.recordSystemState({ services: [{ name: target, description: `${mode} Shell` }] });
+      return;
+    }
+    this.unitGraph = new UnitGraph(units);
+    const entries = this.unitGraph.start({ random: this.random, shouldFail: unit => Boolean(unit.failure) && this.shouldFail(unit.failure) });
+    const waves = this.unitGraph.waves();
+    for (let index = 0; index < waves.length; index++) {
+      const wave = entries.filter(entry => entry.wave === index);
+      this.terminal.print(`  Wave ${index + 1}/${waves.length}: starting ${wave.map(entry => entry.unit.name).join(', ')}`, 'cyan');
+      await this.terminal.delay(wave.reduce((longest, entry) => Math.max(longest, entry.end - entry.start), 0));
+      // Units in a wave finish in order of their simulated completion time
+      for (const entry of wave.slice().sort((a, b) => a.end - b.end)) {
+        const { name, description } = entry.unit;
+        if (entry.state === 'failed') {
+          await this.handleFault({ ...entry.unit.failure, unit: entry.unit });
+        } else if (entry.state === 'dependency') {
+          this.terminal.print(`  [DEPEND] Dependency failed for ${name} - ${description}.`, 'yellow');
+          await this.logger.logVerbose(`systemd: ${name}: Job ${name}/start failed with result 'dependency' (${entry.cause})`, false);
+        } else {
+          this.terminal.print(`  [  OK  ] ${name.endsWith('.target') ? 'Reached target' : 'Started'} ${name} - ${description}.`, 'green');
+          await this.logger.logVerbose(`systemd: ${name} active after ${entry.end - entry.start}ms (@${entry.start}ms)`, false);
+        }
+      }
+    }
+    this.recordSystemState({
+      services: entries
+        .filter(entry => entry.unit.name.endsWith('.service'))
+        .map(({ unit, state }) => ({ name: unit.name.replace(/\.service$/, ''), description: unit.description, state }))
+    });
+  }
+
+  /**
+   * What the boot ends in, from the kernel command line: the profile's user-space stages ('default'),
+   * a root shell under systemd ('rescue', 'emergency'), or a shell running as PID 1 ('shell')
+   * @returns {string} - Boot target
+   */
+  get bootTarget() {
+    return this.cmdline ? this.cmdline.target : 'default';
+  }
+
+  /**
+   * Print systemd-analyze time, the slowest units (blame) and the critical chain of the units started so far
+   * @returns {Promise<void>}
+   */
+  async analyzeUnits() {
+    if (!this.unitGraph) {
+      const reason = this.bootTarget === 'default' ? 'no units have been started by this profile' : `nothing to analyze, the boot went to ${this.bootTarget === 'shell' ? 'an init shell' : `${this.bootTarget}.target`}`;
+      this.terminal.print(`  systemd-analyze: ${reason}`, 'yellow');
+      return;
+    }
+    const lines = [
+      ...this.unitGraph.analyzeTime(),
+      'Slowest units (systemd-analyze blame):',
+      ...this.unitGraph.blame().slice(0, 3).map(line => `  ${line}`),
+      'Critical chain (systemd-analyze critical-chain):',
+      ...this.unitGraph.criticalChain().map(line => `  ${line}`)
+    ];
+    for (const line of lines) {
+      this.terminal.print(`  ${line}`, 'cyan');
+      await this.logger.logVerbose(`systemd-analyze: ${line}`, false);
+    }
+  }
+
+  /**
+   * Print MMU translation steps, highlighting TLB misses and page faults
+   * @param {Object[]} steps - Steps from MemoryModel.translate/write
+   * @returns {Promise<void>}
+   */
+  async printTranslation(steps) {
+    const colors = { split: 'cyan', hit: 'green', miss: 'yellow', fault: 'yellow', walk: 'cyan', result: 'green' };
+    for (const step of steps) {
+      this.terminal.print(`  ${step.text}`, colors[step.kind]);
+      await this.logger.logOperation(`mmu: ${step.text}`, 'debug');
+    }
+  }
+
+  // Collect binary inputs from user, or take them from a supplied job
+  async getInput(job) {
+    this.beginStage('input', 70, 'User Space Activation');
     await this.logger.logStep('Launching user-space interface...', 'blue');
-    print('Awaiting user input:', 'blue');
-    const originalBinary1 = await this.inputHandler.getBinaryInput("First binary (e.g., 101, max 8 bits): ");
-    const originalBinary2 = await this.inputHandler.getBinaryInput("Second binary (e.g., 110, max 8 bits): ");
-    const binary1 = originalBinary1.padStart(CONFIG.MAX_BINARY_LENGTH, '0');
-    const binary2 = originalBinary2.padStart(CONFIG.MAX_BINARY_LENGTH, '0');
-    const decimal1 = parseInt(binary1, 2);
-    const decimal2 = parseInt(binary2, 2);
-    const originalDecimal1 = parseInt(originalBinary1, 2);
-    const originalDecimal2 = parseInt(originalBinary2, 2);
-    print(`Inputs registered: ${binary1} (decimal: ${decimal1}), ${binary2} (decimal: ${decimal2})`, 'blue');
-    await this.logger.logOperation(`User inputs: ${originalBinary1} (decimal: ${originalDecimal1}), ${originalBinary2} (decimal: ${originalDecimal2})`, 'info');
-    setProgress(70);
-    return [binary1, binary2, originalBinary1, originalBinary2];
-  }
-
-  // Select operation to perform
-  async chooseOperationStage() {
-    printSeparator('80%: Operation Selection');
-    const operation = await this.inputHandler.chooseOperation();
-    print(`Operation selected: ${operation}`, 'yellow');
+    this.terminal.print(job ? 'Reading supplied input:' : 'Awaiting user input:', 'blue');
+    const hint = `e.g., 101, 0x1F, 0o17 or 0d42; max ${this.width} bits`;
+    const originalInput1 = job ? job.a : await this.inputHandler.getBinaryInput(`First operand (${hint}): `);
+    const originalInput2 = job ? job.b : await this.inputHandler.getBinaryInput(`Second operand (${hint}): `);
+    const binary1 = InputHandler.parseOperand(originalInput1, this.width);
+    const binary2 = InputHandler.parseOperand(originalInput2, this.width);
+    this.terminal.print(`Inputs registered (${this.width}-bit): ${formatRadices(binary1)}, ${formatRadices(binary2)}`, 'blue');
+    await this.logger.logOperation(`User inputs: ${originalInput1} = ${formatRadices(binary1)}, ${originalInput2} = ${formatRadices(binary2)}`, 'info');
+    this.setProgress(70);
+    return [binary1, binary2, originalInput1, originalInput2];
+  }
+
+  // Select operation to perform, or take it from a supplied job
+  async chooseOperationStage(job) {
+    this.beginStage('operation', 80, 'Operation Selection');
+    const operation = job ? job.operation : await this.inputHandler.chooseOperation();
+    this.terminal.print(`Operation selected: ${operation}`, 'yellow');
     await this.logger.logOperation(`Operation chosen: ${operation}`, 'info');
-    setProgress(80);
+    this.setProgress(80);
     return operation;
   }
 
   // Perform the selected operation
   async performOperation(binary1, binary2, operation) {
-    printSeparator('90%: CPU Execution');
+    this.beginStage('cpu', 90, 'CPU Execution');
     const result = await this.processor.performOperation(binary1, binary2, operation, this.logger);
-    setProgress(90);
+    this.setProgress(90);
+    return result;
+  }
+
+  // Assemble the --asm program and show its listing
+  async loadProgramStage() {
+    this.beginStage('program', 80, 'Program Loading');
+    const { instructions, labels, name, file } = this.program;
+    await this.logger.logStep(`Assembling ${name} (${instructions.length} instructions)...`, 'blue');
+    instructions.forEach((instruction, index) => {
+      Object.keys(labels).filter(label => labels[label] === index).forEach(label => this.terminal.print(`        ${label}:`, 'cyan'));
+      this.terminal.print(`  ${index.toString().padStart(3, '0')}     ${instruction.text}`, 'cyan');
+    });
+    await this.logger.logStep('Loading program into instruction memory at IP=0...', 'blue');
+    await this.logger.logOperation(`Program ${file} assembled: ${instructions.length} instructions`, 'info');
+    this.setProgress(80);
+  }
+
+  // Run the --asm program on the toy CPU with EAX = A and EBX = B
+  async executeProgram(binary1, binary2) {
+    this.beginStage('cpu', 90, 'CPU Execution');
+    const cpu = new CPU(this.program, { alu: this.processor, width: this.width });
+    const printRegisters = () => this.terminal.print(`  ${cpu.formatRegisters()} FLAGS=${Processor.formatFlags(cpu.flags)}`, 'green');
+    cpu.registers.EAX = binaryToBigInt(binary1);
+    cpu.registers.EBX = binaryToBigInt(binary2);
+    await this.logger.logStep('Loading registers: EAX = A, EBX = B...', 'magenta');
+    printRegisters();
+
+    let paused = this.cpuMode === 'step';
+    while (!cpu.halted) {
+      if (paused) {
+        const answer = await this.inputHandler.askQuestion(`[step] IP=${cpu.ip} Enter = execute, c = continue: `);
+        if (answer.trim().toLowerCase() === 'c') paused = false;
+      }
+      const { ip, instruction, effect } = cpu.step();
+      const traceLine = `cpu: IP=${ip} ${instruction.text} -> ${effect}`;
+      if (this.cpuMode === 'run') {
+        await this.logger.logVerbose(traceLine);
+        continue;
+      }
+      await this.logger.logOperation(traceLine, 'debug');
+      this.terminal.print(`Fetch:   IP=${ip} -> ${instruction.text}`, 'blue');
+      this.terminal.print(`Decode:  ${cpu.decode(instruction)}`, 'cyan');
+      this.terminal.print(`Execute: ${effect}`, 'magenta');
+      printRegisters();
+      if (!paused) await this.terminal.delay(CONFIG.DELAY_BASE_MS / 2);
+    }
+
+    this.terminal.print(`Program halted after ${cpu.steps} instructions.`, 'magenta');
+    printRegisters();
+    cpu.ram.forEach((value, address) => {
+      if (value !== 0n) this.terminal.print(`  RAM[${toHex(BigInt(address), this.width)}] = ${toHex(value, this.width)}`, 'green');
+    });
+    const result = cpu.registers.EAX.toString(2).padStart(this.width, '0');
+    this.terminal.print(`Result (EAX): ${formatRadices(result)}`, 'green');
+    const registers = REGISTERS.map(name => `${name}=${toHex(cpu.registers[name], this.width)}`).join(' ');
+    await this.logger.logOperation(`Program ${this.program.name} halted after ${cpu.steps} instructions. ${registers}. FLAGS: ${Processor.formatFlags(cpu.flags)}`, 'info');
+    this.setProgress(90);
     return result;
   }
 
   // Store result in simulated RAM
   async storeInRAM(result) {
-    printSeparator('95%: RAM Storage');
+    this.beginStage('ram', 95, 'RAM Storage');
     await this.logger.logStep('Allocating RAM for result...', 'green');
-    const decimalResult = parseInt(result, 2);
-    await this.logger.logStep(`Stored in RAM: ${result} (decimal: ${decimalResult})`, 'green');
-    await this.logger.logOperation(`Result stored in RAM: ${result} (decimal: ${decimalResult})`, 'info');
-    setProgress(95);
+    // Little-endian, one byte per 8 bits of the operand width
+    const value = binaryToBigInt(result);
+    const bytes = Array.from({ length: Math.ceil(result.length / 8) }, (_, index) => Number((value >> BigInt(index * 8)) & 0xFFn));
+    let address;
+    try {
+      address = this.address === null ? this.memory.allocate(bytes.length) : this.memory.mapFixed(this.address, bytes.length);
+      this.terminal.print(`Virtual address: ${toAddress(address)} (${bytes.length} byte${bytes.length === 1 ? '' : 's'}, little-endian, ${this.address === null ? 'heap allocation' : 'fixed via --address'})`, 'green');
+      await this.printTranslation(this.memory.write(address, bytes));
+    } catch (err) {
+      if (err.code) await this.logger.logError(err.message, err.code, err.stack);
+      throw err;
+    }
+    await this.logger.logStep(`Stored in RAM: ${formatRadices(result)}`, 'green');
+    this.terminal.print('hexdump -C:', 'cyan');
+    this.memory.hexdump(address, bytes.length).forEach(line => this.terminal.print(`  ${line}`, 'cyan'));
+    const { tlbHits, tlbMisses, minorFaults, majorFaults, evictions } = this.memory.stats;
+    this.terminal.print(`MMU: TLB hits ${tlbHits}, misses ${tlbMisses}; page faults ${minorFaults} minor, ${majorFaults} major; evictions ${evictions}`, 'green');
+    await this.logger.logOperation(`Result stored in RAM at ${toAddress(address)}: ${formatRadices(result)}`, 'info');
+    this.setProgress(95);
   }
 
   // Display final output with debug logs
-  async displayOutput(operation, originalBinary1, originalBinary2, result) {
-    printSeparator('100%: System Ready');
-    const decimal1 = parseInt(originalBinary1, 2);
-    const decimal2 = parseInt(originalBinary2, 2);
-    const decimalResult = parseInt(result, 2);
-    print(`Operation: ${operation}`, 'yellow');
-    print(`Original Input A: ${originalBinary1} (decimal: ${decimal1}) (Full: ${originalBinary1.padStart(CONFIG.MAX_BINARY_LENGTH, '0')})`, 'yellow');
-    if (operation !== 'NOT') print(`Original Input B: ${originalBinary2} (decimal: ${decimal2}) (Full: ${originalBinary2.padStart(CONFIG.MAX_BINARY_LENGTH, '0')})`, 'yellow');
+  async displayOutput(operation, binary1, binary2, originalInput1, originalInput2, result) {
+    this.beginStage('output', 100, 'System Ready');
+    this.terminal.printOutput(`Operation: ${operation} (${this.width}-bit)`, 'yellow');
+    this.terminal.printOutput(`Original Input A: ${originalInput1} (Full: ${formatRadices(binary1)})`, 'yellow');
+    if (!UNARY_OPERATIONS.includes(operation)) this.terminal.printOutput(`Original Input B: ${originalInput2} (Full: ${formatRadices(binary2)})`, 'yellow');
     const trimmedResult = result.replace(/^0+/, '') || '0';
-    print(`Result: ${trimmedResult} (decimal: ${decimalResult}) (Full: ${result})`, 'yellow');
+    this.terminal.printOutput(`Result: ${trimmedResult} (Full: ${formatRadices(result)})`, 'yellow');
+    this.terminal.printOutput(`FLAGS: ${Processor.formatFlags(this.processor.flags)}`, 'yellow');
     await this.logger.logStep('Simulating dmesg: Kernel boot completed', 'green');
     await this.logger.logStep('Simulating journalctl --boot output: Logs ready', 'green');
-    print('System fully operational!', 'green');
-    await this.logger.logOperation(`System fully booted. Operation: ${operation}, Inputs: ${originalBinary1} (decimal: ${decimal1}), ${originalBinary2} (decimal: ${decimal2}), Result: ${trimmedResult} (decimal: ${decimalResult})`, 'info');
-    setProgress(100);
+    this.terminal.print('System fully operational!', 'green');
+    await this.logger.logOperation(`System fully booted. Operation: ${operation}, Inputs: ${originalInput1}, ${originalInput2}, Result: ${formatRadices(result)}`, 'info');
+    this.setProgress(100);
   }
 
   // Cleanup resources
   async cleanup() {
     await this.logger.logOperation('Cleaning up resources...', 'info');
-    this.inputHandler.close();
+    if (this.inputHandler) this.inputHandler.close();
   }
 
-  // Main simulation execution 
-  async run() {
-    await this.logger.checkAndClearLogFile();
-    print('Initializing Hyper-Realistic OS Simulation...', 'green');
-    await adaptiveDelay();
-
-    await this.powerOnAndBiosInit(); // 0%
-    await this.loadBootloader(); // 10%
-    await this.enterRing0AndLoadKernel(); // 20%
-    await this.loadInitramfs(); // 25%
-    await this.loadKernelModules(); // 30%
-    await this.initializeOS(); // 40%
-    await this.memoryManagement(); // 50%
-    await this.enforceSecurityAndNetwork(); // 60%
-    const [binary1, binary2, originalBinary1, originalBinary2] = await this.getInput(); // 70%
-    const operation = await this.chooseOperationStage(); // 80%
+  /**
+   * Stop an interrupted run (e.g., on SIGINT): record it and release resources
+   * @returns {Promise<void>}
+   */
+  async interrupt() {
+    await this.logger.logOperation('System interrupted by user (SIGINT)', 'error');
+    this.timeline.finish('interrupted');
+    await this.logger.logRunStatus('interrupted');
+    this.terminal.print('Shutting down gracefully...', 'yellow');
+    await this.cleanup();
+  }
+
+  // Run the user-space stages (70%-100%) for one job, prompting when job is null
+  // With an --asm program, the program replaces operation selection and the single CPU operation
+  async runUserSpace(job) {
+    const [binary1, binary2, originalInput1, originalInput2] = await this.getInput(job); // 70%
+    if (this.program) {
+      await this.loadProgramStage(); // 80%
+      const result = await this.executeProgram(binary1, binary2); // 90%
+      await this.storeInRAM(result); // 95%
+      await this.displayOutput(`PROGRAM ${this.program.name}`, binary1, binary2, originalInput1, originalInput2, result); // 100%
+      return this.reportResult(`PROGRAM ${this.program.name}`, originalInput1, originalInput2, result);
+    }
+    const operation = await this.chooseOperationStage(job); // 80%
     const result = await this.performOperation(binary1, binary2, operation); // 90%
     await this.storeInRAM(result); // 95%
-    await this.displayOutput(operation, originalBinary1, originalBinary2, result); // 100%
+    await this.displayOutput(operation, binary1, binary2, originalInput1, originalInput2, result); // 100%
+    return this.reportResult(operation, originalInput1, originalInput2, result);
+  }
 
-    print('Simulation Complete - System Online!', 'green');
+  // Evaluate the --expr expression in place of the operation jobs (90%-100%)
+  async runExpression() {
+    this.beginStage('logic', 90, 'Logic Evaluation');
+    const analysis = await this.processor.evaluateExpression(this.expression, this.logger);
+    this.setProgress(90);
+    this.beginStage('output', 100, 'System Ready');
+    this.terminal.printOutput(`Expression: ${analysis.expression}`, 'yellow');
+    this.terminal.printOutput(`Minterms: ${analysis.minterms.length > 0 ? analysis.minterms.join(', ') : 'none (always 0)'}`, 'yellow');
+    this.terminal.printOutput(`Minimal SOP: F = ${analysis.minimal}`, 'yellow');
+    this.terminal.print('System fully operational!', 'green');
+    this.setProgress(100);
+    const report = { expression: analysis.expression, variables: analysis.variables, minterms: analysis.minterms, minimal: analysis.minimal };
+    this.emit('expression:result', report);
+    return report;
+  }
+
+  /**
+   * Package a finished job and emit 'operation:result'
+   * @param {string} operation - Operation, or "PROGRAM <name>" for --asm programs
+   * @param {string} a - First operand as entered
+   * @param {string} b - Second operand as entered
+   * @param {string} result - Result (binary, operand width)
+   * @returns {Object} - { operation, a, b, result, flags }
+   */
+  reportResult(operation, a, b, result) {
+    const report = { operation, a, b, result, flags: { ...this.processor.flags } };
+    this.emit('operation:result', report);
+    return report;
+  }
+
+  /**
+   * Run the whole simulation: boot stages from the profile, then the user-space stages for every job
+   * On failure the error is logged, the run is recorded as failed and resources are released before it is rethrown.
+   * @returns {Promise<Object[]>} - One { operation, a, b, result, flags } per job (result is the binary string),
+   *   or the single 'expression:result' report when an expression was given
+   * @throws {FaultError|InputError|Error} - If the boot halts or an input is rejected
+   */
+  async run() {
+    try {
+      return await this.boot();
+    } catch (err) {
+      await this.logger.logError(`Critical system failure: ${err.message}`, err instanceof FaultError ? err.code : 'MAIN001', err.stack);
+      this.timeline.finish('failure');
+      await this.logger.logRunStatus('failure');
+      await this.cleanup();
+      this.emit('failure', { error: err, code: err.code || 'MAIN001' });
+      throw err;
+    }
+  }
+
+  // Boot and run every job; see run()
+  async boot() {
+    if (!this.profile) this.profile = await loadProfile();
+    if (!this.hardware) this.hardware = new HardwareInventory(await loadHardware(this.profile.hardware));
+    if (!this.grub) this.grub = await loadGrubConfig(this.profile.grub);
+    if (!this.ruleset) this.ruleset = await loadFirewall(this.profile.firewall);
+    this.timeline.start({ profile: this.profile.name, hardware: this.hardware.name, seed: this.seed, speed: this.terminal.speed });
+    this.system.bootedAt = Date.now();
+    await this.logger.checkAndClearLogFile();
+    if (this.logger.logFile) await this.storageManager.rotateLogs(this.logger.logFile);
+    this.terminal.print('Initializing Hyper-Realistic OS Simulation...', 'green');
+    this.terminal.print(`Random seed: ${this.seed} (replay with --seed=${this.seed})`, 'cyan');
+    await this.logger.logOperation(`Random seed: ${this.seed}`, 'info');
+    if (!this.faults) {
+      this.terminal.print('Random boot failures disabled (--no-faults)', 'cyan');
+      await this.logger.logOperation('Random boot failures disabled (--no-faults)', 'info');
+    }
+    for (const id of this.inject) {
+      const triggered = this.profile.stages.some(stage => stage.steps.some(step => (step.failure && step.failure.id === id) ||
+        (step.action === 'startUnits' && step.args.units.some(unit => unit.failure && unit.failure.id === id))));
+      if (triggered) this.terminal.print(`Injecting fault "${id}" [${FAULTS[id].code}]: ${FAULTS[id].summary}`, 'yellow');
+      else this.terminal.print(`Fault "${id}" has no trigger step in profile ${this.profile.name}; it will not fire`, 'yellow');
+      await this.logger.logOperation(`Fault injection "${id}"${triggered ? '' : ' (no trigger step in profile)'}`, 'info');
+    }
+    await this.terminal.delay();
+
+    await this.logger.logOperation(`Boot profile: ${this.profile.name}`, 'info');
+    await this.logger.logOperation(`Hardware: ${this.hardware.name}`, 'info');
+    const consoleLevel = this.terminal.level; // The kernel command line's loglevel only lasts for the boot stages
+    for (const stage of this.profile.stages) await this.runStage(stage); // 0%-60% in the default profile
+    this.terminal.level = consoleLevel;
+    const results = [];
+    if (this.bootTarget === 'default' && this.expression !== null) {
+      results.push(await this.runExpression());
+    } else if (this.bootTarget === 'default') {
+      for (const job of this.jobs || [null]) results.push(await this.runUserSpace(job));
+    } else {
+      const shell = this.bootTarget === 'shell' ? `${this.cmdline.get('init')} as PID 1` : `${this.bootTarget} mode`;
+      this.terminal.print(`Booted to ${shell}: user-space stages skipped${this.jobs ? ` (${this.jobs.length} job${this.jobs.length === 1 ? '' : 's'} not run)` : ''}`, 'yellow');
+      await this.logger.logOperation(`Boot target ${this.bootTarget}: user-space stages skipped`, 'info');
+    }
+
+    this.terminal.print('Simulation Complete - System Online!', 'green');
     await this.cleanup();
-    await this.logger.logOperation('SUCCESS', 'info');
+    this.timeline.finish('success');
+    await this.logger.logRunStatus('success');
+    this.emit('complete', { results });
+    return results;
   }
 }
 
 // ========================
-// |> Main Execution <|
+// |> Public API <|
 // ========================
 
-let simulator;
-
-const main = async () => {
-  simulator = new OSSimulator();
-  await simulator.run();
+module.exports = {
+  OSSimulator,
+  Processor,
+  Logger,
+  InputHandler,
+  StorageManager,
+  Terminal,
+  Dashboard,
+  InputError,
+  FaultError,
+  loadProfile,
+  loadHardware,
+  loadGrubConfig,
+  loadFirewall,
+  loadProgram,
+  validateProfile,
+  resolveLogFile,
+  getDefaultLogDir,
+  CONFIG,
+  COLORS,
+  EXIT_CODES,
+  FAULTS,
+  LOG_FORMATS,
+  LOG_LEVELS,
+  OPERATIONS,
+  UNARY_OPERATIONS,
+  SIMULATOR_EVENTS,
+  STEP_ACTIONS,
+  TIMELINE_FORMATS,
+  LOGIC_LIMITS,
+  analyzeExpression,
+  formatRadices
 };
-
-process.on('SIGINT', async () => {
-  if (simulator) {
-    await simulator.logger.logOperation('System interrupted by user (SIGINT)', 'error');
-    print('Shutting down gracefully...', 'yellow');
-    await simulator.cleanup();
-  }
-  process.exit(0);
-});
-
-main().catch(async (err) => {
-  if (simulator) {
-    await simulator.logger.logError(`Critical system failure: ${err.message}`, 'MAIN001', err.stack);
-  }
-  printError(`Fatal error: ${err.message}. Check logs.`, 'red');
-  if (simulator) await simulator.cleanup();
-});
\ No newline at end of file
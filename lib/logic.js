@@ -0,0 +1,299 @@
+// ===================================================================
+// |> Boolean Expressions - Truth Tables, Canonical Forms and Minimization <|
+// ===================================================================
+// Purpose:
+//   Parse a Boolean expression over named variables, e.g. "(A AND B) XOR NOT (C OR D)", and analyze it:
+//   full truth table, canonical sum of products (minterms) and product of sums (maxterms), and a minimal
+//   sum of products found with the Quine-McCluskey method. Up to four variables the result is also laid
+//   out as a Karnaugh map. Operators, from the tightest binding to the loosest:
+//     NOT  !  ~   (prefix) and '  (postfix, as in A')
+//     AND  &  *   NAND
+//     XOR  ^      XNOR
+//     OR   |  +   NOR
+//   Operators of the same level group left to right; parentheses override. 0 and 1 are constants.
+//   Factors written next to each other are ANDed, so the algebraic A'B + A B' also works. A variable name
+//   is a whole word (AB is one variable; write A B or A*B for the product).
+
+const LOGIC_LIMITS = {
+  MAX_VARIABLES: 6, // 64 truth table rows
+  KMAP_VARIABLES: 4 // Largest Karnaugh map drawn; larger functions list the Quine-McCluskey prime implicants instead
+};
+
+// Binary operators by precedence level (loosest first), with their symbols and truth functions
+const BINARY_LEVELS = [
+  { OR: (a, b) => a | b, NOR: (a, b) => 1 - (a | b) },
+  { XOR: (a, b) => a ^ b, XNOR: (a, b) => 1 - (a ^ b) },
+  { AND: (a, b) => a & b, NAND: (a, b) => 1 - (a & b) }
+];
+const SYMBOLS = { '!': 'NOT', '~': 'NOT', '&': 'AND', '*': 'AND', '|': 'OR', '+': 'OR', '^': 'XOR' };
+const OPERATOR_WORDS = ['NOT', 'AND', 'OR', 'XOR', 'NAND', 'NOR', 'XNOR'];
+
+/**
+ * Split an expression into tokens
+ * @param {string} text - Expression
+ * @returns {Object[]} - Tokens: { type: 'op' | 'var' | 'const' | '(' | ')' | 'prime', value, column }
+ * @throws {Error} - On a character that cannot start a token
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  const pattern = /\s*(?:([A-Za-z_][A-Za-z0-9_]*)|([01])|([!~&*|+^()']))/y;
+  let match;
+  while (pattern.lastIndex < text.length) {
+    const start = pattern.lastIndex;
+    match = pattern.exec(text);
+    if (match === null) {
+      if (text.slice(start).trim() === '') break;
+      const column = start + text.slice(start).search(/\S/) + 1;
+      throw new Error(`unexpected "${text.slice(column - 1, column)}" at column ${column}`);
+    }
+    const column = match.index + match[0].search(/\S/) + 1;
+    const [, word, constant, symbol] = match;
+    if (word !== undefined && OPERATOR_WORDS.includes(word.toUpperCase())) tokens.push({ type: 'op', value: word.toUpperCase(), column });
+    else if (word !== undefined) tokens.push({ type: 'var', value: word, column });
+    else if (constant !== undefined) tokens.push({ type: 'const', value: Number(constant), column });
+    else if (symbol === '(' || symbol === ')') tokens.push({ type: symbol, value: symbol, column });
+    else if (symbol === "'") tokens.push({ type: 'prime', value: symbol, column });
+    else tokens.push({ type: 'op', value: SYMBOLS[symbol], column });
+  }
+  return tokens;
+};
+
+/**
+ * Parse an expression into a syntax tree
+ * @param {string} text - Expression
+ * @returns {{ast: Object, variables: string[]}} - Tree of { type: 'var' | 'const' | 'not' | 'op', ... } nodes
+ *   and the variables in alphabetical order (the first one is the most significant bit of a minterm number)
+ * @throws {Error} - On a syntax error (with its column) or too many variables
+ */
+const parseExpression = (text) => {
+  const tokens = tokenize(text);
+  if (tokens.length === 0) throw new Error('empty expression');
+  let position = 0;
+  const peek = () => tokens[position];
+  const describe = token => (token ? `"${token.value}" at column ${token.column}` : 'end of expression');
+
+  const parseLevel = (level) => {
+    if (level === BINARY_LEVELS.length) return parseUnary();
+    let left = parseLevel(level + 1);
+    while (peek()) {
+      const token = peek();
+      // A factor right after another one is an implicit AND
+      const implicit = level === BINARY_LEVELS.length - 1 && (['var', 'const', '('].includes(token.type) || (token.type === 'op' && token.value === 'NOT'));
+      if (!implicit && !(token.type === 'op' && BINARY_LEVELS[level][token.value])) break;
+      if (!implicit) position++;
+      left = { type: 'op', operator: implicit ? 'AND' : token.value, left, right: parseLevel(level + 1) };
+    }
+    return left;
+  };
+  const parseUnary = () => {
+    const token = peek();
+    if (token && token.type === 'op' && token.value === 'NOT') {
+      position++;
+      return { type: 'not', operand: parseUnary() };
+    }
+    let node = parsePrimary();
+    while (peek() && peek().type === 'prime') {
+      position++;
+      node = { type: 'not', operand: node };
+    }
+    return node;
+  };
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (token && token.type === 'var') return { type: 'var', name: token.value };
+    if (token && token.type === 'const') return { type: 'const', value: token.value };
+    if (token && token.type === '(') {
+      const inner = parseLevel(0);
+      if (!peek() || peek().type !== ')') throw new Error(`expected ")" to close the "(" at column ${token.column}, found ${describe(peek())}`);
+      position++;
+      return inner;
+    }
+    throw new Error(`expected a variable, 0, 1, NOT or "(", found ${describe(token)}`);
+  };
+
+  const ast = parseLevel(0);
+  if (position < tokens.length) throw new Error(`expected an operator, found ${describe(peek())}`);
+  const variables = [...new Set(tokens.filter(token => token.type === 'var').map(token => token.value))].sort();
+  if (variables.length > LOGIC_LIMITS.MAX_VARIABLES) {
+    throw new Error(`${variables.length} variables (${variables.join(', ')}); at most ${LOGIC_LIMITS.MAX_VARIABLES} are supported`);
+  }
+  return { ast, variables };
+};
+
+/**
+ * Evaluate a syntax tree
+ * @param {Object} node - Node from parseExpression
+ * @param {Object} values - 0 or 1 per variable name
+ * @returns {number} - 0 or 1
+ */
+const evaluate = (node, values) => {
+  if (node.type === 'var') return values[node.name];
+  if (node.type === 'const') return node.value;
+  if (node.type === 'not') return 1 - evaluate(node.operand, values);
+  const level = BINARY_LEVELS.find(operators => operators[node.operator]);
+  return level[node.operator](evaluate(node.left, values), evaluate(node.right, values));
+};
+
+/**
+ * Write a syntax tree back out with every operation in parentheses, to show how precedence grouped it
+ * @param {Object} node - Node from parseExpression
+ * @param {boolean} [top=true] - Whether this is the whole expression (no outer parentheses)
+ * @returns {string} - e.g., "(A AND B) XOR (NOT (C OR D))"
+ */
+const formatTree = (node, top = true) => {
+  if (node.type === 'var') return node.name;
+  if (node.type === 'const') return String(node.value);
+  const text = node.type === 'not'
+    ? `NOT ${formatTree(node.operand, false)}`
+    : `${formatTree(node.left, false)} ${node.operator} ${formatTree(node.right, false)}`;
+  return top ? text : `(${text})`;
+};
+
+/**
+ * Write a product term in algebraic notation, literals separated by spaces (implicit AND): A' B C
+ * @param {string} bits - One '0', '1' or '-' (absent) per variable
+ * @param {string[]} variables - Variable names
+ * @returns {string} - Product term ("1" when every variable is absent)
+ */
+const formatProduct = (bits, variables) => {
+  const literals = [...bits].map((bit, index) => (bit === '-' ? null : `${variables[index]}${bit === '0' ? "'" : ''}`)).filter(Boolean);
+  return literals.length === 0 ? '1' : literals.join(' ');
+};
+
+/**
+ * Write a sum term (maxterm): the variables that are 0 in the row appear plain, the others complemented
+ * @param {string} bits - One '0' or '1' per variable
+ * @param {string[]} variables - Variable names
+ * @returns {string} - e.g., "(A + B' + C)"
+ */
+const formatSum = (bits, variables) => `(${[...bits].map((bit, index) => `${variables[index]}${bit === '1' ? "'" : ''}`).join(' + ')})`;
+
+/**
+ * Find the prime implicants of a function (Quine-McCluskey): merge implicants that differ in one bit until none merge
+ * @param {number} count - Number of variables
+ * @param {number[]} minterms - Minterm numbers where the function is 1
+ * @returns {Object[]} - Prime implicants { bits, minterms }, in order of their first minterm
+ */
+const primeImplicants = (count, minterms) => {
+  let current = minterms.map(minterm => ({ bits: count === 0 ? '' : minterm.toString(2).padStart(count, '0'), minterms: [minterm] }));
+  const primes = [];
+  while (current.length > 0) {
+    const merged = new Map();
+    const used = new Set();
+    current.forEach((first, i) => {
+      current.slice(i + 1).forEach(second => {
+        // Mergeable: dashes in the same places and exactly one other bit different
+        const differing = [...first.bits].map((bit, index) => index).filter(index => first.bits[index] !== second.bits[index]);
+        if (differing.length !== 1) return;
+        const [position] = differing;
+        if (first.bits[position] === '-' || second.bits[position] === '-') return;
+        const bits = `${first.bits.slice(0, position)}-${first.bits.slice(position + 1)}`;
+        if (!merged.has(bits)) merged.set(bits, { bits, minterms: [...first.minterms, ...second.minterms].sort((a, b) => a - b) });
+        used.add(first).add(second);
+      });
+    });
+    current.filter(implicant => !used.has(implicant)).forEach(implicant => primes.push(implicant));
+    current = [...merged.values()];
+  }
+  return primes.sort((a, b) => a.minterms[0] - b.minterms[0] || a.bits.localeCompare(b.bits));
+};
+
+/**
+ * Pick the fewest prime implicants (then the fewest literals) that cover every minterm
+ * Essential implicants are taken first; the rest is an exact branch-and-bound search.
+ * @param {Object[]} primes - Prime implicants from primeImplicants
+ * @param {number[]} minterms - Minterms to cover
+ * @returns {{essential: Object[], cover: Object[]}} - Essential implicants and the whole cover (essentials included)
+ */
+const minimalCover = (primes, minterms) => {
+  const literals = implicants => implicants.reduce((sum, implicant) => sum + implicant.bits.replace(/-/g, '').length, 0);
+  const essential = primes.filter(prime => prime.minterms.some(minterm => primes.filter(other => other.minterms.includes(minterm)).length === 1));
+  const covered = new Set(essential.flatMap(prime => prime.minterms));
+  let best = null;
+  const search = (uncovered, chosen) => {
+    if (best && (chosen.length > best.length || (chosen.length === best.length && literals(chosen) >= literals(best)))) return;
+    if (uncovered.length === 0) {
+      best = chosen;
+      return;
+    }
+    // Branch on the minterm with the fewest candidates, trying the largest implicants first
+    const candidates = uncovered
+      .map(minterm => primes.filter(prime => !chosen.includes(prime) && prime.minterms.includes(minterm)))
+      .reduce((fewest, options) => (options.length < fewest.length ? options : fewest));
+    candidates.slice().sort((a, b) => b.minterms.length - a.minterms.length).forEach(prime => {
+      search(uncovered.filter(minterm => !prime.minterms.includes(minterm)), [...chosen, prime]);
+    });
+  };
+  search(minterms.filter(minterm => !covered.has(minterm)), []);
+  const cover = [...essential, ...best].sort((a, b) => a.minterms[0] - b.minterms[0]);
+  return { essential, cover };
+};
+
+/**
+ * Reflected Gray code, the row and column order of a Karnaugh map
+ * @param {number} bits - Code length
+ * @returns {string[]} - Codes ([''] for zero bits)
+ */
+const grayCode = (bits) => (bits === 0 ? [''] : [...grayCode(bits - 1).map(code => `0${code}`), ...grayCode(bits - 1).reverse().map(code => `1${code}`)]);
+
+/**
+ * Analyze a Boolean expression
+ * @param {string} text - Expression
+ * @returns {Object} - { expression, grouped, variables, rows: [{ minterm, values, output }], minterms, maxterms,
+ *   sop, pos, primes, essential, cover, minimal }
+ * @throws {Error} - On a syntax error or too many variables
+ */
+const analyzeExpression = (text) => {
+  const { ast, variables } = parseExpression(text);
+  const count = variables.length;
+  const rows = Array.from({ length: 2 ** count }, (_, minterm) => {
+    const bits = count === 0 ? '' : minterm.toString(2).padStart(count, '0');
+    const values = Object.fromEntries(variables.map((name, index) => [name, Number(bits[index])]));
+    return { minterm, bits, values, output: evaluate(ast, values) };
+  });
+  const minterms = rows.filter(row => row.output === 1).map(row => row.minterm);
+  const maxterms = rows.filter(row => row.output === 0).map(row => row.minterm);
+  const primes = primeImplicants(count, minterms);
+  const { essential, cover } = minterms.length === 0 ? { essential: [], cover: [] } : minimalCover(primes, minterms);
+  const sum = terms => (terms.length === 0 ? '0' : terms.join(' + '));
+  return {
+    expression: text.trim(),
+    grouped: formatTree(ast),
+    variables,
+    rows,
+    minterms,
+    maxterms,
+    sop: sum(rows.filter(row => row.output === 1).map(row => formatProduct(row.bits, variables))),
+    pos: maxterms.length === 0 ? '1' : count === 0 ? '0' : rows.filter(row => row.output === 0).map(row => formatSum(row.bits, variables)).join(''),
+    primes,
+    essential,
+    cover,
+    minimal: sum(cover.map(implicant => formatProduct(implicant.bits, variables)))
+  };
+};
+
+/**
+ * Lay out a function of one to four variables as a Karnaugh map table
+ * Rows take the first half of the variables and columns the rest, both in Gray code order.
+ * @param {Object} analysis - Result of analyzeExpression
+ * @returns {string[]|null} - Header, separator and one line per row; null with no variables or more than KMAP_VARIABLES
+ */
+const karnaughMap = ({ variables, rows }) => {
+  const count = variables.length;
+  if (count === 0 || count > LOGIC_LIMITS.KMAP_VARIABLES) return null;
+  const rowBits = Math.floor(count / 2);
+  const rowVariables = variables.slice(0, rowBits).join('');
+  const columnVariables = variables.slice(rowBits).join('');
+  const label = rowVariables ? `${rowVariables}\\${columnVariables}` : columnVariables;
+  const columns = grayCode(count - rowBits);
+  const cellWidth = Math.max(2, columns[0].length);
+  const header = ` ${label} | ${columns.map(code => code.padStart(cellWidth)).join(' | ')}`;
+  const lines = [header, header.replace(/[^|]/g, '-')];
+  grayCode(rowBits).forEach(rowCode => {
+    const cells = columns.map(columnCode => String(rows[parseInt(`${rowCode}${columnCode}`, 2)].output).padStart(cellWidth));
+    lines.push(` ${rowCode.padStart(label.length)} | ${cells.join(' | ')}`);
+  });
+  return lines;
+};
+
+module.exports = { analyzeExpression, parseExpression, karnaughMap, formatProduct, LOGIC_LIMITS };
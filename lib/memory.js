@@ -0,0 +1,269 @@
+// ===================================================================
+// |> Memory Model - Byte-Addressable RAM with Paging and a TLB <|
+// ===================================================================
+// Purpose:
+//   Model virtual memory the way the MMU sees it: 16-bit virtual addresses split into a
+//   page number and offset, a page table with present/valid/writable bits, a small TLB,
+//   demand paging with FIFO eviction to swap, and real page faults for invalid accesses
+// Virtual layout:
+//   Page 0x0         NULL guard, never mapped (any access is a segmentation fault)
+//   Pages 0x1-0xD    Heap, mapped on allocation and backed by a frame on first touch
+//   Page 0xE         Stack, demand-paged
+//   Page 0xF         Kernel, read-only to user space
+
+const MEMORY_DEFAULTS = {
+  PAGE_SIZE: 4096, // 12-bit page offset
+  VIRTUAL_PAGES: 16, // 16-bit virtual addresses (4-bit page number)
+  PHYSICAL_FRAMES: 8, // 32 KiB of physical RAM
+  TLB_ENTRIES: 4,
+  ALIGNMENT: 8 // Allocation alignment in bytes
+};
+
+/**
+ * Error raised for a page fault the kernel cannot resolve (segmentation or protection fault)
+ */
+class PageFaultError extends Error {
+  /**
+   * @param {string} message - Description of the fault
+   * @param {number} address - Faulting virtual address
+   * @param {string} [code='MEM002'] - Error code for logging
+   */
+  constructor(message, address, code = 'MEM002') {
+    super(message);
+    this.name = 'PageFaultError';
+    this.address = address;
+    this.code = code;
+  }
+}
+
+/**
+ * Format an address as zero-padded hex
+ * @param {number} value - Address
+ * @param {number} [digits=4] - Hex digits
+ * @returns {string} - e.g., "0x1A00"
+ */
+const toAddress = (value, digits = 4) => `0x${value.toString(16).toUpperCase().padStart(digits, '0')}`;
+
+/**
+ * Paged virtual memory over a byte-addressable physical RAM
+ */
+class MemoryModel {
+  /**
+   * @param {Object} [options={}] - Memory geometry (defaults from MEMORY_DEFAULTS)
+   * @param {number} [options.pageSize] - Bytes per page
+   * @param {number} [options.virtualPages] - Pages in the virtual address space
+   * @param {number} [options.physicalFrames] - Frames of physical RAM
+   * @param {number} [options.tlbEntries] - TLB capacity
+   */
+  constructor({
+    pageSize = MEMORY_DEFAULTS.PAGE_SIZE,
+    virtualPages = MEMORY_DEFAULTS.VIRTUAL_PAGES,
+    physicalFrames = MEMORY_DEFAULTS.PHYSICAL_FRAMES,
+    tlbEntries = MEMORY_DEFAULTS.TLB_ENTRIES
+  } = {}) {
+    this.pageSize = pageSize;
+    this.offsetBits = Math.log2(pageSize);
+    this.virtualPages = virtualPages;
+    this.tlbEntries = tlbEntries;
+    this.physical = new Uint8Array(pageSize * physicalFrames);
+    this.freeFrames = Array.from({ length: physicalFrames }, (_, frame) => frame);
+    this.residentPages = []; // FIFO eviction order
+    this.swap = new Map(); // page -> saved contents
+    this.tlb = []; // {page, frame}, least recently used first
+    this.pageTable = Array.from({ length: virtualPages }, (_, page) => ({
+      page,
+      valid: false, // Covered by a mapping (otherwise any access is a segmentation fault)
+      present: false, // Backed by a physical frame
+      writable: true,
+      frame: null,
+      label: null,
+      dirty: false
+    }));
+    this.stackPage = virtualPages - 2;
+    this.kernelPage = virtualPages - 1;
+    this.heapNext = pageSize; // First byte after the NULL guard page
+    this.stats = { tlbHits: 0, tlbMisses: 0, minorFaults: 0, majorFaults: 0, evictions: 0 };
+  }
+
+  /**
+   * Map the NULL guard, kernel and stack pages, as the kernel does when it enables paging
+   * @returns {string[]} - Description of the resulting layout
+   */
+  setupPaging() {
+    const kernel = this.pageTable[this.kernelPage];
+    Object.assign(kernel, { valid: true, writable: false, label: 'kernel' });
+    this.loadFrame(kernel);
+    this.residentPages = this.residentPages.filter(page => page !== this.kernelPage); // Kernel pages are pinned
+    Object.assign(this.pageTable[this.stackPage], { valid: true, label: 'stack' });
+    const lastHeapPage = this.stackPage - 1;
+    const range = page => `${toAddress(page * this.pageSize)}-${toAddress((page + 1) * this.pageSize - 1)}`;
+    return [
+      `Page size ${this.pageSize} B, ${this.virtualPages} virtual pages (${this.offsetBits + Math.log2(this.virtualPages)}-bit addresses), ` +
+        `${this.physical.length / this.pageSize} physical frames (${this.physical.length / 1024} KiB), ${this.tlbEntries}-entry TLB`,
+      `VPN 0x0  ${range(0)}  NULL guard (never mapped)`,
+      `VPN 0x1-0x${lastHeapPage.toString(16).toUpperCase()}  ${toAddress(this.pageSize)}-${toAddress((lastHeapPage + 1) * this.pageSize - 1)}  heap (mapped on allocation)`,
+      `VPN 0x${this.stackPage.toString(16).toUpperCase()}  ${range(this.stackPage)}  stack (demand-paged)`,
+      `VPN 0x${this.kernelPage.toString(16).toUpperCase()}  ${range(this.kernelPage)}  kernel, read-only -> frame ${kernel.frame}`
+    ];
+  }
+
+  /**
+   * Map heap pages covering a range (like mmap with MAP_FIXED); the NULL, stack and kernel pages are left alone
+   * @param {number} address - Start virtual address
+   * @param {number} length - Length in bytes
+   * @returns {number} - The start address
+   */
+  mapFixed(address, length) {
+    const lastPage = Math.min(this.virtualPages - 1, Math.floor((address + length - 1) / this.pageSize));
+    for (let page = Math.floor(address / this.pageSize); page <= lastPage; page++) {
+      const entry = this.pageTable[page];
+      if (page !== 0 && page < this.stackPage && !entry.valid) Object.assign(entry, { valid: true, label: 'heap' });
+    }
+    return address;
+  }
+
+  /**
+   * Allocate heap memory with a bump allocator
+   * @param {number} length - Bytes to allocate
+   * @returns {number} - Virtual address of the allocation
+   * @throws {PageFaultError} - If the heap would run into the stack page
+   */
+  allocate(length) {
+    const address = Math.ceil(this.heapNext / MEMORY_DEFAULTS.ALIGNMENT) * MEMORY_DEFAULTS.ALIGNMENT;
+    if (address + length > this.stackPage * this.pageSize) {
+      throw new PageFaultError(`Out of memory: heap cannot grow past ${toAddress(this.stackPage * this.pageSize)}`, address, 'MEM003');
+    }
+    this.heapNext = address + length;
+    return this.mapFixed(address, length);
+  }
+
+  /**
+   * Give a page a physical frame, evicting the oldest resident page to swap if RAM is full
+   * @param {Object} entry - Page table entry
+   * @returns {{steps: string[], major: boolean}} - Description of what happened, and whether the page came from swap
+   */
+  loadFrame(entry) {
+    const steps = [];
+    if (this.freeFrames.length === 0) {
+      const victim = this.pageTable[this.residentPages.shift()];
+      const start = victim.frame * this.pageSize;
+      this.swap.set(victim.page, this.physical.slice(start, start + this.pageSize));
+      this.tlb = this.tlb.filter(cached => cached.page !== victim.page);
+      this.freeFrames.push(victim.frame);
+      steps.push(`Evicting VPN 0x${victim.page.toString(16).toUpperCase()} from frame ${victim.frame} to swap (FIFO)`);
+      Object.assign(victim, { present: false, frame: null });
+      this.stats.evictions += 1;
+    }
+    const frame = this.freeFrames.shift();
+    const start = frame * this.pageSize;
+    const saved = this.swap.get(entry.page);
+    if (saved) {
+      this.physical.set(saved, start);
+      this.swap.delete(entry.page);
+      steps.push(`Major fault: reading VPN 0x${entry.page.toString(16).toUpperCase()} back from swap into frame ${frame}`);
+    } else {
+      this.physical.fill(0, start, start + this.pageSize);
+      steps.push(`Minor fault: zero-filled frame ${frame} for VPN 0x${entry.page.toString(16).toUpperCase()}`);
+    }
+    Object.assign(entry, { present: true, frame });
+    this.residentPages.push(entry.page);
+    return { steps, major: Boolean(saved) };
+  }
+
+  /**
+   * Translate a virtual address as the MMU would, handling demand-paging faults
+   * @param {number} address - Virtual address
+   * @param {Object} [options={}] - Access options
+   * @param {boolean} [options.write=false] - The access is a write
+   * @returns {{physical: number, steps: Object[]}} - Physical address and translation steps ({kind, text})
+   * @throws {PageFaultError} - For accesses the kernel cannot resolve
+   */
+  translate(address, { write = false } = {}) {
+    const limit = this.virtualPages * this.pageSize;
+    if (address < 0 || address >= limit) throw new PageFaultError(`Segmentation fault: ${toAddress(address)} is outside the ${toAddress(limit)}-byte address space`, address);
+    const page = Math.floor(address / this.pageSize);
+    const offset = address % this.pageSize;
+    const entry = this.pageTable[page];
+    const hexPage = `0x${page.toString(16).toUpperCase()}`;
+    const steps = [{ kind: 'split', text: `Virtual ${toAddress(address)} -> page number ${hexPage} (top ${Math.log2(this.virtualPages)} bits), offset ${toAddress(offset, 3)} (low ${this.offsetBits} bits)` }];
+
+    const cached = this.tlb.find(candidate => candidate.page === page);
+    if (cached) {
+      this.stats.tlbHits += 1;
+      this.tlb = this.tlb.filter(candidate => candidate !== cached).concat(cached);
+      steps.push({ kind: 'hit', text: `TLB hit: VPN ${hexPage} -> frame ${cached.frame}` });
+    } else {
+      this.stats.tlbMisses += 1;
+      steps.push({ kind: 'miss', text: `TLB miss: walking page table entry ${hexPage}` });
+      if (page === 0) throw new PageFaultError(`Segmentation fault: NULL pointer access at ${toAddress(address)} (page 0x0 is never mapped)`, address);
+      if (!entry.valid) throw new PageFaultError(`Segmentation fault: ${toAddress(address)} is not mapped (no mapping covers page ${hexPage})`, address);
+      if (!entry.present) {
+        steps.push({ kind: 'fault', text: `Page fault: VPN ${hexPage} is valid but not present` });
+        const { steps: faultSteps, major } = this.loadFrame(entry);
+        faultSteps.forEach(text => steps.push({ kind: 'fault', text }));
+        if (major) this.stats.majorFaults += 1;
+        else this.stats.minorFaults += 1;
+      }
+      steps.push({ kind: 'walk', text: `PTE ${hexPage}: present=1 frame=${entry.frame} ${entry.writable ? 'rw' : 'ro'}` });
+      this.tlb.push({ page, frame: entry.frame });
+      if (this.tlb.length > this.tlbEntries) this.tlb.shift();
+    }
+    if (write && !entry.writable) throw new PageFaultError(`Protection fault: write to read-only ${entry.label} page at ${toAddress(address)}`, address);
+    if (write) entry.dirty = true;
+
+    const physical = entry.frame * this.pageSize + offset;
+    steps.push({ kind: 'result', text: `Physical address = frame ${entry.frame} x ${toAddress(this.pageSize)} + ${toAddress(offset, 3)} = ${toAddress(physical)}` });
+    return { physical, steps };
+  }
+
+  /**
+   * Write bytes to virtual memory
+   * @param {number} address - Start virtual address
+   * @param {number[]} bytes - Bytes to write
+   * @returns {Object[]} - Translation steps for the first byte written in each page
+   * @throws {PageFaultError} - For accesses the kernel cannot resolve
+   */
+  write(address, bytes) {
+    const steps = [];
+    bytes.forEach((byte, index) => {
+      const translation = this.translate(address + index, { write: true });
+      if (index === 0 || (address + index) % this.pageSize === 0) steps.push(...translation.steps);
+      this.physical[translation.physical] = byte;
+    });
+    return steps;
+  }
+
+  /**
+   * Read a byte without going through the TLB or faulting (for dumps)
+   * @param {number} address - Virtual address
+   * @returns {number|null} - Byte value, or null if the page is not resident
+   */
+  peek(address) {
+    const entry = this.pageTable[Math.floor(address / this.pageSize)];
+    if (!entry || !entry.present) return null;
+    return this.physical[entry.frame * this.pageSize + (address % this.pageSize)];
+  }
+
+  /**
+   * Render a hexdump -C style view of a virtual memory region, in 16-byte rows
+   * @param {number} address - Start virtual address
+   * @param {number} length - Length in bytes
+   * @returns {string[]} - Dump lines ("??" for bytes in pages that are not resident)
+   */
+  hexdump(address, length) {
+    const lines = [];
+    const start = Math.floor(address / 16) * 16;
+    const end = Math.ceil((address + length) / 16) * 16;
+    for (let row = start; row < end; row += 16) {
+      const bytes = Array.from({ length: 16 }, (_, index) => this.peek(row + index));
+      const hex = bytes.map(byte => (byte === null ? '??' : byte.toString(16).padStart(2, '0')));
+      const ascii = bytes.map(byte => (byte !== null && byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join('');
+      const entry = this.pageTable[Math.floor(row / this.pageSize)];
+      const physical = entry.present ? toAddress(entry.frame * this.pageSize + (row % this.pageSize)) : '------';
+      lines.push(`${toAddress(row)} (phys ${physical})  ${hex.slice(0, 8).join(' ')}  ${hex.slice(8).join(' ')}  |${ascii}|`);
+    }
+    return lines;
+  }
+}
+
+module.exports = { MemoryModel, PageFaultError, MEMORY_DEFAULTS, toAddress };
@@ -0,0 +1,560 @@
+// ===================================================================
+// |> Virtual Network - Packet-Level DHCP, ARP, DNS and ICMP <|
+// ===================================================================
+// Purpose:
+//   Bring up a small virtual LAN at boot (the simulateNetwork profile action) and run a real exchange over it:
+//     DHCP   Discover, Offer, Request, ACK (DORA) leases the host its address
+//     ARP    who-has/is-at finds the MAC address of every on-link neighbour before the first packet to it
+//     DNS    an A query to the stub DNS server resolves the traceroute target
+//     ICMP   an echo to the gateway, split into IPv4 fragments when it does not fit the MTU, and a
+//            TTL-based traceroute whose routers answer "time exceeded" until the target replies
+//   Every frame is logged like `tcpdump -nn`, with its header fields decoded in binary and hex. The IPv4
+//   header checksums are real, so the same exchange at MTU 1500 and 9000 differs only where it should.
+//   With a firewall loaded, every datagram also gets its verdict, and a dropped one changes what happens next.
+
+const IP_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+const MAC_PATTERN = /^[0-9a-f]{2}(:[0-9a-f]{2}){5}$/i;
+const HOST_NAME = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i;
+const BROADCAST_MAC = 'ff:ff:ff:ff:ff:ff';
+
+// Interface MTU limits: the IPv4 minimum and the usual jumbo frame size
+const MTU_RANGE = { MIN: 68, MAX: 9000 };
+
+// Header and payload sizes in bytes
+const SIZES = { ETH: 14, ARP: 28, IP: 20, UDP: 8, ICMP: 8, BOOTP: 300, DNS: 12, DNS_ANSWER: 16, PROBE: 32 };
+
+const PROTOCOLS = { 1: 'ICMP', 17: 'UDP' };
+const ICMP_TYPES = { 0: 'echo reply', 8: 'echo request', 11: 'time exceeded' };
+const DHCP_TYPES = { 1: 'Discover', 2: 'Offer', 3: 'Request', 5: 'ACK' };
+
+// Network the default profile brings up; simulateNetwork args override it key by key
+const DEFAULT_NETWORK = {
+  interface: 'eth0',
+  mac: '52:54:00:12:34:56',
+  mtu: 1500,
+  dhcp: { address: '192.168.1.42', prefix: 24, lease: 86400 },
+  gateway: { ip: '192.168.1.1', mac: '52:54:00:c0:ff:ee' },
+  dns: { ip: '192.168.1.53', mac: '52:54:00:00:d0:53', records: { 'example.com': '93.184.216.34' } },
+  ping: { host: '192.168.1.1', size: 4000 },
+  traceroute: {
+    host: 'example.com',
+    routers: [{ ip: '10.10.0.1', ms: 6.2 }, { ip: '100.64.12.9', ms: 11.8 }, { ip: '203.0.113.77', ms: 18.5 }],
+    ms: 21.3
+  }
+};
+
+/**
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether it is a dotted-quad IPv4 address
+ */
+const isIp = (value) => typeof value === 'string' && IP_PATTERN.test(value) && value.split('.').every(part => Number(part) <= 255);
+
+/**
+ * @param {string} ip - Dotted-quad IPv4 address
+ * @returns {number} - The address as an unsigned 32-bit number
+ */
+const ipToNumber = (ip) => ip.split('.').reduce((value, part) => value * 256 + Number(part), 0);
+
+/**
+ * @param {number} value - Unsigned field value
+ * @param {number} digits - Hex digits
+ * @returns {string} - e.g., "0x0800"
+ */
+const hex = (value, digits) => `0x${value.toString(16).padStart(digits, '0')}`;
+
+/**
+ * @param {number} value - Unsigned field value
+ * @param {number} width - Field width in bits
+ * @returns {string} - Binary grouped in nibbles from the right, e.g., "0_0000_1011_1001"
+ */
+const bits = (value, width) => value.toString(2).padStart(width, '0').replace(/\B(?=([01]{4})+$)/g, '_');
+
+/**
+ * RFC 1071 Internet checksum
+ * @param {number[]} bytes - Header bytes with the checksum field zeroed
+ * @returns {number} - 16-bit checksum
+ */
+const internetChecksum = (bytes) => {
+  let sum = 0;
+  for (let i = 0; i < bytes.length; i += 2) sum += (bytes[i] << 8) + (bytes[i + 1] || 0);
+  while (sum > 0xffff) sum = (sum & 0xffff) + (sum >>> 16);
+  return ~sum & 0xffff;
+};
+
+/**
+ * Build an IPv4 header (no options) and compute its checksum
+ * @param {Object} fields - { length, id, df, more, offset (8-byte units), ttl, protocol, src, dst }
+ * @returns {Object} - Header fields with flags (3 bits) and checksum
+ */
+const ipHeader = ({ length, id, df = false, more = false, offset = 0, ttl, protocol, src, dst }) => {
+  const flags = (df ? 2 : 0) | (more ? 1 : 0);
+  const address = ip => ip.split('.').map(Number);
+  const bytes = [0x45, 0, length >> 8, length & 0xff, id >> 8, id & 0xff, (flags << 5) | (offset >> 8), offset & 0xff, ttl, protocol, 0, 0, ...address(src), ...address(dst)];
+  return { length, id, flags, offset, ttl, protocol, src, dst, checksum: internetChecksum(bytes) };
+};
+
+/**
+ * Format a capture time the way tcpdump does
+ * @param {number} us - Microseconds since the capture started
+ * @returns {string} - e.g., "00:00:01.000512"
+ */
+const formatTime = (us) => {
+  const total = Math.round(us);
+  const seconds = Math.floor(total / 1e6);
+  const clock = [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60].map(part => String(part).padStart(2, '0')).join(':');
+  return `${clock}.${String(total % 1e6).padStart(6, '0')}`;
+};
+
+/**
+ * Decode a packet's headers, one line per layer, with the fields shown in binary and hex
+ * @param {Object} packet - Packet built by VirtualNetwork
+ * @returns {string[]} - Decoded header lines
+ */
+const decodePacket = (packet) => {
+  const { eth, arp, ip, udp, icmp, dhcp, dns } = packet;
+  const type = arp ? 0x0806 : 0x0800;
+  const lines = [];
+  if (arp) {
+    lines.push(`arp op ${bits(arp.op, 16)} (${arp.op === 1 ? 'request' : 'reply'}) htype ${hex(1, 4)} ptype ${hex(0x0800, 4)} spa ${hex(ipToNumber(arp.spa), 8)} tpa ${hex(ipToNumber(arp.tpa), 8)}`
+      + ` | eth ${eth.src} > ${eth.dst} type ${hex(type, 4)} frame ${packet.frame} bytes`);
+    return lines;
+  }
+  const flagNames = [ip.flags & 2 ? 'DF' : null, ip.flags & 1 ? 'MF' : null].filter(Boolean);
+  lines.push(`ip ${hex(0x45, 2)}=${bits(0x45, 8)} (v4, ${SIZES.IP} bytes) len ${hex(ip.length, 4)} (${ip.length}) id ${hex(ip.id, 4)}`
+    + ` flags ${bits(ip.flags, 3)}${flagNames.length ? ` [${flagNames.join(',')}]` : ''} off ${bits(ip.offset, 13)}${ip.offset ? ` (byte ${ip.offset * 8})` : ''}`
+    + ` ttl ${hex(ip.ttl, 2)}=${bits(ip.ttl, 8)} proto ${hex(ip.protocol, 2)}=${bits(ip.protocol, 8)} (${PROTOCOLS[ip.protocol]}) sum ${hex(ip.checksum, 4)}`);
+  if (udp) {
+    let line = `udp sport ${hex(udp.sport, 4)} (${udp.sport}) dport ${hex(udp.dport, 4)} (${udp.dport}) len ${udp.length}`;
+    if (dhcp) line += ` | bootp op ${bits(dhcp.op, 8)} xid ${hex(dhcp.xid, 8)} yiaddr ${hex(ipToNumber(dhcp.yiaddr), 8)} option 53 ${hex(dhcp.type, 2)}=${bits(dhcp.type, 8)} (${DHCP_TYPES[dhcp.type]})`;
+    if (dns) line += ` | dns id ${hex(dns.id, 4)} flags ${bits(dns.flags, 16)} (QR=${dns.flags >> 15} RD=${(dns.flags >> 8) & 1} RA=${(dns.flags >> 7) & 1} rcode=${dns.flags & 0xf}) an ${dns.answers.length}`;
+    lines.push(line);
+  }
+  if (icmp) lines.push(`icmp type ${hex(icmp.type, 2)}=${bits(icmp.type, 8)} (${ICMP_TYPES[icmp.type]}) code ${hex(icmp.code, 2)}${icmp.type === 11 ? '' : ` id ${hex(icmp.id, 4)} seq ${hex(icmp.seq, 4)}`}`);
+  return lines;
+};
+
+/**
+ * Virtual LAN with the booting host, its gateway and a stub DNS server
+ */
+class VirtualNetwork {
+  /**
+   * @param {Object} [config={}] - Network description checked by VirtualNetwork.validate; missing keys keep DEFAULT_NETWORK's
+   * @param {Object} [options={}] - Simulation options
+   * @param {number|null} [options.mtu=null] - Interface MTU overriding the description's (--mtu)
+   * @param {function(): number} [options.random=Math.random] - Source of transaction ids, ports and latency jitter
+   * @param {Firewall|null} [options.firewall=null] - Firewall every datagram to and from the host passes through
+   */
+  constructor(config = {}, { mtu = null, random = Math.random, firewall = null } = {}) {
+    const merged = { ...DEFAULT_NETWORK, ...config };
+    this.interface = merged.interface;
+    this.mac = merged.mac.toLowerCase();
+    this.mtu = mtu || merged.mtu;
+    this.dhcp = { ...DEFAULT_NETWORK.dhcp, ...merged.dhcp };
+    this.gateway = { ...DEFAULT_NETWORK.gateway, ...merged.gateway };
+    this.dns = { ...DEFAULT_NETWORK.dns, ...merged.dns, records: { ...DEFAULT_NETWORK.dns.records, ...(merged.dns || {}).records } };
+    this.ping = { ...DEFAULT_NETWORK.ping, ...merged.ping };
+    this.traceroute = { ...DEFAULT_NETWORK.traceroute, ...merged.traceroute };
+    this.random = random;
+    this.firewall = firewall;
+    this.address = null; // Leased by DHCP
+    this.arpCache = {}; // IPv4 address -> MAC address
+    this.hosts = {}; // Host name -> IPv4 address once resolved, null when the lookup failed
+    this.clock = 0; // Microseconds since the capture started
+    this.ipId = 1 + Math.floor(random() * 0xfff0); // IPv4 identification, one per datagram
+  }
+
+  /**
+   * Check a simulateNetwork action's args
+   * @param {*} config - Network description (every key optional)
+   * @param {string} path - Path used in error messages (e.g., "stages[2].steps[4].args")
+   * @returns {string[]} - Human-readable violations (empty if valid)
+   */
+  static validate(config, path) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(config)) return [`${path}: must be an object`];
+    const errors = [];
+    const checkKeys = (value, at, allowed) => Object.keys(value).filter(key => !allowed.includes(key))
+      .forEach(key => errors.push(`${at}: unknown property "${key}" (allowed: ${allowed.join(', ')})`));
+    const checkIp = (value, at) => { if (value !== undefined && !isIp(value)) errors.push(`${at}: must be an IPv4 address such as "192.168.1.1"`); };
+    const checkMac = (value, at) => { if (value !== undefined && !(typeof value === 'string' && MAC_PATTERN.test(value))) errors.push(`${at}: must be a MAC address such as "52:54:00:12:34:56"`); };
+    const checkMs = (value, at) => { if (value !== undefined && !(typeof value === 'number' && value > 0)) errors.push(`${at}: must be a positive number of milliseconds`); };
+    const section = (key, allowed) => {
+      if (config[key] === undefined) return {};
+      if (!isObject(config[key])) {
+        errors.push(`${path}.${key}: must be an object`);
+        return {};
+      }
+      checkKeys(config[key], `${path}.${key}`, allowed);
+      return config[key];
+    };
+
+    checkKeys(config, path, Object.keys(DEFAULT_NETWORK));
+    if (config.interface !== undefined && !(typeof config.interface === 'string' && /^[a-z][a-z0-9]{0,14}$/.test(config.interface))) {
+      errors.push(`${path}.interface: must be an interface name such as "eth0"`);
+    }
+    checkMac(config.mac, `${path}.mac`);
+    if (config.mtu !== undefined && !(Number.isInteger(config.mtu) && config.mtu >= MTU_RANGE.MIN && config.mtu <= MTU_RANGE.MAX)) {
+      errors.push(`${path}.mtu: must be a whole number of bytes from ${MTU_RANGE.MIN} to ${MTU_RANGE.MAX}`);
+    }
+    const dhcp = section('dhcp', ['address', 'prefix', 'lease']);
+    checkIp(dhcp.address, `${path}.dhcp.address`);
+    if (dhcp.prefix !== undefined && !(Number.isInteger(dhcp.prefix) && dhcp.prefix >= 8 && dhcp.prefix <= 30)) errors.push(`${path}.dhcp.prefix: must be a prefix length from 8 to 30`);
+    if (dhcp.lease !== undefined && !(Number.isInteger(dhcp.lease) && dhcp.lease > 0)) errors.push(`${path}.dhcp.lease: must be a positive number of seconds`);
+    const gateway = section('gateway', ['ip', 'mac']);
+    checkIp(gateway.ip, `${path}.gateway.ip`);
+    checkMac(gateway.mac, `${path}.gateway.mac`);
+    const dns = section('dns', ['ip', 'mac', 'records']);
+    checkIp(dns.ip, `${path}.dns.ip`);
+    checkMac(dns.mac, `${path}.dns.mac`);
+    if (dns.records !== undefined) {
+      if (!isObject(dns.records)) errors.push(`${path}.dns.records: must map host names to IPv4 addresses`);
+      else Object.entries(dns.records).forEach(([name, ip]) => (HOST_NAME.test(name) ? checkIp(ip, `${path}.dns.records["${name}"]`) : errors.push(`${path}.dns.records: "${name}" is not a host name`)));
+    }
+    const records = { ...DEFAULT_NETWORK.dns.records, ...(isObject(dns.records) ? dns.records : {}) };
+    const checkHost = (host, at) => {
+      if (host !== undefined && !isIp(host) && !(typeof host === 'string' && records[host.toLowerCase()])) errors.push(`${at}: must be an IPv4 address or a name in dns.records`);
+    };
+    const ping = section('ping', ['host', 'size']);
+    checkHost(ping.host, `${path}.ping.host`);
+    if (ping.size !== undefined && !(Number.isInteger(ping.size) && ping.size >= 0 && ping.size <= 65507)) errors.push(`${path}.ping.size: must be a payload size from 0 to 65507 bytes`);
+    const traceroute = section('traceroute', ['host', 'routers', 'ms']);
+    checkHost(traceroute.host, `${path}.traceroute.host`);
+    checkMs(traceroute.ms, `${path}.traceroute.ms`);
+    if (traceroute.routers !== undefined) {
+      if (!Array.isArray(traceroute.routers) || traceroute.routers.length > 28) errors.push(`${path}.traceroute.routers: must be an array of up to 28 { ip, ms } hops`);
+      else {
+        traceroute.routers.forEach((router, index) => {
+          const at = `${path}.traceroute.routers[${index}]`;
+          if (!isObject(router) || !isIp(router.ip) || !(typeof router.ms === 'number' && router.ms > 0)) {
+            errors.push(`${at}: must be { ip, ms } with an IPv4 address and a positive number of milliseconds`);
+          } else {
+            checkKeys(router, at, ['ip', 'ms']);
+          }
+        });
+      }
+    }
+    if (errors.length === 0) {
+      // The DHCP server sits on the gateway and DNS is asked directly, so both must be reachable without routing
+      const network = new VirtualNetwork(config);
+      ['gateway', 'dns'].filter(key => !network.onLink(network[key].ip)).forEach(key => {
+        errors.push(`${path}.${key}.ip: ${network[key].ip} is not on the leased subnet ${network.dhcp.address}/${network.dhcp.prefix}`);
+      });
+    }
+    return errors;
+  }
+
+  /**
+   * @param {string} ip - IPv4 address
+   * @returns {boolean} - Whether the address is on the host's subnet (reached directly, not through the gateway)
+   */
+  onLink(ip) {
+    const mask = (0xffffffff << (32 - this.dhcp.prefix)) >>> 0;
+    return ((ipToNumber(ip) & mask) >>> 0) === ((ipToNumber(this.dhcp.address) & mask) >>> 0);
+  }
+
+  /**
+   * MAC address of a neighbour on the LAN
+   * @param {string} ip - IPv4 address of the gateway or the DNS server
+   * @returns {string} - Its MAC address
+   */
+  neighbourMac(ip) {
+    if (ip === this.dns.ip) return this.dns.mac.toLowerCase();
+    return this.gateway.mac.toLowerCase();
+  }
+
+  /**
+   * Advance the capture clock
+   * @param {number} ms - Nominal one-way latency in milliseconds; up to 10% jitter is added
+   * @param {number} [bytes=0] - Frame bytes put on the wire (1 Gbit/s, 8 ns per byte)
+   * @returns {number} - Capture time in microseconds
+   */
+  tick(ms, bytes = 0) {
+    this.clock += ms * 1000 * (1 + this.random() * 0.1) + bytes * 0.008;
+    return this.clock;
+  }
+
+  /**
+   * Build a packet record
+   * @param {Object} fields - { eth, arp?, ip?, udp?, icmp?, dhcp?, dns?, frame, text }
+   * @param {number} ms - One-way latency before it is captured
+   * @returns {Object} - Packet with its capture time, tcpdump line and decoded header lines
+   */
+  capture(fields, ms) {
+    const time = this.tick(ms, fields.frame);
+    return { ...fields, time, line: `${formatTime(time)} ${fields.text}`, decode: decodePacket(fields) };
+  }
+
+  /**
+   * Send an IPv4 datagram, fragmented to fit the MTU; only the first fragment carries the UDP or ICMP header
+   * With a firewall, the first fragment also carries its verdict on the whole datagram in `filter`.
+   * @param {Object} datagram - { src, dst, srcMac, dstMac, ttl, protocol, payload (bytes after the IP header), udp?, icmp?, dhcp?, dns?, text }
+   * @param {number} ms - One-way latency
+   * @returns {Object[]} - Captured packets, one per fragment
+   */
+  sendIp(datagram, ms) {
+    const { src, dst, srcMac, dstMac, ttl = 64, protocol, payload, text } = datagram;
+    const id = this.ipId;
+    this.ipId = (this.ipId + 1) & 0xffff;
+    const maxData = Math.floor((this.mtu - SIZES.IP) / 8) * 8;
+    const fragments = [];
+    for (let start = 0; start === 0 || start < payload; start += maxData) fragments.push({ start, size: Math.min(maxData, payload - start) });
+    const fragmented = fragments.length > 1;
+    const packets = fragments.map(({ start, size }, index) => {
+      const more = index < fragments.length - 1;
+      const ip = ipHeader({ length: SIZES.IP + size, id, df: !fragmented, more, offset: start / 8, ttl, protocol, src, dst });
+      const layers = index === 0 ? { udp: datagram.udp, icmp: datagram.icmp, dhcp: datagram.dhcp, dns: datagram.dns } : {};
+      const frag = fragmented ? ` (frag ${id}:${size}@${start}${more ? '+' : ''})` : '';
+      // tcpdump shows UDP ports after the addresses, and only the protocol number for later fragments
+      const endpoints = layers.udp ? `${src}.${layers.udp.sport} > ${dst}.${layers.udp.dport}` : `${src} > ${dst}`;
+      const summary = index === 0 ? text : `ip-proto-${protocol}`;
+      return this.capture({ eth: { src: srcMac, dst: dstMac }, ip, ...layers, frame: SIZES.ETH + ip.length, text: `IP ${endpoints}: ${summary}${frag}` }, index === 0 ? ms : 0);
+    });
+    // Netfilter sees whole datagrams: outgoing ones before fragmentation, incoming ones after reassembly
+    if (this.firewall) packets[0].filter = this.firewall.filter(this.filterView(datagram, ttl));
+    return packets;
+  }
+
+  /**
+   * A datagram as the firewall sees it
+   * @param {Object} datagram - Datagram given to sendIp
+   * @param {number} ttl - Its TTL
+   * @returns {Object} - Packet for Firewall.filter; datagrams from the host (or from 0.0.0.0 before it has a lease) go to the output hook
+   */
+  filterView({ src, dst, protocol, payload, udp, icmp }, ttl) {
+    const outgoing = src === '0.0.0.0' || src === this.address;
+    return {
+      hook: outgoing ? 'output' : 'input',
+      iifname: outgoing ? null : this.interface,
+      oifname: outgoing ? this.interface : null,
+      src, dst, protocol, ttl,
+      length: SIZES.IP + payload,
+      ...(udp ? { sport: udp.sport, dport: udp.dport } : {}),
+      ...(icmp ? { icmpType: icmp.type, icmpId: icmp.id, quote: icmp.quote } : {})
+    };
+  }
+
+  /**
+   * @param {Object[]} packets - Fragments of one datagram from sendIp
+   * @returns {string|null} - Why the firewall stopped the datagram (e.g., "dropped by inet filter input policy"), or null if it passed
+   */
+  blocked(packets) {
+    const { filter } = packets[0];
+    if (!filter || filter.verdict === 'accept') return null;
+    return `${filter.verdict === 'reject' ? 'rejected' : 'dropped'} by ${filter.where}`;
+  }
+
+  /**
+   * DHCP DORA: Discover and Request are broadcast from 0.0.0.0, the gateway's DHCP server offers and acknowledges the lease
+   * @returns {Object} - Phase { title, packets, results, warnings }; without a lease this.address stays null
+   */
+  runDhcp() {
+    const xid = Math.floor(this.random() * 0xffffffff) >>> 0;
+    const { address, prefix, lease } = this.dhcp;
+    const udpLength = SIZES.UDP + SIZES.BOOTP;
+    const client = { src: '0.0.0.0', dst: '255.255.255.255', srcMac: this.mac, dstMac: BROADCAST_MAC, udp: { sport: 68, dport: 67, length: udpLength } };
+    const server = { src: this.gateway.ip, dst: address, srcMac: this.gateway.mac, dstMac: this.mac, udp: { sport: 67, dport: 68, length: udpLength } };
+    const message = (side, type) => ({
+      ...side,
+      protocol: 17,
+      payload: udpLength,
+      dhcp: { op: side === client ? 1 : 2, xid, yiaddr: side === client ? '0.0.0.0' : address, type },
+      text: side === client
+        ? `BOOTP/DHCP, ${DHCP_TYPES[type]} from ${this.mac}, length ${SIZES.BOOTP}`
+        : `BOOTP/DHCP, ${DHCP_TYPES[type]} ${address} to ${this.mac}, length ${SIZES.BOOTP}`
+    });
+    const title = 'DHCP: Discover, Offer, Request, ACK';
+    const packets = [];
+    for (const [side, type, ms] of [[client, 1, 0], [server, 2, 0.6], [client, 3, 0.2], [server, 5, 0.4]]) {
+      const sent = this.sendIp(message(side, type), ms);
+      packets.push(...sent);
+      const blocked = this.blocked(sent);
+      if (blocked) return { title, packets, results: [], warnings: [`DHCP ${DHCP_TYPES[type]} ${blocked}: no lease, ${this.interface} stays unconfigured`] };
+    }
+    this.address = address;
+    const results = [`${this.interface}: DHCPv4 address ${address}/${prefix}, gateway ${this.gateway.ip}, DNS ${this.dns.ip}, lease ${lease}s (xid ${hex(xid, 8)})`];
+    return { title, packets, results, warnings: [] };
+  }
+
+  /**
+   * Resolve a neighbour's MAC address with ARP, unless it is already cached
+   * @param {string} ip - IPv4 address on the LAN
+   * @returns {Object[]} - Captured request and reply (none on a cache hit)
+   */
+  resolveMac(ip) {
+    if (this.arpCache[ip]) return [];
+    const mac = this.neighbourMac(ip);
+    this.arpCache[ip] = mac;
+    const frame = SIZES.ETH + SIZES.ARP;
+    return [
+      this.capture({ eth: { src: this.mac, dst: BROADCAST_MAC }, arp: { op: 1, spa: this.address, tpa: ip }, frame, text: `ARP, Request who-has ${ip} tell ${this.address}, length ${SIZES.ARP}` }, 0.05),
+      this.capture({ eth: { src: mac, dst: this.mac }, arp: { op: 2, spa: ip, tpa: this.address }, frame, text: `ARP, Reply ${ip} is-at ${mac}, length ${SIZES.ARP}` }, 0.15)
+    ];
+  }
+
+  /**
+   * Next hop for a destination: the destination itself on the LAN, the gateway otherwise
+   * @param {string} ip - Destination address
+   * @returns {string} - IPv4 address whose MAC the frame is sent to
+   */
+  nextHop(ip) {
+    return this.onLink(ip) && (ip === this.dns.ip || ip === this.gateway.ip) ? ip : this.gateway.ip;
+  }
+
+  /**
+   * ARP for the gateway and the DNS server, as the host does before talking to them
+   * @returns {Object} - Phase { title, packets, results, warnings }
+   */
+  runArp() {
+    const neighbours = [this.gateway.ip, this.nextHop(this.dns.ip)].filter((ip, index, list) => list.indexOf(ip) === index);
+    const packets = neighbours.flatMap(ip => this.resolveMac(ip));
+    const results = neighbours.map(ip => `arp: ${ip} is at ${this.arpCache[ip]} (${this.interface})`);
+    return { title: 'ARP: gateway and DNS server', packets, results, warnings: [] };
+  }
+
+  /**
+   * Resolve a host name with an A query to the stub DNS server
+   * @param {string} name - Host name (or an IPv4 address, returned as is)
+   * @returns {{ip: string|null, phase: Object|null}} - Address (null if the firewall stopped the lookup) and the DNS phase
+   *   (null for an address or a name already looked up)
+   */
+  resolveName(name) {
+    const key = name.toLowerCase();
+    if (isIp(name)) return { ip: name, phase: null };
+    if (Object.prototype.hasOwnProperty.call(this.hosts, key)) return { ip: this.hosts[key], phase: null };
+    const ip = this.dns.records[key];
+    const title = `DNS: A record for ${name}`;
+    const id = Math.floor(this.random() * 0xffff);
+    const port = 32768 + Math.floor(this.random() * 28232);
+    const question = name.length + 2 + 4; // Length-prefixed labels, root label, QTYPE and QCLASS
+    const query = SIZES.DNS + question;
+    const response = query + SIZES.DNS_ANSWER;
+    const hop = this.nextHop(this.dns.ip);
+    // Flags 0x0100: a query with recursion desired; 0x8180: a response with recursion desired and available
+    const sent = this.sendIp({
+      src: this.address, dst: this.dns.ip, srcMac: this.mac, dstMac: this.arpCache[hop], protocol: 17, payload: SIZES.UDP + query,
+      udp: { sport: port, dport: 53, length: SIZES.UDP + query }, dns: { id, flags: 0x0100, answers: [] },
+      text: `${id}+ A? ${name}. (${query})`
+    }, 0.05);
+    this.hosts[key] = null;
+    const queryBlocked = this.blocked(sent);
+    if (queryBlocked) return { ip: null, phase: { title, packets: sent, results: [], warnings: [`DNS query for ${name} ${queryBlocked}: ${name} not resolved`] } };
+    const received = this.sendIp({
+      src: this.dns.ip, dst: this.address, srcMac: this.arpCache[hop], dstMac: this.mac, protocol: 17, payload: SIZES.UDP + response,
+      udp: { sport: 53, dport: port, length: SIZES.UDP + response }, dns: { id, flags: 0x8180, answers: [ip] },
+      text: `${id} 1/0/0 A ${ip} (${response})`
+    }, 0.3);
+    const answerBlocked = this.blocked(received);
+    if (answerBlocked) return { ip: null, phase: { title, packets: [...sent, ...received], results: [], warnings: [`DNS answer from ${this.dns.ip} ${answerBlocked}: ${name} not resolved`] } };
+    this.hosts[key] = ip;
+    const ms = (received[0].time - sent[0].time) / 1000;
+    return { ip, phase: { title, packets: [...sent, ...received], results: [`${name} has address ${ip} (answered by ${this.dns.ip} in ${ms.toFixed(3)} ms)`], warnings: [] } };
+  }
+
+  /**
+   * One ICMP echo to the ping host; a payload too large for the MTU leaves as several IPv4 fragments
+   * @returns {Object} - Phase { title, packets, results, warnings }
+   */
+  runPing() {
+    const { host, size } = this.ping;
+    const title = `ICMP: ping -c 1 -s ${size} ${host}`;
+    const ip = isIp(host) ? host : this.hosts[host.toLowerCase()];
+    if (!ip) return { title, packets: [], results: [], warnings: [`ping: ${host}: Temporary failure in name resolution`] };
+    const hop = this.nextHop(ip);
+    const icmpLength = SIZES.ICMP + size;
+    const datagram = SIZES.IP + icmpLength;
+    const id = 1;
+    const request = this.sendIp({
+      src: this.address, dst: ip, srcMac: this.mac, dstMac: this.arpCache[hop], protocol: 1, payload: icmpLength,
+      icmp: { type: 8, code: 0, id, seq: 1 }, text: `ICMP echo request, id ${id}, seq 1, length ${icmpLength}`
+    }, 0.05);
+    // Every fragment but the last carries the same (largest multiple of 8) amount of data
+    const last = request[request.length - 1].ip.length - SIZES.IP;
+    const full = request[0].ip.length - SIZES.IP;
+    const sizes = request.length > 2 ? `${request.length - 1} x ${full} + ${last}` : `${full} + ${last}`;
+    const fragmentation = request.length > 1
+      ? `MTU ${this.mtu}: the ${datagram}-byte datagram left as ${request.length} fragments each way (${sizes} data bytes, offsets in 8-byte units)`
+      : `MTU ${this.mtu}: the ${datagram}-byte datagram fits in one ${SIZES.ETH + datagram}-byte frame, no fragmentation`;
+    const results = [`PING ${host} (${ip}) ${size}(${datagram}) bytes of data.`];
+    const requestBlocked = this.blocked(request);
+    if (requestBlocked) return { title, packets: request, results, warnings: [`echo request ${requestBlocked}: ping: sendmsg: Operation not permitted`] };
+    const reply = this.sendIp({
+      src: ip, dst: this.address, srcMac: this.arpCache[hop], dstMac: this.mac, ttl: hop === ip ? 64 : 63 - this.traceroute.routers.length, protocol: 1, payload: icmpLength,
+      icmp: { type: 0, code: 0, id, seq: 1 }, text: `ICMP echo reply, id ${id}, seq 1, length ${icmpLength}`
+    }, this.onLink(ip) ? 0.25 : this.traceroute.ms / 2);
+    const replyBlocked = this.blocked(reply);
+    if (replyBlocked) {
+      results.push('1 packets transmitted, 0 received, 100% packet loss', fragmentation);
+      return { title, packets: [...request, ...reply], results, warnings: [`echo reply from ${ip} ${replyBlocked}`] };
+    }
+    const ms = (reply[reply.length - 1].time - request[0].time) / 1000;
+    results.push(`${icmpLength} bytes from ${ip}: icmp_seq=1 ttl=${reply[0].ip.ttl} time=${ms.toFixed(2)} ms`, fragmentation);
+    return { title, packets: [...request, ...reply], results, warnings: [] };
+  }
+
+  /**
+   * Traceroute with ICMP echoes of rising TTL: each router on the path discards the probe whose TTL it
+   * decrements to 0 and answers "time exceeded"; the target itself answers the echo
+   * @param {string|null} ip - Target address (already resolved; null if the lookup failed)
+   * @returns {Object} - Phase { title, packets, results, warnings }; a hop whose answer the firewall stops shows as "* * *"
+   */
+  runTraceroute(ip) {
+    const { host, routers, ms } = this.traceroute;
+    const title = `ICMP: traceroute -I ${host}`;
+    if (!ip) return { title, packets: [], results: [], warnings: [`traceroute: ${host}: Temporary failure in name resolution`] };
+    const hops = [{ ip: this.gateway.ip, ms: 0.4 }, ...routers, { ip, ms }];
+    const packets = [];
+    const warnings = [];
+    const results = [`traceroute to ${host} (${ip}), 30 hops max, ${SIZES.IP + SIZES.ICMP + SIZES.PROBE} byte packets`];
+    const dstMac = this.arpCache[this.gateway.ip];
+    const probeLength = SIZES.ICMP + SIZES.PROBE;
+    for (const [index, hop] of hops.entries()) {
+      const ttl = index + 1;
+      const last = index === hops.length - 1;
+      const probe = this.sendIp({
+        src: this.address, dst: ip, srcMac: this.mac, dstMac, ttl, protocol: 1, payload: probeLength,
+        icmp: { type: 8, code: 0, id: 2, seq: ttl }, text: `ICMP echo request, id 2, seq ${ttl}, length ${probeLength}`
+      }, 0.05);
+      packets.push(...probe);
+      const probeBlocked = this.blocked(probe);
+      if (probeBlocked) {
+        results.push(`${String(ttl).padStart(2)}  send failed`);
+        warnings.push(`probe with TTL ${ttl} ${probeBlocked}: traceroute: sendmsg: Operation not permitted`);
+        break;
+      }
+      const quoted = SIZES.ICMP + SIZES.IP + 8; // Time exceeded quotes the probe's IP header and first 8 bytes
+      const answer = this.sendIp(last
+        ? { src: ip, dst: this.address, srcMac: dstMac, dstMac: this.mac, ttl: 64 - index, protocol: 1, payload: probeLength, icmp: { type: 0, code: 0, id: 2, seq: ttl }, text: `ICMP echo reply, id 2, seq ${ttl}, length ${probeLength}` }
+        : {
+          src: hop.ip, dst: this.address, srcMac: dstMac, dstMac: this.mac, ttl: 255 - index, protocol: 1, payload: quoted,
+          icmp: { type: 11, code: 0, quote: { protocol: 1, src: this.address, dst: ip, icmpId: 2 } }, text: `ICMP time exceeded in-transit, length ${quoted}`
+        }, hop.ms);
+      packets.push(...answer);
+      const answerBlocked = this.blocked(answer);
+      if (answerBlocked) {
+        results.push(`${String(ttl).padStart(2)}  * * *`);
+        warnings.push(`hop ${ttl}: ${last ? 'echo reply' : 'time exceeded'} from ${hop.ip} ${answerBlocked}`);
+      } else {
+        results.push(`${String(ttl).padStart(2)}  ${hop.ip}  ${((answer[0].time - probe[0].time) / 1000).toFixed(3)} ms`);
+      }
+    }
+    return { title, packets, results, warnings };
+  }
+
+  /**
+   * Run the whole exchange, in the order a booting host does it; without a lease nothing else can run
+   * @returns {Object[]} - Phases { title, packets: [{ line, decode, filter? }], results, warnings }
+   */
+  exchange() {
+    const phases = [this.runDhcp()];
+    if (!this.address) return phases;
+    phases.push(this.runArp());
+    [this.ping.host, this.traceroute.host].forEach(host => {
+      const { phase } = this.resolveName(host);
+      if (phase) phases.push(phase);
+    });
+    phases.push(this.runPing(), this.runTraceroute(this.resolveName(this.traceroute.host).ip));
+    return phases;
+  }
+}
+
+module.exports = { VirtualNetwork, DEFAULT_NETWORK, MTU_RANGE, isIp, ipToNumber };
@@ -0,0 +1,467 @@
+// ===================================================================
+// |> Quiz Mode - Binary Exercises with Scoring and Progress <|
+// ===================================================================
+// Purpose:
+//   Drill what the simulator shows (--quiz): random problems checked against the Processor, in three kinds:
+//     operation  "What is 1011 NAND 0110?"                          answered in binary
+//     convert    "Convert 0b1101 to decimal" (or back to binary)     answered in the asked radix
+//     identify   "Which operation turns A = 1100, B = 1010 into R = 0110?"  answered with an operation name
+//   A wrong answer gets per-bit feedback from the Processor's Explanation column (or the place values of a
+//   conversion). Three right answers in a row move up a level, two wrong ones move down. Scores, streaks and
+//   the level reached are kept in a JSON file, so progress carries over between sessions.
+
+const fs = require('fs').promises;
+const { dirname } = require('path');
+const { InputHandler, InputError, Processor, OPERATIONS, UNARY_OPERATIONS } = require('./index');
+
+const SCORES_VERSION = 1;
+const QUESTION_TYPES = ['operation', 'convert', 'identify'];
+const SHIFT_OPERATIONS = ['SHL', 'SHR', 'SAR', 'ROL', 'ROR'];
+
+// Difficulty levels: operand width, operations asked about and radices used by conversions
+const QUIZ_LEVELS = [
+  { level: 1, name: 'beginner', width: 4, operations: ['AND', 'OR', 'XOR', 'NOT'], radices: ['dec'] },
+  { level: 2, name: 'intermediate', width: 6, operations: ['AND', 'OR', 'XOR', 'NOT', 'NAND', 'NOR', 'XNOR', 'ADD', 'SUB'], radices: ['dec', 'hex'] },
+  { level: 3, name: 'advanced', width: 8, operations: OPERATIONS, radices: ['dec', 'hex', 'oct'] }
+];
+
+// Scoring and level changes
+const QUIZ_RULES = {
+  POINTS: 10, // Per right answer, times the level
+  STREAK_BONUS: 5, // Extra points per right answer once the streak reaches STREAK_BONUS_FROM
+  STREAK_BONUS_FROM: 3,
+  PROMOTE_AFTER: 3, // Right answers in a row at one level before moving up
+  DEMOTE_AFTER: 2, // Wrong answers in a row before moving down
+  DEFAULT_QUESTIONS: 10,
+  MAX_QUESTIONS: 100,
+  HISTORY: 50 // Sessions kept in the scores file
+};
+
+// Radices a conversion asks for; the prefix is optional in answers
+const RADICES = {
+  bin: { name: 'binary', base: 2, prefix: '0b', pattern: /^(0b)?[01][01_]*$/i, digitBits: 1 },
+  oct: { name: 'octal', base: 8, prefix: '0o', pattern: /^(0o)?[0-7][0-7_]*$/i, digitBits: 3 },
+  dec: { name: 'decimal', base: 10, prefix: '0d', pattern: /^(0d)?[0-9][0-9_]*$/i, digitBits: null },
+  hex: { name: 'hexadecimal', base: 16, prefix: '0x', pattern: /^(0x)?[0-9a-f][0-9a-f_]*$/i, digitBits: 4 }
+};
+
+/**
+ * Parse an answer written in a radix, with or without its prefix
+ * @param {string} text - Trimmed answer
+ * @param {string} radix - RADICES key
+ * @returns {bigint|null} - Value, or null if the answer is not a number in that radix
+ */
+const parseRadix = (text, radix) => {
+  const { pattern, prefix, base } = RADICES[radix];
+  if (!pattern.test(text)) return null;
+  const digits = text.replace(/_/g, '').replace(new RegExp(`^${prefix}`, 'i'), '');
+  return BigInt(base === 10 ? digits : `${prefix}${digits}`);
+};
+
+/**
+ * Scores, streaks and level reached across quiz sessions
+ */
+class ScoreBook {
+  /**
+   * @param {Object} [data] - Contents of a scores file checked by ScoreBook.validate; a fresh book when omitted
+   */
+  constructor(data = {}) {
+    this.level = data.level || 1;
+    this.bestStreak = data.bestStreak || 0;
+    this.asked = data.asked || 0;
+    this.correct = data.correct || 0;
+    this.points = data.points || 0;
+    this.byType = {};
+    QUESTION_TYPES.forEach(type => { this.byType[type] = { asked: 0, correct: 0, ...(data.byType || {})[type] }; });
+    this.sessions = data.sessions || [];
+    this.session = null; // Entry of the running session, added to sessions on its first answer
+  }
+
+  /**
+   * Check a parsed scores file
+   * @param {*} data - Parsed JSON
+   * @returns {string[]} - Human-readable violations (empty if valid)
+   */
+  static validate(data) {
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) return ['scores: must be an object'];
+    const errors = [];
+    if (data.version !== SCORES_VERSION) errors.push(`version: must be ${SCORES_VERSION}, got ${JSON.stringify(data.version)}`);
+    if (!QUIZ_LEVELS.some(({ level }) => level === data.level)) errors.push(`level: must be 1 to ${QUIZ_LEVELS.length}`);
+    ['bestStreak', 'asked', 'correct', 'points'].forEach(key => {
+      if (!Number.isInteger(data[key]) || data[key] < 0) errors.push(`${key}: must be a whole number`);
+    });
+    if (data.byType !== undefined && (data.byType === null || typeof data.byType !== 'object')) errors.push('byType: must be an object');
+    if (!Array.isArray(data.sessions)) errors.push('sessions: must be an array');
+    return errors;
+  }
+
+  /**
+   * Load a scores file; a file that does not exist yet gives a fresh book
+   * @param {string} file - Scores file
+   * @returns {Promise<ScoreBook>} - Scores so far
+   * @throws {InputError} - If the file cannot be read or is not a valid scores file
+   */
+  static async load(file) {
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return new ScoreBook();
+      throw new InputError(`Cannot read quiz scores ${file}: ${err.message}`, 'QUZ001');
+    }
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (err) {
+      throw new InputError(`${file}: not a quiz scores file (${err.message})`, 'QUZ001');
+    }
+    const errors = ScoreBook.validate(data);
+    if (errors.length > 0) throw new InputError(`${file}: invalid quiz scores\n  ${errors.join('\n  ')}`, 'QUZ001');
+    return new ScoreBook(data);
+  }
+
+  /**
+   * Count one answer
+   * @param {string} type - QUESTION_TYPES entry
+   * @param {boolean} correct - Whether the answer was right
+   * @param {number} points - Points earned
+   * @param {number} level - Level after the answer
+   * @param {number} streak - Right answers in a row after the answer
+   */
+  record(type, correct, points, level, streak) {
+    if (!this.session) {
+      this.session = { date: new Date().toISOString(), asked: 0, correct: 0, points: 0, level, bestStreak: 0 };
+      this.sessions = this.sessions.concat(this.session).slice(-QUIZ_RULES.HISTORY);
+    }
+    [this, this.session, this.byType[type]].forEach(tally => {
+      tally.asked += 1;
+      if (correct) tally.correct += 1;
+    });
+    this.points += points;
+    this.session.points += points;
+    this.level = level;
+    this.session.level = level;
+    this.bestStreak = Math.max(this.bestStreak, streak);
+    this.session.bestStreak = Math.max(this.session.bestStreak, streak);
+  }
+
+  /**
+   * Write the scores file, creating its directory if needed
+   * @param {string} file - Scores file
+   * @returns {Promise<void>}
+   */
+  async save(file) {
+    await fs.mkdir(dirname(file), { recursive: true });
+    await fs.writeFile(file, `${JSON.stringify(this, null, 2)}\n`);
+  }
+
+  /**
+   * @returns {Object} - Scores file contents
+   */
+  toJSON() {
+    return {
+      version: SCORES_VERSION,
+      level: this.level,
+      bestStreak: this.bestStreak,
+      asked: this.asked,
+      correct: this.correct,
+      points: this.points,
+      byType: this.byType,
+      sessions: this.sessions
+    };
+  }
+}
+
+/**
+ * Format a right/asked tally
+ * @param {{asked: number, correct: number}} tally - Answers counted
+ * @returns {string} - e.g., "7/10 (70%)"
+ */
+const formatTally = ({ asked, correct }) => `${correct}/${asked}${asked > 0 ? ` (${Math.round(correct / asked * 100)}%)` : ''}`;
+
+/**
+ * One quiz session on the console
+ */
+class Quiz {
+  /**
+   * @param {Object} options - Quiz options
+   * @param {Terminal} options.terminal - Terminal the questions are printed on and answered from
+   * @param {ScoreBook} [options.scores=new ScoreBook()] - Scores so far, updated after every answer
+   * @param {string|null} [options.file=null] - Scores file saved after every answer, or null to keep scores in memory
+   * @param {number} [options.questions=QUIZ_RULES.DEFAULT_QUESTIONS] - Questions in the session
+   * @param {number|null} [options.level=null] - Starting level, or null to continue at the level reached last time
+   * @param {function(): number} [options.random=Math.random] - Source of the problems
+   */
+  constructor({ terminal, scores = new ScoreBook(), file = null, questions = QUIZ_RULES.DEFAULT_QUESTIONS, level = null, random = Math.random }) {
+    this.terminal = terminal;
+    this.input = new InputHandler(QUIZ_LEVELS[QUIZ_LEVELS.length - 1].width, terminal);
+    this.processor = new Processor();
+    this.scores = scores;
+    this.file = file;
+    this.questions = questions;
+    this.level = level || scores.level;
+    this.random = random;
+    this.streak = 0;
+    this.levelStreak = 0; // Right answers in a row at the current level
+    this.misses = 0; // Wrong answers in a row
+    this.saveFailed = false;
+  }
+
+  /**
+   * Pick a random element
+   * @param {Array} list - Choices
+   * @returns {*} - One of them
+   */
+  pick(list) {
+    return list[Math.floor(this.random() * list.length)];
+  }
+
+  /**
+   * Random binary word
+   * @param {number} width - Bits
+   * @returns {string} - Word, MSB first
+   */
+  word(width) {
+    return Array.from({ length: width }, () => (this.random() < 0.5 ? '0' : '1')).join('');
+  }
+
+  /**
+   * Current difficulty level
+   * @returns {Object} - QUIZ_LEVELS entry
+   */
+  get settings() {
+    return QUIZ_LEVELS[this.level - 1];
+  }
+
+  /**
+   * Generate a problem at the current level
+   * @param {string} [type] - QUESTION_TYPES entry; random when omitted
+   * @returns {Object} - { type, text, hint, parse(text), check(value) } where parse returns null for an answer in the
+   *   wrong form and check returns { correct, expected, feedback: string[] }
+   */
+  makeQuestion(type = this.pick(QUESTION_TYPES)) {
+    if (type === 'convert') return this.convertQuestion();
+    if (type === 'identify') return this.identifyQuestion();
+    return this.operationQuestion();
+  }
+
+  /**
+   * "What is A OP B?", answered in binary
+   * @returns {Object} - Question (see makeQuestion)
+   */
+  operationQuestion() {
+    const { width, operations } = this.settings;
+    const operation = this.pick(operations);
+    const a = this.word(width);
+    const shift = SHIFT_OPERATIONS.includes(operation);
+    const count = 1 + Math.floor(this.random() * 3);
+    const b = shift ? count.toString(2).padStart(width, '0') : UNARY_OPERATIONS.includes(operation) ? '0'.repeat(width) : this.word(width);
+    const computed = this.processor.compute(a, b, operation);
+    const { result } = computed;
+    let text = `What is ${a} ${operation} ${b}?`;
+    if (UNARY_OPERATIONS.includes(operation)) text = `What is ${operation} ${a}?`;
+    else if (shift) text = `What is ${a} ${operation} ${count}?`;
+    return {
+      type: 'operation',
+      text,
+      hint: `Answer with ${width} binary digits, e.g. ${'0'.repeat(width - 1)}1`,
+      parse: answer => parseRadix(answer, 'bin'),
+      check: value => {
+        if (value === BigInt(`0b${result}`)) return { correct: true, expected: result, feedback: [] };
+        const given = value < 1n << BigInt(width) ? value.toString(2).padStart(width, '0') : value.toString(2);
+        const explanations = this.processor.explainColumns(a, b, operation, computed);
+        if (!explanations || given.length !== width) {
+          const product = operation === 'MUL' ? [`${a} x ${b} = ${computed.details}; the low ${width} bits are kept`] : [];
+          return { correct: false, expected: result, feedback: product };
+        }
+        const feedback = [];
+        for (let i = 0; i < width; i++) {
+          if (given[i] !== result[i]) feedback.push(`bit ${width - 1 - i}: ${result[i]}, not ${given[i]} - ${explanations[i]}`);
+        }
+        return { correct: false, expected: result, feedback };
+      }
+    };
+  }
+
+  /**
+   * "Convert 0b1101 to decimal" or "Convert 0x1D to binary"
+   * @returns {Object} - Question (see makeQuestion)
+   */
+  convertQuestion() {
+    const { width, radices } = this.settings;
+    const radix = this.pick(radices);
+    const toBinary = this.random() < 0.5;
+    const binary = this.word(width).replace(/^0+(?=.)/, '');
+    const value = BigInt(`0b${binary}`);
+    const { name, base, prefix, digitBits } = RADICES[radix];
+    const digits = value.toString(base).toUpperCase();
+    const target = toBinary ? 'bin' : radix;
+    const expected = toBinary ? binary : digits;
+    // Place values for binary <-> decimal, digit groups for the power-of-two radices
+    const places = binary.split('').map((bit, i) => (bit === '1' ? 1n << BigInt(binary.length - 1 - i) : 0n)).filter(place => place > 0n);
+    const sum = places.length > 0 ? places.join(' + ') : '0';
+    const groups = [];
+    for (let end = binary.length; digitBits && end > 0; end -= digitBits) groups.unshift(binary.slice(Math.max(0, end - digitBits), end).padStart(digitBits, '0'));
+    const pairs = groups.map(group => `${group} = ${parseInt(group, 2).toString(base).toUpperCase()}`).join(', ');
+    return {
+      type: 'convert',
+      text: toBinary ? `Convert ${base === 10 ? digits : `${prefix}${digits}`} to binary` : `Convert 0b${binary} to ${name}`,
+      hint: toBinary ? 'Answer in binary, e.g. 1011' : `Answer in ${name}${base === 10 ? ', e.g. 11' : `, with or without ${prefix}`}`,
+      parse: answer => parseRadix(answer, target),
+      check: given => {
+        if (given === value) return { correct: true, expected, feedback: [] };
+        const feedback = digitBits === null
+          ? [toBinary ? `${digits} = ${sum}, so the bits set are those place values: ${binary}` : `${binary} = ${sum} = ${digits}`]
+          : [`Each ${name} digit is ${digitBits} bits, grouped from the right: ${pairs}`];
+        return { correct: false, expected: toBinary || base === 10 ? expected : `${digits} (${prefix}${digits})`, feedback };
+      }
+    };
+  }
+
+  /**
+   * "Which operation turns A, B into R?"; any operation that gives R counts
+   * @returns {Object} - Question (see makeQuestion)
+   */
+  identifyQuestion() {
+    const { width, operations } = this.settings;
+    const candidates = operations.filter(operation => !UNARY_OPERATIONS.includes(operation) && !SHIFT_OPERATIONS.includes(operation));
+    const operation = this.pick(candidates);
+    const a = this.word(width);
+    const b = this.word(width);
+    const computed = this.processor.compute(a, b, operation);
+    const { result } = computed;
+    const matches = candidates.filter(candidate => this.processor.compute(a, b, candidate).result === result);
+    return {
+      type: 'identify',
+      text: `Which operation turns A = ${a}, B = ${b} into R = ${result}?`,
+      hint: `Answer with an operation: ${candidates.join(', ')}`,
+      parse: answer => (candidates.includes(answer.toUpperCase()) ? answer.toUpperCase() : null),
+      check: given => {
+        if (matches.includes(given)) return { correct: true, expected: matches.join(' or '), feedback: [] };
+        const wrong = this.processor.compute(a, b, given).result;
+        const feedback = [`${a} ${given} ${b} = ${wrong}, not ${result}`];
+        const explanations = this.processor.explainColumns(a, b, operation, computed);
+        const bit = wrong.split('').findIndex((value, i) => value !== result[i]);
+        if (explanations && bit >= 0) feedback.push(`bit ${width - 1 - bit} gives it away: ${explanations[bit]}`);
+        return { correct: false, expected: matches.join(' or '), feedback };
+      }
+    };
+  }
+
+  /**
+   * Ask on the console, resolving with null once the input has ended
+   * @param {string} query - Prompt
+   * @returns {Promise<string|null>} - Trimmed answer, or null at end of input
+   */
+  async prompt(query) {
+    try {
+      return (await this.input.askQuestion(query)).trim();
+    } catch (err) {
+      if (err instanceof InputError && err.code === 'INP005') return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Update the streaks, level and scores after an answer
+   * @param {Object} question - Question answered
+   * @param {boolean} correct - Whether the answer was right
+   * @returns {number} - Points earned (at the level the question was asked at)
+   */
+  score(question, correct) {
+    let points = 0;
+    const { level } = this;
+    if (correct) {
+      this.streak += 1;
+      this.levelStreak += 1;
+      this.misses = 0;
+      points = QUIZ_RULES.POINTS * level + (this.streak >= QUIZ_RULES.STREAK_BONUS_FROM ? QUIZ_RULES.STREAK_BONUS : 0);
+      if (this.levelStreak >= QUIZ_RULES.PROMOTE_AFTER && level < QUIZ_LEVELS.length) this.level += 1;
+    } else {
+      this.streak = 0;
+      this.levelStreak = 0;
+      this.misses += 1;
+      if (this.misses >= QUIZ_RULES.DEMOTE_AFTER && level > 1) this.level -= 1;
+    }
+    if (this.level !== level) {
+      this.levelStreak = 0;
+      this.misses = 0;
+    }
+    this.scores.record(question.type, correct, points, this.level, this.streak);
+    return points;
+  }
+
+  /**
+   * Save the scores after an answer; a file that cannot be written only costs one warning
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.file) return;
+    try {
+      await this.scores.save(this.file);
+    } catch (err) {
+      if (!this.saveFailed) this.terminal.printError(`Cannot save quiz scores ${this.file}: ${err.message} [QUZ002]`, 'red');
+      this.saveFailed = true;
+    }
+  }
+
+  /**
+   * Ask the questions until they run out, the user types "quit" or the input ends, then print the results
+   * @returns {Promise<{asked: number, correct: number, points: number, bestStreak: number, level: number}>} - This session's tally
+   */
+  async run() {
+    const { terminal } = this;
+    terminal.printOutput(`Binary quiz: ${this.questions} question${this.questions === 1 ? '' : 's'}, starting at level ${this.level} (${this.settings.name}). Type "quit" to stop early.`, 'cyan');
+    for (let number = 1; number <= this.questions; number++) {
+      const question = this.makeQuestion();
+      terminal.printOutput(`\nQuestion ${number}/${this.questions} - level ${this.level}, streak ${this.streak}, ${this.scores.session ? this.scores.session.points : 0} points`, 'yellow');
+      terminal.printOutput(question.text, null);
+      let value = null;
+      while (value === null) {
+        const answer = await this.prompt('> ');
+        if (answer === null || /^(q|quit|exit)$/i.test(answer)) return this.finish();
+        value = answer === '' ? null : question.parse(answer);
+        if (value === null) terminal.printOutput(question.hint, 'red');
+      }
+      const { correct, expected, feedback } = question.check(value);
+      if (correct) terminal.printOutput(`Correct! ${expected}`, 'green');
+      else terminal.printOutput(`Not quite. The answer is ${expected}.`, 'red');
+      feedback.forEach(line => terminal.printOutput(`  ${line}`, 'magenta'));
+      const { level } = this;
+      const points = this.score(question, correct);
+      if (points > 0) terminal.printOutput(`+${points} points${this.streak >= QUIZ_RULES.STREAK_BONUS_FROM ? ` (streak of ${this.streak})` : ''}`, 'green');
+      if (this.level !== level) {
+        const { name, width } = this.settings;
+        terminal.printOutput(`${this.level > level ? 'Level up! Now at' : 'Back to'} level ${this.level} (${name}, ${width}-bit operands)`, this.level > level ? 'green' : 'yellow');
+      }
+      await this.save();
+    }
+    return this.finish();
+  }
+
+  /**
+   * Print the session's results and the progress across sessions
+   * @returns {{asked: number, correct: number, points: number, bestStreak: number, level: number}} - This session's tally
+   */
+  finish() {
+    const { terminal, scores } = this;
+    this.input.close();
+    const session = scores.session || { asked: 0, correct: 0, points: 0, bestStreak: 0, level: this.level };
+    terminal.printOutput('', null);
+    terminal.printSeparator('Quiz Results');
+    terminal.printOutput(`Score: ${formatTally(session)} right, ${session.points} points`, 'green');
+    terminal.printOutput(`Best streak: ${session.bestStreak} (all-time ${scores.bestStreak})`, 'green');
+    terminal.printOutput(`Level: ${this.level} (${this.settings.name})`, 'green');
+    if (scores.asked > 0) {
+      const byType = QUESTION_TYPES.filter(type => scores.byType[type].asked > 0).map(type => `${type} ${formatTally(scores.byType[type])}`);
+      const recent = scores.sessions.slice(-5).map(({ asked, correct }) => (asked > 0 ? `${Math.round(correct / asked * 100)}%` : '-'));
+      terminal.printOutput(`All sessions: ${formatTally(scores)} right over ${scores.sessions.length} session${scores.sessions.length === 1 ? '' : 's'}, ${scores.points} points`, 'cyan');
+      terminal.printOutput(`By kind: ${byType.join(', ')}`, 'cyan');
+      terminal.printOutput(`Last sessions: ${recent.join(' ')}`, 'cyan');
+    }
+    if (this.file && !this.saveFailed && session.asked > 0) terminal.printOutput(`Scores saved to ${this.file}`, 'cyan');
+    return session;
+  }
+}
+
+module.exports = { Quiz, ScoreBook, QUIZ_LEVELS, QUIZ_RULES };
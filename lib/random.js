@@ -0,0 +1,32 @@
+// ===================================================================
+// |> Seeded Randomness - Reproducible Delays and Boot Failures <|
+// ===================================================================
+// Purpose:
+//   Drive every random choice in the simulation (delay jitter, boot step failures) from one
+//   seeded PRNG so a failing run can be replayed exactly with --seed
+
+// Seeds are unsigned 32-bit integers
+const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * Pick a fresh seed for runs started without --seed
+ * @returns {number} - Unsigned 32-bit seed
+ */
+const randomSeed = () => Math.floor(Math.random() * (MAX_SEED + 1));
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Unsigned 32-bit seed
+ * @returns {function(): number} - Drop-in replacement for Math.random, returning floats in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let mixed = Math.imul(state ^ (state >>> 15), state | 1);
+    mixed ^= mixed + Math.imul(mixed ^ (mixed >>> 7), mixed | 61);
+    return ((mixed ^ (mixed >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+module.exports = { createRandom, randomSeed, MAX_SEED };
@@ -0,0 +1,366 @@
+// ===================================================================
+// |> Web UI Server - Boot Streaming over Server-Sent Events <|
+// ===================================================================
+// Purpose:
+//   Serve the static page in web/ on localhost (--serve) and drive OSSimulator runs from it: every console line
+//   and simulator event is streamed to the page over SSE, and the operand/operation prompts are answered by the
+//   page's form instead of stdin. Uses only Node's http module, so it works fully offline.
+// Routes:
+//   GET  /, /app.js, /style.css   Static page
+//   GET  /events                  SSE stream: 'hello', 'run:start', 'line', 'prompt' and every SIMULATOR_EVENTS event
+//   POST /run                     Start a run; body { seed?, inject? } (409 while one is running)
+//   POST /input                   Answer the pending prompt; body { value }
+
+const http = require('http');
+const fs = require('fs').promises;
+const { join, extname } = require('path');
+const { Writable } = require('stream');
+const {
+  OSSimulator, InputHandler, InputError, CONFIG, COLORS, FAULTS, OPERATIONS, UNARY_OPERATIONS, SIMULATOR_EVENTS
+} = require('./index');
+const { randomSeed, MAX_SEED } = require('./random');
+
+const STATIC_FILES = { '/': 'index.html', '/app.js': 'app.js', '/style.css': 'style.css' };
+const CONTENT_TYPES = { '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.css': 'text/css; charset=utf-8' };
+const MAX_BODY_BYTES = 16 * 1024;
+const COLOR_NAMES = Object.keys(COLORS).reduce((names, name) => ({ ...names, [COLORS[name]]: name }), {});
+
+/**
+ * Split ANSI-colored terminal lines into { text, color } records
+ * @param {function(Object): void} onLine - Called with each complete line
+ * @param {string|null} [defaultColor=null] - Color for lines printed without one
+ * @returns {stream.Writable} - Stream to pass as the simulator's output or errorOutput
+ */
+const createLineStream = (onLine, defaultColor = null) => {
+  let partial = '';
+  return new Writable({
+    write(chunk, encoding, callback) {
+      const lines = (partial + chunk.toString()).split('\n');
+      partial = lines.pop();
+      lines.forEach(line => {
+        const match = line.match(/^(\x1b\[[0-9;]*m)/);
+        const color = (match && COLOR_NAMES[match[1]]) || defaultColor;
+        onLine({ text: line.replace(/\x1b\[[0-9;]*m/g, ''), color });
+      });
+      callback();
+    }
+  });
+};
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<Object>} - Parsed body ({} when empty)
+ * @throws {InputError} - If the body is too large or not a JSON object
+ */
+const readJsonBody = async (req) => {
+  let body = '';
+  let tooLarge = false;
+  // Read to the end even past the limit: leaving the loop early destroys the request, and with it the socket the 400 is sent on
+  for await (const chunk of req) {
+    if (!tooLarge) body += chunk;
+    if (body.length > MAX_BODY_BYTES) tooLarge = true;
+  }
+  if (tooLarge) throw new InputError('Request body too large', 'INP011');
+  if (body.trim() === '') return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(body);
+  } catch (err) {
+    throw new InputError(`Request body is not valid JSON: ${err.message}`, 'INP011');
+  }
+  if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) throw new InputError('Request body must be a JSON object', 'INP011');
+  return parsed;
+};
+
+// ========================
+// |> WebInputHandler Class <|
+// ========================
+
+/**
+ * InputHandler whose prompts are answered from the web page
+ * Validation, re-prompting and the operation menu are inherited, so getInput and chooseOperationStage behave as on the console.
+ */
+class WebInputHandler extends InputHandler {
+  /**
+   * @param {number} width - Operand width in bits
+   * @param {Terminal} terminal - The simulator's terminal (validation errors and menus are printed to it)
+   * @param {function(Object): void} onPrompt - Called with { kind, message, value } when an answer is needed
+   */
+  constructor(width, terminal, onPrompt) {
+    super(width, terminal);
+    this.onPrompt = onPrompt;
+    this.kind = 'text'; // 'operand', 'operation' or 'text' (GRUB menu, fsck and single-step questions)
+    this.pending = null;
+  }
+
+  /**
+   * Publish a prompt and wait for the page to answer it
+   * @param {string} query - The question to ask
+   * @param {string} [prefill=''] - Initial value of the page's text field
+   * @returns {Promise<string>} - The answer
+   */
+  async askQuestion(query, prefill = '') {
+    return new Promise((resolve, reject) => {
+      this.pending = { resolve, reject };
+      this.onPrompt({ kind: this.kind, message: query, value: prefill });
+    });
+  }
+
+  // The page always has someone to answer the GRUB menu
+  get interactive() {
+    return true;
+  }
+
+  /**
+   * Publish a prompt that answers itself with '' unless the page answers within the timeout
+   * @param {string} query - The question to ask
+   * @param {number} timeoutMs - Time the page has to answer
+   * @returns {Promise<string>} - The answer, or '' on timeout
+   */
+  async askWithTimeout(query, timeoutMs) {
+    const timer = setTimeout(() => this.answer(''), timeoutMs);
+    try {
+      return await this.askQuestion(query);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Answer the pending prompt
+   * @param {string} value - Answer from the page
+   * @returns {boolean} - False if no prompt is waiting
+   */
+  answer(value) {
+    if (!this.pending) return false;
+    const { resolve } = this.pending;
+    this.pending = null;
+    resolve(String(value));
+    return true;
+  }
+
+  /**
+   * Tag the prompts asked while a callback runs, so the page can show the matching form control
+   * @param {string} kind - Prompt kind
+   * @param {function(): Promise<string>} ask - Prompting callback
+   * @returns {Promise<string>} - The callback's answer
+   */
+  async withKind(kind, ask) {
+    this.kind = kind;
+    try {
+      return await ask();
+    } finally {
+      this.kind = 'text';
+    }
+  }
+
+  /**
+   * Get a validated operand from the page's operand field
+   * @param {string} prompt - The prompt to display
+   * @returns {Promise<string>} - Operand as entered
+   */
+  async getBinaryInput(prompt) {
+    return this.withKind('operand', () => super.getBinaryInput(prompt));
+  }
+
+  /**
+   * Get an operation from the page's operation menu
+   * @returns {Promise<string>} - Selected operation (e.g., "AND")
+   */
+  async chooseOperation() {
+    return this.withKind('operation', () => super.chooseOperation());
+  }
+
+  // Abandon a pending prompt (the run is being shut down)
+  close() {
+    if (this.pending) this.pending.reject(new Error('Prompt abandoned: simulation stopped'));
+    this.pending = null;
+  }
+}
+
+// ========================
+// |> SimulationServer Class <|
+// ========================
+
+/**
+ * Local HTTP server that runs one OSSimulator at a time for the web page
+ */
+class SimulationServer {
+  /**
+   * @param {Object} [options={}] - Server options
+   * @param {Object} [options.simulatorOptions={}] - Base OSSimulator options (profile, width, speed, log settings...);
+   *   a seed here is reused for every run, otherwise each run picks a fresh one
+   * @param {number} [options.port=CONFIG.WEB_PORT] - TCP port (0 picks a free one)
+   * @param {string} [options.host='127.0.0.1'] - Interface to bind; localhost keeps the page off the network
+   */
+  constructor({ simulatorOptions = {}, port = CONFIG.WEB_PORT, host = '127.0.0.1' } = {}) {
+    this.simulatorOptions = simulatorOptions;
+    this.port = port;
+    this.host = host;
+    this.clients = new Set();
+    this.history = []; // SSE messages of the current run, replayed to pages that connect late
+    this.simulator = null;
+    this.inputHandler = null;
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(err => this.sendJson(res, err instanceof InputError ? 400 : 500, { error: err.message, code: err.code || null }));
+    });
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} - URL of the page
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', err => reject(new Error(`Cannot listen on ${this.host}:${this.port}: ${err.message}`)));
+      this.server.listen(this.port, this.host, () => {
+        const { port } = this.server.address();
+        resolve(`http://${this.host === '127.0.0.1' ? 'localhost' : this.host}:${port}/`);
+      });
+    });
+  }
+
+  /**
+   * Stop the current run (recorded as interrupted), disconnect the pages and stop listening
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.simulator) await this.simulator.interrupt();
+    this.clients.forEach(res => res.end());
+    this.clients.clear();
+    const closed = new Promise(resolve => this.server.close(() => resolve()));
+    if (this.server.closeAllConnections) this.server.closeAllConnections(); // Node 18.2+; older versions wait for keep-alive sockets
+    await closed;
+  }
+
+  /**
+   * Route a request
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async handleRequest(req, res) {
+    const path = req.url.split('?')[0];
+    if (req.method === 'GET' && STATIC_FILES[path]) return this.sendStatic(res, STATIC_FILES[path]);
+    if (req.method === 'GET' && path === '/events') return this.openEventStream(req, res);
+    if (req.method === 'POST' && path === '/run') return this.startRun(await readJsonBody(req), res);
+    if (req.method === 'POST' && path === '/input') {
+      const { value } = await readJsonBody(req);
+      if (typeof value !== 'string') throw new InputError('Expected { "value": "<answer>" }', 'INP011');
+      if (!this.inputHandler || !this.inputHandler.answer(value)) return this.sendJson(res, 409, { error: 'No prompt is waiting for input' });
+      return this.sendJson(res, 200, { ok: true });
+    }
+    return this.sendJson(res, 404, { error: `Not found: ${req.method} ${path}` });
+  }
+
+  /**
+   * Serve a file from the web directory
+   * @param {http.ServerResponse} res - Response
+   * @param {string} file - File name in CONFIG.WEB_DIR
+   * @returns {Promise<void>}
+   */
+  async sendStatic(res, file) {
+    const content = await fs.readFile(join(CONFIG.WEB_DIR, file));
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(file)], 'Cache-Control': 'no-cache' });
+    res.end(content);
+  }
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status code
+   * @param {Object} body - Response body
+   */
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Open an SSE stream: a 'hello' with the setup, then the current run's messages so far, then live ones
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Response kept open
+   */
+  openEventStream(req, res) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    const { profile, width = CONFIG.DEFAULT_WIDTH } = this.simulatorOptions;
+    res.write(SimulationServer.formatEvent('hello', {
+      running: Boolean(this.simulator),
+      profile: profile ? { name: profile.name, stages: profile.stages.map(({ id, title }) => ({ id, title })) } : null,
+      width,
+      operations: OPERATIONS,
+      unaryOperations: UNARY_OPERATIONS,
+      faults: Object.keys(FAULTS).map(id => ({ id, code: FAULTS[id].code, summary: FAULTS[id].summary }))
+    }));
+    this.history.forEach(message => res.write(message));
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  /**
+   * Format one SSE message
+   * @param {string} event - Event name
+   * @param {Object} data - JSON payload
+   * @returns {string} - SSE message
+   */
+  static formatEvent(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  }
+
+  /**
+   * Send an event to every connected page and keep it for late joiners
+   * @param {string} event - Event name
+   * @param {Object} data - JSON payload
+   */
+  broadcast(event, data) {
+    const message = SimulationServer.formatEvent(event, data);
+    this.history.push(message);
+    this.clients.forEach(res => res.write(message));
+  }
+
+  /**
+   * Start a simulation run for the page
+   * @param {Object} body - { seed?, inject? } overriding the server's options for this run
+   * @param {http.ServerResponse} res - Response
+   * @returns {void}
+   * @throws {InputError} - If the seed or fault ids are invalid
+   */
+  startRun(body, res) {
+    if (this.simulator) return this.sendJson(res, 409, { error: 'A simulation is already running' });
+    const defaultSeed = this.simulatorOptions.seed !== undefined ? this.simulatorOptions.seed : randomSeed();
+    const seed = body.seed === undefined || body.seed === null || body.seed === '' ? defaultSeed : Number(body.seed);
+    if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) throw new InputError(`Invalid seed "${body.seed}". Use an integer from 0 to ${MAX_SEED}.`, 'INP008');
+    const inject = body.inject === undefined ? this.simulatorOptions.inject || [] : [].concat(body.inject);
+    const unknown = inject.filter(id => !FAULTS[id]);
+    if (unknown.length > 0) throw new InputError(`Unknown fault "${unknown[0]}". Options: ${Object.keys(FAULTS).join(', ')}`, 'INP009');
+
+    this.history = [];
+    const simulator = new OSSimulator({
+      ...this.simulatorOptions,
+      jobs: null,
+      seed,
+      inject,
+      colors: true,
+      output: createLineStream(line => this.broadcast('line', line)),
+      errorOutput: createLineStream(line => this.broadcast('line', line), 'red')
+    });
+    // Prompts come from the page instead of stdin; validation and menus are the console's
+    this.inputHandler = new WebInputHandler(simulator.width, simulator.terminal, prompt => this.broadcast('prompt', prompt));
+    simulator.inputHandler = this.inputHandler;
+    Object.keys(SIMULATOR_EVENTS).forEach(event => simulator.on(event, payload => {
+      this.broadcast(event, event === 'failure' ? { code: payload.code, message: payload.error.message } : payload);
+    }));
+    this.simulator = simulator;
+    this.broadcast('run:start', { seed, inject });
+    simulator.run()
+      .catch(() => {}) // Already logged by run() and sent to the page as a 'failure' event
+      .then(() => {
+        this.simulator = null;
+        this.inputHandler = null;
+      });
+    return this.sendJson(res, 202, { seed });
+  }
+}
+
+module.exports = { SimulationServer, WebInputHandler };
@@ -0,0 +1,190 @@
+// ===================================================================
+// |> Session Recording - Record and Replay Complete Runs <|
+// ===================================================================
+// Purpose:
+//   Record everything a command-line session does (--record=<file>): the arguments, seed and configuration,
+//   every chunk written to stdout and stderr and every chunk typed on stdin, each stamped with its time.
+//   --replay=<file> plays the output back exactly as it was printed, with the original timing or faster,
+//   so a demo prepared once can be shown live without typing or risking a different random failure.
+//   Sessions are JSON files; events are [time in ms, channel, text] with the channels:
+//     o  stdout    e  stderr    i  stdin (what the user typed)    m  marker (e.g., a reboot with its seed)
+
+const SESSION_VERSION = 1;
+const SESSION_CHANNELS = ['o', 'e', 'i', 'm'];
+
+/**
+ * Read the high-resolution monotonic clock
+ * @returns {number} - Milliseconds (fractional) from an arbitrary origin
+ */
+const hrNow = () => Number(process.hrtime.bigint()) / 1e6;
+
+/**
+ * Wait for a while
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Recording of one command-line session
+ */
+class SessionRecorder {
+  /**
+   * @param {Object} [options={}] - Recorder options
+   * @param {string[]} [options.args=[]] - Command-line arguments of the session
+   * @param {function(): number} [options.now=hrNow] - Clock in milliseconds; the high-resolution clock by default
+   */
+  constructor({ args = [], now = hrNow } = {}) {
+    this.now = now;
+    this.origin = now();
+    this.createdAt = new Date();
+    this.args = args;
+    this.seed = null;
+    this.config = {};
+    this.terminal = null;
+    this.events = [];
+    this.exitCode = null;
+    this.duration = null;
+    this.taps = []; // Restore functions for the tapped streams
+  }
+
+  /**
+   * Check a parsed session file
+   * @param {*} session - Parsed JSON
+   * @returns {string[]} - Human-readable violations (empty if valid)
+   */
+  static validate(session) {
+    if (session === null || typeof session !== 'object' || Array.isArray(session)) return ['session: must be an object with "version" and "events"'];
+    const errors = [];
+    if (session.version !== SESSION_VERSION) errors.push(`version: must be ${SESSION_VERSION}, got ${JSON.stringify(session.version)}`);
+    if (!Array.isArray(session.events)) return errors.concat('events: must be an array');
+    let last = 0;
+    session.events.forEach((event, index) => {
+      if (errors.length >= 10) return; // A broken file would otherwise report every event
+      const [time, channel, data] = Array.isArray(event) ? event : [];
+      if (!Array.isArray(event) || event.length !== 3) errors.push(`events[${index}]: must be [time, channel, text]`);
+      else if (typeof time !== 'number' || !(time >= last)) errors.push(`events[${index}]: time must be a number of milliseconds, not before the previous event`);
+      else if (!SESSION_CHANNELS.includes(channel)) errors.push(`events[${index}]: channel must be one of ${SESSION_CHANNELS.join(', ')}`);
+      else if (typeof data !== 'string') errors.push(`events[${index}]: text must be a string`);
+      else last = time;
+    });
+    if (session.exitCode !== undefined && session.exitCode !== null && !Number.isInteger(session.exitCode)) errors.push('exitCode: must be an integer');
+    return errors;
+  }
+
+  /**
+   * Milliseconds since the recording started
+   * @returns {number} - Elapsed time, rounded to microseconds
+   */
+  elapsed() {
+    return Math.round((this.now() - this.origin) * 1000) / 1000;
+  }
+
+  /**
+   * Append an event
+   * @param {string} channel - One of SESSION_CHANNELS
+   * @param {string|Buffer} data - Text written, typed or marked
+   */
+  record(channel, data) {
+    const text = typeof data === 'string' ? data : Buffer.from(data).toString('utf8');
+    if (text !== '') this.events.push([this.elapsed(), channel, text]);
+  }
+
+  /**
+   * Record what is written to a stream; the stream's own write() keeps working, so TTY features stay intact
+   * @param {stream.Writable} stream - Output stream (e.g., process.stdout)
+   * @param {string} channel - 'o' or 'e'
+   */
+  tapOutput(stream, channel) {
+    const write = stream.write;
+    stream.write = (chunk, ...rest) => {
+      this.record(channel, chunk);
+      return write.call(stream, chunk, ...rest);
+    };
+    if (channel === 'o' && this.terminal === null) this.terminal = { tty: Boolean(stream.isTTY), columns: stream.columns || null, rows: stream.rows || null };
+    this.taps.push(() => { stream.write = write; });
+  }
+
+  /**
+   * Record what is typed on an input stream, without starting the flow before a prompt reads it
+   * @param {stream.Readable} stream - Input stream (e.g., process.stdin)
+   */
+  tapInput(stream) {
+    const emit = stream.emit;
+    stream.emit = (event, ...rest) => {
+      if (event === 'data') this.record('i', rest[0]);
+      return emit.call(stream, event, ...rest);
+    };
+    this.taps.push(() => { stream.emit = emit; });
+  }
+
+  /**
+   * Note the seed and configuration of a boot; the first boot's become the session's, later ones (reboots) are markers
+   * @param {number} seed - Seed of the boot
+   * @param {Object} [config={}] - Settings that shape the output (profile, hardware, width, speed, ...)
+   */
+  boot(seed, config = {}) {
+    if (this.seed === null) {
+      this.seed = seed;
+      this.config = config;
+    } else {
+      this.record('m', `reboot seed=${seed}`);
+    }
+  }
+
+  /**
+   * Stop recording and restore the tapped streams
+   * @param {number} exitCode - Exit code of the session
+   */
+  finish(exitCode) {
+    if (this.duration === null) this.duration = this.elapsed();
+    if (this.exitCode === null) this.exitCode = exitCode;
+    this.taps.splice(0).reverse().forEach(restore => restore());
+  }
+
+  /**
+   * @returns {Object} - Session file contents
+   */
+  toJSON() {
+    return {
+      version: SESSION_VERSION,
+      createdAt: this.createdAt.toISOString(),
+      args: this.args,
+      seed: this.seed,
+      config: this.config,
+      terminal: this.terminal,
+      duration: this.duration,
+      exitCode: this.exitCode,
+      events: this.events
+    };
+  }
+}
+
+/**
+ * Play a recorded session back: stdout and stderr events are written at their recorded times
+ * Typed input is not written again; a terminal echoed it into stdout when it was recorded.
+ * @param {Object} session - Session checked by SessionRecorder.validate
+ * @param {Object} [options={}] - Playback options
+ * @param {number} [options.speed=1] - Delay multiplier: 1 keeps the original timing, 0.1 plays ten times faster
+ * @param {stream.Writable} [options.output=process.stdout] - Stream for the recorded stdout
+ * @param {stream.Writable} [options.errorOutput=process.stderr] - Stream for the recorded stderr
+ * @param {function(number): Promise<void>} [options.wait=sleep] - Waits the given milliseconds
+ * @returns {Promise<number>} - Exit code the recorded session ended with (0 if unknown)
+ */
+const replaySession = async (session, {
+  speed = 1, output = process.stdout, errorOutput = process.stderr, wait = sleep
+} = {}) => {
+  let last = 0;
+  for (const [time, channel, data] of session.events) {
+    if (channel !== 'o' && channel !== 'e') continue;
+    const pause = (time - last) * speed;
+    if (pause >= 1) { // Shorter gaps add up until they are worth a timer
+      await wait(pause);
+      last = time;
+    }
+    (channel === 'o' ? output : errorOutput).write(data);
+  }
+  return session.exitCode || 0;
+};
+
+module.exports = { SessionRecorder, replaySession, SESSION_CHANNELS };
@@ -0,0 +1,457 @@
+// ===================================================================
+// |> Post-Boot Shell - Simulated System Commands <|
+// ===================================================================
+// Purpose:
+//   End an interactive run at a `user@binary-os:~$` prompt whose commands inspect what the boot built:
+//   the verbose kernel lines, the journal, PCI devices, services and sysctl parameters recorded by
+//   OSSimulator (simulator.system), the systemd unit graph, its paged RAM, and the Processor as a calculator.
+//   shutdown/reboot play a shutdown sequence and tell the caller whether to boot again. A boot into rescue or
+//   emergency mode (single/emergency on the kernel command line) opens a root shell, and init=/bin/sh a bare sh
+//   without systemd. nft lists the firewall ruleset with its counters and traces a made-up packet through it.
+
+const readline = require('readline');
+const { InputHandler, InputError, Processor, OPERATIONS, UNARY_OPERATIONS, formatRadices } = require('./index');
+const { Firewall, ICMP_TYPES, PROTOCOL_NAMES, HOOKS } = require('./firewall');
+const { isIp } = require('./network');
+
+// Commands listed by `help`, mapped to the Shell method that runs them
+const SHELL_COMMANDS = {
+  dmesg: { usage: 'dmesg', summary: 'Kernel ring buffer (verbose boot lines)', method: 'dmesg' },
+  journalctl: { usage: 'journalctl [-x] [--boot|-b]', summary: 'Messages logged during this boot', method: 'journalctl' },
+  lspci: { usage: 'lspci [-nn] [-k]', summary: 'PCI devices found during the boot (-nn IDs, -k drivers)', method: 'lspci' },
+  systemctl: { usage: 'systemctl [status [<service>]]', summary: 'Services started during the boot', method: 'systemctl' },
+  'systemd-analyze': { usage: 'systemd-analyze [time|blame|critical-chain]', summary: 'How long the systemd units took to start', method: 'systemdAnalyze' },
+  sysctl: { usage: 'sysctl -a | <name>', summary: 'Kernel parameters set during the boot', method: 'sysctl' },
+  nft: { usage: 'nft [-a] list ruleset', summary: 'Firewall rules and counters (-a handles); nft trace tests a packet', method: 'nft' },
+  free: { usage: 'free', summary: 'Physical RAM and swap usage (KiB)', method: 'free' },
+  uptime: { usage: 'uptime', summary: 'Time since boot and load average', method: 'uptime' },
+  calc: { usage: 'calc <A> <OP> [B]', summary: 'Run one ALU operation (e.g. calc 0x0F ADD 0d3)', method: 'calc' },
+  logic: { usage: 'logic <expression>', summary: 'Truth table and minimal form (e.g. logic A AND NOT B OR C)', method: 'logic' },
+  clear: { usage: 'clear', summary: 'Clear the screen', method: 'clear' },
+  help: { usage: 'help', summary: 'List commands', method: 'help' },
+  shutdown: { usage: 'shutdown [-r] [now]', summary: 'Power off (-r reboots)', method: 'shutdown' },
+  poweroff: { usage: 'poweroff', summary: 'Power off', method: 'shutdown' },
+  reboot: { usage: 'reboot', summary: 'Shut down and boot again', method: 'reboot' },
+  exit: { usage: 'exit', summary: 'Leave the shell without shutting down', method: 'exit' },
+  logout: { usage: 'logout', summary: 'Same as exit', method: 'exit' }
+};
+
+/**
+ * Format a time as the short syslog timestamp journalctl prints
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string} - e.g., "Oct 19 08:34:23"
+ */
+const formatSyslogTime = (time) => {
+  const date = new Date(time);
+  const month = date.toLocaleString('en-US', { month: 'short' });
+  const clock = date.toTimeString().slice(0, 8);
+  return `${month} ${String(date.getDate()).padStart(2)} ${clock}`;
+};
+
+// Banners printed when the boot ended in a root shell instead of the login (see OSSimulator.bootTarget)
+const RESCUE_BANNERS = {
+  rescue: 'You are in rescue mode. After logging in, type "journalctl -xb" to view system logs, "reboot" to reboot, or "exit" to leave.',
+  emergency: 'You are in emergency mode. After logging in, type "journalctl -xb" to view system logs, "reboot" to reboot, or "exit" to leave.',
+  shell: '/bin/sh: 0: can\'t access tty; job control turned off'
+};
+
+/**
+ * Interactive shell over a finished OSSimulator run
+ */
+class Shell {
+  /**
+   * @param {OSSimulator} simulator - Simulator whose run() has completed
+   * @param {Object} [options={}] - Shell options
+   * @param {string} [options.user='user'] - User name in the prompt
+   * @param {string} [options.hostname='binary-os'] - Host name in the prompt and journal
+   */
+  constructor(simulator, { user = 'user', hostname = 'binary-os' } = {}) {
+    this.simulator = simulator;
+    this.terminal = simulator.terminal;
+    this.logger = simulator.logger;
+    this.system = simulator.system;
+    this.target = simulator.bootTarget;
+    this.user = this.target === 'default' ? user : 'root';
+    this.hostname = hostname;
+  }
+
+  /**
+   * Read and run commands until exit, shutdown or reboot (or end of input)
+   * @returns {Promise<string>} - 'exit', 'shutdown' or 'reboot'
+   */
+  async start() {
+    const rl = readline.createInterface({ input: this.terminal.input, output: this.terminal.output });
+    const sign = this.user === 'root' ? '#' : '$';
+    const prompt = this.target === 'shell' ? `sh-5.2${sign} ` : `${this.terminal.paint(`${this.user}@${this.hostname}`, 'green')}:${this.terminal.paint('~', 'blue')}${sign} `;
+    rl.setPrompt(prompt);
+    if (RESCUE_BANNERS[this.target]) this.terminal.printOutput(`\n${RESCUE_BANNERS[this.target]}`, 'yellow');
+    if (this.target !== 'shell') this.terminal.printOutput(`\n${this.hostname} login: ${this.user} (automatic login). Type "help" for commands.`, 'cyan');
+    await this.logger.logOperation(`Shell session opened for ${this.user}`, 'info');
+    return new Promise(resolve => {
+      let outcome = null;
+      let busy = Promise.resolve();
+      // Ctrl+C cancels the current line like bash instead of closing the shell
+      rl.on('SIGINT', () => {
+        this.terminal.output.write('^C\n');
+        rl.prompt();
+      });
+      const run = (line) => {
+        busy = busy.then(async () => {
+          // Lines already buffered behind exit/shutdown/reboot are dropped, like a closed terminal
+          if (outcome) return;
+          const result = await this.execute(line);
+          if (result) {
+            outcome = result;
+            rl.close();
+          } else {
+            rl.prompt();
+          }
+        });
+      };
+      rl.on('line', run);
+      rl.on('close', () => busy.then(() => resolve(outcome || 'exit')));
+      rl.prompt();
+      // Piped commands arrive in the same chunks as the boot's answers, so the boot's prompts may have read them already
+      const { inputHandler } = this.simulator;
+      if (inputHandler) inputHandler.lines.splice(0).forEach(run);
+    });
+  }
+
+  /**
+   * Run one command line
+   * @param {string} line - Command line as typed
+   * @returns {Promise<string|null>} - 'exit', 'shutdown' or 'reboot' to end the session, otherwise null
+   */
+  async execute(line) {
+    const [name, ...args] = line.trim().split(/\s+/);
+    if (!name) return null;
+    await this.logger.logOperation(`shell: ${line.trim()}`, 'debug');
+    const command = SHELL_COMMANDS[name];
+    if (!command) {
+      this.terminal.printOutput(`bash: ${name}: command not found`, 'red');
+      return null;
+    }
+    return (await this[command.method](args)) || null;
+  }
+
+  /**
+   * Print plain lines
+   * @param {string[]} lines - Lines to print
+   */
+  printLines(lines) {
+    lines.forEach(line => this.terminal.printOutput(line, null));
+  }
+
+  // help: one line per command
+  help() {
+    this.printLines(Object.values(SHELL_COMMANDS).map(({ usage, summary }) => `  ${usage.padEnd(32)}${summary}`));
+  }
+
+  // dmesg: verbose boot lines stamped with seconds since power-on
+  dmesg() {
+    const { bootedAt, dmesg } = this.system;
+    this.printLines(dmesg.map(({ time, message }) => `[${((time - bootedAt) / 1000).toFixed(6).padStart(12)}] ${message}`));
+  }
+
+  // journalctl [-x] [--boot]: every step, fault and summary of this boot; short options combine (-xb), and -x
+  // (--catalog) is accepted because the journal has no catalog entries to add
+  journalctl(args) {
+    const valid = arg => ['--boot', '--catalog'].includes(arg) || /^-[xb]+$/.test(arg);
+    const unknown = args.find(arg => !valid(arg));
+    if (unknown) {
+      this.terminal.printOutput(`journalctl: unrecognized option '${unknown}'`, 'red');
+      return;
+    }
+    const { journal, bootedAt } = this.system;
+    this.terminal.printOutput(`-- Boot ${this.simulator.seed.toString(16).padStart(8, '0')} -- started ${formatSyslogTime(bootedAt)} --`, 'cyan');
+    journal.forEach(({ time, stage, message, level }) => {
+      this.terminal.printOutput(`${formatSyslogTime(time)} ${this.hostname} ${stage}: ${message}`, level === 'error' ? 'red' : null);
+    });
+  }
+
+  // lspci [-nn] [-k]: devices recorded by the profile's PCI scan steps, with vendor:device IDs and bound drivers
+  lspci(args) {
+    const { devices } = this.system;
+    if (devices.length === 0) {
+      this.terminal.printOutput('pcilib: Cannot open /proc/bus/pci (no PCI bus in this profile)', 'yellow');
+      return;
+    }
+    devices.slice().sort((a, b) => a.slot.localeCompare(b.slot)).forEach(device => {
+      const ids = args.includes('-nn') && device.vendor ? ` [${device.vendor.toLowerCase()}:${device.device.toLowerCase()}]` : '';
+      this.terminal.printOutput(`${device.slot} ${device.class}: ${device.name}${ids}`, null);
+      if (args.includes('-k') && device.driver) this.terminal.printOutput(`\tKernel driver in use: ${device.driver}`, null);
+    });
+  }
+
+  /**
+   * Refuse a systemd command when PID 1 is not systemd (init= on the kernel command line)
+   * @returns {boolean} - True if the command must stop
+   */
+  withoutSystemd() {
+    if (this.target !== 'shell') return false;
+    this.printLines(['System has not been booted with systemd as init system (PID 1). Can\'t operate.', 'Failed to connect to bus: Host is down']);
+    return true;
+  }
+
+  // systemctl [status [<service>]]: the services started during the boot
+  systemctl(args) {
+    if (this.withoutSystemd()) return;
+    const [verb = 'status', name] = args;
+    const { services } = this.system;
+    if (verb !== 'status') {
+      this.terminal.printOutput(`systemctl: only "status" is available in the simulator (got "${verb}")`, 'red');
+      return;
+    }
+    if (!name) {
+      const states = { active: 'active running', failed: 'failed failed', dependency: 'inactive dead' };
+      this.printLines(services.map(service => `  ${`${service.name}.service`.padEnd(28)} loaded ${states[service.state].padEnd(15)} ${service.description}`));
+      this.printLines(['', `${services.length} loaded units listed.`]);
+      return;
+    }
+    const unit = name.replace(/\.service$/, '');
+    const service = services.find(candidate => candidate.name === unit);
+    if (!service) {
+      this.terminal.printOutput(`Unit ${unit}.service could not be found.`, 'red');
+      return;
+    }
+    const since = `since ${new Date(service.startedAt).toString().slice(0, 24)}; ${Math.round((Date.now() - service.startedAt) / 1000)}s ago`;
+    const loaded = `     Loaded: loaded (/lib/systemd/system/${unit}.service; enabled; preset: enabled)`;
+    if (service.state === 'dependency') {
+      this.terminal.printOutput(`○ ${unit}.service - ${service.description}`, null);
+      this.printLines([loaded, '     Active: inactive (dead)', '', `${formatSyslogTime(service.startedAt)} ${this.hostname} systemd[1]: Dependency failed for ${unit}.service.`]);
+      return;
+    }
+    if (service.state === 'failed') {
+      this.terminal.printOutput(`× ${unit}.service - ${service.description}`, 'red');
+      this.printLines([
+        loaded,
+        `     Active: failed (Result: exit-code) ${since}`,
+        `    Process: ${service.pid} ExecStart=/usr/bin/${unit} (code=exited, status=1/FAILURE)`,
+        `   Main PID: ${service.pid} (code=exited, status=1/FAILURE)`
+      ]);
+      return;
+    }
+    this.terminal.printOutput(`● ${unit}.service - ${service.description}`, 'green');
+    this.printLines([
+      loaded,
+      `     Active: active (running) ${since}`,
+      `   Main PID: ${service.pid} (${unit})`,
+      `      Tasks: 1 (limit: 4915)`,
+      `     CGroup: /system.slice/${unit}.service`,
+      `             └─${service.pid} /usr/sbin/${unit}`
+    ]);
+  }
+
+  // systemd-analyze [time|blame|critical-chain]: timings of the units started by the boot's startUnits steps
+  systemdAnalyze(args) {
+    if (this.withoutSystemd()) return;
+    const [verb = 'time'] = args;
+    const graph = this.simulator.unitGraph;
+    const reports = { time: 'analyzeTime', blame: 'blame', 'critical-chain': 'criticalChain' };
+    if (!reports[verb]) {
+      this.terminal.printOutput(`systemd-analyze: unknown command "${verb}" (available: ${Object.keys(reports).join(', ')})`, 'red');
+      return;
+    }
+    if (!graph) {
+      const reason = this.target === 'default' ? 'this profile started no systemd units' : `the boot went to ${this.target}.target, no units were started`;
+      this.terminal.printOutput(`systemd-analyze: ${reason}`, 'yellow');
+      return;
+    }
+    if (verb === 'critical-chain') {
+      this.printLines(['The time when unit became active or started is printed after the "@" character.', 'The time the unit took to start is printed after the "+" character.', '']);
+    }
+    this.printLines(graph[reports[verb]]());
+  }
+
+  // sysctl -a | <name>...: kernel parameters applied during the boot
+  sysctl(args) {
+    const { sysctl } = this.system;
+    if (args.length === 0) {
+      this.terminal.printOutput('usage: sysctl -a | <name>...', 'yellow');
+      return;
+    }
+    const names = args.includes('-a') ? Object.keys(sysctl).sort() : args;
+    names.forEach(name => {
+      if (sysctl[name] === undefined) this.terminal.printOutput(`sysctl: cannot stat /proc/sys/${name.replace(/\./g, '/')}: No such file or directory`, 'red');
+      else this.terminal.printOutput(`${name} = ${sysctl[name]}`, null);
+    });
+  }
+
+  // free: the installed RAM from the hardware description, used by the frames of the paged RAM model, and pages
+  // evicted to swap
+  free() {
+    const { memory, hardware } = this.simulator;
+    const kib = bytes => String(Math.round(bytes / 1024)).padStart(12);
+    const frames = memory.physical.length / memory.pageSize;
+    const inUse = frames - memory.freeFrames.length;
+    const total = hardware ? hardware.memory.sizeMiB * 1024 * 1024 : memory.physical.length;
+    const used = inUse * memory.pageSize;
+    const swapTotal = memory.virtualPages * memory.pageSize;
+    const swapUsed = memory.swap.size * memory.pageSize;
+    this.printLines([
+      `${''.padEnd(7)}${['total', 'used', 'free', 'shared', 'buff/cache', 'available'].map(title => title.padStart(12)).join('')}`,
+      `Mem:${''.padEnd(3)}${kib(total)}${kib(used)}${kib(total - used)}${kib(0)}${kib(0)}${kib(total - used)}`,
+      `Swap:${''.padEnd(2)}${kib(swapTotal)}${kib(swapUsed)}${kib(swapTotal - swapUsed)}`,
+      '',
+      `Paged RAM model: ${inUse}/${frames} frames of ${memory.pageSize / 1024} KiB in use (${kib(memory.physical.length).trim()} KiB of the installed RAM), ${memory.swap.size} pages in swap`
+    ]);
+  }
+
+  // uptime: time since power-on
+  uptime() {
+    const { bootedAt, journal } = this.system;
+    const minutes = Math.floor((Date.now() - bootedAt) / 60000);
+    // Load follows how busy the boot was: one boot step per 100 counts as a fully loaded core
+    const load = [1, 0.6, 0.25].map(weight => (journal.length / 100 * weight).toFixed(2));
+    this.terminal.printOutput(` ${new Date().toTimeString().slice(0, 8)} up ${minutes} min,  1 user,  load average: ${load.join(', ')}`, null);
+  }
+
+  // calc <A> <OP> [B]: one ALU operation through the simulator's Processor, updating its FLAGS
+  async calc(args) {
+    const [a, operation = '', b] = args;
+    const op = operation.toUpperCase();
+    const { width } = this.simulator;
+    if (!a || !OPERATIONS.includes(op) || (b === undefined && !UNARY_OPERATIONS.includes(op))) {
+      this.terminal.printOutput(`usage: ${SHELL_COMMANDS.calc.usage}  (OP: ${OPERATIONS.join(', ')})`, 'yellow');
+      return;
+    }
+    let binary1;
+    let binary2;
+    try {
+      binary1 = InputHandler.parseOperand(a, width);
+      binary2 = InputHandler.parseOperand(b === undefined ? '0' : b, width);
+    } catch (err) {
+      if (!(err instanceof InputError)) throw err;
+      this.terminal.printOutput(`calc: ${err.message}`, 'red');
+      return;
+    }
+    const { result, flags } = this.simulator.processor.compute(binary1, binary2, op);
+    this.simulator.processor.flags = flags;
+    this.terminal.printOutput(`${formatRadices(result)}`, 'green');
+    this.terminal.printOutput(`FLAGS: ${Processor.formatFlags(flags)}`, 'green');
+    await this.logger.logOperation(`shell calc: ${a} ${op}${b === undefined ? '' : ` ${b}`} = ${formatRadices(result)}`, 'info');
+  }
+
+  // logic <expression>: truth table, canonical forms, Karnaugh map and minimal SOP of a Boolean expression
+  async logic(args) {
+    const expression = args.join(' ').replace(/^(["'])(.*)\1$/, '$2');
+    if (expression.trim() === '') {
+      this.terminal.printOutput(`usage: ${SHELL_COMMANDS.logic.usage}  (NOT ! ~ ', AND & *, NAND, XOR ^, XNOR, OR | +, NOR; up to 6 variables)`, 'yellow');
+      return;
+    }
+    try {
+      await this.simulator.processor.evaluateExpression(expression, this.logger);
+    } catch (err) {
+      if (!(err instanceof InputError)) throw err;
+      this.terminal.printOutput(`logic: ${err.message}`, 'red');
+    }
+  }
+
+  // nft [-a] list ruleset | nft trace ...: the ruleset loaded during the boot, and a dry run of one packet through it
+  nft(args) {
+    const { firewall } = this.simulator;
+    const handles = args[0] === '-a';
+    const [verb, ...rest] = handles ? args.slice(1) : args;
+    if (verb === 'list' && rest.join(' ') === 'ruleset') {
+      if (firewall) this.printLines(firewall.list({ handles }).map(line => line.replace(/\t/g, '    ')));
+      return;
+    }
+    if (verb === 'trace' && !handles) {
+      this.nftTrace(firewall, rest);
+      return;
+    }
+    this.printLines([
+      `usage: ${SHELL_COMMANDS.nft.usage}`,
+      `       nft trace <${HOOKS.join('|')}> <icmp|tcp|udp> <saddr>[:<sport>] <daddr>[:<dport>] [<icmp type>]`,
+      '       (e.g. nft trace input tcp 10.1.2.3:50000 192.168.1.42:22, nft trace output icmp 192.168.1.42 8.8.8.8 echo-request)'
+    ]);
+  }
+
+  /**
+   * nft trace: run one packet through the firewall without touching its counters or connection tracking,
+   * printing every rule it met and why each matched or not
+   * @param {Firewall|null} firewall - Firewall loaded during the boot, or null when none was
+   * @param {string[]} args - <hook> <protocol> <saddr>[:<sport>] <daddr>[:<dport>] [<icmp type>]
+   */
+  nftTrace(firewall, args) {
+    const [hook, protocolName, source = '', destination = '', icmpType = 'echo-request'] = args;
+    const protocol = Number(Object.keys(PROTOCOL_NAMES).find(number => PROTOCOL_NAMES[number] === protocolName));
+    const [src, sport] = source.split(':');
+    const [dst, dport] = destination.split(':');
+    const isPort = port => /^\d+$/.test(port) && Number(port) >= 1 && Number(port) <= 65535;
+    const ports = protocol === 1 ? sport === undefined && dport === undefined : isPort(sport) && isPort(dport);
+    if (!HOOKS.includes(hook) || !protocol || !isIp(src) || !isIp(dst) || !ports || !(icmpType in ICMP_TYPES)) {
+      this.terminal.printOutput(`usage: nft trace <${HOOKS.join('|')}> <icmp|tcp|udp> <saddr>[:<sport>] <daddr>[:<dport>] [<icmp type>]`, 'yellow');
+      this.terminal.printOutput(`  tcp and udp need both ports; icmp types: ${Object.keys(ICMP_TYPES).join(', ')}`, 'yellow');
+      return;
+    }
+    if (!firewall) {
+      this.terminal.printOutput('nft: no ruleset is loaded, so every packet is accepted', 'yellow');
+      return;
+    }
+    const device = this.simulator.network ? this.simulator.network.interface : 'eth0';
+    const packet = {
+      hook, src, dst, protocol, length: 60, ttl: 64,
+      iifname: hook === 'output' ? null : device,
+      oifname: hook === 'input' ? null : device,
+      ...(protocol === 1 ? { icmpType: ICMP_TYPES[icmpType], icmpId: 1 } : { sport: Number(sport), dport: Number(dport) })
+    };
+    const result = firewall.evaluate(packet);
+    this.terminal.printOutput(`trace: ${hook} ${result.flow.key || `${protocolName} ${src} > ${dst}`}, ct state ${result.state} (${result.stateReason})`, 'cyan');
+    result.trace.forEach(({ table, chain, rule, matched, reasons, details }) => {
+      this.terminal.printOutput(`  ${Firewall.where({ table, chain, rule })}: ${rule.text}`, matched ? 'green' : null);
+      if (reasons.length === 0) this.printLines(['      matches every packet (no conditions)']);
+      reasons.forEach(reason => this.printLines([`      ${reason}`]));
+      details.forEach(line => this.printLines([`        ${line}`]));
+    });
+    const decided = result.rule ? '' : ` (${result.reasons[0]})`;
+    this.terminal.printOutput(`verdict: ${result.verdict} by ${result.where}${decided}`, result.verdict === 'accept' ? 'green' : 'red');
+  }
+
+  // clear: clear the screen
+  clear() {
+    this.terminal.output.write('\x1b[2J\x1b[H');
+  }
+
+  // exit/logout: end the session without shutting down
+  exit() {
+    return 'exit';
+  }
+
+  // reboot: shutdown -r
+  async reboot() {
+    return this.shutdown(['-r']);
+  }
+
+  /**
+   * Play the shutdown sequence: services stop in reverse start order, filesystems unmount, power off or restart
+   * @param {string[]} args - Command arguments ('-r' reboots)
+   * @returns {Promise<string>} - 'shutdown' or 'reboot'
+   */
+  async shutdown(args) {
+    const reboot = args.includes('-r');
+    const step = async (message) => {
+      this.terminal.printOutput(`[  ${this.terminal.paint('OK', 'green')}  ] ${message}`, null);
+      await this.terminal.delay(50);
+    };
+    await this.logger.logOperation(`System ${reboot ? 'reboot' : 'shutdown'} requested from the shell`, 'info');
+    if (this.target === 'shell') {
+      // No init system to stop anything: the shell asks the kernel directly
+      this.terminal.printOutput(reboot ? 'reboot: Restarting system' : 'reboot: Power down', 'yellow');
+      return reboot ? 'reboot' : 'shutdown';
+    }
+    this.terminal.printOutput(`Broadcast message from ${this.user}@${this.hostname}: The system will ${reboot ? 'reboot' : 'power off'} now!`, 'yellow');
+    await step('Removed slice user-1000.slice - User Slice of UID 1000.');
+    const running = this.system.services.filter(service => service.state === 'active');
+    for (const service of running.reverse()) await step(`Stopped ${service.name}.service - ${service.description}.`);
+    await step('Stopped target network.target - Network.');
+    await step('Unmounted /home.');
+    await step('Unmounted /var.');
+    await step('Finished systemd-remount-fs.service - Remount Root and Kernel File Systems (read-only).');
+    await step(`Reached target ${reboot ? 'reboot.target - System Reboot' : 'poweroff.target - System Power Off'}.`);
+    this.terminal.printOutput(reboot ? 'reboot: Restarting system' : 'reboot: Power down', 'yellow');
+    return reboot ? 'reboot' : 'shutdown';
+  }
+}
+
+module.exports = { Shell, SHELL_COMMANDS };
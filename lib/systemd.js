@@ -0,0 +1,244 @@
+// ===================================================================
+// |> systemd Units - Dependency Graph and Parallel Startup <|
+// ===================================================================
+// Purpose:
+//   Model the units systemd starts at boot and the relations between them:
+//     Requires=  hard dependency; if it fails, the unit fails with "Dependency failed"
+//     Wants=     soft dependency; the unit starts even if it fails
+//     After=     ordering only; the unit starts once these units have finished starting
+//   Units are ordered by a topological sort over After= and started in parallel waves. Each unit
+//   starts as soon as the units it is ordered after are up, so the simulated start times and
+//   durations give real systemd-analyze numbers: total time, blame and critical-chain.
+
+const UNIT_NAME = /^[\w@:.-]+\.(service|target|socket|mount|timer|path)$/;
+
+/**
+ * Format a duration the way systemd-analyze does
+ * @param {number} ms - Milliseconds
+ * @returns {string} - e.g., "480ms" or "1.380s"
+ */
+const formatSpan = (ms) => (ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(3)}s`);
+
+/**
+ * Find an After= ordering cycle among units
+ * @param {Object[]} units - Unit definitions ({ name, after? })
+ * @returns {string[]|null} - Unit names around the cycle, first name repeated at the end, or null
+ */
+const findCycle = (units) => {
+  const after = new Map(units.map(unit => [unit.name, (unit.after || []).filter(name => units.some(other => other.name === name))]));
+  const state = new Map(); // name -> 'visiting' | 'done'
+  const path = [];
+  const visit = (name) => {
+    if (state.get(name) === 'done') return null;
+    if (state.get(name) === 'visiting') return [...path.slice(path.indexOf(name)), name];
+    state.set(name, 'visiting');
+    path.push(name);
+    for (const next of after.get(name)) {
+      const cycle = visit(next);
+      if (cycle) return cycle;
+    }
+    path.pop();
+    state.set(name, 'done');
+    return null;
+  };
+  for (const { name } of units) {
+    const cycle = visit(name);
+    if (cycle) return cycle;
+  }
+  return null;
+};
+
+/**
+ * Dependency graph of systemd units, started in parallel waves
+ */
+class UnitGraph {
+  /**
+   * @param {Object[]} units - Unit definitions (see UnitGraph.validate)
+   * @throws {Error} - If the After= relations form an ordering cycle
+   */
+  constructor(units) {
+    const cycle = findCycle(units);
+    if (cycle) throw new Error(`Ordering cycle between units: ${cycle.join(' -> ')}`);
+    this.units = units.map(unit => ({ description: unit.name, duration: 0, requires: [], wants: [], after: [], ...unit }));
+    this.entries = null; // Filled by start()
+  }
+
+  /**
+   * Check unit definitions from a boot profile
+   * @param {*} units - Value of the startUnits action's "units" argument
+   * @param {string} path - Path used in the messages (e.g., "stages[3].steps[7].args.units")
+   * @returns {string[]} - Human-readable violations (empty if valid)
+   */
+  static validate(units, path) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isText = value => typeof value === 'string' && value.trim() !== '';
+    if (!Array.isArray(units) || units.length === 0) return [`${path}: must be a non-empty array of units`];
+    const errors = [];
+    const names = units.filter(isObject).map(unit => unit.name);
+    const allowed = ['name', 'description', 'duration', 'requires', 'wants', 'after', 'failure'];
+    units.forEach((unit, index) => {
+      const unitPath = `${path}[${index}]`;
+      if (!isObject(unit)) {
+        errors.push(`${unitPath}: must be an object`);
+        return;
+      }
+      Object.keys(unit).filter(key => !allowed.includes(key))
+        .forEach(key => errors.push(`${unitPath}: unknown property "${key}" (allowed: ${allowed.join(', ')})`));
+      if (typeof unit.name !== 'string' || !UNIT_NAME.test(unit.name)) {
+        errors.push(`${unitPath}.name: must be a unit name such as "sshd.service" or "network.target"`);
+      } else if (names.indexOf(unit.name) !== index) {
+        errors.push(`${unitPath}.name: duplicate unit "${unit.name}"`);
+      }
+      if (unit.description !== undefined && !isText(unit.description)) errors.push(`${unitPath}.description: must be a non-empty string`);
+      if (unit.duration !== undefined && !(typeof unit.duration === 'number' && unit.duration >= 0)) {
+        errors.push(`${unitPath}.duration: must be a non-negative number of milliseconds`);
+      }
+      ['requires', 'wants', 'after'].forEach(relation => {
+        if (unit[relation] === undefined) return;
+        if (!Array.isArray(unit[relation]) || !unit[relation].every(isText)) {
+          errors.push(`${unitPath}.${relation}: must be an array of unit names`);
+          return;
+        }
+        unit[relation].filter(name => !names.includes(name))
+          .forEach(name => errors.push(`${unitPath}.${relation}: unknown unit "${name}"`));
+      });
+      if (unit.failure !== undefined) {
+        const failure = unit.failure;
+        if (!isObject(failure) || !isText(failure.id) || !isText(failure.message) ||
+          typeof failure.chance !== 'number' || failure.chance < 0 || failure.chance > 1) {
+          errors.push(`${unitPath}.failure: must be an object with "id", "chance" (0 to 1) and "message"`);
+        }
+      }
+    });
+    if (errors.length === 0) {
+      const cycle = findCycle(units);
+      if (cycle) errors.push(`${path}: ordering cycle between units: ${cycle.join(' -> ')}`);
+    }
+    return errors;
+  }
+
+  /**
+   * Group the units into waves: a unit joins the wave after the last unit it is ordered after
+   * @returns {Object[][]} - Units per wave, in definition order
+   */
+  waves() {
+    const level = new Map();
+    const levelOf = (unit) => {
+      if (!level.has(unit.name)) {
+        const after = this.units.filter(other => unit.after.includes(other.name));
+        level.set(unit.name, after.reduce((max, other) => Math.max(max, levelOf(other) + 1), 0));
+      }
+      return level.get(unit.name);
+    };
+    const waves = [];
+    this.units.forEach(unit => {
+      const index = levelOf(unit);
+      waves[index] = (waves[index] || []).concat(unit);
+    });
+    return waves;
+  }
+
+  /**
+   * Start every unit: decide failures, propagate them along Requires= and compute simulated start times
+   * @param {Object} [options={}] - Start options
+   * @param {function(): number} [options.random=Math.random] - Source of duration jitter (±20%)
+   * @param {function(Object): boolean} [options.shouldFail=() => false] - Decides whether a unit's own start fails
+   * @returns {Object[]} - Per-unit results in start order: { unit, wave, state, cause, start, end }
+   */
+  start({ random = Math.random, shouldFail = () => false } = {}) {
+    const results = new Map();
+    const ordered = [];
+    // A required unit that is missing from the graph fails its dependents, as "Unit not found" does in systemd
+    const isDown = name => !this.units.some(unit => unit.name === name) || (results.has(name) && results.get(name).state !== 'active');
+    this.waves().forEach((wave, index) => {
+      wave.forEach(unit => {
+        const start = unit.after.filter(name => results.has(name)).reduce((latest, name) => Math.max(latest, results.get(name).end), 0);
+        const failedDependency = unit.requires.find(isDown);
+        let result;
+        if (failedDependency) {
+          result = { unit, wave: index, state: 'dependency', cause: failedDependency, start, end: start };
+        } else {
+          const duration = Math.round(unit.duration * (0.8 + random() * 0.4));
+          result = { unit, wave: index, state: shouldFail(unit) ? 'failed' : 'active', cause: null, start, end: start + duration };
+        }
+        results.set(unit.name, result);
+        ordered.push(result);
+      });
+    });
+    // A Requires= dependency later in the same wave (no After=) can still fail the unit
+    let changed = true;
+    while (changed) {
+      changed = false;
+      ordered.filter(result => result.state === 'active').forEach(result => {
+        const failedDependency = result.unit.requires.find(isDown);
+        if (!failedDependency) return;
+        Object.assign(result, { state: 'dependency', cause: failedDependency });
+        changed = true;
+      });
+    }
+    this.entries = ordered;
+    return ordered;
+  }
+
+  /**
+   * Time at which the last unit finished starting
+   * @returns {number} - Milliseconds since systemd started
+   */
+  finishedAt() {
+    return (this.entries || []).reduce((latest, entry) => Math.max(latest, entry.end), 0);
+  }
+
+  /**
+   * systemd-analyze time
+   * @returns {string[]} - Summary lines
+   */
+  analyzeTime() {
+    const total = this.finishedAt();
+    const target = this.chainEnd();
+    const lines = [`Startup finished in ${formatSpan(total)} (userspace)`];
+    if (target && target.unit.name.endsWith('.target')) lines.push(`${target.unit.name} reached after ${formatSpan(target.end)} in userspace`);
+    return lines;
+  }
+
+  /**
+   * systemd-analyze blame: units that ran, slowest first
+   * @returns {string[]} - One line per unit
+   */
+  blame() {
+    const ran = (this.entries || []).filter(entry => entry.state !== 'dependency' && entry.end > entry.start);
+    const sorted = ran.slice().sort((a, b) => (b.end - b.start) - (a.end - a.start));
+    const width = sorted.reduce((max, entry) => Math.max(max, formatSpan(entry.end - entry.start).length), 0);
+    return sorted.map(entry => `${formatSpan(entry.end - entry.start).padStart(width)} ${entry.unit.name}${entry.state === 'failed' ? ' (failed)' : ''}`);
+  }
+
+  /**
+   * Unit at the end of the critical chain: the last to come up, preferring targets on a tie
+   * @returns {Object|null} - Entry from start(), or null before start()
+   */
+  chainEnd() {
+    return (this.entries || []).reduce((last, entry) => (!last || entry.end >= last.end ? entry : last), null);
+  }
+
+  /**
+   * systemd-analyze critical-chain: from the last unit back through whatever it waited for longest
+   * @returns {string[]} - Tree lines
+   */
+  criticalChain() {
+    const lines = [];
+    let entry = this.chainEnd();
+    let depth = 0;
+    while (entry) {
+      const span = entry.end > entry.start ? ` +${formatSpan(entry.end - entry.start)}` : '';
+      const prefix = depth === 0 ? '' : `${'  '.repeat(depth - 1)}└─`;
+      lines.push(`${prefix}${entry.unit.name} @${formatSpan(entry.start)}${span}${entry.state === 'active' ? '' : ` (${entry.state})`}`);
+      const current = entry;
+      entry = this.entries
+        .filter(other => current.unit.after.includes(other.unit.name) && other.end === current.start && current.start > 0)
+        .reduce((latest, other) => (!latest || other.end - other.start > latest.end - latest.start ? other : latest), null);
+      depth++;
+    }
+    return lines;
+  }
+}
+
+module.exports = { UnitGraph, formatSpan };
@@ -0,0 +1,272 @@
+// ===================================================================
+// |> Boot Timeline - Stage and Step Timing with JSON, Chrome Trace and SVG Export <|
+// ===================================================================
+// Purpose:
+//   Time every boot stage and step of a run with the high-resolution clock, plus the faults that fired, and
+//   export the result for comparing runs (different --speed values, profiles or hardware):
+//     json    Stages with their nested steps, times in milliseconds since power-on
+//     chrome  Chrome trace_event file for chrome://tracing or https://ui.perfetto.dev (stages and steps as two tracks)
+//     svg     Standalone bootchart in the style of `systemd-analyze plot`
+
+const { extname } = require('path');
+const { formatSpan } = require('./systemd');
+
+const TIMELINE_FORMATS = ['json', 'chrome', 'svg'];
+
+// Bar colors for the profile's stage colors (the web UI palette)
+const BAR_COLORS = { blue: '#58a6ff', green: '#3fb950', yellow: '#d29922', red: '#f85149', cyan: '#39c5cf', magenta: '#bc8cff' };
+
+// Bootchart layout in pixels
+const CHART = {
+  LEFT: 20, // Left margin
+  WIDTH: 900, // Width of the time axis
+  LABELS: 320, // Room on the right for labels of bars that end late
+  TOP: 64, // Height of the header above the first row
+  ROW: 18, // Height of one stage or step row
+  CHAR: 6.2 // Average width of a label character at the chart's font size
+};
+
+// Candidate tick spacings for the time axis, in milliseconds
+const TICK_STEPS = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 30000, 60000];
+
+/**
+ * Read the high-resolution monotonic clock
+ * @returns {number} - Milliseconds (fractional) from an arbitrary origin
+ */
+const hrNow = () => Number(process.hrtime.bigint()) / 1e6;
+
+/**
+ * Round a time to microseconds for export
+ * @param {number} ms - Milliseconds
+ * @returns {number} - Milliseconds with at most three decimals
+ */
+const roundMs = (ms) => Math.round(ms * 1000) / 1000;
+
+/**
+ * Escape text for XML content and attributes
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeXml = (text) => String(text).replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[char]));
+
+/**
+ * Timing of one simulator run: stages, the steps inside them and the faults
+ */
+class BootTimeline {
+  /**
+   * @param {Object} [options={}] - Timeline options
+   * @param {function(): number} [options.now=hrNow] - Clock in milliseconds; the high-resolution clock by default
+   */
+  constructor({ now = hrNow } = {}) {
+    this.now = now;
+    this.origin = null; // Clock reading at power-on
+    this.startedAt = null; // Wall-clock Date at power-on
+    this.meta = {};
+    this.stages = [];
+    this.faults = [];
+    this.status = null;
+    this.duration = null;
+    this.openStage = null;
+    this.openStep = null;
+  }
+
+  /**
+   * Pick an export format from a file name: *.svg, *.trace.json (Chrome trace) or anything else as JSON
+   * @param {string} file - Output file name
+   * @returns {string} - Format from TIMELINE_FORMATS
+   */
+  static formatFor(file) {
+    if (extname(file).toLowerCase() === '.svg') return 'svg';
+    return /\.trace\.json$/i.test(file) ? 'chrome' : 'json';
+  }
+
+  /**
+   * Time since power-on
+   * @returns {number} - Milliseconds (0 before start())
+   */
+  elapsed() {
+    return this.origin === null ? 0 : this.now() - this.origin;
+  }
+
+  /**
+   * Power on: start the clock and record what is being booted
+   * @param {Object} meta - Run details stored with the export (profile, hardware, seed, speed, ...)
+   */
+  start(meta) {
+    this.origin = this.now();
+    this.startedAt = new Date();
+    this.meta = meta;
+  }
+
+  /**
+   * Begin a stage, ending the previous one
+   * @param {Object} stage - { id, title, progress, color? }
+   */
+  beginStage({ id, title, progress, color = null }) {
+    this.endStage();
+    this.openStage = { id, title, progress, color, start: this.elapsed(), end: null, steps: [] };
+    this.stages.push(this.openStage);
+  }
+
+  // End the current stage and its current step
+  endStage() {
+    if (!this.openStage) return;
+    this.endStep();
+    this.openStage.end = this.elapsed();
+    this.openStage = null;
+  }
+
+  /**
+   * Begin a step of the current stage, ending the previous step
+   * @param {string} label - Step message, or its action name
+   * @param {string|null} [action=null] - Built-in action the step runs
+   */
+  beginStep(label, action = null) {
+    this.endStep();
+    if (!this.openStage) return;
+    this.openStep = { label, action, start: this.elapsed(), end: null };
+    this.openStage.steps.push(this.openStep);
+  }
+
+  // End the current step
+  endStep() {
+    if (!this.openStep) return;
+    this.openStep.end = this.elapsed();
+    this.openStep = null;
+  }
+
+  /**
+   * Record a fault at the current time
+   * @param {Object} fault - Payload of the simulator's 'fault' event ({ id, code, message, stage, recovered })
+   */
+  markFault({ id, code, message, stage, recovered }) {
+    this.faults.push({ id, code, message, stage, recovered, time: this.elapsed() });
+  }
+
+  /**
+   * Stop the clock
+   * @param {string} status - How the run ended: 'success', 'failure' or 'interrupted'
+   */
+  finish(status) {
+    this.endStage();
+    this.status = status;
+    this.duration = this.elapsed();
+  }
+
+  /**
+   * Timeline as plain data, times in milliseconds since power-on
+   * @returns {Object} - { ...meta, startedAt, status, duration, stages: [{ ..., steps }], faults }
+   */
+  toJSON() {
+    const span = ({ start, end }) => ({ start: roundMs(start), end: roundMs(end), duration: roundMs(end - start) });
+    return {
+      ...this.meta,
+      startedAt: this.startedAt ? this.startedAt.toISOString() : null,
+      status: this.status,
+      duration: roundMs(this.duration || 0),
+      stages: this.stages.map(stage => ({
+        id: stage.id,
+        title: stage.title,
+        progress: stage.progress,
+        ...span(stage),
+        steps: stage.steps.map(step => ({ label: step.label, action: step.action, ...span(step) }))
+      })),
+      faults: this.faults.map(fault => ({ ...fault, time: roundMs(fault.time) }))
+    };
+  }
+
+  /**
+   * Timeline in the Chrome trace_event format: complete ('X') events on a stage track and a step track,
+   * faults as global instant ('i') events; timestamps in microseconds
+   * @returns {Object} - { traceEvents, displayTimeUnit, metadata }
+   */
+  toChromeTrace() {
+    const us = ms => Math.round(ms * 1000);
+    const pid = 1;
+    const events = [
+      { name: 'process_name', ph: 'M', pid, tid: 0, args: { name: `binary-os-sim boot (${this.meta.profile || 'profile'})` } },
+      { name: 'thread_name', ph: 'M', pid, tid: 1, args: { name: 'Stages' } },
+      { name: 'thread_name', ph: 'M', pid, tid: 2, args: { name: 'Steps' } }
+    ];
+    this.stages.forEach(stage => {
+      events.push({ name: stage.title, cat: 'stage', ph: 'X', pid, tid: 1, ts: us(stage.start), dur: us(stage.end - stage.start), args: { id: stage.id, progress: stage.progress } });
+      stage.steps.forEach(step => {
+        events.push({ name: step.label, cat: 'step', ph: 'X', pid, tid: 2, ts: us(step.start), dur: us(step.end - step.start), args: { stage: stage.id, action: step.action } });
+      });
+    });
+    this.faults.forEach(fault => {
+      events.push({ name: `${fault.id} [${fault.code}]`, cat: 'fault', ph: 'i', s: 'g', pid, tid: 1, ts: us(fault.time), args: { message: fault.message, recovered: fault.recovered } });
+    });
+    return { traceEvents: events, displayTimeUnit: 'ms', metadata: { ...this.meta, startedAt: this.startedAt ? this.startedAt.toISOString() : null, status: this.status } };
+  }
+
+  /**
+   * Timeline as a standalone SVG bootchart: one bar per stage with its steps below it, a time axis and fault markers
+   * @returns {string} - SVG document
+   */
+  toSVG() {
+    const duration = Math.max(this.duration || this.elapsed(), 1);
+    const scale = CHART.WIDTH / duration;
+    const x = ms => CHART.LEFT + ms * scale;
+    const rows = [];
+    this.stages.forEach(stage => {
+      rows.push({ kind: 'stage', label: stage.title, start: stage.start, end: stage.end, color: BAR_COLORS[stage.color] || '#8b949e' });
+      stage.steps.forEach(step => rows.push({ kind: 'step', label: step.label, start: step.start, end: step.end, color: BAR_COLORS[stage.color] || '#8b949e' }));
+    });
+    const height = CHART.TOP + rows.length * CHART.ROW + 30;
+    const width = CHART.LEFT + CHART.WIDTH + CHART.LABELS;
+    const tickStep = TICK_STEPS.find(step => duration / step <= 15) || TICK_STEPS[TICK_STEPS.length - 1];
+    const { profile, hardware, seed, speed } = this.meta;
+    const subtitle = [profile && `profile ${profile}`, hardware && `hardware ${hardware}`, seed !== undefined && `seed ${seed}`, speed !== undefined && `speed ${speed}`]
+      .filter(Boolean).join(', ');
+
+    const lines = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="DejaVu Sans Mono, Menlo, Consolas, monospace" font-size="11">`,
+      '  <rect width="100%" height="100%" fill="#ffffff"/>',
+      `  <text x="${CHART.LEFT}" y="20" font-size="14" font-weight="bold">Boot timeline: ${escapeXml(formatSpan(Math.round(duration)))}${this.status ? ` (${escapeXml(this.status)})` : ''}</text>`,
+      `  <text x="${CHART.LEFT}" y="36" fill="#555555">${escapeXml(subtitle)}${this.startedAt ? ` - started ${escapeXml(this.startedAt.toISOString())}` : ''}</text>`
+    ];
+    for (let tick = 0; tick <= duration; tick += tickStep) {
+      lines.push(`  <line x1="${x(tick).toFixed(1)}" y1="${CHART.TOP - 8}" x2="${x(tick).toFixed(1)}" y2="${height - 24}" stroke="#e1e4e8"/>`);
+      lines.push(`  <text x="${x(tick).toFixed(1)}" y="${CHART.TOP - 12}" text-anchor="middle" fill="#555555">${escapeXml(formatSpan(tick))}</text>`);
+    }
+    rows.forEach((row, index) => {
+      const top = CHART.TOP + index * CHART.ROW;
+      const barWidth = Math.max((row.end - row.start) * scale, 1);
+      const label = `${row.label} (${formatSpan(Math.round(row.end - row.start))})`;
+      const textWidth = label.length * CHART.CHAR;
+      const indent = row.kind === 'step' ? 3 : 0;
+      lines.push(`  <rect x="${x(row.start).toFixed(1)}" y="${top + indent}" width="${barWidth.toFixed(1)}" height="${CHART.ROW - 2 - indent * 2}" fill="${row.color}" fill-opacity="${row.kind === 'stage' ? 0.9 : 0.45}"/>`);
+      // Labels go inside wide bars, after narrow ones, or before bars that end too close to the right edge
+      let anchor = 'start';
+      let labelX = x(row.start) + barWidth + 4;
+      if (barWidth > textWidth + 8) labelX = x(row.start) + 4;
+      else if (labelX + textWidth > width) {
+        anchor = 'end';
+        labelX = x(row.start) - 4;
+      }
+      const weight = row.kind === 'stage' ? ' font-weight="bold"' : '';
+      lines.push(`  <text x="${labelX.toFixed(1)}" y="${top + CHART.ROW - 5}" text-anchor="${anchor}"${weight}>${escapeXml(label)}</text>`);
+    });
+    this.faults.forEach(fault => {
+      const faultX = x(fault.time).toFixed(1);
+      lines.push(`  <line x1="${faultX}" y1="${CHART.TOP - 8}" x2="${faultX}" y2="${height - 24}" stroke="#d73a49" stroke-width="2" stroke-dasharray="4 3"/>`);
+      lines.push(`  <text x="${faultX}" y="${height - 10}" text-anchor="middle" fill="#d73a49">${escapeXml(`${fault.id} [${fault.code}]${fault.recovered ? ' recovered' : ''}`)}</text>`);
+    });
+    lines.push('</svg>');
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Serialize the timeline
+   * @param {string} format - Format from TIMELINE_FORMATS
+   * @returns {string} - File contents
+   */
+  serialize(format) {
+    if (format === 'svg') return this.toSVG();
+    if (format === 'chrome') return `${JSON.stringify(this.toChromeTrace())}\n`;
+    return `${JSON.stringify(this.toJSON(), null, 2)}\n`;
+  }
+}
+
+module.exports = { BootTimeline, TIMELINE_FORMATS };
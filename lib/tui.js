@@ -0,0 +1,352 @@
+// ===================================================================
+// |> TUI Dashboard - Full-Screen Boot Renderer <|
+// ===================================================================
+// Purpose:
+//   Redraw the boot sequence in place (--tui) instead of scrolling: a fixed progress bar, the stage list with
+//   done/failed/running states, a dmesg pane fed by verbose log lines and a simulated CPU/RAM panel.
+//   Built on the simulator's events and plain ANSI cursor control; the user-space stages (prompts, results)
+//   print below the final dashboard as usual.
+
+const { Writable } = require('stream');
+
+const ESC = '\x1b[';
+const SPINNER = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+const STAGE_ICONS = { pending: ['·', null], done: ['✓', 'green'], failed: ['✗', 'red'] };
+const PROGRESS_LINE = /^\[[█-]+\]\s+\d+%$/; // The regular output's progress bars, already drawn at the top
+const DMESG_HISTORY = 500; // dmesg lines kept for redraws after a resize
+
+/**
+ * Remove ANSI escape sequences so text can be measured and truncated
+ * @param {string} text - Text that may contain color codes
+ * @returns {string} - Plain text
+ */
+const stripAnsi = (text) => text.replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '');
+
+/**
+ * Pad or truncate plain text to an exact column width
+ * @param {string} text - Plain text
+ * @param {number} width - Column width
+ * @returns {string} - Text exactly `width` characters long
+ */
+const fit = (text, width) => {
+  if (width <= 0) return '';
+  return text.length > width ? `${text.slice(0, width - 1)}…` : text.padEnd(width);
+};
+
+/**
+ * Full-screen boot dashboard driven by OSSimulator events
+ * Pass `stream` and `errorStream` as the simulator's output and errorOutput so regular console lines do not
+ * scroll the screen while the dashboard is live; errors are held back and printed once it stops.
+ */
+class Dashboard {
+  /**
+   * @param {Object} [options={}] - Dashboard options
+   * @param {tty.WriteStream} [options.output=process.stdout] - Terminal the dashboard is drawn on
+   * @param {stream.Writable} [options.errorOutput=process.stderr] - Where held-back error lines go after stop()
+   * @param {number} [options.frameMs=80] - Spinner frame interval in milliseconds; the screen is redrawn at most once per frame
+   */
+  constructor({ output = process.stdout, errorOutput = process.stderr, frameMs = 80 } = {}) {
+    this.output = output;
+    this.errorOutput = errorOutput;
+    this.frameMs = frameMs;
+    this.simulator = null;
+    this.live = false;
+    this.stages = []; // { id, title, state: 'pending'|'running'|'done'|'failed', detail }
+    this.dmesg = [];
+    this.faults = [];
+    this.percent = 0;
+    this.steps = 0;
+    this.network = { state: 'down', interface: 'eth0', address: null, gateway: null, blocked: 0 }; // Latest 'network' event
+    this.lastLine = ''; // Latest console line, shown in the status row
+    this.prompt = null; // Pending prompt text while the simulator waits for an answer
+    this.heldErrors = [];
+    this.frame = 0;
+    this.dirty = false; // Something changed since the last frame was drawn
+    this.drawn = []; // Rows as last written, so a frame only rewrites the rows that changed
+    this.startedAt = Date.now();
+    this.listeners = {};
+    this.onResize = () => {
+      this.drawn = [];
+      this.output.write(`${ESC}2J`);
+      this.draw();
+    };
+    this.stream = new Writable({ write: (chunk, encoding, callback) => callback(null, this.handleOutput(chunk.toString())) });
+    this.errorStream = new Writable({ write: (chunk, encoding, callback) => callback(null, this.handleErrorOutput(chunk.toString())) });
+  }
+
+  /**
+   * Check whether a stream can show the dashboard (an interactive terminal)
+   * @param {stream.Writable} output - Candidate output stream
+   * @returns {boolean} - True for a TTY; callers fall back to the regular scrolling output otherwise
+   */
+  static isSupported(output) {
+    return Boolean(output && output.isTTY);
+  }
+
+  /**
+   * Follow a simulator's events and take over the screen
+   * @param {OSSimulator} simulator - Simulator created with this dashboard's streams
+   * @returns {Dashboard} - This dashboard, for chaining
+   */
+  attach(simulator) {
+    this.simulator = simulator;
+    if (simulator.profile) {
+      this.stages = simulator.profile.stages.map(({ id, title }) => ({ id, title, state: 'pending', detail: '' }));
+    }
+    this.listeners = {
+      'stage:start': payload => this.onStageStart(payload),
+      'stage:end': ({ id, summary }) => this.updateStage(id, { state: 'done', detail: summary || '' }),
+      step: ({ message }) => this.onStep(message),
+      verbose: ({ message }) => this.addDmesg(message),
+      progress: ({ percent }) => {
+        this.percent = percent;
+        this.render();
+      },
+      fault: payload => this.onFault(payload),
+      network: (payload) => {
+        this.network = payload;
+        this.render();
+      },
+      failure: () => {
+        const running = this.stages.find(stage => stage.state === 'running');
+        if (running) running.state = 'failed';
+        this.stop();
+      },
+      complete: () => this.stop()
+    };
+    Object.keys(this.listeners).forEach(event => simulator.on(event, this.listeners[event]));
+    this.live = true;
+    this.startedAt = Date.now();
+    this.timer = setInterval(() => this.tick(), this.frameMs);
+    if (this.timer.unref) this.timer.unref();
+    this.output.on('resize', this.onResize);
+    this.output.write(`${ESC}?25l${ESC}2J`);
+    this.draw();
+    return this;
+  }
+
+  /**
+   * Leave the final dashboard on screen and hand the terminal back to regular output
+   * Safe to call more than once (e.g., on failure and again on SIGINT).
+   */
+  stop() {
+    if (!this.live) return;
+    clearInterval(this.timer);
+    this.prompt = null;
+    this.draw();
+    this.live = false;
+    this.output.removeListener('resize', this.onResize);
+    Object.keys(this.listeners).forEach(event => this.simulator.removeListener(event, this.listeners[event]));
+    this.output.write(`${ESC}${this.height() + 1};1H${ESC}?25h`);
+    this.heldErrors.forEach(text => this.errorOutput.write(text));
+    this.heldErrors = [];
+  }
+
+  /**
+   * Mark a stage as running, or stop at the first user-space stage (it is not part of the boot profile)
+   * @param {Object} payload - 'stage:start' payload ({ id, title })
+   */
+  onStageStart({ id, title }) {
+    const inProfile = !this.simulator.profile || this.simulator.profile.stages.some(stage => stage.id === id);
+    if (!inProfile) {
+      this.stop();
+      return;
+    }
+    if (!this.stages.some(stage => stage.id === id)) this.stages.push({ id, title, state: 'pending', detail: '' });
+    this.updateStage(id, { state: 'running', detail: '' });
+  }
+
+  /**
+   * Show a step under its stage
+   * @param {string} message - Step message
+   */
+  onStep(message) {
+    this.steps += 1;
+    const running = this.stages.find(stage => stage.state === 'running');
+    if (running) running.detail = message;
+    this.render();
+  }
+
+  /**
+   * Record a fault; an unrecovered fault fails the running stage and nic-down takes the network offline
+   * @param {Object} payload - 'fault' payload ({ id, code, message, recovered })
+   */
+  onFault({ id, code, message, recovered }) {
+    this.faults.push(`${code} ${message}${recovered ? ' (recovered)' : ''}`);
+    if (id === 'nic-down') this.network = { ...this.network, state: 'offline', address: null, gateway: null };
+    if (!recovered) {
+      const running = this.stages.find(stage => stage.state === 'running');
+      if (running) running.state = 'failed';
+    }
+    this.render();
+  }
+
+  /**
+   * Update a stage entry and redraw
+   * @param {string} id - Stage id
+   * @param {Object} changes - Fields to merge into the stage entry
+   */
+  updateStage(id, changes) {
+    const stage = this.stages.find(candidate => candidate.id === id);
+    if (stage) Object.assign(stage, changes);
+    this.render();
+  }
+
+  /**
+   * Append a dmesg line stamped with the seconds since the dashboard started, like the kernel ring buffer
+   * @param {string} message - Verbose log message
+   */
+  addDmesg(message) {
+    const seconds = ((Date.now() - this.startedAt) / 1000).toFixed(6).padStart(12);
+    this.dmesg.push(`[${seconds}] ${message}`);
+    if (this.dmesg.length > DMESG_HISTORY) this.dmesg.shift();
+    this.render();
+  }
+
+  /**
+   * Receive the simulator's regular output: pass it through once stopped, otherwise keep the latest line
+   * A trailing partial line is a prompt waiting for an answer.
+   * @param {string} text - Written text
+   */
+  handleOutput(text) {
+    if (!this.live) {
+      this.output.write(text);
+      return;
+    }
+    const lines = text.split('\n');
+    const partial = stripAnsi(lines.pop());
+    const complete = lines.map(line => stripAnsi(line).trim()).filter(line => line && !PROGRESS_LINE.test(line));
+    if (complete.length > 0) this.lastLine = complete[complete.length - 1];
+    this.prompt = partial || null;
+    // A prompt is drawn at once: the spinner is paused while it waits, and the answer is typed at its cursor
+    if (this.prompt !== null) this.draw();
+    else this.render();
+  }
+
+  /**
+   * Receive the simulator's error output: hold it back while live so it cannot tear the screen
+   * @param {string} text - Written text
+   */
+  handleErrorOutput(text) {
+    if (!this.live) {
+      this.errorOutput.write(text);
+      return;
+    }
+    this.heldErrors.push(text);
+    this.lastLine = stripAnsi(text).trim();
+    this.render();
+  }
+
+  // Advance the spinner (paused while a prompt waits, so the cursor stays where the answer is typed) and draw the
+  // frame if anything changed since the last one
+  tick() {
+    if (this.prompt === null) {
+      this.frame = (this.frame + 1) % SPINNER.length;
+      if (this.stages.some(stage => stage.state === 'running')) this.dirty = true;
+    }
+    if (this.dirty) this.draw();
+  }
+
+  // Rows the dashboard occupies; the last terminal row stays free so an echoed Enter cannot scroll it
+  height() {
+    return Math.max(12, (this.output.rows || 24) - 1);
+  }
+
+  /**
+   * Color text through the simulator's terminal (honours colors: false)
+   * @param {string} text - Plain text
+   * @param {string|null} color - COLORS key, or null for no color
+   * @returns {string} - Painted text
+   */
+  paint(text, color) {
+    return color && this.simulator ? this.simulator.terminal.paint(text, color) : text;
+  }
+
+  /**
+   * Describe the simulated CPU, RAM and network for the status panel
+   * @returns {string[]} - Panel lines
+   */
+  statusLines() {
+    const { processor, memory, hardware } = this.simulator;
+    const failed = this.stages.some(stage => stage.state === 'failed');
+    const busy = this.stages.some(stage => stage.state === 'running');
+    const flags = Object.keys(processor.flags).map(flag => `${flag}=${processor.flags[flag]}`).join(' ');
+    const frames = memory.physical.length / memory.pageSize;
+    const { tlbHits, tlbMisses, minorFaults, majorFaults } = memory.stats;
+    const paging = memory.pageTable[memory.kernelPage].valid ? 'on' : 'off';
+    const { state, interface: device, address, gateway, blocked } = this.network;
+    const [label, ...details] = {
+      down: ['down', 'not configured yet'],
+      absent: ['absent', 'no Ethernet controller'],
+      offline: ['offline', 'link down, lo only'],
+      configuring: ['configuring', 'DHCPDISCOVER...'],
+      up: ['up', address, `via ${gateway}`],
+      unconfigured: ['no address', 'DHCP got no lease']
+    }[state];
+    const firewall = blocked > 0 ? `, ${blocked} blocked` : '';
+    return [
+      'System',
+      `CPU  ${failed ? 'halted' : busy ? 'busy' : 'idle'}, ${this.steps} steps`,
+      `     ${flags}`,
+      `RAM  ${hardware ? `${hardware.memory.sizeMiB} MiB, ` : ''}paging ${paging}`,
+      `     paged model ${frames - memory.freeFrames.length}/${frames} frames`,
+      `     TLB ${tlbHits} hits ${tlbMisses} misses`,
+      `     page faults ${minorFaults} minor ${majorFaults} major`,
+      `NET  ${device} ${label}${firewall}`,
+      ...details.map(detail => `     ${detail}`),
+      ...this.faults.slice(-2).map(fault => `!    ${fault}`)
+    ];
+  }
+
+  // Ask for a redraw; events can arrive thousands of times a second, so tick() draws at most one frame per frameMs
+  render() {
+    this.dirty = true;
+  }
+
+  // Draw the dashboard in place, rewriting only the rows that differ from the last frame
+  draw() {
+    this.dirty = false;
+    if (!this.live) return;
+    const columns = Math.max(40, this.output.columns || 80);
+    const height = this.height();
+    const leftWidth = Math.floor(columns * 0.55);
+    const rightWidth = columns - leftWidth - 2;
+    const rows = [];
+
+    const profileName = this.simulator.profile ? this.simulator.profile.name : 'default';
+    rows.push(this.paint(fit(`Binary OS Simulator - profile ${profileName}, seed ${this.simulator.seed}`, columns), 'cyan'));
+    const barWidth = Math.max(10, columns - 8);
+    const filled = Math.round(barWidth * (this.percent / 100));
+    rows.push(this.paint(`[${'█'.repeat(filled)}${'-'.repeat(barWidth - filled)}] ${String(this.percent).padStart(3)}%`, 'green'));
+    rows.push('');
+
+    const left = [['Stages', null]];
+    this.stages.forEach(stage => {
+      const [icon, color] = stage.state === 'running' ? [SPINNER[this.frame], 'yellow'] : STAGE_ICONS[stage.state];
+      left.push([`${icon} ${stage.title}`, color]);
+      if (stage.state === 'running' || stage.state === 'failed') left.push([`    ${stage.detail}`, null]);
+    });
+    const right = this.statusLines();
+    const bodyHeight = Math.min(Math.max(left.length, right.length), height - 8);
+    for (let index = 0; index < bodyHeight; index++) {
+      const [text, color] = left[index] || ['', null];
+      const status = right[index] || '';
+      rows.push(`${this.paint(fit(text, leftWidth), color)}  ${this.paint(fit(status, rightWidth), status.startsWith('!') ? 'red' : null)}`);
+    }
+
+    rows.push(this.paint(`── dmesg ${'─'.repeat(columns - 9)}`, 'yellow'));
+    const dmesgHeight = height - rows.length - 1;
+    const visible = this.dmesg.slice(-dmesgHeight);
+    for (let index = 0; index < dmesgHeight; index++) rows.push(this.paint(fit(visible[index] || '', columns), 'cyan'));
+
+    const statusRow = this.prompt !== null ? fit(this.prompt, columns) : fit(this.lastLine, columns);
+    rows.push(this.prompt !== null ? this.paint(statusRow, 'yellow') : statusRow);
+
+    const screen = rows.map((row, index) => (row === this.drawn[index] ? '' : `${ESC}${index + 1};1H${row}${ESC}K`)).join('');
+    this.drawn = rows;
+    const cursor = this.prompt !== null ? `${ESC}${height};${Math.min(this.prompt.length, columns - 1) + 1}H${ESC}?25h` : `${ESC}?25l`;
+    this.output.write(screen + cursor);
+  }
+}
+
+module.exports = { Dashboard };
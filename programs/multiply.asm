@@ -0,0 +1,12 @@
+; Multiply EAX by EBX with repeated addition (EAX and EBX start as operands A and B)
+; Result is left in EAX; the running total is also kept in RAM[0x10].
+        MOV ECX, EBX        ; ECX = loop counter
+        MOV EBX, EAX        ; EBX = value to add each round
+        MOV EAX, 0          ; EAX = running total
+        CMP ECX, 0
+        JZ done             ; A x 0 = 0
+loop:   ADD EAX, EBX
+        STORE [0x10], EAX
+        SUB ECX, 1
+        JNZ loop            ; SUB sets ZF when the counter reaches 0
+done:   HLT
@@ -0,0 +1,11 @@
+; Count the 1 bits in EAX (operand A) and leave the count in EAX
+        MOV ECX, 0          ; ECX = number of 1 bits seen
+next:   CMP EAX, 0
+        JZ done             ; no 1 bits left
+        MOV EDX, EAX
+        AND EDX, 1          ; EDX = lowest bit
+        ADD ECX, EDX
+        SHR EAX, 1          ; drop the lowest bit
+        JMP next
+done:   MOV EAX, ECX
+        HLT
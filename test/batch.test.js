@@ -0,0 +1,54 @@
+// Non-interactive mode: --a/--b/--op and --batch run without prompts and reject bad input with exit code 2
+
+const assert = require('assert').strict;
+const { runCli } = require('./helpers');
+
+/**
+ * Run the CLI with input it must reject before booting
+ * @param {string[]} args - Command-line arguments
+ * @param {string} [input] - Text piped to stdin
+ * @returns {Promise<string>} - The error line printed on stderr
+ */
+const rejected = async (args, input) => {
+  const { code, stdout, stderr } = await runCli(args, { input });
+  assert.equal(code, 2);
+  assert.equal(stdout, '', 'nothing boots');
+  return stderr.trim();
+};
+
+module.exports = {
+  'flags run one job without prompting; NOT needs no --b': async () => {
+    const { code, stdout } = await runCli(['--a=1011', '--op=not']);
+    assert.equal(code, 0);
+    assert.ok(stdout.includes('Operation selected: NOT'));
+    assert.ok(stdout.includes('Result: 1111_0100 (hex: 0xF4, oct: 0o364, dec: 244)'));
+    assert.ok(stdout.includes('Simulation Complete - System Online!'));
+  },
+
+  '--batch reads stdin and runs every job after a single boot': async () => {
+    const { code, stdout } = await runCli(['--batch'], { input: '# demo\n1011 0110 XOR\n\n1100 1010 nand\n' });
+    assert.equal(code, 0);
+    assert.equal(stdout.split('Firmware Initialization').length - 1, 1);
+    assert.ok(stdout.includes('Result: 0000_1101 (hex: 0x0D, oct: 0o15, dec: 13)'));
+    assert.ok(stdout.includes('Result: 1111_0111 (hex: 0xF7, oct: 0o367, dec: 247)'));
+    assert.equal(stdout.split('Simulation Complete').length - 1, 1);
+  },
+
+  'bad operands and operations exit with INP002 and INP003': async () => {
+    assert.equal(await rejected(['--a=1011', '--b=0110', '--op=ADDX']),
+      'Invalid input [INP003]: Unknown operation "ADDX". Options: AND, OR, XOR, NOT, NAND, NOR, XNOR, ADD, SUB, NEG, MUL, SHL, SHR, SAR, ROL, ROR');
+    assert.equal(await rejected(['--a=1011', '--op=AND']), 'Invalid input [INP002]: Missing second operand (--b) for AND');
+    assert.equal(await rejected(['--a=1021', '--b=1', '--op=OR']),
+      'Invalid input [INP002]: Operand A: Invalid input "1021". Use binary (101), hex (0x1F), octal (0o17) or decimal (0d42).');
+  },
+
+  'malformed batch lines name their line': async () => {
+    assert.equal(await rejected(['--batch'], '1011 0110 XOR\n1011 XOR\n'), 'Invalid input [INP003]: stdin:2: Expected "A B OP", got "1011 XOR"');
+    assert.equal(await rejected(['--batch'], '# nothing\n'), 'Invalid input [INP003]: No jobs found in stdin');
+  },
+
+  '--batch with operand flags or an unreadable file is rejected': async () => {
+    assert.equal(await rejected(['--batch', '--a=1']), 'Invalid input [INP004]: --batch cannot be combined with --a/--b/--op');
+    assert.match(await rejected(['--batch=/nonexistent/jobs.txt']), /^Invalid input \[INP005\]: Cannot read batch file \/nonexistent\/jobs\.txt: ENOENT/);
+  }
+};
@@ -0,0 +1,73 @@
+// Toy CPU: the assembler, and programs run through the --asm stage with the ALU setting FLAGS
+
+const assert = require('assert').strict;
+const { join } = require('path');
+const { assemble } = require('../lib/cpu');
+const { runCli } = require('./helpers');
+
+const fixture = name => join(__dirname, 'fixtures', name);
+
+module.exports = {
+  'labels, operand kinds and two\'s complement immediates': () => {
+    const { instructions, labels } = assemble('start: MOV EAX, -1 ; all ones\n  STORE [EBX], 0x2A\n  LOAD ECX, [0x10]\n  JNZ start\n  HLT\n');
+    assert.deepEqual(labels, { start: 0 });
+    assert.deepEqual(instructions.map(({ op, line }) => [op, line]), [['MOV', 1], ['STORE', 2], ['LOAD', 3], ['JNZ', 4], ['HLT', 5]]);
+    assert.deepEqual(instructions[0].operands, [{ kind: 'reg', name: 'EAX' }, { kind: 'imm', value: 255n }]);
+    assert.equal(instructions[0].text, 'MOV EAX, -1');
+    assert.equal(instructions[1].operands[0].kind, 'mem');
+    assert.equal(assemble('MOV EAX, -1\nHLT', { width: 16 }).instructions[0].operands[1].value, 0xFFFFn);
+  },
+
+  'syntax errors name their line': () => {
+    const errors = {
+      'HLT\nPUSH EAX': 'line 2: unknown instruction "PUSH"',
+      'MOV EAX': 'line 1: MOV takes 2 operands, got 1',
+      'MOV 1, EAX': 'line 1: MOV operand 1 must be reg, got imm',
+      'a: HLT\na: HLT': 'line 2: label "a" is already defined',
+      'MOV EAX, 256\nHLT': 'line 1: immediate 256 does not fit in 8 bits',
+      'JMP away\nHLT': 'line 1: undefined label "away"',
+      '; nothing here\n': 'program contains no instructions'
+    };
+    Object.keys(errors).forEach(source => assert.throws(() => assemble(source), { message: errors[source] }));
+  },
+
+  'multiply runs with a fetch-decode-execute trace': async () => {
+    const { code, stdout } = await runCli(['--asm=multiply', '--a=0d7', '--b=0d6', '--trace']);
+    assert.equal(code, 0);
+    assert.ok(stdout.includes('Assembling multiply.asm (10 instructions)...'));
+    assert.ok(stdout.includes('Fetch:   IP=8 -> JNZ loop\nDecode:  JNZ loop (label -> IP 5)\nExecute: jump taken to loop (IP = 5)'));
+    assert.ok(stdout.includes('Execute: RAM[0x10] = 0x2A'));
+    assert.ok(stdout.includes('Result (EAX): 0010_1010 (hex: 0x2A, oct: 0o52, dec: 42)'));
+  },
+
+  'popcount loops until HLT and leaves the count in EAX': async () => {
+    const { code, stdout } = await runCli(['--asm=popcount', '--a=0b1011_0110']);
+    assert.equal(code, 0);
+    assert.ok(!stdout.includes('Fetch:'), 'no trace without --trace');
+    assert.ok(stdout.includes('Program halted after 61 instructions.'));
+    assert.ok(stdout.includes('Result (EAX): 0000_0101 (hex: 0x05, oct: 0o5, dec: 5)'));
+    assert.ok(stdout.includes('Operation: PROGRAM popcount.asm (8-bit)'));
+  },
+
+  'a program that never halts stops at the step limit': async () => {
+    const { code, stderr } = await runCli([`--asm=${fixture('endless.asm')}`, '--a=0']);
+    assert.equal(code, 1);
+    assert.ok(stderr.includes('Fatal error: no HLT after 10000 instructions (infinite loop?)'));
+  },
+
+  'a missing, unassemblable or conflicting program exits with code 2': async () => {
+    for (const flag of ['--asm', '--asm=']) {
+      const { code, stdout, stderr } = await runCli([flag, '--a=1']);
+      assert.equal(code, 2);
+      assert.equal(stdout, '', 'nothing boots');
+      assert.equal(stderr.trim(), 'Invalid input [ASM001]: --asm needs a program file or bundled name (e.g. --asm=multiply)');
+    }
+    const broken = await runCli([`--asm=${fixture('broken.asm')}`]);
+    assert.equal(broken.code, 2);
+    assert.equal(broken.stderr.trim(), `Invalid input [ASM002]: ${fixture('broken.asm')}: line 2: undefined label "nowhere"`);
+    const missing = await runCli(['--asm=no-such-program']);
+    assert.match(missing.stderr, /^Invalid input \[ASM001\]: Cannot read program no-such-program: ENOENT/);
+    const withOp = await runCli(['--asm=multiply', '--op=ADD']);
+    assert.equal(withOp.stderr.trim(), 'Invalid input [INP004]: --asm cannot be combined with --op (the program supplies the operations)');
+  }
+};
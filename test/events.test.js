@@ -0,0 +1,112 @@
+// Simulator events and stage hooks: what a front-end or plugin sees during a run
+
+const assert = require('assert').strict;
+const { join } = require('path');
+const { Writable } = require('stream');
+const { OSSimulator, InputHandler, loadProfile, SIMULATOR_EVENTS } = require('../lib');
+
+/**
+ * Create a quiet simulator for one 4-bit ADD job, recording every event it emits
+ * @param {Object} [options={}] - Extra OSSimulator options (e.g., profile, inject)
+ * @returns {{simulator: OSSimulator, events: Array<[string, Object]>, output: function(): string}} - The simulator,
+ *   the recorded [name, payload] pairs and the text printed so far
+ */
+const recordedSimulator = (options = {}) => {
+  let text = '';
+  const output = new Writable({
+    write: (chunk, encoding, callback) => {
+      text += chunk.toString();
+      callback();
+    }
+  });
+  const simulator = new OSSimulator({
+    jobs: [InputHandler.parseJob('0101', '0011', 'ADD', 4)],
+    width: 4,
+    seed: 1,
+    speed: 0,
+    faults: false,
+    logFile: null,
+    colors: false,
+    output,
+    errorOutput: output,
+    ...options
+  });
+  const events = [];
+  Object.keys(SIMULATOR_EVENTS).forEach(name => simulator.on(name, payload => events.push([name, payload])));
+  return { simulator, events, output: () => text };
+};
+
+const tinyProfile = () => loadProfile(join(__dirname, 'fixtures', 'tiny-profile.yaml'));
+const ADD_RESULT = { operation: 'ADD', a: '0101', b: '0011', result: '1000', flags: { CF: 0, PF: 0, ZF: 0, SF: 1, OF: 1 } };
+
+module.exports = {
+  'a run emits stage, step, verbose and progress events, then the result and complete': async () => {
+    const { simulator, events } = recordedSimulator({ profile: await tinyProfile() });
+    const results = await simulator.run();
+
+    assert.deepEqual(events.filter(([name]) => name === 'stage:start').map(([, { id }]) => id), ['firmware', 'input', 'operation', 'cpu', 'ram', 'output']);
+    assert.deepEqual(events.slice(0, 5), [
+      ['stage:start', { id: 'firmware', title: 'Tiny Firmware', progress: 0 }],
+      ['step', { stage: 'firmware', progress: 0, message: 'Running the tiny POST...', color: 'blue', level: 'info' }],
+      ['verbose', { stage: 'firmware', progress: 0, message: 'CPU cache test passed' }],
+      ['progress', { percent: 0 }],
+      ['stage:end', { id: 'firmware', progress: 0, summary: null }]
+    ]);
+    assert.deepEqual(events.slice(-2), [['operation:result', ADD_RESULT], ['complete', { results: [ADD_RESULT] }]]);
+    assert.deepEqual(results, [ADD_RESULT]);
+    assert.ok(!events.some(([name]) => name === 'fault' || name === 'failure'));
+  },
+
+  'a halting fault emits fault and failure, and run() rejects with the same error': async () => {
+    const { simulator, events } = recordedSimulator({ inject: ['ram'] });
+    const error = await simulator.run().then(() => assert.fail('expected run() to reject'), err => err);
+
+    assert.equal(error.code, 'FLT001');
+    assert.deepEqual(events.filter(([name]) => name === 'fault'), [
+      ['fault', { id: 'ram', code: 'FLT001', message: 'RAM integrity check failed', stage: 'firmware', recovered: false }]
+    ]);
+    const [name, payload] = events[events.length - 1];
+    assert.equal(name, 'failure');
+    assert.equal(payload.error, error);
+    assert.equal(payload.code, 'FLT001');
+  },
+
+  'a recovered fault is reported with recovered: true': async () => {
+    // Keep only the firmware stage so the boot stays short
+    const { simulator, events } = recordedSimulator({ inject: ['secureboot'] });
+    simulator.addStageHook('*', (steps, stage) => (stage.id === 'firmware' ? steps : []));
+    await simulator.run();
+    assert.deepEqual(events.filter(([name]) => name === 'fault').map(([, payload]) => [payload.id, payload.code, payload.recovered]), [
+      ['secureboot', 'FLT004', true]
+    ]);
+  },
+
+  'stage hooks add, drop and reorder steps; use() installs a plugin': async () => {
+    const calls = [];
+    const microcode = simulator => simulator
+      .addStageHook('firmware', steps => [
+        { message: 'Applying microcode update...', run: async (sim, step) => calls.push([sim, step.message]) },
+        ...steps
+      ]);
+    const { simulator, events, output } = recordedSimulator({ profile: await tinyProfile() });
+    assert.equal(simulator.use(microcode), simulator);
+    simulator.addStageHook('*', (steps, stage) => steps.concat({ message: `Leaving ${stage.id}` }));
+    await simulator.run();
+
+    const firmwareSteps = events.filter(([name, payload]) => name === 'step' && payload.stage === 'firmware').map(([, { message }]) => message);
+    assert.deepEqual(firmwareSteps, ['Applying microcode update...', 'Running the tiny POST...', 'Leaving firmware']);
+    assert.deepEqual(calls, [[simulator, 'Applying microcode update...']]);
+    assert.ok(output().includes('Applying microcode update...\nRunning the tiny POST...'));
+  },
+
+  'a hook that returns invalid steps fails the run': async () => {
+    const notArray = recordedSimulator({ profile: await tinyProfile() }).simulator.addStageHook('firmware', () => null);
+    await assert.rejects(notArray.run(), { name: 'TypeError', message: 'Stage hook for "firmware" must return an array of steps' });
+
+    const badStep = recordedSimulator({ profile: await tinyProfile() }).simulator.addStageHook('firmware', steps => [...steps, { color: 'red' }]);
+    await assert.rejects(badStep.run(), {
+      name: 'TypeError',
+      message: 'Stage hook for "firmware" returned an invalid step at index 1: needs a message, a known action or run()'
+    });
+  }
+};
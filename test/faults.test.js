@@ -0,0 +1,102 @@
+// Fault injection: each fault's response, whether the boot recovers or halts, and --inject validation
+
+const assert = require('assert').strict;
+const { join } = require('path');
+const { runCli } = require('./helpers');
+
+const TINY = `--profile=${join(__dirname, 'fixtures', 'tiny-profile.yaml')}`;
+
+/**
+ * Assert that lines appear in the output in the given order
+ * @param {string} output - Captured stdout
+ * @param {string[]} lines - Expected lines, each matched in full
+ */
+const assertInOrder = (output, lines) => {
+  const printed = output.split('\n');
+  let from = 0;
+  for (const line of lines) {
+    const index = printed.indexOf(line, from);
+    assert.ok(index !== -1, `missing (in order): ${line}`);
+    from = index + 1;
+  }
+};
+
+module.exports = {
+  'secureboot, fsck and nic-down recover and the boot completes': async () => {
+    const { code, stdout } = await runCli(['--a=1', '--op=NOT', '--inject=secureboot,fsck,nic-down']);
+    assert.equal(code, 0);
+    assertInOrder(stdout, [
+      'Injecting fault "secureboot" [FLT004]: Secure Boot rejects the bootloader: next efibootmgr entry is tried',
+      'Injecting fault "fsck" [FLT003]: Root filesystem errors: fsck repair prompts, boot continues',
+      'Injecting fault "nic-down" [FLT005]: Network link down: DHCP times out, boot continues offline',
+      'Enabling Secure Boot: Validating digital signatures...',
+      'Secure Boot signature verification failed [FLT004]',
+      '  efibootmgr: BootOrder: 0000,0001,0002 -> trying Boot0001',
+      '  BootCurrent: 0001',
+      'Configuring efibootmgr boot entries...',
+      'Running fsck on root filesystem...',
+      'Root filesystem check found errors [FLT003]',
+      '  Clear<y>? yes (fsck.repair=yes)',
+      '  /dev/root: 4 errors repaired, 48213/655360 files, 1183024/2621440 blocks',
+      'Mounting root filesystem (read-only support)...',
+      'Network interface eth0 is down [FLT005]',
+      '  network-online.target: continuing boot without network (lo only)',
+      '  eth0: no carrier, skipping DHCP and the network check (tcpdump captured 0 packets)',
+      'Simulation Complete - System Online!'
+    ]);
+  },
+
+  'a failed POST memory test halts with beep codes and exit code 3': async () => {
+    const { code, stdout, stderr } = await runCli(['--a=1', '--op=NOT', '--inject=ram']);
+    assert.equal(code, 3);
+    assertInOrder(stdout, [
+      'Running POST: Validating RAM integrity...',
+      'RAM integrity check failed [FLT001]',
+      '  Beep code: • • •  (3 short = base 64K memory failure)',
+      '  System halted. Reseat or replace the memory module and power cycle.'
+    ]);
+    assert.ok(!stdout.includes('Bootloader Stage'));
+    assert.equal(stderr.trim(), 'System halted [FLT001]: RAM integrity check failed: POST halted with 3 short beeps');
+  },
+
+  'a kernel page fault goes through the MMU to an oops and a panic': async () => {
+    const { code, stdout, stderr } = await runCli(['--a=1', '--op=NOT', '--inject=pagefault']);
+    assert.equal(code, 3);
+    assertInOrder(stdout, [
+      'Setting up paging tables...',
+      'Page fault in kernel mode [FLT002]',
+      '  BUG: kernel NULL pointer dereference, address: 0000000000000010',
+      '  MMU: Segmentation fault: NULL pointer access at 0x0010 (page 0x0 is never mapped)',
+      '  Oops: 0002 [#1] PREEMPT SMP NOPTI',
+      '  Kernel panic - not syncing: Fatal exception'
+    ]);
+    assert.equal(stderr.trim(), 'System halted [FLT002]: Page fault in kernel mode: kernel panic after NULL pointer dereference at 0x0010');
+  },
+
+  'a fault without a trigger step is reported and never fires': async () => {
+    const { code, stdout } = await runCli([TINY, '--a=1', '--op=NOT', '--inject=ram']);
+    assert.equal(code, 0);
+    assert.ok(stdout.includes('Fault "ram" has no trigger step in profile tiny; it will not fire'));
+    assert.ok(stdout.includes('Simulation Complete'));
+  },
+
+  'unit-fail fails a unit and whatever requires it, and the boot continues degraded': async () => {
+    const { code, stdout } = await runCli(['--a=1', '--op=NOT', '--inject=unit-fail']);
+    assert.equal(code, 0);
+    assertInOrder(stdout, [
+      'Injecting fault "unit-fail" [FLT006]: A systemd unit fails to start: units that require it fail too, boot continues degraded',
+      'containerd.service: Main process exited, code=exited, status=1/FAILURE [FLT006]',
+      '  [FAILED] Failed to start containerd.service - containerd container runtime.',
+      '  [DEPEND] Dependency failed for docker.service - Docker Application Container Engine.',
+      'Simulation Complete - System Online!'
+    ]);
+  },
+
+  'unknown fault names exit with INP009': async () => {
+    for (const flag of ['ram,disk', '']) {
+      const { code, stderr } = await runCli([`--inject=${flag}`]);
+      assert.equal(code, 2);
+      assert.equal(stderr.trim(), `Invalid input [INP009]: Invalid --inject "${flag}". Use a comma-separated list of: ram, pagefault, fsck, secureboot, nic-down, unit-fail.`);
+    }
+  }
+};
@@ -0,0 +1,206 @@
+// parseRuleset and Firewall: nft syntax, CIDR matching, chain traversal and connection tracking; the boot's
+// packets filtered through a loaded ruleset, and --firewall on the CLI
+
+const assert = require('assert').strict;
+const { readFileSync, writeFileSync } = require('fs');
+const { join } = require('path');
+const { Writable } = require('stream');
+const { OSSimulator, InputHandler, loadProfile, loadFirewall } = require('../lib');
+const { Firewall, parseRuleset } = require('../lib/firewall');
+const { runCli, withTempDir } = require('./helpers');
+
+const RULESET = `
+table inet filter {
+  chain input {
+    type filter hook input priority filter; policy drop;
+    ct state established,related accept
+    ip saddr { 192.168.1.0/24, 10.0.0.0/8 } tcp dport ssh counter accept
+    ip saddr != 172.16.0.0/12 udp dport 5000-5010 accept
+    jump log-drop
+  }
+  chain log-drop {
+    log prefix "nft drop: " counter
+    tcp dport 23 reject
+  }
+  chain output {
+    type filter hook output priority filter; policy accept;
+  }
+}
+`;
+
+/**
+ * A packet arriving on eth0 or leaving through it
+ * @param {Object} fields - Packet fields to set (hook, src, dst, protocol, ports, ICMP fields)
+ * @returns {Object} - Packet for Firewall.evaluate
+ */
+const packet = fields => ({
+  iifname: fields.hook === 'input' ? 'eth0' : null,
+  oifname: fields.hook === 'output' ? 'eth0' : null,
+  length: 60,
+  ttl: 64,
+  ...fields
+});
+
+/**
+ * Boot the firewall profile quietly with a ruleset and collect its 'network' events
+ * @param {Object} ruleset - Ruleset from loadFirewall
+ * @returns {Promise<{events: Object[], output: string}>} - Event payloads and the text printed
+ */
+const bootThrough = async (ruleset) => {
+  let output = '';
+  const stream = new Writable({
+    write: (chunk, encoding, callback) => {
+      output += chunk.toString();
+      callback();
+    }
+  });
+  const simulator = new OSSimulator({
+    profile: await loadProfile(join(__dirname, 'fixtures', 'firewall-profile.yaml')),
+    firewall: ruleset,
+    jobs: [InputHandler.parseJob('0101', '0011', 'ADD', 4)],
+    width: 4,
+    seed: 1,
+    speed: 0,
+    faults: false,
+    logFile: null,
+    colors: false,
+    output: stream,
+    errorOutput: stream
+  });
+  const events = [];
+  simulator.on('network', payload => events.push(payload));
+  await simulator.run();
+  return { events, output };
+};
+
+const ssh = src => packet({ hook: 'input', src, dst: '192.168.1.42', protocol: 6, sport: 50000, dport: 22 });
+
+module.exports = {
+  'tables, base chains and handles (chains and rules share one counter per table)': () => {
+    const { tables } = parseRuleset(RULESET);
+    assert.equal(tables.length, 1);
+    const [input, logDrop, output] = tables[0].chains;
+    assert.deepEqual([input.hook, input.priority, input.policy], ['input', 0, 'drop']);
+    assert.equal(logDrop.hook, null);
+    assert.equal(output.policy, 'accept');
+    assert.deepEqual(input.rules.map(rule => rule.handle), [2, 3, 4, 5]);
+  },
+
+  'the bundled rulesets parse': () => {
+    ['default', 'strict'].forEach((name) => {
+      const { tables } = parseRuleset(readFileSync(join(__dirname, '..', 'firewall', `${name}.nft`), 'utf8'));
+      assert.ok(tables.length > 0, `${name}.nft has tables`);
+    });
+  },
+
+  'syntax errors name their line': () => {
+    assert.throws(() => parseRuleset('table inet t {\n  chain c {\n    ip saddr 300.1.1.1 accept\n  }\n}\n'), /^Error: line 3: ip saddr: "300\.1\.1\.1" is not an IPv4 address/);
+    assert.throws(() => parseRuleset('table inet t {\n  chain c {\n    jump nowhere\n  }\n}\n'), /line 3/);
+  },
+
+  'a CIDR match is the address ANDed with the netmask': () => {
+    const firewall = new Firewall(parseRuleset(RULESET));
+    const lan = firewall.evaluate(ssh('10.1.2.3'));
+    assert.equal(lan.verdict, 'accept');
+    assert.equal(lan.where, 'inet filter input handle 3');
+    assert.deepEqual(lan.reasons, ['ip saddr 10.1.2.3 matches 10.0.0.0/8', 'tcp dport 22 matches ssh']);
+    assert.deepEqual(lan.details, [
+      '  00001010.00000001.00000010.00000011  10.1.2.3',
+      '& 11111111.00000000.00000000.00000000  255.0.0.0 (/8 netmask)',
+      '= 00001010.00000000.00000000.00000000  10.0.0.0 == network 10.0.0.0'
+    ]);
+    // 192.168.2.1 shares the first 22 bits with 192.168.1.0 but not the 24th
+    assert.equal(firewall.evaluate(ssh('192.168.2.1')).verdict, 'drop');
+    assert.equal(firewall.evaluate(ssh('192.168.1.255')).verdict, 'accept');
+  },
+
+  'negated matches and port ranges': () => {
+    const firewall = new Firewall(parseRuleset(RULESET));
+    const udp = (src, dport) => packet({ hook: 'input', src, dst: '192.168.1.42', protocol: 17, sport: 40000, dport });
+    assert.equal(firewall.evaluate(udp('8.8.8.8', 5005)).verdict, 'accept');
+    assert.equal(firewall.evaluate(udp('172.20.0.1', 5005)).verdict, 'drop');
+    assert.equal(firewall.evaluate(udp('8.8.8.8', 5011)).verdict, 'drop');
+  },
+
+  'jump runs a regular chain; return falls back to the caller and its policy': () => {
+    const firewall = new Firewall(parseRuleset(RULESET));
+    const telnet = firewall.evaluate(packet({ hook: 'input', src: '8.8.8.8', dst: '192.168.1.42', protocol: 6, sport: 50000, dport: 23 }));
+    assert.equal(telnet.verdict, 'reject');
+    assert.equal(telnet.where, 'inet filter log-drop handle 8');
+    const http = firewall.evaluate(packet({ hook: 'input', src: '8.8.8.8', dst: '192.168.1.42', protocol: 6, sport: 50000, dport: 80 }));
+    assert.equal(http.verdict, 'drop');
+    assert.equal(http.rule, null);
+    assert.equal(http.where, 'inet filter input policy');
+    assert.deepEqual(http.trace.map(({ rule, matched }) => [rule.handle, matched]), [[2, false], [3, false], [4, false], [5, true], [7, true], [8, false]]);
+  },
+
+  'evaluate leaves counters and connection tracking alone; filter applies them': () => {
+    const firewall = new Firewall(parseRuleset(RULESET));
+    firewall.evaluate(ssh('10.1.2.3'));
+    assert.equal(firewall.counters.size, 0);
+    assert.equal(firewall.conntrack.size, 0);
+    const result = firewall.filter(ssh('10.1.2.3'));
+    assert.equal(result.state, 'new');
+    assert.equal(firewall.conntrack.size, 1);
+    assert.ok(firewall.list().some(line => line.includes('tcp dport ssh counter packets 1 bytes 60 accept')));
+  },
+
+  'replies to accepted flows are established, ICMP errors about them related': () => {
+    const firewall = new Firewall(parseRuleset(RULESET));
+    const request = packet({ hook: 'output', src: '192.168.1.42', dst: '93.184.216.34', protocol: 1, icmpType: 8, icmpId: 2 });
+    const reply = packet({ hook: 'input', src: '93.184.216.34', dst: '192.168.1.42', protocol: 1, icmpType: 0, icmpId: 2 });
+    const error = packet({
+      hook: 'input', src: '10.10.0.1', dst: '192.168.1.42', protocol: 1, icmpType: 11,
+      quote: { protocol: 1, src: '192.168.1.42', dst: '93.184.216.34', icmpId: 2 }
+    });
+    assert.equal(firewall.evaluate(reply).state, 'invalid');
+    assert.equal(firewall.evaluate(error).state, 'invalid');
+    assert.equal(firewall.filter(request).verdict, 'accept');
+    assert.deepEqual([firewall.evaluate(reply).state, firewall.evaluate(reply).verdict], ['established', 'accept']);
+    assert.deepEqual([firewall.evaluate(error).state, firewall.evaluate(error).verdict], ['related', 'accept']);
+  },
+
+  'log statements produce nf_log lines': () => {
+    const firewall = new Firewall(parseRuleset(RULESET));
+    const { logs } = firewall.filter(packet({ hook: 'input', src: '8.8.8.8', dst: '192.168.1.42', protocol: 17, sport: 53, dport: 40000 }));
+    assert.deepEqual(logs, ['nft drop: IN=eth0 OUT= SRC=8.8.8.8 DST=192.168.1.42 LEN=60 TTL=64 PROTO=UDP SPT=53 DPT=40000']);
+  },
+
+  'every packet of the boot gets a verdict, and the network event counts the blocked ones': async () => {
+    const open = await bootThrough(await loadFirewall('default'));
+    assert.ok(open.output.includes('        nft input: accept (ct state new) by inet filter input handle 5: ip saddr 192.168.1.0/24 udp sport bootps udp dport bootpc counter accept comment "DHCP from the LAN"\n'));
+    assert.deepEqual(open.events[open.events.length - 1], { state: 'up', interface: 'eth0', address: '192.168.1.42/24', gateway: '192.168.1.1', blocked: 0 });
+
+    // strict drops the routers' time-exceeded errors, so traceroute only hears from its target
+    const strict = await bootThrough(await loadFirewall('strict'));
+    assert.ok(strict.output.includes('   1  * * *\n'));
+    assert.ok(strict.output.includes('        nft input: drop (ct state related) by inet filter input policy (no rule matched)\n'));
+    assert.equal(strict.events[strict.events.length - 1].blocked, 4);
+  },
+
+  'a dropped DHCP offer leaves the interface unconfigured': async () => {
+    const ruleset = parseRuleset('table inet filter {\n  chain input {\n    type filter hook input priority filter; policy drop;\n  }\n}\n');
+    const { events, output } = await bootThrough(ruleset);
+    assert.ok(output.includes('  DHCP Offer dropped by inet filter input policy: no lease, eth0 stays unconfigured\n'));
+    assert.deepEqual(events, [
+      { state: 'configuring', interface: 'eth0', address: null, gateway: null, blocked: 0 },
+      { state: 'unconfigured', interface: 'eth0', address: null, gateway: null, blocked: 1 }
+    ]);
+  },
+
+  '--firewall swaps the ruleset; unreadable and unparsable rulesets exit with code 2': () => withTempDir(async (dir) => {
+    const strict = await runCli(['--a=1', '--op=NOT', '--firewall=strict']);
+    assert.equal(strict.code, 0);
+    assert.ok(strict.stdout.includes('   1  * * *\n'));
+
+    const missing = await runCli(['--firewall=nowhere']);
+    assert.equal(missing.code, 2);
+    assert.ok(missing.stderr.startsWith('Invalid input [FWL001]: Cannot read firewall ruleset nowhere'));
+
+    const file = join(dir, 'broken.nft');
+    writeFileSync(file, 'table inet filter {\n  chain input {\n    ip saddr 300.1.1.1 accept\n  }\n}\n');
+    const broken = await runCli([`--firewall=${file}`]);
+    assert.equal(broken.code, 2);
+    assert.ok(broken.stderr.startsWith(`Invalid input [FWL002]: ${file}: line 3: ip saddr: "300.1.1.1" is not an IPv4 address or prefix`), broken.stderr);
+  })
+};
@@ -0,0 +1,3 @@
+        MOV EAX, 1
+        JZ nowhere
+        HLT
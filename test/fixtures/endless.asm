@@ -0,0 +1,3 @@
+; Never reaches HLT, so the CPU gives up after CPU_DEFAULTS.MAX_STEPS instructions
+spin:   JMP spin
+        HLT
@@ -0,0 +1,73 @@
+// Gate-level adder: the ripple-carry circuit against arithmetic, gate counts, the critical path, drawings and --gates
+
+const assert = require('assert').strict;
+const { join } = require('path');
+const { Processor } = require('../lib');
+const { buildRippleCarryAdder, drawAdderBit } = require('../lib/gates');
+const { runCli } = require('./helpers');
+
+const TINY = `--profile=${join(__dirname, 'fixtures', 'tiny-profile.yaml')}`;
+
+const processor = new Processor();
+const gate = (bit1, bit2, operation) => processor.computeBitOperation(bit1, bit2, operation);
+const word = (value, width) => value.toString(2).padStart(width, '0');
+
+module.exports = {
+  'every 4-bit sum and difference matches the arithmetic, carry included': () => {
+    for (let a = 0; a < 16; a++) {
+      for (let b = 0; b < 16; b++) {
+        const sum = buildRippleCarryAdder(word(a, 4), word(b, 4), { gate });
+        assert.equal(sum.result, word((a + b) % 16, 4), `${a} + ${b}`);
+        assert.equal(sum.carryOut.value, a + b > 15 ? 1 : 0);
+        const difference = buildRippleCarryAdder(word(a, 4), word(b, 4), { subtract: true, gate });
+        assert.equal(difference.result, word((a - b + 16) % 16, 4), `${a} - ${b}`);
+        assert.equal(difference.carryOut.value, a >= b ? 1 : 0); // The borrow is NOT carry-out
+      }
+    }
+  },
+
+  'addition starts with a half adder; subtraction inverts B and feeds SUB in as the first carry': () => {
+    const sum = buildRippleCarryAdder('0011', '0001', { gate });
+    assert.deepEqual(sum.bits.map(entry => entry.kind), ['half', 'full', 'full', 'full']);
+    assert.deepEqual(sum.circuit.counts(), { AND: 7, OR: 3, XOR: 7 });
+    const difference = buildRippleCarryAdder('0011', '0001', { subtract: true, gate });
+    assert.deepEqual(difference.bits.map(entry => entry.kind), ['full', 'full', 'full', 'full']);
+    assert.equal(difference.bits[0].carryIn.name, 'SUB');
+    assert.deepEqual(difference.circuit.counts(), { AND: 8, OR: 4, XOR: 12 });
+  },
+
+  'the critical path ripples through every carry': () => {
+    const { circuit, bits } = buildRippleCarryAdder('1111', '0001', { gate });
+    const path = circuit.criticalPath(bits.map(entry => entry.sum).concat(bits[3].carryOut));
+    assert.deepEqual(path.map(wire => wire.name), ['A1', 'P1', 'T1', 'C2', 'T2', 'C3', 'T3', 'C4']);
+    assert.equal(path[path.length - 1].time, 150);
+  },
+
+  'a half adder is drawn as two gates with the value on every wire': () => {
+    const { bits } = buildRippleCarryAdder('1', '1', { gate });
+    assert.deepEqual(drawAdderBit(bits[0], 2), [
+      'A0 = 1 ─┐',
+      '        ├─[XOR]── S0 = 0   t=30ps',
+      'B0 = 1 ─┘',
+      'A0 = 1 ─┐',
+      '        ├─[AND]── C1 = 1   t=20ps',
+      'B0 = 1 ─┘'
+    ]);
+  },
+
+  '--gates shows the adder for SUB and one gate per bit for bitwise operations': async () => {
+    const sub = await runCli([TINY, '--width=2', '--a=11', '--b=01', '--op=SUB', '--gates']);
+    assert.equal(sub.code, 0);
+    const lines = sub.stdout.split('\n');
+    ['Gate level: 2-bit ripple-carry adder-subtractor (A + NOT B + 1) from 2 full adders, bit 0 first',
+      'Bit 0: full adder A0 + B0\' + SUB = 10 (S0 = 0, carry C1 = 1)',
+      '           ├─[XOR]── B0\' = 0   (B inverted for subtraction)',
+      'Gates: 4 AND, 2 OR, 6 XOR (12 total)',
+      'Critical path: B0 -> B0\' -> P0 -> T0 -> C1 -> T1 -> C2 (140 ps through 6 gates)',
+      'Circuit output: S = 10, C2 = 1, borrow = NOT C2 = 0'
+    ].forEach(line => assert.ok(lines.includes(line), `missing: ${line}`));
+
+    const xor = await runCli([TINY, '--a=1', '--b=1', '--op=XOR', '--gates']);
+    assert.ok(xor.stdout.includes('Gate level: 8 XOR gates side by side, one per bit; every result bit settles after one gate delay (30 ps)\n'));
+  }
+};
@@ -0,0 +1,132 @@
+// GRUB: grub.cfg parsing, the kernel parameters the simulator acts on, and the boot menu at a terminal or with piped input
+
+const assert = require('assert').strict;
+const { readFileSync } = require('fs');
+const { join } = require('path');
+const { PassThrough, Writable } = require('stream');
+const { OSSimulator, loadProfile, loadGrubConfig } = require('../lib');
+const { parseGrubConfig, KernelCmdline } = require('../lib/grub');
+const { runCli, stripAnsi } = require('./helpers');
+
+const MENU = `
+set timeout=3
+set default="Rescue"
+insmod part_gpt
+menuentry 'Linux' --class os {
+  linux /boot/vmlinuz root=/dev/sda1 ro quiet
+  initrd /boot/initrd.img
+}
+submenu 'Advanced options' {
+  menuentry "Rescue" {
+    linux /boot/vmlinuz root=/dev/sda1 ro single
+  }
+}
+`;
+
+const GRUB_PROFILE = `--profile=${join(__dirname, 'fixtures', 'grub-profile.yaml')}`;
+const MENU_CFG = join(__dirname, 'fixtures', 'menu.cfg');
+
+module.exports = {
+  'menu entries, submenus, timeout and a default given by title': () => {
+    const { timeout, defaultIndex, entries } = parseGrubConfig(MENU);
+    assert.equal(timeout, 3);
+    assert.equal(defaultIndex, 1);
+    assert.deepEqual(entries.map(({ title, submenu }) => [title, submenu]), [['Linux', null], ['Rescue', 'Advanced options']]);
+    assert.equal(entries[0].kernel, '/boot/vmlinuz');
+    assert.equal(entries[0].parameters, 'root=/dev/sda1 ro quiet');
+    assert.equal(entries[0].initrd, '/boot/initrd.img');
+  },
+
+  'the bundled grub.cfg files parse': () => {
+    ['uefi', 'bios'].forEach((name) => {
+      const { entries } = parseGrubConfig(readFileSync(join(__dirname, '..', 'grub', `${name}.cfg`), 'utf8'));
+      assert.ok(entries.length > 0, `${name}.cfg has entries`);
+    });
+  },
+
+  'syntax errors name their line': () => {
+    assert.throws(() => parseGrubConfig("menuentry 'x' {\n  initrd /x\n}\n"), { message: "line 3: menuentry 'x' has no linux command" });
+    assert.throws(() => parseGrubConfig("menuentry 'x' {\n"), { message: 'line 1: menuentry \'x\' is missing its closing "}"' });
+  },
+
+  'loglevel, debug and the last value given': () => {
+    assert.equal(new KernelCmdline('ro quiet').loglevel, null);
+    assert.equal(new KernelCmdline('loglevel=3').loglevel, 3);
+    assert.equal(new KernelCmdline('loglevel=3 debug').loglevel, 10);
+    assert.equal(new KernelCmdline('debug loglevel=2').loglevel, 2);
+  },
+
+  'boot target from single, emergency, systemd.unit and init=': () => {
+    assert.equal(new KernelCmdline('root=/dev/sda1 ro').target, 'default');
+    assert.equal(new KernelCmdline('ro single').target, 'rescue');
+    assert.equal(new KernelCmdline('ro 1').target, 'rescue');
+    assert.equal(new KernelCmdline('systemd.unit=emergency.target').target, 'emergency');
+    assert.equal(new KernelCmdline('single init=/bin/sh').target, 'shell');
+    assert.equal(new KernelCmdline('init=/lib/systemd/systemd').target, 'default');
+  },
+
+  'selinux=0, lookups and unknown parameters': () => {
+    const cmdline = new KernelCmdline('root=/dev/sda1 ro selinux=0 foo=bar mod.param=1');
+    assert.equal(cmdline.selinux, false);
+    assert.equal(new KernelCmdline('ro').selinux, true);
+    assert.equal(cmdline.get('root'), '/dev/sda1');
+    assert.equal(cmdline.get('ro'), null);
+    assert.ok(cmdline.has('ro'));
+    assert.ok(cmdline.has('selinux=0'));
+    assert.deepEqual(cmdline.unknown(), ['foo=bar']);
+    assert.equal(cmdline.toString(), 'root=/dev/sda1 ro selinux=0 foo=bar mod.param=1');
+  },
+
+  'at a terminal the menu re-asks on a bad choice and "e" edits the command line': async () => {
+    let text = '';
+    const output = new Writable({
+      write: (chunk, encoding, callback) => {
+        text += chunk.toString();
+        callback();
+      }
+    });
+    const input = Object.assign(new PassThrough(), { isTTY: true });
+    input.end('7\ne 1\nroot=/dev/sda1 ro single\n');
+    const simulator = new OSSimulator({
+      profile: await loadProfile(join(__dirname, 'fixtures', 'grub-profile.yaml')),
+      grub: await loadGrubConfig(MENU_CFG),
+      speed: 0,
+      faults: false,
+      logFile: null,
+      colors: false,
+      input,
+      output,
+      errorOutput: output
+    });
+    assert.deepEqual(await simulator.run(), []);
+    // Answers are not echoed (the input is not a real terminal), so each prompt runs into the next line
+    const screen = stripAnsi(text);
+    assert.ok(screen.includes('  Entry [0-1], "e" to edit its command line (Enter for 0):   Invalid choice "7". Type an entry number from 0-1, "e" or "e <number>".\n'));
+    assert.ok(screen.includes('  linux /boot/vmlinuz root=/dev/sda1 ro debug\n'));
+    assert.ok(screen.includes("  Booting 'Linux (debug)' with an edited command line\n"));
+    assert.ok(screen.includes('  Kernel command line: BOOT_IMAGE=/boot/vmlinuz root=/dev/sda1 ro single\n'));
+    assert.ok(screen.includes('  systemd will boot into rescue.target instead of the default target\n'));
+  },
+
+  'piped input boots the default entry and leaves the operands to their prompts': async () => {
+    const { code, stdout } = await runCli([GRUB_PROFILE, `--grub-cfg=${MENU_CFG}`, '--no-shell'], { input: '0101\n0011\nXOR\n' });
+    assert.equal(code, 0);
+    assert.ok(stdout.includes('    * 0) Linux\n      1) Linux (debug)\n'));
+    assert.ok(!stdout.includes('Entry [0-1]'));
+    assert.ok(stdout.includes("  Booting 'Linux'\n"));
+    assert.ok(stdout.includes('Result: 110 (Full: 0000_0110'));
+
+    const ended = await runCli([GRUB_PROFILE, `--grub-cfg=${MENU_CFG}`], { input: '0101\n' });
+    assert.equal(ended.code, 2);
+    assert.equal(ended.stderr.trim(), 'Invalid input [INP005]: Input ended before every prompt was answered');
+  },
+
+  'an unreadable or broken grub.cfg exits with GRB001 or GRB002': async () => {
+    const missing = await runCli(['--grub-cfg=./no-such.cfg']);
+    assert.equal(missing.code, 2);
+    assert.match(missing.stderr, /^Invalid input \[GRB001\]: Cannot read GRUB configuration \.\/no-such\.cfg: ENOENT/);
+    const broken = await runCli([`--grub-cfg=${join(__dirname, 'fixtures', 'tiny-profile.yaml')}`]);
+    assert.equal(broken.code, 2);
+    assert.match(broken.stderr, /^Invalid input \[GRB002\]: /);
+  }
+};
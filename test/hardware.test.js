@@ -0,0 +1,119 @@
+// Hardware inventory: description validation, the POST/PCI/driver/NUMA reports, and --hardware on the CLI
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const { join } = require('path');
+const { HardwareInventory } = require('../lib/hardware');
+const { runCli, withTempDir } = require('./helpers');
+
+const MACHINE = {
+  name: 'test-box',
+  cpu: { model: 'Toy CPU', cores: 4, threads: 8, flags: ['sse2', 'avx'] },
+  memory: { sizeMiB: 4096, numaNodes: 2 },
+  disks: [{ name: 'sda', model: 'Toy SSD', sizeGB: 256, controller: '00:1f.2' }],
+  pci: [
+    { slot: '00:1f.2', class: 'SATA controller', vendor: '8086', device: '2922', name: 'ICH9 AHCI', driver: 'ahci' },
+    { slot: '00:00.0', class: 'Host bridge', vendor: '8086', device: '29C0', name: 'DRAM Controller' },
+    { slot: '00:02.0', class: 'VGA compatible controller', vendor: '1234', device: '1111', name: 'Toy VGA' }
+  ]
+};
+
+module.exports = {
+  'validate reports every bad field with its path': () => {
+    assert.deepEqual(HardwareInventory.validate(MACHINE), []);
+    assert.deepEqual(HardwareInventory.validate([]), ['hardware: must be an object with "name", "cpu" and "memory"']);
+    assert.deepEqual(HardwareInventory.validate({
+      name: 'bad',
+      cpu: { model: 'X', cores: 4, threads: 2, speed: 3 },
+      memory: { sizeMiB: 0 },
+      disks: [{ name: 'sda', model: 'Y', sizeGB: 1, controller: '00:05.0' }],
+      pci: [
+        { slot: '0:1', class: 'Host bridge', vendor: '8086', device: '1237', name: 'A' },
+        { slot: '00:02.0', class: 'VGA', vendor: 'xyz', device: '00b8', name: 'B' },
+        { slot: '00:02.0', class: 'VGA', vendor: '1013', device: '00b8', name: 'C' }
+      ]
+    }), [
+      'cpu: unknown property "speed" (allowed: model, arch, cores, threads, flags)',
+      'cpu.threads: must be an integer of at least cpu.cores',
+      'memory.sizeMiB: must be a positive integer',
+      'pci[0].slot: must look like "00:19.0"',
+      'pci[1].vendor: must be a 4-digit hex ID such as "8086"',
+      'pci[2].slot: duplicate slot "00:02.0"',
+      'disks[0].controller: no PCI device in slot "00:05.0"'
+    ]);
+  },
+
+  'POST identifies the machine and halts below the minimum RAM': () => {
+    assert.deepEqual(new HardwareInventory(MACHINE).post(), {
+      lines: ['CPU: Toy CPU (x86_64, 4 cores, 8 threads)', 'CPU features: sse2 avx', 'Memory: 4096 MiB installed', 'Disk: sda Toy SSD (256 GB)'],
+      warnings: [],
+      fatal: null
+    });
+    const low = new HardwareInventory({ ...MACHINE, memory: { sizeMiB: 256 } }).post();
+    assert.deepEqual(low.warnings, ['Low memory: 256 MiB installed (512 MiB recommended), expect heavy swapping']);
+    const tiny = new HardwareInventory({ name: 'tiny', cpu: { model: 'Toy CPU', cores: 1 }, memory: { sizeMiB: 64 } }).post();
+    assert.equal(tiny.lines[1], 'CPU features: none reported');
+    assert.deepEqual(tiny.warnings, ['No disks detected: the root filesystem must come from the network or initramfs']);
+    assert.equal(tiny.fatal[tiny.fatal.length - 1], 'Not enough RAM: 64 MiB installed, at least 128 MiB needed to load the kernel and initramfs');
+  },
+
+  'the PCI scan is sorted by slot and drivers bind to every device that has one': () => {
+    const inventory = new HardwareInventory(MACHINE);
+    assert.deepEqual(inventory.scanPci(), [
+      '00:00.0 Host bridge: DRAM Controller [8086:29c0]',
+      '00:02.0 VGA compatible controller: Toy VGA [1234:1111]',
+      '00:1f.2 SATA controller: ICH9 AHCI [8086:2922]'
+    ]);
+    assert.deepEqual(inventory.bindDrivers(), {
+      lines: ['pci 0000:00:00.0: Host bridge [8086:29c0] handled by the PCI core', 'ahci 0000:00:1f.2: bound to SATA controller [8086:2922]'],
+      warnings: ['pci 0000:00:02.0: no driver found for VGA compatible controller [1234:1111], device left unclaimed'],
+      fatal: null
+    });
+    assert.deepEqual(new HardwareInventory({ ...MACHINE, pci: [] }).scanPci(), ['No PCI bus found']);
+  },
+
+  'a root disk controller without a driver panics the kernel': () => {
+    const pci = MACHINE.pci.map(device => (device.slot === '00:1f.2' ? { ...device, driver: undefined } : device));
+    const { fatal } = new HardwareInventory({ ...MACHINE, pci }).bindDrivers();
+    assert.deepEqual(fatal, [
+      'VFS: Cannot open root device "sda" or unknown-block(0,0): error -6',
+      'No driver for the root disk\'s controller (ICH9 AHCI at 00:1f.2)',
+      'Kernel panic - not syncing: VFS: Unable to mount root fs on unknown-block(0,0)'
+    ]);
+  },
+
+  'NUMA splits RAM and CPUs across the nodes': () => {
+    assert.deepEqual(new HardwareInventory(MACHINE).numa(), [
+      'NUMA: 2 nodes, 2048 MiB each',
+      'node 0: CPUs 0-3, [mem 0x0000000000000000-0x000000007fffffff]',
+      'node 1: CPUs 4-7, [mem 0x0000000080000000-0x00000000ffffffff]'
+    ]);
+    assert.deepEqual(new HardwareInventory({ ...MACHINE, memory: { sizeMiB: 384 } }).numa(), [
+      'No NUMA configuration found',
+      'Faking a node at [mem 0x0000000000000000-0x0000000017ffffff]'
+    ]);
+  },
+
+  '--hardware boots a bundled preset and halts on a machine that cannot boot': () => withTempDir(async (dir) => {
+    const legacy = await runCli(['--a=1', '--op=NOT', '--hardware=legacy-pc']);
+    assert.equal(legacy.code, 0);
+    const lines = legacy.stdout.split('\n');
+    ['  CPU: Intel(R) Pentium(R) 4 CPU 2.80GHz (i686, 1 core, 2 threads)',
+      '  Low memory: 384 MiB installed (512 MiB recommended), expect heavy swapping',
+      '  ata_piix 0000:00:01.1: bound to IDE interface [8086:7010]',
+      '  pci 0000:00:02.0: no driver found for VGA compatible controller [1013:00b8], device left unclaimed'
+    ].forEach(line => assert.ok(lines.includes(line), `missing: ${line}`));
+
+    const small = join(dir, 'small.json');
+    fs.writeFileSync(small, JSON.stringify({ name: 'tiny-vm', cpu: { model: 'Toy CPU', cores: 1 }, memory: { sizeMiB: 64 } }));
+    const halted = await runCli(['--a=1', '--op=NOT', `--hardware=${small}`]);
+    assert.equal(halted.code, 3);
+    assert.ok(halted.stderr.includes('System halted [HWD004]: Not enough RAM: 64 MiB installed, at least 128 MiB needed to load the kernel and initramfs (hardware: tiny-vm)'));
+
+    const invalid = join(dir, 'invalid.json');
+    fs.writeFileSync(invalid, JSON.stringify({ name: 'x', cpu: { model: 'Toy CPU', cores: 1 } }));
+    const rejected = await runCli([`--hardware=${invalid}`]);
+    assert.equal(rejected.code, 2);
+    assert.deepEqual(rejected.stderr.trim().split('\n'), [`Invalid input [HWD003]: Hardware description ${invalid} is invalid:`, '  - memory: must be an object with "sizeMiB"']);
+  })
+};
@@ -0,0 +1,50 @@
+// Helpers shared by the test files: run the CLI in a child process and capture what it prints
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const { join } = require('path');
+
+const CLI = join(__dirname, '..', 'bin', 'binary-os-sim.js');
+
+/**
+ * Remove ANSI color codes
+ * @param {string} text - Terminal output
+ * @returns {string} - Plain text
+ */
+const stripAnsi = text => text.replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '');
+
+/**
+ * Run the CLI at the lowest delay and wait for it to exit
+ * @param {string[]} args - Command-line arguments
+ * @param {Object} [options={}] - Run options
+ * @param {string} [options.input=''] - Text piped to stdin
+ * @param {boolean} [options.faults=false] - Keep the profile's random boot failures (off by default so runs never fail by chance)
+ * @param {boolean} [options.log=false] - Write a log file (off by default; pass --log-file or --log-dir with it)
+ * @param {Object} [options.env={}] - Extra environment variables
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} - Exit code, and the output without colors
+ */
+const runCli = (args, { input = '', faults = false, log = false, env = {} } = {}) => new Promise((resolvePromise, reject) => {
+  const flags = ['--speed=0.001', ...(faults ? [] : ['--no-faults']), ...(log ? [] : ['--no-log'])];
+  const child = execFile(process.execPath, [CLI, ...flags, ...args], { timeout: 60000, env: { ...process.env, ...env } }, (err, stdout, stderr) => {
+    if (err && typeof err.code !== 'number') return reject(err);
+    resolvePromise({ code: err ? err.code : 0, stdout: stripAnsi(stdout), stderr: stripAnsi(stderr) });
+  });
+  child.stdin.end(input);
+});
+
+/**
+ * Run a test body with a fresh temporary directory, removed afterwards
+ * @param {function(string): Promise<void>} fn - Test body, given the directory path
+ * @returns {Promise<void>}
+ */
+const withTempDir = async (fn) => {
+  const dir = fs.mkdtempSync(join(os.tmpdir(), 'binary-os-sim-test-'));
+  try {
+    await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+module.exports = { runCli, stripAnsi, withTempDir };
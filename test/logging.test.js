@@ -0,0 +1,156 @@
+// Logging: text and JSON entries, one level for console and file (-v, --quiet, --log-level), the run status,
+// where the log file goes (XDG state directory, --log-dir, --log-file, --no-log) and its rotation
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const { join } = require('path');
+const { runCli, withTempDir } = require('./helpers');
+
+const TINY = `--profile=${join(__dirname, 'fixtures', 'tiny-profile.yaml')}`;
+const DAILY_LOG = `system_${new Date().toISOString().split('T')[0]}.log`;
+const SUCCESS_LINE = '[Jan 01 2025, 00:00:00] [INFO] Run finished: success [Status: success]\n';
+
+const readLog = file => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+
+/**
+ * Run the CLI with --log-file and return the log lines that run wrote (the whole file if the run cleared it)
+ * @param {string} logFile - Log file path
+ * @param {string[]} args - Command-line arguments
+ * @returns {Promise<{code: number, stdout: string, log: string[]}>} - Exit code, stdout and the new log lines
+ */
+const runLogged = async (logFile, args) => {
+  const before = fs.existsSync(logFile) ? fs.readFileSync(logFile, 'utf8') : '';
+  const { code, stdout } = await runCli([...args, `--log-file=${logFile}`], { log: true });
+  const after = fs.readFileSync(logFile, 'utf8');
+  const written = after.startsWith(before) ? after.slice(before.length) : after;
+  return { code, stdout, log: written.split('\n').filter(Boolean) };
+};
+
+module.exports = {
+  'JSON entries carry the stage, progress and level, and the run ends with its status': () => withTempDir(async (dir) => {
+    const { code, log } = await runLogged(join(dir, 'run.log'), [TINY, '--a=1', '--op=NOT', '--log-format=json']);
+    assert.equal(code, 0);
+    const entries = log.map(line => JSON.parse(line));
+    assert.deepEqual(Object.keys(entries[0]), ['timestamp', 'level', 'stage', 'progress', 'message', 'code', 'stack']);
+    const post = entries.find(entry => entry.message === 'Running the tiny POST...');
+    assert.deepEqual([post.level, post.stage, post.progress], ['info', 'firmware', 0]);
+    assert.equal(entries.find(entry => entry.message === 'Operation chosen: NOT').progress, 80);
+    assert.ok(entries.every(entry => entry.level !== 'debug'));
+    const last = entries[entries.length - 1];
+    assert.deepEqual([last.message, last.status], ['Run finished: success', 'success']);
+  }),
+
+  '-v adds the verbose lines to the console and the log': () => withTempDir(async (dir) => {
+    const { stdout, log } = await runLogged(join(dir, 'run.log'), [TINY, '--a=1', '--op=NOT', '-v']);
+    assert.ok(stdout.includes('\n  CPU cache test passed\n'));
+    assert.ok(log.some(line => /\] \[DEBUG\] CPU cache test passed$/.test(line)));
+    assert.match(log[log.length - 1], /\] \[INFO\] Run finished: success \[Status: success\]$/);
+  }),
+
+  '--quiet prints only the results and logs only the run status': () => withTempDir(async (dir) => {
+    const { code, stdout, log } = await runLogged(join(dir, 'run.log'), [TINY, '--a=1', '--op=NOT', '--quiet']);
+    assert.equal(code, 0);
+    assert.deepEqual(stdout.trim().split('\n'), [
+      'Operation: NOT (8-bit)',
+      'Original Input A: 1 (Full: 0000_0001 (hex: 0x01, oct: 0o1, dec: 1))',
+      'Result: 11111110 (Full: 1111_1110 (hex: 0xFE, oct: 0o376, dec: 254))',
+      'FLAGS: 0x0082 (CF=0 PF=0 ZF=0 SF=1 OF=0)'
+    ]);
+    assert.equal(log.length, 1);
+    assert.match(log[0], /Run finished: success \[Status: success\]$/);
+  }),
+
+  'a failed run is recorded and its log cleared by the next run': () => withTempDir(async (dir) => {
+    const logFile = join(dir, 'run.log');
+    const failed = await runLogged(logFile, ['--a=1', '--op=NOT', '--inject=ram', '--log-format=json']);
+    assert.equal(failed.code, 3);
+    const entries = failed.log.map(line => JSON.parse(line));
+    assert.ok(entries.some(entry => entry.level === 'error' && entry.code === 'FLT001' && entry.stage === 'firmware'));
+    assert.ok(entries.some(entry => entry.status === 'failure'));
+
+    const next = await runLogged(logFile, [TINY, '--a=1', '--op=NOT']);
+    assert.match(next.log[0], /\] \[INFO\] Log file cleared due to previous failure$/);
+    assert.ok(!next.log.some(line => line.includes('FLT001')));
+  }),
+
+  'invalid or conflicting level and format flags are rejected': async () => {
+    const cases = [
+      [['-v', '-q'], 'Invalid input [INP004]: --log-level, -v/--verbose and -q/--quiet cannot be combined'],
+      [['--log-level=error', '--verbose'], 'Invalid input [INP004]: --log-level, -v/--verbose and -q/--quiet cannot be combined'],
+      [['--log-level=trace'], 'Invalid input [INP010]: Invalid --log-level "trace". Use one of: debug, info, error.'],
+      [['--log-format=xml'], 'Invalid input [INP010]: Invalid --log-format "xml". Use one of: text, json.']
+    ];
+    for (const [args, message] of cases) {
+      const { code, stderr } = await runCli(args);
+      assert.equal(code, 2);
+      assert.equal(stderr.trim(), message);
+    }
+  },
+
+  'the daily log goes to the XDG state directory, or to --log-dir': () => withTempDir(async (dir) => {
+    await runCli([TINY, '--a=1', '--op=NOT'], { log: true, env: { XDG_STATE_HOME: dir } });
+    assert.deepEqual(fs.readdirSync(join(dir, 'binary-os-sim')), [DAILY_LOG]);
+
+    const logDir = join(dir, 'logs', 'nested');
+    await runCli([TINY, '--a=1', '--op=NOT', `--log-dir=${logDir}`], { log: true, env: { XDG_STATE_HOME: dir } });
+    assert.match(readLog(join(logDir, DAILY_LOG)).pop(), /Run finished: success \[Status: success\]$/);
+  }),
+
+  '--no-log writes no file': () => withTempDir(async (dir) => {
+    const { code } = await runCli([TINY, '--a=1', '--op=NOT', '--no-log'], { log: true, env: { XDG_STATE_HOME: dir } });
+    assert.equal(code, 0);
+    assert.deepEqual(fs.readdirSync(dir), []);
+  }),
+
+  'a full log file is rotated to .1 and older copies shift up': () => withTempDir(async (dir) => {
+    const logFile = join(dir, 'run.log');
+    fs.writeFileSync(logFile, 'x'.repeat(1024 * 1024) + '\n' + SUCCESS_LINE);
+    fs.writeFileSync(join(dir, 'run.1.log'), SUCCESS_LINE);
+    await runCli([TINY, '--a=1', '--op=NOT', `--log-file=${logFile}`], { log: true });
+
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['run.1.log', 'run.2.log', 'run.log']);
+    assert.ok(fs.statSync(join(dir, 'run.1.log')).size > 1024 * 1024);
+    assert.equal(fs.readFileSync(join(dir, 'run.2.log'), 'utf8'), SUCCESS_LINE);
+    assert.ok(!readLog(logFile).some(line => line.startsWith('x')));
+  }),
+
+  'old daily logs are pruned by count and age': () => withTempDir(async (dir) => {
+    const now = Date.now() / 1000;
+    const old = Array.from({ length: 12 }, (_, index) => `system_2025-01-${String(index + 10)}.log`);
+    old.forEach((name, index) => {
+      fs.writeFileSync(join(dir, name), SUCCESS_LINE);
+      fs.utimesSync(join(dir, name), now - (12 - index) * 60, now - (12 - index) * 60);
+    });
+    fs.writeFileSync(join(dir, 'system_2024-12-01.log'), SUCCESS_LINE);
+    fs.utimesSync(join(dir, 'system_2024-12-01.log'), now - 15 * 24 * 60 * 60, now - 15 * 24 * 60 * 60);
+    fs.writeFileSync(join(dir, 'notes.txt'), 'not a log');
+    await runCli([TINY, '--a=1', '--op=NOT', `--log-dir=${dir}`], { log: true });
+
+    // The newest 10 of the 12 recent files survive; the 15-day-old file and the two oldest recent ones go
+    assert.deepEqual(fs.readdirSync(dir).sort(), [...old.slice(2), 'notes.txt', DAILY_LOG].sort());
+  }),
+
+  'an unwritable log file warns once and the run carries on': async () => {
+    const { code, stdout, stderr } = await runCli([TINY, '--a=1', '--op=NOT', `--log-file=${__filename}/run.log`], { log: true });
+    assert.equal(code, 0);
+    assert.ok(stdout.includes('Simulation Complete'));
+    const warnings = stderr.trim().split('\n');
+    assert.equal(warnings.length, 1);
+    assert.ok(warnings[0].startsWith(`Logging disabled: cannot write ${__filename}/run.log: ENOTDIR`));
+    assert.ok(warnings[0].endsWith('[LOG001]'));
+  },
+
+  'log destination flags cannot be combined or left empty': async () => {
+    const cases = [
+      [['--no-log', '--log-dir=logs'], 'Invalid input [INP004]: --log-file, --log-dir and --no-log cannot be combined'],
+      [['--log-file=a.log', '--log-dir=logs'], 'Invalid input [INP004]: --log-file, --log-dir and --no-log cannot be combined'],
+      [['--log-file='], 'Invalid input [INP010]: --log-file needs a path'],
+      [['--log-dir='], 'Invalid input [INP010]: --log-dir needs a path']
+    ];
+    for (const [args, message] of cases) {
+      const { code, stderr } = await runCli(args, { log: true });
+      assert.equal(code, 2);
+      assert.equal(stderr.trim(), message);
+    }
+  }
+};
@@ -0,0 +1,75 @@
+// Boolean expressions: truth table, canonical forms, the Quine-McCluskey minimal sum of products, K-maps and --expr
+
+const assert = require('assert').strict;
+const { join } = require('path');
+const { analyzeExpression, karnaughMap } = require('../lib/logic');
+const { runCli } = require('./helpers');
+
+const TINY = `--profile=${join(__dirname, 'fixtures', 'tiny-profile.yaml')}`;
+
+module.exports = {
+  'minterms follow the variables in order of appearance': () => {
+    const { variables, minterms, maxterms } = analyzeExpression('A AND B OR A AND NOT B');
+    assert.deepEqual(variables, ['A', 'B']);
+    assert.deepEqual(minterms, [2, 3]);
+    assert.deepEqual(maxterms, [0, 1]);
+  },
+
+  'complementary terms combine': () => {
+    assert.equal(analyzeExpression('A AND B OR A AND NOT B').minimal, 'A');
+    assert.equal(analyzeExpression("A B C + A B C' + A B' C").minimal, 'A C + A B');
+  },
+
+  'XOR is already minimal': () => {
+    assert.equal(analyzeExpression("A' B + A B'").minimal, "A' B + A B'");
+  },
+
+  'tautologies and contradictions reduce to constants': () => {
+    assert.equal(analyzeExpression('A OR NOT A').minimal, '1');
+    const never = analyzeExpression('A AND NOT A');
+    assert.equal(never.minimal, '0');
+    assert.deepEqual(never.minterms, []);
+  },
+
+  'syntax errors say what was expected': () => {
+    assert.throws(() => analyzeExpression('A AND'), { message: 'expected a variable, 0, 1, NOT or "(", found end of expression' });
+    assert.throws(() => analyzeExpression('A AND (B'), { message: 'expected ")" to close the "(" at column 7, found end of expression' });
+    assert.throws(() => analyzeExpression('A $ B'), { message: 'unexpected "$" at column 3' });
+    assert.throws(() => analyzeExpression('A B C D E F G'), { message: '7 variables (A, B, C, D, E, F, G); at most 6 are supported' });
+  },
+
+  'the Karnaugh map lays rows and columns out in Gray code': () => {
+    assert.deepEqual(karnaughMap(analyzeExpression('A B + C')), [
+      ' A\\BC | 00 | 01 | 11 | 10',
+      '------|----|----|----|---',
+      '    0 |  0 |  1 |  1 |  0',
+      '    1 |  0 |  1 |  1 |  1'
+    ]);
+  },
+
+  '--expr evaluates after the boot instead of an operation': async () => {
+    const { code, stdout } = await runCli([TINY, "--expr=A' B + A B'"]);
+    assert.equal(code, 0);
+    const lines = stdout.split('\n');
+    ['Parsed as:  ((NOT A) AND B) OR (A AND (NOT B))',
+      'Canonical SOP: F = Σm(1, 2) = A\' B + A B\'',
+      'Canonical POS: F = ΠM(0, 3) = (A + B)(A\' + B\')',
+      '  Group A\' B: cell m1, essential',
+      'Minimal SOP: F = A\' B + A B\'',
+      'Minterms: 1, 2'
+    ].forEach(line => assert.ok(lines.includes(line), `missing: ${line}`));
+    assert.ok(!stdout.includes('Operation Selection'));
+  },
+
+  '--expr rejects invalid expressions and operand flags': async () => {
+    const cases = [
+      [['--expr=A AND (B'], 'Invalid input [LGC001]: --expr "A AND (B": expected ")" to close the "(" at column 7, found end of expression'],
+      [['--expr=A', '--a=1', '--op=NOT'], 'Invalid input [INP004]: --expr cannot be combined with --a/--b/--op, --batch or --asm']
+    ];
+    for (const [args, message] of cases) {
+      const { code, stderr } = await runCli(args);
+      assert.equal(code, 2);
+      assert.equal(stderr.trim(), message);
+    }
+  }
+};
@@ -0,0 +1,113 @@
+// Paged RAM: address translation, the TLB, demand paging and swap, real page faults and the hexdump of stored results
+
+const assert = require('assert').strict;
+const { MemoryModel, PageFaultError } = require('../lib/memory');
+const { runCli } = require('./helpers');
+
+const booted = () => {
+  const memory = new MemoryModel();
+  memory.setupPaging();
+  return memory;
+};
+
+const faultOf = fn => {
+  try {
+    fn();
+  } catch (err) {
+    assert.ok(err instanceof PageFaultError);
+    return `${err.code} ${err.message}`;
+  }
+  assert.fail('expected a page fault');
+};
+
+module.exports = {
+  'setupPaging lays out the address space and pins the kernel page': () => {
+    const memory = new MemoryModel();
+    assert.deepEqual(memory.setupPaging(), [
+      'Page size 4096 B, 16 virtual pages (16-bit addresses), 8 physical frames (32 KiB), 4-entry TLB',
+      'VPN 0x0  0x0000-0x0FFF  NULL guard (never mapped)',
+      'VPN 0x1-0xD  0x1000-0xDFFF  heap (mapped on allocation)',
+      'VPN 0xE  0xE000-0xEFFF  stack (demand-paged)',
+      'VPN 0xF  0xF000-0xFFFF  kernel, read-only -> frame 0'
+    ]);
+  },
+
+  'heap allocations are 8-byte aligned from 0x1000': () => {
+    const memory = booted();
+    assert.equal(memory.allocate(3), 0x1000);
+    assert.equal(memory.allocate(2), 0x1008);
+    assert.equal(memory.allocate(8), 0x1010);
+  },
+
+  'translation misses the TLB and faults a page in, then hits': () => {
+    const memory = booted();
+    memory.allocate(8);
+    const first = memory.translate(0x1004, { write: true });
+    assert.equal(first.physical, 0x1004);
+    assert.deepEqual(first.steps.map(step => step.text), [
+      'Virtual 0x1004 -> page number 0x1 (top 4 bits), offset 0x004 (low 12 bits)',
+      'TLB miss: walking page table entry 0x1',
+      'Page fault: VPN 0x1 is valid but not present',
+      'Minor fault: zero-filled frame 1 for VPN 0x1',
+      'PTE 0x1: present=1 frame=1 rw',
+      'Physical address = frame 1 x 0x1000 + 0x004 = 0x1004'
+    ]);
+    assert.deepEqual(memory.translate(0x1005).steps.map(step => step.kind), ['split', 'hit', 'result']);
+    assert.equal(memory.stats.tlbHits, 1);
+    assert.equal(memory.stats.tlbMisses, 1);
+    assert.equal(memory.stats.minorFaults, 1);
+  },
+
+  'a full set of frames evicts FIFO to swap and reads the page back on a major fault': () => {
+    const memory = booted();
+    memory.mapFixed(0x1000, 0xD000);
+    for (let page = 1; page <= 8; page++) memory.write(page * 0x1000, [page]);
+    assert.equal(memory.stats.evictions, 1);
+
+    const steps = memory.write(0x1000, [9]).map(step => step.text);
+    assert.ok(steps.includes('Evicting VPN 0x2 from frame 2 to swap (FIFO)'));
+    assert.ok(steps.includes('Major fault: reading VPN 0x1 back from swap into frame 2'));
+    assert.equal(memory.peek(0x1000), 9);
+    assert.deepEqual(memory.stats, { tlbHits: 0, tlbMisses: 9, minorFaults: 8, majorFaults: 1, evictions: 2 });
+  },
+
+  'bad accesses raise segmentation and protection faults': () => {
+    const memory = booted();
+    memory.allocate(8);
+    assert.equal(faultOf(() => memory.translate(0x0010)), 'MEM002 Segmentation fault: NULL pointer access at 0x0010 (page 0x0 is never mapped)');
+    assert.equal(faultOf(() => memory.translate(0x5000)), 'MEM002 Segmentation fault: 0x5000 is not mapped (no mapping covers page 0x5)');
+    assert.equal(faultOf(() => memory.translate(0x10000)), 'MEM002 Segmentation fault: 0x10000 is outside the 0x10000-byte address space');
+    assert.equal(faultOf(() => memory.translate(0xF000, { write: true })), 'MEM002 Protection fault: write to read-only kernel page at 0xF000');
+    assert.equal(faultOf(() => booted().allocate(0xD001)), 'MEM003 Out of memory: heap cannot grow past 0xE000');
+  },
+
+  'hexdump shows stored bytes little-endian with virtual and physical addresses': () => {
+    const memory = booted();
+    memory.mapFixed(0x2FFE, 4);
+    memory.write(0x2FFE, [0x41, 0x42, 0x43, 0x44]);
+    assert.deepEqual(memory.hexdump(0x2FFE, 4), [
+      '0x2FF0 (phys 0x1FF0)  00 00 00 00 00 00 00 00  00 00 00 00 00 00 41 42  |..............AB|',
+      '0x3000 (phys 0x2000)  43 44 00 00 00 00 00 00  00 00 00 00 00 00 00 00  |CD..............|'
+    ]);
+  },
+
+  'the RAM stage stores the result at --address across a page boundary': async () => {
+    const { code, stdout } = await runCli(['--width=16', '--a=0xBEEF', '--b=0x1234', '--op=ADD', '--address=0x2fff']);
+    assert.equal(code, 0);
+    assert.ok(stdout.includes('Virtual address: 0x2FFF (2 bytes, little-endian, fixed via --address)'));
+    assert.ok(stdout.includes('  0x2FF0 (phys 0x1FF0)  00 00 00 00 00 00 00 00  00 00 00 00 00 00 00 23  |...............#|'));
+    assert.ok(stdout.includes('  0x3000 (phys 0x2000)  d1 00 00 00 00 00 00 00  00 00 00 00 00 00 00 00  |................|'));
+    assert.ok(stdout.includes('MMU: TLB hits 0, misses 2; page faults 2 minor, 0 major; evictions 0'));
+  },
+
+  'writing to the kernel page ends the run; an invalid --address is rejected': async () => {
+    const fault = await runCli(['--a=1', '--op=NOT', '--address=0xF000']);
+    assert.equal(fault.code, 1);
+    assert.equal(fault.stderr.trim(), 'Fatal error: Protection fault: write to read-only kernel page at 0xF000. Check logs.');
+    assert.ok(!fault.stdout.includes('Simulation Complete'));
+
+    const invalid = await runCli(['--a=1', '--op=NOT', '--address=0x1zz']);
+    assert.equal(invalid.code, 2);
+    assert.equal(invalid.stderr.trim(), 'Invalid input [INP007]: --address: Invalid input "0x1zz". Use binary (101), hex (0x1F), octal (0o17) or decimal (0d42).');
+  }
+};
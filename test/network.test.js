@@ -0,0 +1,138 @@
+// Virtual network: the DHCP/ARP/DNS/ICMP exchange, fragmentation at the MTU, header checksums, args validation,
+// the 'network' event and --mtu on the CLI
+
+const assert = require('assert').strict;
+const { join } = require('path');
+const { Writable } = require('stream');
+const { OSSimulator, InputHandler, loadProfile, loadHardware } = require('../lib');
+const { VirtualNetwork } = require('../lib/network');
+const { createRandom } = require('../lib/random');
+const { runCli } = require('./helpers');
+
+/**
+ * Run the network profile quietly and collect its 'network' events
+ * @param {Object} [options={}] - Extra OSSimulator options (e.g., inject, hardware)
+ * @returns {Promise<{events: Object[], output: string}>} - Event payloads and the text printed
+ */
+const bootNetwork = async (options = {}) => {
+  let output = '';
+  const stream = new Writable({
+    write: (chunk, encoding, callback) => {
+      output += chunk.toString();
+      callback();
+    }
+  });
+  const simulator = new OSSimulator({
+    profile: await loadProfile(join(__dirname, 'fixtures', 'network-profile.yaml')),
+    jobs: [InputHandler.parseJob('0101', '0011', 'ADD', 4)],
+    width: 4,
+    seed: 1,
+    speed: 0,
+    faults: false,
+    logFile: null,
+    colors: false,
+    output: stream,
+    errorOutput: stream,
+    ...options
+  });
+  const events = [];
+  simulator.on('network', payload => events.push(payload));
+  await simulator.run();
+  return { events, output };
+};
+
+module.exports = {
+  'the exchange leases an address, finds the neighbours, resolves the target, then pings and traces it': () => {
+    const network = new VirtualNetwork({}, { random: createRandom(1) });
+    const phases = network.exchange();
+    assert.deepEqual(phases.map(phase => phase.title), [
+      'DHCP: Discover, Offer, Request, ACK',
+      'ARP: gateway and DNS server',
+      'DNS: A record for example.com',
+      'ICMP: ping -c 1 -s 4000 192.168.1.1',
+      'ICMP: traceroute -I example.com'
+    ]);
+    assert.equal(network.address, '192.168.1.42');
+    assert.deepEqual(phases[0].packets.map(packet => packet.text.replace(/^IP \S+ > \S+: /, '')), [
+      'BOOTP/DHCP, Discover from 52:54:00:12:34:56, length 300',
+      'BOOTP/DHCP, Offer 192.168.1.42 to 52:54:00:12:34:56, length 300',
+      'BOOTP/DHCP, Request from 52:54:00:12:34:56, length 300',
+      'BOOTP/DHCP, ACK 192.168.1.42 to 52:54:00:12:34:56, length 300'
+    ]);
+    assert.deepEqual(phases[1].results, ['arp: 192.168.1.1 is at 52:54:00:c0:ff:ee (eth0)', 'arp: 192.168.1.53 is at 52:54:00:00:d0:53 (eth0)']);
+    assert.match(phases[2].results[0], /^example\.com has address 93\.184\.216\.34 /);
+    const hops = phases[4].results.slice(1).map(line => line.trim().split(/\s+/).slice(0, 2).join(' '));
+    assert.deepEqual(hops, ['1 192.168.1.1', '2 10.10.0.1', '3 100.64.12.9', '4 203.0.113.77', '5 93.184.216.34']);
+    // Capture times only move forward
+    const times = phases.flatMap(phase => phase.packets.map(packet => packet.time));
+    assert.deepEqual(times, times.slice().sort((a, b) => a - b));
+  },
+
+  'a ping larger than the MTU leaves as fragments; jumbo frames carry it whole': () => {
+    const ping = mtu => new VirtualNetwork({}, { mtu, random: createRandom(1) }).exchange()[3];
+    const standard = ping(1500);
+    assert.equal(standard.results[2], 'MTU 1500: the 4028-byte datagram left as 3 fragments each way (2 x 1480 + 1048 data bytes, offsets in 8-byte units)');
+    const request = standard.packets.slice(0, 3);
+    assert.deepEqual(request.map(packet => [packet.ip.offset, packet.ip.flags]), [[0, 1], [185, 1], [370, 0]]);
+    assert.match(request[1].text, /: ip-proto-1 \(frag \d+:1480@1480\+\)$/);
+    assert.equal(new Set(request.map(packet => packet.ip.id)).size, 1);
+
+    const jumbo = ping(9000);
+    assert.equal(jumbo.packets.length, 2);
+    assert.equal(jumbo.packets[0].ip.flags, 2); // DF
+    assert.equal(jumbo.results[2], 'MTU 9000: the 4028-byte datagram fits in one 4042-byte frame, no fragmentation');
+  },
+
+  'every IPv4 header checksums to 0xffff': () => {
+    const words = ({ length, id, flags, offset, ttl, protocol, src, dst, checksum }) => {
+      const [s1, s2, s3, s4] = src.split('.').map(Number);
+      const [d1, d2, d3, d4] = dst.split('.').map(Number);
+      return [0x4500, length, id, (flags << 13) | offset, (ttl << 8) | protocol, checksum, (s1 << 8) | s2, (s3 << 8) | s4, (d1 << 8) | d2, (d3 << 8) | d4];
+    };
+    const packets = new VirtualNetwork({}, { random: createRandom(2) }).exchange().flatMap(phase => phase.packets).filter(packet => packet.ip);
+    assert.ok(packets.length > 20);
+    packets.forEach((packet) => {
+      let sum = words(packet.ip).reduce((total, word) => total + word, 0);
+      while (sum > 0xffff) sum = (sum & 0xffff) + (sum >>> 16);
+      assert.equal(sum, 0xffff, packet.line);
+    });
+  },
+
+  'validate reports bad addresses, unknown keys and neighbours off the leased subnet': () => {
+    assert.deepEqual(VirtualNetwork.validate({}, 'args'), []);
+    assert.deepEqual(VirtualNetwork.validate({ mtu: 10000, gateway: { ip: '300.1.1.1' }, speed: 1 }, 'args'), [
+      'args: unknown property "speed" (allowed: interface, mac, mtu, dhcp, gateway, dns, ping, traceroute)',
+      'args.mtu: must be a whole number of bytes from 68 to 9000',
+      'args.gateway.ip: must be an IPv4 address such as "192.168.1.1"'
+    ]);
+    assert.deepEqual(VirtualNetwork.validate({ dns: { ip: '10.0.0.53' } }, 'args'), ['args.dns.ip: 10.0.0.53 is not on the leased subnet 192.168.1.42/24']);
+    assert.deepEqual(VirtualNetwork.validate({ ping: { host: 'nowhere.test' } }, 'args'), ['args.ping.host: must be an IPv4 address or a name in dns.records']);
+  },
+
+  'the network event follows the link: configuring then up, offline after nic-down, absent without a NIC': async () => {
+    const up = await bootNetwork();
+    assert.deepEqual(up.events, [
+      { state: 'configuring', interface: 'eth0', address: null, gateway: null, blocked: 0 },
+      { state: 'up', interface: 'eth0', address: '192.168.1.42/24', gateway: '192.168.1.1', blocked: 0 }
+    ]);
+
+    const offline = await bootNetwork({ inject: ['nic-down'] });
+    assert.deepEqual(offline.events, [{ state: 'offline', interface: 'eth0', address: null, gateway: null, blocked: 0 }]);
+    assert.ok(offline.output.includes('eth0: no carrier, skipping DHCP and the network check (tcpdump captured 0 packets)'));
+
+    const absent = await bootNetwork({ hardware: await loadHardware('raspberry-pi-4') });
+    assert.deepEqual(absent.events, [{ state: 'absent', interface: 'eth0', address: null, gateway: null, blocked: 0 }]);
+    assert.ok(absent.output.includes('eth0: no such device (raspberry-pi-4 has no Ethernet controller), skipping the network check'));
+  },
+
+  '--mtu overrides the profile and is checked': async () => {
+    const jumbo = await runCli(['--a=1', '--op=NOT']);
+    assert.equal(jumbo.code, 0);
+    assert.ok(jumbo.stdout.includes('eth0: link up, MTU 9000 (jumbo frames), MAC 52:54:00:12:34:56'));
+    const standard = await runCli(['--a=1', '--op=NOT', '--mtu=1500']);
+    assert.ok(standard.stdout.includes('MTU 1500: the 4028-byte datagram left as 3 fragments each way'));
+    const invalid = await runCli(['--mtu=64']);
+    assert.equal(invalid.code, 2);
+    assert.equal(invalid.stderr.trim(), 'Invalid input [INP015]: Invalid --mtu "64". Use a whole number of bytes from 68 to 9000 (1500 is standard Ethernet, 9000 jumbo frames).');
+  }
+};
@@ -0,0 +1,47 @@
+// Operands: 1-64 bit words entered in binary, hex, octal or decimal, kept exact as BigInt
+
+const assert = require('assert').strict;
+const { runCli } = require('./helpers');
+
+/**
+ * Run the CLI with a width or operand it must reject before booting
+ * @param {string[]} args - Command-line arguments
+ * @returns {Promise<string>} - The error line printed on stderr
+ */
+const rejected = async (args) => {
+  const { code, stderr } = await runCli(args);
+  assert.equal(code, 2);
+  return stderr.trim();
+};
+
+module.exports = {
+  '64-bit words in every radix keep full precision': async () => {
+    const { code, stdout } = await runCli(['--batch', '--width=64'], { input: '0xFFFFFFFFFFFFFFFF 0d1 XOR\n0o17 1010_0101 OR\n' });
+    assert.equal(code, 0);
+    assert.ok(stdout.includes('Result: 1111_1111 1111_1111 1111_1111 1111_1111 1111_1111 1111_1111 1111_1111 1111_1110 ' +
+      '(hex: 0xFFFFFFFFFFFFFFFE, oct: 0o1777777777777777777776, dec: 18446744073709551614)'));
+    assert.ok(stdout.includes('(hex: 0x00000000000000AF, oct: 0o257, dec: 175)'));
+    // The bit table runs MSB first
+    assert.ok(stdout.includes('  63 |  1 |  0 |   1    | 1 XOR 0 = 1'));
+  },
+
+  'a 1-bit word': async () => {
+    const { code, stdout } = await runCli(['--width=1', '--a=1', '--op=NOT']);
+    assert.equal(code, 0);
+    assert.ok(stdout.includes('Result: 0 (hex: 0x0, oct: 0o0, dec: 0)'));
+  },
+
+  'widths outside 1-64 exit with INP006': async () => {
+    for (const width of ['0', '65', '8.5', 'wide']) {
+      assert.equal(await rejected([`--width=${width}`, '--a=1', '--b=1', '--op=AND']),
+        `Invalid input [INP006]: Invalid --width "${width}". Use a whole number of bits from 1 to 64.`);
+    }
+  },
+
+  'operands must fit the width and use a known radix': async () => {
+    assert.equal(await rejected(['--width=4', '--a=0x1F', '--b=0', '--op=AND']), 'Invalid input [INP002]: Operand A: Value 0x1F does not fit in 4 bits.');
+    assert.equal(await rejected(['--width=4', '--a=1', '--b=0d16', '--op=AND']), 'Invalid input [INP002]: Operand B: Value 0d16 does not fit in 4 bits.');
+    assert.equal(await rejected(['--a=0o8', '--b=0', '--op=AND']),
+      'Invalid input [INP002]: Operand A: Invalid input "0o8". Use binary (101), hex (0x1F), octal (0o17) or decimal (0d42).');
+  }
+};
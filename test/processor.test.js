@@ -0,0 +1,133 @@
+// ALU: results and the x86-style FLAGS register for arithmetic, logic, shifts and rotates
+
+const assert = require('assert').strict;
+const { runCli } = require('./helpers');
+
+// Every job below, run as one --batch per operand width so the whole file boots twice
+const JOBS = {
+  4: [
+    '0111 0001 ADD', '1111 0001 ADD', '0011 0101 SUB', '0101 0011 SUB', '1000 NEG', '0110 0011 MUL', '1010 0110 XOR', '0101 NOT',
+    '1001 0001 SHL', '1001 0001 SHR', '1001 0001 SAR', '1001 0010 SHL', '1001 0110 SHL', '1001 0110 SHR', '1001 0100 SHR',
+    '1001 0001 ROL', '1001 0001 ROR', '1001 0100 ROL'
+  ],
+  9: ['000000011 000000000 ADD', '100000001 000000000 ADD']
+};
+const batches = {};
+
+/**
+ * Run every job of one width after a single boot
+ * @param {number} width - Operand width in bits
+ * @returns {Promise<Map<string, Object>>} - { result, flags, register, output } by job line
+ */
+const runJobs = async (width) => {
+  const { code, stdout, stderr } = await runCli(['--batch', `--width=${width}`], { input: JOBS[width].join('\n') });
+  assert.equal(code, 0, stderr);
+  const outputs = stdout.split('Executing ').slice(1);
+  assert.equal(outputs.length, JOBS[width].length);
+  return new Map(JOBS[width].map((job, index) => {
+    const output = outputs[index];
+    const [, register, flags] = output.match(/FLAGS: (0x[0-9A-F]{4} \((.*)\))/);
+    return [job, {
+      result: output.match(/\nResult: ([01]+) /)[1],
+      flags: Object.fromEntries(flags.split(' ').map(flag => [flag.split('=')[0], Number(flag.split('=')[1])])),
+      register,
+      output
+    }];
+  }));
+};
+
+/**
+ * Look up the outcome of one job
+ * @param {string} a - First operand (binary)
+ * @param {string} operation - Operation
+ * @param {string} [b] - Second operand (binary), or the bit count for shifts and rotates; left out for NOT and NEG
+ * @returns {Promise<{result: string, flags: Object, register: string, output: string}>} - Result, flags and printed output
+ */
+const compute = async (a, operation, b) => {
+  const width = a.length;
+  if (!batches[width]) batches[width] = runJobs(width);
+  const outcome = (await batches[width]).get([a, b, operation].filter(Boolean).join(' '));
+  assert.ok(outcome, `${a} ${operation} ${b} is in JOBS`);
+  return outcome;
+};
+
+module.exports = {
+  'ADD sets OF and SF on signed overflow': async () => {
+    const { result, flags } = await compute('0111', 'ADD', '0001');
+    assert.equal(result, '1000');
+    assert.deepEqual(flags, { CF: 0, PF: 0, ZF: 0, SF: 1, OF: 1 });
+  },
+
+  'ADD sets CF and ZF when the sum wraps to zero': async () => {
+    const { result, flags, register } = await compute('1111', 'ADD', '0001');
+    assert.equal(result, '0000');
+    assert.deepEqual(flags, { CF: 1, PF: 1, ZF: 1, SF: 0, OF: 0 });
+    assert.equal(register, '0x0047 (CF=1 PF=1 ZF=1 SF=0 OF=0)');
+  },
+
+  'SUB sets CF on a borrow': async () => {
+    const { result, flags } = await compute('0011', 'SUB', '0101');
+    assert.equal(result, '1110');
+    assert.deepEqual(flags, { CF: 1, PF: 0, ZF: 0, SF: 1, OF: 0 });
+    assert.equal((await compute('0101', 'SUB', '0011')).flags.CF, 0);
+  },
+
+  'NEG of the most negative value overflows': async () => {
+    const { result, flags } = await compute('1000', 'NEG');
+    assert.equal(result, '1000');
+    assert.equal(flags.CF, 1);
+    assert.equal(flags.OF, 1);
+  },
+
+  'MUL keeps the low word and flags a non-zero high word': async () => {
+    const { result, flags, output } = await compute('0110', 'MUL', '0011');
+    assert.ok(output.includes('High half: 0001 (discarded, sets CF/OF when non-zero)'));
+    assert.equal(result, '0010');
+    assert.equal(flags.CF, 1);
+    assert.equal(flags.OF, 1);
+  },
+
+  'logical operations clear CF and OF': async () => {
+    const { result, flags } = await compute('1010', 'XOR', '0110');
+    assert.equal(result, '1100');
+    assert.deepEqual(flags, { CF: 0, PF: 1, ZF: 0, SF: 1, OF: 0 });
+    assert.equal((await compute('0101', 'NOT')).result, '1010');
+  },
+
+  'shifts put the last bit out in CF and set OF only for a count of 1': async () => {
+    const shifts = await Promise.all(['SHL', 'SHR', 'SAR'].map(operation => compute('1001', operation, '0001')));
+    assert.deepEqual(shifts.map(({ result }) => result), ['0010', '0100', '1100']);
+    assert.deepEqual(shifts.map(({ flags }) => flags.CF), [1, 1, 1]);
+    assert.deepEqual(shifts.map(({ flags }) => flags.OF), [1, 1, 0]);
+    const long = await compute('1001', 'SHL', '0010');
+    assert.equal(long.result, '0100');
+    assert.equal(long.flags.OF, 0);
+  },
+
+  'shift counts past the width clear the word and leave CF clear': async () => {
+    for (const operation of ['SHL', 'SHR']) {
+      const { result, flags } = await compute('1001', operation, '0110');
+      assert.equal(result, '0000');
+      assert.equal(flags.ZF, 1);
+      assert.equal(flags.CF, 0, `${operation} by 6 shifts out only zeros last`);
+    }
+    // A count of exactly the width still shifts the last operand bit out
+    assert.equal((await compute('1001', 'SHR', '0100')).flags.CF, 1);
+  },
+
+  'rotates wrap bits around and copy the wrapped bit to CF': async () => {
+    const left = await compute('1001', 'ROL', '0001');
+    assert.equal(left.result, '0011');
+    assert.equal(left.flags.CF, 1);
+    const right = await compute('1001', 'ROR', '0001');
+    assert.equal(right.result, '1100');
+    assert.equal(right.flags.CF, 1);
+    assert.equal(right.flags.OF, 0);
+    assert.equal((await compute('1001', 'ROL', '0100')).result, '1001');
+  },
+
+  'PF is the even parity of the low byte': async () => {
+    assert.equal((await compute('000000011', 'ADD', '000000000')).flags.PF, 1);
+    assert.equal((await compute('100000001', 'ADD', '000000000')).flags.PF, 0);
+  }
+};
@@ -0,0 +1,56 @@
+// Boot profiles: bundled names, JSON and YAML files, and schema violations reported before the boot
+
+const assert = require('assert').strict;
+const { join } = require('path');
+const { runCli } = require('./helpers');
+
+const fixture = name => join(__dirname, 'fixtures', name);
+
+module.exports = {
+  'a YAML profile replaces the boot stages': async () => {
+    const { code, stdout } = await runCli([`--profile=${fixture('tiny-profile.yaml')}`, '--a=1', '--b=1', '--op=AND']);
+    assert.equal(code, 0);
+    assert.ok(stdout.includes('0%: Tiny Firmware'));
+    assert.ok(stdout.includes('Running the tiny POST...'));
+    assert.ok(!stdout.includes('Bootloader Stage'));
+    assert.ok(stdout.includes('Result: 0000_0001 (hex: 0x01, oct: 0o1, dec: 1)'));
+  },
+
+  'a bundled profile is found by name': async () => {
+    const { code, stdout } = await runCli(['--profile=container', '--a=1', '--b=1', '--op=AND']);
+    assert.equal(code, 0);
+    assert.ok(stdout.includes('Container Runtime'));
+    assert.ok(!stdout.includes('Firmware Initialization'));
+  },
+
+  'every schema violation is listed with its path': async () => {
+    const file = fixture('invalid-profile.json');
+    const { code, stdout, stderr } = await runCli([`--profile=${file}`, '--a=1', '--b=1', '--op=AND']);
+    assert.equal(code, 2);
+    assert.equal(stdout, '');
+    assert.deepEqual(stderr.trim().split('\n'), [
+      `Invalid input [PRF003]: Profile ${file} is invalid:`,
+      '  - stages[0].steps[0]: unknown property "colour" (allowed: message, action, args, color, delay, level, verbose, unless, failure, devices, services, sysctl)',
+      '  - stages[1].id: duplicate stage id "a"',
+      '  - stages[1].progress: 10% is lower than the previous stage (50%)',
+      '  - stages[1].color: must be one of green, yellow, red, blue, cyan, magenta, got "pink"',
+      '  - stages[1].steps[0].action: unknown action "format" (available: clearStaleFiles, setupPaging, startUnits, analyzeUnits, postHardware, scanPci, bindDrivers, setupNuma, bootMenu, passKernelCmdline, loadFirewall, simulateNetwork)',
+      '  - stages[2].progress: must be a number from 0 to 69 (user-space stages use 70-100)',
+      '  - stages[2].steps: must be a non-empty array'
+    ]);
+  },
+
+  'unparsable and unreadable profiles': async () => {
+    const broken = fixture('broken-profile.json');
+    const unparsable = await runCli([`--profile=${broken}`]);
+    assert.equal(unparsable.code, 2);
+    assert.match(unparsable.stderr, new RegExp(`^Invalid input \\[PRF002\\]: Cannot parse profile ${broken}: `));
+    const missing = await runCli(['--profile=no-such-profile']);
+    assert.equal(missing.code, 2);
+    assert.match(missing.stderr, /^Invalid input \[PRF001\]: Cannot read profile no-such-profile: ENOENT/);
+    // Errors other than a missing file are reported as they are, without looking for a bundled profile
+    const directory = await runCli([`--profile=${__dirname}`]);
+    assert.equal(directory.code, 2);
+    assert.match(directory.stderr, new RegExp(`^Invalid input \\[PRF001\\]: Cannot read profile ${__dirname}: EISDIR`));
+  }
+};
@@ -0,0 +1,136 @@
+// Quiz mode: scoring and levels, answer checking with per-bit feedback, the scores file, and --quiz on the CLI
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const { join } = require('path');
+const { PassThrough, Writable } = require('stream');
+const { Terminal } = require('../lib');
+const { Quiz, ScoreBook } = require('../lib/quiz');
+const { runCli, withTempDir } = require('./helpers');
+
+/**
+ * Create a quiz on a terminal that prints nowhere and reads nothing
+ * @param {Object} [options={}] - Extra Quiz options
+ * @returns {Quiz} - Quiz
+ */
+const quiz = (options = {}) => {
+  const output = new Writable({ write: (chunk, encoding, callback) => callback() });
+  const terminal = new Terminal({ output, errorOutput: output, input: new PassThrough(), colors: false, speed: 0 });
+  return new Quiz({ terminal, ...options });
+};
+
+/**
+ * Replay a fixed list of random numbers
+ * @param {number[]} values - Numbers from 0 to 1, in the order they are drawn
+ * @returns {function(): number} - Random source
+ */
+const sequence = values => () => values.shift();
+
+module.exports = {
+  'right answers earn points and a streak bonus, three in a row move up and two misses move down': () => {
+    const session = quiz();
+    const question = { type: 'operation' };
+    assert.deepEqual([1, 2, 3].map(() => session.score(question, true)), [10, 10, 15]);
+    assert.equal(session.level, 2);
+    assert.equal(session.score(question, true), 25); // 10 x level 2, plus the bonus of the running streak
+    assert.equal(session.score(question, false), 0);
+    assert.equal(session.level, 2);
+    session.score(question, false);
+    assert.equal(session.level, 1);
+    session.score(question, false);
+    assert.equal(session.level, 1); // Nowhere lower to go
+
+    const { scores } = session;
+    assert.deepEqual([scores.asked, scores.correct, scores.points, scores.bestStreak, scores.level], [7, 4, 60, 4, 1]);
+    assert.deepEqual(scores.byType.operation, { asked: 7, correct: 4 });
+    assert.equal(scores.sessions.length, 1);
+    assert.deepEqual([scores.session.asked, scores.session.points], [7, 60]);
+  },
+
+  'a wrong operation answer names every wrong bit with its explanation': () => {
+    // Draws: operation AND, A = 1011, shift count (unused), B = 1100
+    const question = quiz({ random: sequence([0, 0.9, 0.1, 0.9, 0.9, 0, 0.9, 0.9, 0.1, 0.1]) }).makeQuestion('operation');
+    assert.equal(question.text, 'What is 1011 AND 1100?');
+    assert.deepEqual(question.check(question.parse('0b1000')), { correct: true, expected: '1000', feedback: [] });
+    assert.equal(question.parse('12'), null);
+    assert.deepEqual(question.check(question.parse('0001')), {
+      correct: false,
+      expected: '1000',
+      feedback: ['bit 3: 1, not 0 - 1 AND 1 = 1', 'bit 0: 0, not 1 - 1 AND 0 = 0']
+    });
+  },
+
+  'conversions accept the prefix or not and explain digit groups': () => {
+    // Draws: radix hex, to hex, word 011101
+    const question = quiz({ level: 2, random: sequence([0.9, 0.9, 0.1, 0.9, 0.9, 0.9, 0.1, 0.9]) }).makeQuestion('convert');
+    assert.equal(question.text, 'Convert 0b11101 to hexadecimal');
+    assert.equal(question.check(question.parse('1d')).correct, true);
+    assert.equal(question.check(question.parse('0x1D')).correct, true);
+    assert.deepEqual(question.check(question.parse('0x1C')), {
+      correct: false,
+      expected: '1D (0x1D)',
+      feedback: ['Each hexadecimal digit is 4 bits, grouped from the right: 0001 = 1, 1101 = D']
+    });
+  },
+
+  'identify accepts any operation that gives the result': () => {
+    // Draws: operation AND, A = 1111, B = 0000; OR and XOR give 1111 too
+    const question = quiz({ random: sequence([0, 0.9, 0.9, 0.9, 0.9, 0.1, 0.1, 0.1, 0.1]) }).makeQuestion('identify');
+    assert.equal(question.text, 'Which operation turns A = 1111, B = 0000 into R = 0000?');
+    assert.equal(question.parse('nand'), null);
+    assert.equal(question.check(question.parse('and')).correct, true);
+    const wrong = question.check(question.parse('xor'));
+    assert.equal(wrong.correct, false);
+    assert.equal(wrong.expected, 'AND');
+    assert.deepEqual(wrong.feedback, ['1111 XOR 0000 = 1111, not 0000', 'bit 3 gives it away: 1 AND 0 = 0']);
+  },
+
+  'scores are saved, loaded again and checked': () => withTempDir(async (dir) => {
+    const file = join(dir, 'nested', 'scores.json');
+    const fresh = await ScoreBook.load(file);
+    assert.deepEqual([fresh.level, fresh.asked, fresh.sessions], [1, 0, []]);
+    fresh.record('convert', true, 10, 2, 1);
+    await fresh.save(file);
+    const loaded = await ScoreBook.load(file);
+    assert.deepEqual(loaded.toJSON(), JSON.parse(JSON.stringify(fresh)));
+    assert.deepEqual(loaded.byType.convert, { asked: 1, correct: 1 });
+
+    assert.deepEqual(ScoreBook.validate({ version: 1, level: 4, bestStreak: -1, asked: 0, correct: 0, points: 0, sessions: [] }), [
+      'level: must be 1 to 3',
+      'bestStreak: must be a whole number'
+    ]);
+    fs.writeFileSync(file, '{');
+    await assert.rejects(ScoreBook.load(file), { code: 'QUZ001' });
+  }),
+
+  '--quiz asks, scores and keeps progress across sessions': () => withTempDir(async (dir) => {
+    const scores = `--quiz-scores=${join(dir, 'scores.json')}`;
+    const first = await runCli(['--quiz=1', '--seed=1', scores], { input: '13\n' });
+    assert.equal(first.code, 0, first.stderr);
+    assert.ok(first.stdout.includes('Convert 0b1101 to decimal\n'));
+    assert.ok(first.stdout.includes('Correct! 13\n+10 points\n'));
+    assert.ok(first.stdout.includes('Score: 1/1 (100%) right, 10 points\n'));
+
+    const second = await runCli(['--quiz=5', scores], { input: 'quit\n' });
+    assert.equal(second.code, 0, second.stderr);
+    assert.ok(second.stdout.includes('Score: 0/0 right, 0 points\n'));
+    assert.ok(second.stdout.includes('All sessions: 1/1 (100%) right over 1 session, 10 points\n'));
+    assert.ok(!second.stdout.includes('Scores saved'));
+
+    const ended = await runCli(['--quiz=3', '--seed=1', scores], { input: '0\n' });
+    assert.equal(ended.code, 0, ended.stderr);
+    assert.ok(ended.stdout.includes('Question 2/3'));
+    assert.ok(ended.stdout.includes('All sessions: 1/2 (50%) right over 2 sessions, 10 points\n'));
+  }),
+
+  'invalid quiz flags and conflicting flags are rejected': async () => {
+    const count = await runCli(['--quiz=0']);
+    assert.equal(count.code, 2);
+    assert.ok(count.stderr.includes('[INP014]'));
+    const level = await runCli(['--quiz', '--quiz-level=4']);
+    assert.ok(level.stderr.includes('Invalid --quiz-level "4"'));
+    const conflict = await runCli(['--quiz', '--op=AND']);
+    assert.equal(conflict.code, 2);
+    assert.ok(conflict.stderr.includes('[INP004]: --quiz cannot be combined with --op'));
+  }
+};
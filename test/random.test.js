@@ -0,0 +1,47 @@
+// Seeded randomness: the PRNG itself, and --seed replaying a boot's random failures exactly
+
+const assert = require('assert').strict;
+const { join } = require('path');
+const { createRandom } = require('../lib/random');
+const { runCli } = require('./helpers');
+
+// One step that fails half the time, so a handful of seeds covers both outcomes
+const COIN_FLIP = `--profile=${join(__dirname, 'fixtures', 'coin-flip-profile.yaml')}`;
+const draws = (seed, count) => Array.from({ length: count }, createRandom(seed));
+
+module.exports = {
+  'the same seed gives the same sequence in [0, 1)': () => {
+    const sequence = draws(42, 100);
+    assert.deepEqual(draws(42, 100), sequence);
+    assert.ok(sequence.every(value => value >= 0 && value < 1));
+    assert.notDeepEqual(draws(43, 100), sequence);
+    assert.equal(new Set(sequence).size, 100);
+  },
+
+  'a seed replays the same boot, failures included': async () => {
+    const passing = await runCli([COIN_FLIP, '--a=1', '--op=NOT', '--seed=1'], { faults: true });
+    assert.equal(passing.code, 0);
+    assert.ok(passing.stdout.includes('Random seed: 1 (replay with --seed=1)'));
+    assert.deepEqual(await runCli([COIN_FLIP, '--a=1', '--op=NOT', '--seed=1'], { faults: true }), passing);
+
+    const failing = await runCli([COIN_FLIP, '--a=1', '--op=NOT', '--seed=2'], { faults: true });
+    assert.equal(failing.code, 1);
+    assert.equal(failing.stderr.trim(), 'Fatal error: The coin came up tails. Check logs.');
+    assert.deepEqual(await runCli([COIN_FLIP, '--a=1', '--op=NOT', '--seed=2'], { faults: true }), failing);
+  },
+
+  '--no-faults turns the failures off': async () => {
+    const { code, stdout } = await runCli([COIN_FLIP, '--a=1', '--op=NOT', '--seed=2']);
+    assert.equal(code, 0);
+    assert.ok(stdout.includes('Random boot failures disabled (--no-faults)'));
+    assert.ok(stdout.includes('Simulation Complete'));
+  },
+
+  'an invalid seed exits with INP008': async () => {
+    for (const seed of ['abc', '-1', '4294967296', '1.5']) {
+      const { code, stderr } = await runCli([`--seed=${seed}`]);
+      assert.equal(code, 2);
+      assert.equal(stderr.trim(), `Invalid input [INP008]: Invalid --seed "${seed}". Use an integer from 0 to 4294967295.`);
+    }
+  }
+};
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+// ===================================================================
+// |> Test Runner - Plain assert Checks for the Library <|
+// ===================================================================
+// Purpose:
+//   Run every test/*.test.js file (npm test). A test file exports its checks as { 'description': fn };
+//   a check passes unless it throws (or its promise rejects). Plain Node, so it runs on every supported
+//   version (engines: node >= 14) without a test framework.
+
+const { readdirSync } = require('fs');
+const { join } = require('path');
+
+/**
+ * Run the checks of every test file in order
+ * @returns {Promise<number>} - Number of failed checks
+ */
+const runAll = async () => {
+  const files = readdirSync(__dirname).filter(file => file.endsWith('.test.js')).sort();
+  let passed = 0;
+  let failed = 0;
+  for (const file of files) {
+    console.log(file);
+    const checks = require(join(__dirname, file));
+    for (const [description, check] of Object.entries(checks)) {
+      try {
+        await check();
+        passed += 1;
+        console.log(`  ✓ ${description}`);
+      } catch (err) {
+        failed += 1;
+        console.log(`  ✗ ${description}`);
+        console.log(`    ${(err.stack || String(err)).split('\n').join('\n    ')}`);
+      }
+    }
+  }
+  console.log(`\n${passed} passed, ${failed} failed`);
+  return failed;
+};
+
+runAll().then((failed) => {
+  process.exitCode = failed > 0 ? 1 : 0;
+}, (err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
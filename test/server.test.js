@@ -0,0 +1,158 @@
+// Web UI server: static page, the SSE stream of a run, prompts answered over POST /input, and request validation
+
+const assert = require('assert').strict;
+const http = require('http');
+const { join } = require('path');
+const { loadProfile } = require('../lib');
+const { SimulationServer } = require('../lib/server');
+const { runCli } = require('./helpers');
+
+/**
+ * Send a request to the server
+ * @param {string} url - Absolute URL
+ * @param {Object} [options={}] - Request options
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {string} [options.body] - Request body (sent as JSON)
+ * @returns {Promise<{status: number, type: string, body: string}>} - Status, content type and body
+ */
+const request = (url, { method = 'GET', body } = {}) => new Promise((resolvePromise, reject) => {
+  const req = http.request(url, { method, headers: body === undefined ? {} : { 'Content-Type': 'application/json' } }, (res) => {
+    let text = '';
+    res.on('data', chunk => { text += chunk; });
+    res.on('end', () => resolvePromise({ status: res.statusCode, type: res.headers['content-type'], body: text }));
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+
+const post = (url, data) => request(url, { method: 'POST', body: typeof data === 'string' ? data : JSON.stringify(data) });
+
+/**
+ * Subscribe to the SSE stream and collect its messages
+ * @param {string} url - Page URL
+ * @returns {Promise<{messages: Array<{event: string, data: Object}>, next: function(string, function(Object): boolean=): Promise<Object>}>}
+ *   - The messages so far, and a way to wait for the next message of a type (optionally matching a predicate)
+ */
+const subscribe = url => new Promise((resolvePromise, reject) => {
+  const messages = [];
+  let seen = 0;
+  const waiters = [];
+  const settle = () => waiters.slice().forEach(waiter => waiter());
+  http.get(`${url}events`, (res) => {
+    let buffer = '';
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      const parts = buffer.split('\n\n');
+      buffer = parts.pop();
+      parts.forEach((part) => {
+        const event = part.match(/^event: (.*)$/m)[1];
+        const data = JSON.parse(part.match(/^data: (.*)$/m)[1]);
+        messages.push({ event, data });
+      });
+      settle();
+    });
+    const next = (event, matches = () => true) => new Promise((resolveNext) => {
+      const check = () => {
+        for (; seen < messages.length; seen++) {
+          if (messages[seen].event === event && matches(messages[seen].data)) {
+            waiters.splice(waiters.indexOf(check), 1);
+            resolveNext(messages[seen++].data);
+            return;
+          }
+        }
+      };
+      waiters.push(check);
+      check();
+    });
+    resolvePromise({ messages, next });
+  }).on('error', reject);
+});
+
+/**
+ * Run a test body against a server on a free port, closed afterwards
+ * @param {function(string, SimulationServer): Promise<void>} fn - Test body, given the page URL and the server
+ * @returns {Promise<void>}
+ */
+const withServer = async (fn) => {
+  const profile = await loadProfile(join(__dirname, 'fixtures', 'tiny-profile.yaml'));
+  const server = new SimulationServer({ simulatorOptions: { profile, speed: 0, faults: false, logFile: null }, port: 0 });
+  const url = await server.listen();
+  try {
+    await fn(url, server);
+  } finally {
+    await server.close();
+  }
+};
+
+module.exports = {
+  'the page is served from localhost and unknown routes are 404': () => withServer(async (url) => {
+    assert.match(url, /^http:\/\/localhost:\d+\/$/);
+    const page = await request(url);
+    assert.equal(page.status, 200);
+    assert.equal(page.type, 'text/html; charset=utf-8');
+    assert.ok(page.body.includes('app.js'));
+    assert.equal((await request(`${url}app.js`)).type, 'text/javascript; charset=utf-8');
+    const missing = await request(`${url}secret`);
+    assert.equal(missing.status, 404);
+    assert.deepEqual(JSON.parse(missing.body), { error: 'Not found: GET /secret' });
+  }),
+
+  'a run streams lines and events, and prompts are answered from the page': () => withServer(async (url) => {
+    const stream = await subscribe(url);
+    const hello = await stream.next('hello');
+    assert.deepEqual(hello.profile, { name: 'tiny', stages: [{ id: 'firmware', title: 'Tiny Firmware' }] });
+    assert.equal(hello.running, false);
+
+    const started = await post(`${url}run`, { seed: 7 });
+    assert.deepEqual([started.status, JSON.parse(started.body)], [202, { seed: 7 }]);
+    assert.deepEqual(await stream.next('run:start'), { seed: 7, inject: [] });
+    assert.equal((await post(`${url}run`, {})).status, 409);
+
+    assert.equal((await stream.next('prompt')).kind, 'operand');
+    await post(`${url}input`, { value: '1021' }); // Rejected by the console's validation and asked again
+    assert.equal((await stream.next('prompt')).kind, 'operand');
+    await post(`${url}input`, { value: '0101' });
+    await stream.next('prompt');
+    await post(`${url}input`, { value: '0011' });
+    assert.equal((await stream.next('prompt')).kind, 'operation');
+    await post(`${url}input`, { value: 'XOR' });
+
+    const { results } = await stream.next('complete');
+    assert.equal(results[0].result, '00000110');
+    const lines = stream.messages.filter(({ event }) => event === 'line').map(({ data }) => data);
+    assert.ok(lines.some(({ text, color }) => text === 'Running the tiny POST...' && color === 'blue'));
+    assert.ok(lines.some(({ text }) => text.startsWith('Invalid input "1021"')));
+    assert.ok(stream.messages.some(({ event, data }) => event === 'stage:start' && data.id === 'firmware'));
+  }),
+
+  'bad requests are rejected with their error codes': () => withServer(async (url) => {
+    const cases = [
+      [post(`${url}input`, { value: 'XOR' }), 409, { error: 'No prompt is waiting for input' }],
+      [post(`${url}input`, { value: 5 }), 400, { error: 'Expected { "value": "<answer>" }', code: 'INP011' }],
+      [post(`${url}run`, '{"seed": '), 400, { code: 'INP011' }],
+      [post(`${url}run`, '[1]'), 400, { error: 'Request body must be a JSON object', code: 'INP011' }],
+      [post(`${url}run`, { seed: -1 }), 400, { error: 'Invalid seed "-1". Use an integer from 0 to 4294967295.', code: 'INP008' }],
+      [post(`${url}run`, { inject: ['disk'] }), 400, { error: 'Unknown fault "disk". Options: ram, pagefault, fsck, secureboot, nic-down, unit-fail', code: 'INP009' }],
+      [post(`${url}run`, 'x'.repeat(17 * 1024)), 400, { error: 'Request body too large', code: 'INP011' }]
+    ];
+    for (const [response, status, body] of cases) {
+      const { status: actual, body: text } = await response;
+      assert.equal(actual, status);
+      const parsed = JSON.parse(text);
+      Object.keys(body).forEach(key => assert.equal(parsed[key], body[key]));
+    }
+  }),
+
+  '--serve rejects console-only flags and invalid ports': async () => {
+    const cases = [
+      [['--serve', '--a=1', '--op=NOT'], 'Invalid input [INP004]: --serve takes operands from the web page and cannot be combined with --a/--b/--op/--batch/--expr'],
+      [['--serve', '--tui'], 'Invalid input [INP004]: --serve cannot be combined with --tui'],
+      [['--serve', '--port=70000'], 'Invalid input [INP011]: Invalid --port "70000". Use a whole number from 1 to 65535.']
+    ];
+    for (const [args, message] of cases) {
+      const { code, stderr } = await runCli(args);
+      assert.equal(code, 2);
+      assert.equal(stderr.trim(), message);
+    }
+  }
+};
@@ -0,0 +1,121 @@
+// Session recording: tapped streams on a fake clock, file validation, paced playback, and --record/--replay on the CLI
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const { join } = require('path');
+const { PassThrough, Writable } = require('stream');
+const { SessionRecorder, replaySession } = require('../lib/session');
+const { runCli, withTempDir } = require('./helpers');
+
+const TINY = `--profile=${join(__dirname, 'fixtures', 'tiny-profile.yaml')}`;
+
+/**
+ * Create a writable that keeps what is written to it
+ * @returns {stream.Writable & {text: string}} - Collecting stream
+ */
+const collector = () => {
+  const stream = new Writable({
+    write: (chunk, encoding, callback) => {
+      stream.text += chunk.toString();
+      callback();
+    }
+  });
+  stream.text = '';
+  return stream;
+};
+
+module.exports = {
+  'tapped streams are recorded with their times and restored when the recording finishes': () => {
+    const clock = { ms: 500 };
+    const recorder = new SessionRecorder({ args: ['--seed=1'], now: () => clock.ms });
+    const output = collector();
+    const errors = collector();
+    const input = new PassThrough();
+    const write = output.write;
+    recorder.tapOutput(output, 'o');
+    recorder.tapOutput(errors, 'e');
+    recorder.tapInput(input);
+
+    clock.ms += 10;
+    output.write('Booting...\n');
+    clock.ms += 5;
+    input.emit('data', Buffer.from('0101\n'));
+    errors.write('warning\n');
+    recorder.boot(1, { profile: 'tiny' });
+    recorder.boot(2);
+    clock.ms += 20;
+    recorder.finish(3);
+
+    assert.equal(output.text, 'Booting...\n');
+    assert.equal(output.write, write);
+    const session = recorder.toJSON();
+    assert.deepEqual([session.seed, session.config, session.duration, session.exitCode], [1, { profile: 'tiny' }, 35, 3]);
+    assert.deepEqual(session.terminal, { tty: false, columns: null, rows: null });
+    assert.deepEqual(session.events, [[10, 'o', 'Booting...\n'], [15, 'i', '0101\n'], [15, 'e', 'warning\n'], [15, 'm', 'reboot seed=2']]);
+    assert.deepEqual(SessionRecorder.validate(JSON.parse(JSON.stringify(session))), []);
+  },
+
+  'validate reports malformed session files': () => {
+    assert.deepEqual(SessionRecorder.validate([]), ['session: must be an object with "version" and "events"']);
+    assert.deepEqual(SessionRecorder.validate({ version: 2 }), ['version: must be 1, got 2', 'events: must be an array']);
+    assert.deepEqual(SessionRecorder.validate({ version: 1, exitCode: 'x', events: [[5, 'o', 'a'], [4, 'o', 'b'], [6, 'x', 'c'], [7, 'o', 1], [8, 'o']] }), [
+      'events[1]: time must be a number of milliseconds, not before the previous event',
+      'events[2]: channel must be one of o, e, i, m',
+      'events[3]: text must be a string',
+      'events[4]: must be [time, channel, text]',
+      'exitCode: must be an integer'
+    ]);
+  },
+
+  'playback writes output at the recorded pace, scaled by speed, and skips typed input': async () => {
+    const session = { version: 1, exitCode: 2, events: [[0, 'o', 'a'], [100, 'i', 'typed\n'], [100.5, 'o', 'b'], [300, 'e', 'c'], [300, 'm', 'reboot seed=1']] };
+    const output = collector();
+    const errorOutput = collector();
+    const waits = [];
+    const code = await replaySession(session, { speed: 0.5, output, errorOutput, wait: async ms => { waits.push(ms); } });
+    assert.equal(code, 2);
+    assert.deepEqual([output.text, errorOutput.text], ['ab', 'c']);
+    assert.deepEqual(waits, [50.25, 99.75]);
+  },
+
+  '--replay prints a recorded run exactly and exits with its code': () => withTempDir(async (dir) => {
+    const file = join(dir, 'demo.json');
+    const recorded = await runCli([TINY, '--seed=3', '--no-shell', `--record=${file}`], { input: '0101\n0011\nXOR\n' });
+    assert.equal(recorded.code, 0);
+    const notice = `Session recorded to ${file} (`;
+    assert.ok(recorded.stdout.includes(notice));
+    const session = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepEqual([session.seed, session.config.profile, session.exitCode], [3, 'tiny', 0]);
+    assert.deepEqual(session.events.filter(([, channel]) => channel === 'i').map(([, , text]) => text).join(''), '0101\n0011\nXOR\n');
+
+    const replayed = await runCli([`--replay=${file}`, '--speed=0']);
+    assert.equal(replayed.code, 0);
+    assert.equal(replayed.stdout, recorded.stdout.slice(0, recorded.stdout.indexOf(notice)));
+
+    const failing = join(dir, 'failing.json');
+    assert.equal((await runCli([TINY, '--a=1', '--op=NOT', '--address=0xF000', `--record=${failing}`])).code, 1);
+    const replayedFailure = await runCli([`--replay=${failing}`, '--speed=0']);
+    assert.equal(replayedFailure.code, 1);
+    assert.ok(replayedFailure.stderr.includes('Fatal error: Segmentation fault: 0xF000 is not mapped'));
+  }),
+
+  'bad session files and flag combinations are rejected': () => withTempDir(async (dir) => {
+    const broken = join(dir, 'broken.json');
+    fs.writeFileSync(broken, JSON.stringify({ version: 1, events: [[0, 'z', 'x']] }));
+    const cases = [
+      [['--record='], 'Invalid input [INP013]: --record needs a file name (e.g. --record=session.json)'],
+      [['--replay='], 'Invalid input [INP013]: --replay needs a file name (e.g. --replay=session.json)'],
+      [[`--replay=${broken}`, '--record=x.json'], 'Invalid input [INP004]: --replay cannot be combined with --record'],
+      [['--serve', `--record=${join(dir, 'x.json')}`], 'Invalid input [INP004]: --record cannot be combined with --serve'],
+      [[`--replay=${broken}`], `Invalid input [REC002]: ${broken}: invalid session\n  events[0]: channel must be one of o, e, i, m`]
+    ];
+    for (const [args, message] of cases) {
+      const { code, stderr } = await runCli(args);
+      assert.equal(code, 2);
+      assert.equal(stderr.trim(), message);
+    }
+    const missing = await runCli([`--replay=${join(dir, 'nope.json')}`]);
+    assert.equal(missing.code, 2);
+    assert.match(missing.stderr, /^Invalid input \[REC001\]: Cannot read session .*nope\.json: ENOENT/);
+  })
+};
@@ -0,0 +1,146 @@
+// Post-boot shell: each command reads what the boot recorded, and shutdown/reboot/exit end the session
+
+const assert = require('assert').strict;
+const { PassThrough, Writable } = require('stream');
+const { OSSimulator, InputHandler } = require('../lib');
+const { Shell } = require('../lib/shell');
+
+const PROMPT = 'user@binary-os:~$ ';
+
+// Every boot takes a few seconds (each delay has a fixed floor), so one booted simulator is shared
+let booted = null;
+const bootOnce = async () => {
+  if (booted) return booted;
+  const state = { text: '' };
+  const output = new Writable({
+    write: (chunk, encoding, callback) => {
+      state.text += chunk.toString();
+      callback();
+    }
+  });
+  const simulator = new OSSimulator({
+    jobs: [InputHandler.parseJob('0101', '0011', 'ADD', 4)],
+    width: 4,
+    seed: 1,
+    speed: 0,
+    faults: false,
+    logFile: null,
+    colors: false,
+    output,
+    errorOutput: output
+  });
+  await simulator.run();
+  booted = { simulator, state };
+  return booted;
+};
+
+/**
+ * Type commands into a fresh shell session on the booted simulator
+ * @param {string[]} commands - Lines typed at the prompt; input ends after the last one
+ * @returns {Promise<{outcome: string, replies: string[]}>} - How the session ended, and the text printed after each prompt
+ */
+const session = async (commands) => {
+  const { simulator, state } = await bootOnce();
+  const input = new PassThrough();
+  simulator.terminal.input = input;
+  const start = state.text.length;
+  input.end(commands.map(command => `${command}\n`).join(''));
+  const outcome = await new Shell(simulator).start();
+  const replies = state.text.slice(start).split(PROMPT).slice(1).map(reply => reply.replace(/\n$/, ''));
+  return { outcome, replies };
+};
+
+module.exports = {
+  'dmesg and journalctl replay the boot': async () => {
+    const { replies: [dmesg, journal, catalog, unknown] } = await session(['dmesg', 'journalctl -b', 'journalctl -xb', 'journalctl -z']);
+    assert.match(dmesg.split('\n')[0], /^\[ {4}\d\.\d{6}\] CPU cache test passed$/);
+    assert.ok(dmesg.includes('] mmu: VPN 0xF  0xF000-0xFFFF  kernel, read-only -> frame 0'));
+    const lines = journal.split('\n');
+    assert.match(lines[0], /^-- Boot [0-9a-f]{8} -- started [A-Z][a-z]{2} [ \d]\d \d{2}:\d{2}:\d{2} --$/);
+    assert.match(lines[1], /^[A-Z][a-z]{2} [ \d]\d \d{2}:\d{2}:\d{2} binary-os firmware: Powering on: Distributing voltage to components\.\.\.$/);
+    assert.ok(lines.some(line => line.endsWith(' binary-os output: Simulating journalctl --boot output: Logs ready')));
+    assert.equal(catalog, journal);
+    assert.equal(unknown, "journalctl: unrecognized option '-z'");
+  },
+
+  'lspci, systemctl and sysctl show what the profile set up': async () => {
+    const { replies: [lspci, units, sshd, missingUnit, swappiness, missingKey] } = await session([
+      'lspci', 'systemctl', 'systemctl status sshd', 'systemctl status nope', 'sysctl vm.swappiness', 'sysctl nope'
+    ]);
+    assert.ok(lspci.split('\n').includes('00:19.0 Ethernet controller: Intel Corporation Ethernet Connection I217-LM'));
+    assert.ok(units.includes('  sshd.service                 loaded active running  OpenBSD Secure Shell server'));
+    assert.match(units, /\n\n\d+ loaded units listed\.$/);
+    assert.equal(sshd.split('\n')[0], '● sshd.service - OpenBSD Secure Shell server');
+    assert.ok(sshd.includes('     CGroup: /system.slice/sshd.service'));
+    assert.equal(missingUnit, 'Unit nope.service could not be found.');
+    assert.equal(swappiness, 'vm.swappiness = 60');
+    assert.equal(missingKey, 'sysctl: cannot stat /proc/sys/nope: No such file or directory');
+  },
+
+  'systemd-analyze reports the units the boot started': async () => {
+    const { replies: [time, chain, unknown] } = await session(['systemd-analyze', 'systemd-analyze critical-chain', 'systemd-analyze nope']);
+    assert.match(time, /^Startup finished in \S+ \(userspace\)\nmulti-user\.target reached after \S+ in userspace$/);
+    const tree = chain.split('\n\n')[1].split('\n');
+    assert.match(tree[0], /^multi-user\.target @\S+$/);
+    assert.match(tree[tree.length - 1], /^ +└─systemd-journald\.service @0ms \+\S+$/);
+    assert.equal(unknown, 'systemd-analyze: unknown command "nope" (available: time, blame, critical-chain)');
+  },
+
+  'free reports the installed RAM and the paged model, and calc runs the ALU': async () => {
+    const { replies: [free, sum, usage, unknown] } = await session(['free', 'calc 0x0F ADD 0d3', 'calc 1 FOO', 'frobnicate']);
+    assert.deepEqual(free.split('\n'), [
+      '              total        used        free      shared  buff/cache   available',
+      'Mem:       16777216           8    16777208           0           0    16777208',
+      'Swap:            64           0          64',
+      '',
+      'Paged RAM model: 2/8 frames of 4 KiB in use (32 KiB of the installed RAM), 0 pages in swap'
+    ]);
+    assert.deepEqual(sum.split('\n'), ['0010 (hex: 0x2, oct: 0o2, dec: 2)', 'FLAGS: 0x0003 (CF=1 PF=0 ZF=0 SF=0 OF=0)']);
+    assert.ok(usage.startsWith('usage: calc <A> <OP> [B]  (OP: AND, OR, XOR, NOT'));
+    assert.equal(unknown, 'bash: frobnicate: command not found');
+  },
+
+  'logic prints the analysis of an expression, or what went wrong': async () => {
+    const { replies: [absorbed, usage, invalid] } = await session(['logic A B + A', 'logic', 'logic A +']);
+    const lines = absorbed.split('\n');
+    assert.equal(lines[0], 'Evaluating 4 input combinations...');
+    assert.ok(lines.includes('  Group A: 2 cells m(2, 3), essential'));
+    assert.equal(lines[lines.length - 1], 'Minimal SOP: F = A');
+    assert.ok(usage.startsWith('usage: logic <expression>  (NOT'));
+    assert.equal(invalid, 'logic: Expression "A +": expected a variable, 0, 1, NOT or "(", found end of expression');
+  },
+
+  'nft lists the ruleset with its counters and traces a packet without counting it': async () => {
+    const { replies: [ruleset, trace, again, usage] } = await session([
+      'nft -a list ruleset',
+      'nft trace input tcp 10.1.2.3:50000 192.168.1.42:22',
+      'nft list ruleset',
+      'nft list'
+    ]);
+    const ssh = 'ip saddr { 192.168.1.0/24, 10.0.0.0/8 } tcp dport ssh counter packets 0 bytes 0 accept';
+    assert.ok(ruleset.startsWith('table inet filter {\n    chain input { # handle 1\n'));
+    assert.ok(ruleset.includes(`        ${ssh} # handle 6\n`));
+    assert.match(ruleset, /ct state established,related counter packets [1-9]\d* bytes \d+ accept # handle 2/);
+    const lines = trace.split('\n');
+    assert.equal(lines[0], 'trace: input tcp 10.1.2.3:50000 > 192.168.1.42:22, ct state new (first packet of tcp 10.1.2.3:50000 > 192.168.1.42:22)');
+    assert.ok(lines.includes('      ip saddr 10.1.2.3 matches 10.0.0.0/8'));
+    assert.ok(lines.includes('        & 11111111.00000000.00000000.00000000  255.0.0.0 (/8 netmask)'));
+    assert.equal(lines[lines.length - 1], 'verdict: accept by inet filter input handle 6');
+    assert.ok(again.includes(`        ${ssh}\n`));
+    assert.ok(!again.includes('# handle'));
+    assert.ok(usage.startsWith('usage: nft [-a] list ruleset\n'));
+  },
+
+  'shutdown stops the services in reverse order; reboot, exit and end of input end the session': async () => {
+    const shutdown = await session(['shutdown now']);
+    assert.equal(shutdown.outcome, 'shutdown');
+    const stopped = shutdown.replies[0].split('\n').filter(line => /^\[ {2}OK {2}\] Stopped \S+\.service /.test(line));
+    assert.equal(stopped[0], '[  OK  ] Stopped nftables.service - nftables.');
+    assert.equal(stopped[stopped.length - 1], '[  OK  ] Stopped systemd-journald.service - Journal Service.');
+
+    assert.equal((await session(['reboot'])).outcome, 'reboot');
+    assert.equal((await session(['shutdown -r'])).outcome, 'reboot');
+    assert.equal((await session(['logout', 'reboot'])).outcome, 'exit');
+    assert.equal((await session(['uptime'])).outcome, 'exit');
+  }
+};
@@ -0,0 +1,89 @@
+// Library API: requiring it has no side effects, and a seeded OSSimulator run is reproducible end to end
+
+const assert = require('assert').strict;
+const { execFile } = require('child_process');
+const { join } = require('path');
+const { Writable } = require('stream');
+const lib = require('../lib');
+
+const { OSSimulator, InputHandler } = lib;
+
+/**
+ * Boot the default profile with one job and capture everything it prints
+ * @param {number} seed - Run seed
+ * @returns {Promise<{text: string, results: Object[]|null, code: string|null}>} - Output, run() results (null if it
+ *   rejected) and the error code it rejected with
+ */
+const bootWithSeed = async (seed) => {
+  let text = '';
+  const output = new Writable({
+    write: (chunk, encoding, callback) => {
+      text += chunk.toString();
+      callback();
+    }
+  });
+  const simulator = new OSSimulator({
+    jobs: [InputHandler.parseJob('0101', '0011', 'ADD', 4)],
+    width: 4,
+    seed,
+    speed: 0,
+    logFile: null,
+    colors: false,
+    output,
+    errorOutput: output
+  });
+  let results = null;
+  let code = null;
+  try {
+    results = await simulator.run();
+  } catch (err) {
+    code = err.code || 'unknown';
+  }
+  return { text, results, code };
+};
+
+// Every boot takes a few seconds (each delay has a fixed floor), so the seed 7 run is shared
+let seven = null;
+const bootSeven = async () => {
+  if (!seven) seven = await bootWithSeed(7);
+  return seven;
+};
+
+module.exports = {
+  'requiring the library prints nothing, installs no signal handlers and lets the process exit': async () => {
+    const script = `require(${JSON.stringify(join(__dirname, '..', 'lib'))}); process.on('exit', () => console.log(process.listenerCount('SIGINT')));`;
+    const stdout = await new Promise((resolvePromise, reject) => {
+      execFile(process.execPath, ['-e', script], { timeout: 10000 }, (err, out) => (err ? reject(err) : resolvePromise(out)));
+    });
+    assert.equal(stdout, '0\n');
+  },
+
+  'the public surface is exported': () => {
+    for (const name of ['OSSimulator', 'Processor', 'Logger', 'InputHandler', 'StorageManager', 'Terminal', 'InputError', 'FaultError']) {
+      assert.equal(typeof lib[name], 'function', name);
+    }
+    for (const name of ['loadProfile', 'loadProgram', 'validateProfile', 'resolveLogFile']) assert.equal(typeof lib[name], 'function', name);
+    assert.ok(lib.OPERATIONS.includes('XOR'));
+    assert.ok('ram' in lib.FAULTS);
+  },
+
+  'the same seed prints the same boot and returns the same results': async () => {
+    const first = await bootSeven();
+    const second = await bootWithSeed(7);
+    assert.ok(first.text.includes('Random seed: 7 (replay with --seed=7)'));
+    assert.equal(first.text, second.text);
+    assert.deepEqual(first.results, second.results);
+    assert.equal(first.code, second.code);
+  },
+
+  'a different seed changes the boot': async () => {
+    const first = await bootSeven();
+    const other = await bootWithSeed(8);
+    assert.notEqual(first.text, other.text);
+  },
+
+  'the job result reaches run()': async () => {
+    const { results } = await bootSeven();
+    assert.deepEqual(results, [{ operation: 'ADD', a: '0101', b: '0011', result: '1000', flags: { CF: 0, PF: 0, ZF: 0, SF: 1, OF: 1 } }]);
+  }
+};
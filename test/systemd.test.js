@@ -0,0 +1,70 @@
+// UnitGraph: After= ordering cycles, parallel start waves, Requires= failure propagation and the systemd-analyze reports
+
+const assert = require('assert').strict;
+const { UnitGraph, formatSpan } = require('../lib/systemd');
+
+const UNITS = [
+  { name: 'network.target', after: ['systemd-networkd.service'] },
+  { name: 'systemd-networkd.service', duration: 300 },
+  { name: 'sshd.service', duration: 100, requires: ['systemd-networkd.service'], after: ['network.target'] },
+  { name: 'cron.service', duration: 50 }
+];
+
+module.exports = {
+  'an ordering cycle is rejected': () => {
+    const cyclic = [
+      { name: 'a.service', after: ['b.service'] },
+      { name: 'b.service', after: ['c.service'] },
+      { name: 'c.service', after: ['a.service'] }
+    ];
+    assert.throws(() => new UnitGraph(cyclic), { message: 'Ordering cycle between units: a.service -> b.service -> c.service -> a.service' });
+    assert.deepEqual(UnitGraph.validate(cyclic, 'units'), ['units: ordering cycle between units: a.service -> b.service -> c.service -> a.service']);
+    assert.throws(() => new UnitGraph([{ name: 'a.service', after: ['a.service'] }]), /a\.service -> a\.service/);
+  },
+
+  'After= on a unit outside the graph is not a cycle': () => {
+    assert.doesNotThrow(() => new UnitGraph([{ name: 'a.service', after: ['missing.service'] }]));
+  },
+
+  'validate reports bad definitions': () => {
+    assert.deepEqual(UnitGraph.validate([{ name: 'sshd' }, { name: 'x.service', after: ['y.service'] }], 'units'), [
+      'units[0].name: must be a unit name such as "sshd.service" or "network.target"',
+      'units[1].after: unknown unit "y.service"'
+    ]);
+    assert.deepEqual(UnitGraph.validate(UNITS, 'units'), []);
+  },
+
+  'units start in waves after what they are ordered after': () => {
+    const waves = new UnitGraph(UNITS).waves().map(wave => wave.map(unit => unit.name));
+    assert.deepEqual(waves, [['systemd-networkd.service', 'cron.service'], ['network.target'], ['sshd.service']]);
+  },
+
+  'start times follow the ordering and a failed requirement fails its dependents': () => {
+    const graph = new UnitGraph(UNITS);
+    const entries = graph.start({ random: () => 0.5 });
+    const byName = new Map(entries.map(entry => [entry.unit.name, entry]));
+    assert.deepEqual([byName.get('sshd.service').start, byName.get('sshd.service').end], [300, 400]);
+    assert.equal(graph.finishedAt(), 400);
+    const failing = new UnitGraph(UNITS).start({ random: () => 0.5, shouldFail: unit => unit.name === 'systemd-networkd.service' });
+    const sshd = failing.find(entry => entry.unit.name === 'sshd.service');
+    assert.deepEqual([sshd.state, sshd.cause], ['dependency', 'systemd-networkd.service']);
+  },
+
+  'time, blame and critical-chain report the started units': () => {
+    const graph = new UnitGraph(UNITS);
+    graph.start({ random: () => 0.5 });
+    assert.deepEqual(graph.analyzeTime(), ['Startup finished in 400ms (userspace)']);
+    assert.deepEqual(graph.blame(), ['300ms systemd-networkd.service', '100ms sshd.service', ' 50ms cron.service']);
+    assert.deepEqual(graph.criticalChain(), [
+      'sshd.service @300ms +100ms',
+      '└─network.target @300ms',
+      '  └─systemd-networkd.service @0ms +300ms'
+    ]);
+    assert.deepEqual([1500, 61000, 12].map(formatSpan), ['1.500s', '61.000s', '12ms']);
+
+    const failing = new UnitGraph(UNITS);
+    failing.start({ random: () => 0.5, shouldFail: unit => unit.name === 'systemd-networkd.service' });
+    assert.deepEqual(failing.blame(), ['300ms systemd-networkd.service (failed)', ' 50ms cron.service']);
+    assert.equal(failing.criticalChain()[0], 'sshd.service @300ms (dependency)');
+  }
+};
@@ -0,0 +1,114 @@
+// Boot timeline: stage and step spans on a fake clock, the JSON/Chrome trace/SVG exports, and --timeline on the CLI
+
+const assert = require('assert').strict;
+const fs = require('fs');
+const { join } = require('path');
+const { BootTimeline } = require('../lib/timeline');
+const { runCli, withTempDir } = require('./helpers');
+
+const TINY = `--profile=${join(__dirname, 'fixtures', 'tiny-profile.yaml')}`;
+
+/**
+ * Record a two-stage boot with a recovered fault on a clock the test advances by hand
+ * @returns {BootTimeline} - Finished timeline, 250 ms long
+ */
+const recorded = () => {
+  const clock = { ms: 1000 };
+  const timeline = new BootTimeline({ now: () => clock.ms });
+  timeline.start({ profile: 'test', seed: 7, speed: 1 });
+  clock.ms += 10;
+  timeline.beginStage({ id: 'firmware', title: 'Firmware', progress: 0, color: 'blue' });
+  timeline.beginStep('POST <quick>');
+  clock.ms += 40;
+  timeline.beginStep('setupPaging', 'setupPaging');
+  clock.ms += 50;
+  timeline.markFault({ id: 'fsck', code: 'FLT003', message: 'Root filesystem errors', stage: 'firmware', recovered: true });
+  timeline.beginStage({ id: 'kernel', title: 'Kernel', progress: 30, color: 'green' });
+  clock.ms += 150;
+  timeline.finish('success');
+  return timeline;
+};
+
+module.exports = {
+  'stages hold their steps, and each span ends where the next begins': () => {
+    const { stages, faults, status, duration, seed } = recorded().toJSON();
+    assert.deepEqual([status, duration, seed], ['success', 250, 7]);
+    assert.deepEqual(stages.map(({ id, start, end, duration: span }) => [id, start, end, span]), [['firmware', 10, 100, 90], ['kernel', 100, 250, 150]]);
+    assert.deepEqual(stages[0].steps, [
+      { label: 'POST <quick>', action: null, start: 10, end: 50, duration: 40 },
+      { label: 'setupPaging', action: 'setupPaging', start: 50, end: 100, duration: 50 }
+    ]);
+    assert.deepEqual(stages[1].steps, []);
+    assert.deepEqual(faults, [{ id: 'fsck', code: 'FLT003', message: 'Root filesystem errors', stage: 'firmware', recovered: true, time: 100 }]);
+  },
+
+  'the Chrome trace puts stages and steps on two tracks in microseconds': () => {
+    const { traceEvents, displayTimeUnit, metadata } = recorded().toChromeTrace();
+    assert.equal(displayTimeUnit, 'ms');
+    assert.equal(metadata.status, 'success');
+    assert.deepEqual(traceEvents[0].args, { name: 'binary-os-sim boot (test)' });
+    const spans = traceEvents.filter(event => event.ph === 'X').map(({ name, tid, ts, dur }) => [name, tid, ts, dur]);
+    assert.deepEqual(spans, [
+      ['Firmware', 1, 10000, 90000],
+      ['POST <quick>', 2, 10000, 40000],
+      ['setupPaging', 2, 50000, 50000],
+      ['Kernel', 1, 100000, 150000]
+    ]);
+    const fault = traceEvents.find(event => event.ph === 'i');
+    assert.deepEqual([fault.name, fault.s, fault.ts], ['fsck [FLT003]', 'g', 100000]);
+  },
+
+  'the SVG bootchart has a bar per row, escaped labels and fault markers': () => {
+    const svg = recorded().serialize('svg');
+    assert.ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"'));
+    assert.ok(svg.endsWith('</svg>\n'));
+    assert.ok(svg.includes('>Boot timeline: 250ms (success)</text>'));
+    assert.ok(svg.includes('profile test, seed 7, speed 1 - started '));
+    assert.equal((svg.match(/<rect x=/g) || []).length, 4);
+    assert.ok(svg.includes('>POST &lt;quick&gt; (40ms)</text>'));
+    assert.ok(svg.includes('>fsck [FLT003] recovered</text>'));
+  },
+
+  'the file name picks the export format': () => {
+    assert.deepEqual(['boot.svg', 'BOOT.SVG', 'boot.trace.json', 'boot.json', 'boot.txt'].map(BootTimeline.formatFor), ['svg', 'svg', 'chrome', 'json', 'json']);
+    assert.equal(JSON.parse(recorded().serialize('chrome')).traceEvents.length, 8);
+    assert.equal(JSON.parse(recorded().serialize('json')).stages.length, 2);
+  },
+
+  '--timeline writes every file when the run ends and warns about unwritable ones': () => withTempDir(async (dir) => {
+    const files = ['boot.json', 'boot.trace.json', 'boot.svg'].map(name => join(dir, name));
+    const blocked = join(dir, 'missing', 'boot.svg');
+    const { code, stdout, stderr } = await runCli([TINY, '--a=1', '--op=NOT', '--seed=5', `--timeline=${[...files, blocked].join(',')}`]);
+    assert.equal(code, 0);
+    assert.ok(stdout.includes(`Boot timeline written to ${files[0]} (json)\n`));
+    assert.ok(stdout.includes(`Boot timeline written to ${files[1]} (chrome)\n`));
+    assert.match(stderr, new RegExp(`^Cannot write timeline ${blocked}: ENOENT: .* \\[TML001\\]$`, 'm'));
+
+    const json = JSON.parse(fs.readFileSync(files[0], 'utf8'));
+    assert.deepEqual([json.profile, json.seed, json.status], ['tiny', 5, 'success']);
+    assert.deepEqual(json.stages.map(stage => stage.id), ['firmware', 'input', 'operation', 'cpu', 'ram', 'output']);
+    assert.equal(json.stages[0].steps[0].label, 'Running the tiny POST...');
+    assert.ok(JSON.parse(fs.readFileSync(files[1], 'utf8')).traceEvents.some(event => event.name === 'Tiny Firmware'));
+    assert.ok(fs.readFileSync(files[2], 'utf8').includes('>Boot timeline: '));
+  }),
+
+  'a failed boot is still written, with its status': () => withTempDir(async (dir) => {
+    const file = join(dir, 'boot.json');
+    const { code } = await runCli([TINY, '--a=1', '--op=NOT', '--address=0xF000', `--timeline=${file}`]);
+    assert.equal(code, 1);
+    assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).status, 'failure');
+  }),
+
+  'bad --timeline flags exit with INP012': async () => {
+    const cases = [
+      [['--timeline=a.json', '--timeline-format=png'], 'Invalid input [INP012]: Invalid --timeline-format "png". Use one of: json, chrome, svg.'],
+      [['--timeline-format=svg'], 'Invalid input [INP012]: --timeline-format needs --timeline=<file>'],
+      [['--timeline=a.json,'], 'Invalid input [INP012]: --timeline needs a file name (e.g. --timeline=boot.svg)']
+    ];
+    for (const [args, message] of cases) {
+      const { code, stderr } = await runCli(args);
+      assert.equal(code, 2);
+      assert.equal(stderr.trim(), message);
+    }
+  }
+};
@@ -0,0 +1,148 @@
+// TUI dashboard: frame-throttled drawing, row diffing, resize and prompts, and a full boot drawn on a fake terminal
+
+const assert = require('assert').strict;
+const { join } = require('path');
+const { Writable } = require('stream');
+const { Dashboard, OSSimulator, InputHandler, loadProfile } = require('../lib');
+const { stripAnsi } = require('./helpers');
+
+// Long enough that the spinner timer never fires during a test; frames are drawn by calling tick()
+const MANUAL_FRAMES = 60000;
+
+/**
+ * Create a writable that looks like an 80x24 terminal and records every write
+ * @returns {stream.Writable & {writes: string[], text: function(): string}} - Fake terminal
+ */
+const fakeTerminal = () => {
+  const writes = [];
+  const terminal = new Writable({
+    write: (chunk, encoding, callback) => {
+      writes.push(chunk.toString());
+      callback();
+    }
+  });
+  return Object.assign(terminal, { isTTY: true, columns: 80, rows: 24, writes, text: () => stripAnsi(writes.join('')) });
+};
+
+/**
+ * Attach a dashboard to a simulator for the tiny profile, without running the simulator
+ * @returns {Promise<{dashboard: Dashboard, simulator: OSSimulator, terminal: Object, errors: Object}>} - The parts
+ */
+const attached = async () => {
+  const terminal = fakeTerminal();
+  const errors = fakeTerminal();
+  const dashboard = new Dashboard({ output: terminal, errorOutput: errors, frameMs: MANUAL_FRAMES });
+  const simulator = new OSSimulator({
+    profile: await loadProfile(join(__dirname, 'fixtures', 'tiny-profile.yaml')),
+    jobs: [InputHandler.parseJob('0101', '0011', 'ADD', 4)],
+    width: 4,
+    seed: 1,
+    speed: 0,
+    faults: false,
+    logFile: null,
+    colors: false,
+    output: dashboard.stream,
+    errorOutput: dashboard.errorStream
+  });
+  dashboard.attach(simulator);
+  return { dashboard, simulator, terminal, errors };
+};
+
+// Rows a write repositioned the cursor to (1-based), i.e. the rows it rewrote
+const rowsWritten = text => (text.match(/\x1b\[(\d+);1H/g) || []).map(move => Number(move.slice(2, -3)));
+
+module.exports = {
+  'the dashboard only takes over a terminal': () => {
+    assert.equal(Dashboard.isSupported(fakeTerminal()), true);
+    assert.equal(Dashboard.isSupported(new Writable()), false);
+    assert.equal(Dashboard.isSupported(null), false);
+  },
+
+  'events between frames are drawn once, on the next tick': async () => {
+    const { dashboard, simulator, terminal } = await attached();
+    const initial = terminal.writes.length;
+    simulator.emit('stage:start', { id: 'firmware', title: 'Tiny Firmware', progress: 0 });
+    for (let step = 0; step < 1000; step++) simulator.emit('step', { stage: 'firmware', progress: 0, message: `Step ${step}` });
+    assert.equal(terminal.writes.length, initial);
+
+    dashboard.tick();
+    assert.equal(terminal.writes.length, initial + 1);
+    assert.ok(stripAnsi(terminal.writes[initial]).includes('    Step 999'));
+    assert.ok(stripAnsi(terminal.writes[initial]).includes('CPU  busy, 1000 steps'));
+    dashboard.stop();
+  },
+
+  'a frame rewrites only the rows that changed': async () => {
+    const { dashboard, simulator, terminal } = await attached();
+    const full = rowsWritten(terminal.writes[terminal.writes.length - 1]);
+    assert.deepEqual(full, Array.from({ length: 23 }, (_, index) => index + 1));
+
+    simulator.emit('progress', { percent: 50 });
+    dashboard.tick();
+    const frame = terminal.writes[terminal.writes.length - 1];
+    assert.deepEqual(rowsWritten(frame), [2]);
+    assert.match(stripAnsi(frame), /\] {2}50%$/);
+
+    // Nothing changed and no stage is running: the tick draws nothing
+    const writes = terminal.writes.length;
+    dashboard.tick();
+    assert.equal(terminal.writes.length, writes);
+    dashboard.stop();
+  },
+
+  'a resize clears the screen and redraws every row': async () => {
+    const { dashboard, terminal } = await attached();
+    terminal.columns = 100;
+    terminal.emit('resize');
+    const redraw = terminal.writes.slice(-2).join('');
+    assert.ok(redraw.startsWith('\x1b[2J'));
+    assert.equal(rowsWritten(redraw).length, 23);
+    dashboard.stop();
+  },
+
+  'a prompt is drawn at once on the bottom row with the cursor after it': async () => {
+    const { dashboard, terminal } = await attached();
+    dashboard.stream.write('Repair the filesystem? [y/n] ');
+    const frame = terminal.writes[terminal.writes.length - 1];
+    assert.deepEqual(rowsWritten(frame), [23]);
+    assert.ok(frame.endsWith('\x1b[23;30H\x1b[?25h'));
+    dashboard.stop();
+  },
+
+  'the network panel follows network events and a nic-down fault': async () => {
+    const { dashboard, simulator, terminal } = await attached();
+    const panel = () => {
+      dashboard.tick();
+      return terminal.text().split('NET  ').pop();
+    };
+    assert.ok(panel().startsWith('eth0 down'));
+    simulator.emit('network', { state: 'up', interface: 'eth0', address: '192.168.1.42/24', gateway: '192.168.1.1', blocked: 0 });
+    assert.match(panel(), /^eth0 up[^]*192\.168\.1\.42\/24[^]*via 192\.168\.1\.1/);
+    simulator.emit('network', { state: 'up', interface: 'eth0', address: '192.168.1.42/24', gateway: '192.168.1.1', blocked: 4 });
+    assert.ok(panel().startsWith('eth0 up, 4 blocked'));
+    simulator.emit('network', { state: 'unconfigured', interface: 'eth0', address: null, gateway: null, blocked: 1 });
+    assert.match(panel(), /^eth0 no address, 1 blocked[^]*DHCP got no lease/);
+    simulator.emit('fault', { id: 'nic-down', code: 'FLT005', message: 'Network interface eth0 is down', stage: 'network', recovered: true });
+    assert.match(panel(), /^eth0 offline[^]*link down, lo only/);
+    dashboard.stop();
+  },
+
+  'a full boot ends with the stage done, errors held back and output passed through': async () => {
+    const { dashboard, simulator, terminal, errors } = await attached();
+    dashboard.errorStream.write('warning while live\n');
+    assert.deepEqual(errors.writes, []);
+
+    const results = await simulator.run();
+    assert.equal(results[0].result, '1000');
+    assert.equal(dashboard.live, false);
+    assert.deepEqual(errors.writes, ['warning while live\n']);
+    const screen = terminal.text();
+    assert.ok(screen.includes('Binary OS Simulator - profile tiny, seed 1'));
+    assert.ok(screen.includes('✓ Tiny Firmware'));
+    assert.ok(screen.includes('CPU cache test passed'));
+    assert.match(screen, /RAM {2}16384 MiB, paging off/);
+    assert.match(screen, / {5}paged model \d+\/8 frames/);
+    // The user-space stages print below the final dashboard as regular output
+    assert.ok(screen.includes('Simulation Complete - System Online!'));
+  }
+};
@@ -0,0 +1,194 @@
+// ===================================================================
+// |> Binary OS Simulator - Web UI <|
+// ===================================================================
+// Purpose:
+//   Draw the boot streamed by the --serve server (stages, progress bar, colored console) and answer the
+//   simulator's prompts from a form. The simulation itself runs on the server; this page only renders events.
+
+(() => {
+  'use strict';
+
+  const $ = (id) => document.getElementById(id);
+  const state = { profileStages: [], operations: [], running: false };
+
+  /**
+   * POST a JSON body to the server
+   * @param {string} path - Route
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} - Parsed response, with `ok` false on HTTP errors
+   */
+  const post = async (path, body) => {
+    const response = await fetch(path, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    return { ok: response.ok, ...(await response.json()) };
+  };
+
+  /**
+   * Append a console line
+   * @param {string} text - Line text
+   * @param {string|null} color - Color name from the simulator's palette
+   */
+  const appendLine = (text, color) => {
+    const consoleElement = $('console');
+    const line = document.createElement('span');
+    line.textContent = `${text}\n`;
+    if (color) line.className = color;
+    consoleElement.appendChild(line);
+    consoleElement.scrollTop = consoleElement.scrollHeight;
+  };
+
+  /**
+   * Find or create the list entry for a stage
+   * @param {string} id - Stage id
+   * @param {string} [title] - Stage title, used when the entry is created
+   * @returns {HTMLElement} - The stage's list item
+   */
+  const stageItem = (id, title) => {
+    let item = document.querySelector(`#stages li[data-id="${CSS.escape(id)}"]`);
+    if (!item) {
+      item = document.createElement('li');
+      item.dataset.id = id;
+      item.textContent = title || id;
+      item.className = 'pending';
+      $('stages').appendChild(item);
+    }
+    return item;
+  };
+
+  const resetStages = () => {
+    $('stages').textContent = '';
+    state.profileStages.forEach(({ id, title }) => stageItem(id, title));
+  };
+
+  const setProgress = (percent) => {
+    $('progress-fill').style.width = `${percent}%`;
+    $('progress-label').textContent = `${percent}%`;
+  };
+
+  const setRunning = (running) => {
+    state.running = running;
+    $('boot').disabled = running;
+  };
+
+  const failRunningStage = () => {
+    document.querySelectorAll('#stages li.running').forEach(item => { item.className = 'failed'; });
+  };
+
+  const hidePrompt = () => {
+    $('prompt-form').hidden = true;
+  };
+
+  /**
+   * Show the prompt form with a text field, or an operation menu for operation prompts
+   * @param {Object} prompt - { kind, message, value } from the server
+   */
+  const showPrompt = ({ kind, message, value }) => {
+    const menu = kind === 'operation';
+    $('prompt-label').textContent = message;
+    $('prompt-input').hidden = menu;
+    $('prompt-select').hidden = !menu;
+    $('prompt-input').value = value || '';
+    $('prompt-input').placeholder = kind === 'operand' ? 'e.g. 1011, 0x1F, 0o17 or 0d42' : '';
+    $('prompt-form').hidden = false;
+    (menu ? $('prompt-select') : $('prompt-input')).focus();
+  };
+
+  const showResult = ({ operation, a, b, result, flags }) => {
+    const fields = { Operation: operation, A: a, B: b, Result: result, FLAGS: Object.keys(flags).map(flag => `${flag}=${flags[flag]}`).join(' ') };
+    const list = $('result-fields');
+    list.textContent = '';
+    Object.keys(fields).forEach(name => {
+      const term = document.createElement('dt');
+      const value = document.createElement('dd');
+      term.textContent = name;
+      value.textContent = fields[name];
+      list.append(term, value);
+    });
+    $('result').hidden = false;
+  };
+
+  // ========================
+  // |> Server events <|
+  // ========================
+
+  const handlers = {
+    hello: ({ running, profile, operations, faults }) => {
+      state.profileStages = profile ? profile.stages : [];
+      state.operations = operations;
+      $('prompt-select').textContent = '';
+      operations.forEach(operation => $('prompt-select').add(new Option(operation, operation)));
+      const inject = $('inject');
+      inject.length = 1;
+      faults.forEach(({ id, code, summary }) => inject.add(new Option(`${id} (${code}): ${summary}`, id)));
+      $('console').textContent = '';
+      resetStages();
+      setProgress(0);
+      setRunning(running);
+    },
+    'run:start': ({ seed, inject }) => {
+      $('console').textContent = '';
+      $('result').hidden = true;
+      resetStages();
+      setProgress(0);
+      setRunning(true);
+      $('run-info').textContent = `Seed ${seed}${inject.length ? `, injecting ${inject.join(', ')}` : ''}`;
+    },
+    line: ({ text, color }) => appendLine(text, color),
+    prompt: showPrompt,
+    'stage:start': ({ id, title }) => {
+      hidePrompt(); // A prompt that timed out (the GRUB menu) is not waiting any more
+      const item = stageItem(id, title);
+      item.className = 'running';
+    },
+    'stage:end': ({ id }) => {
+      stageItem(id).className = 'done';
+    },
+    progress: ({ percent }) => setProgress(percent),
+    fault: ({ recovered }) => {
+      if (!recovered) failRunningStage();
+    },
+    'operation:result': (report) => {
+      document.querySelectorAll('#stages li.running').forEach(item => { item.className = 'done'; });
+      showResult(report);
+    },
+    complete: () => {
+      hidePrompt();
+      setRunning(false);
+      $('run-info').textContent += ' - System online';
+    },
+    failure: ({ code, message }) => {
+      hidePrompt();
+      failRunningStage();
+      setRunning(false);
+      appendLine(`System halted [${code}]: ${message}`, 'red');
+    }
+  };
+
+  const events = new EventSource('/events');
+  Object.keys(handlers).forEach(name => {
+    events.addEventListener(name, (event) => handlers[name](JSON.parse(event.data)));
+  });
+  events.onerror = () => {
+    $('run-info').textContent = 'Disconnected from the simulator server; retrying...';
+  };
+
+  // ========================
+  // |> Forms <|
+  // ========================
+
+  $('run-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const inject = $('inject').value;
+    const response = await post('/run', { seed: $('seed').value.trim(), inject: inject ? [inject] : [] });
+    if (!response.ok) $('run-info').textContent = response.error;
+  });
+
+  $('prompt-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const menu = !$('prompt-select').hidden;
+    const value = menu ? $('prompt-select').value : $('prompt-input').value;
+    appendLine(`${$('prompt-label').textContent}${value}`, 'cyan');
+    hidePrompt();
+    const response = await post('/input', { value });
+    if (!response.ok) appendLine(response.error, 'red');
+  });
+})();